@@ -0,0 +1,444 @@
+// scripts/admin-api.js
+const rateLimit = require('express-rate-limit');
+const {
+  createLicense,
+  searchLicenses,
+  getLicenseForAdmin,
+  getSyncOverview,
+  setLicenseStatus,
+  extendLicense,
+  changeLicensePlan,
+  listAdminActions,
+  listUserDataTypes,
+  listDevices,
+  getUsage
+} = require('./database');
+const { isAdminConfigured, requireAdmin } = require('./admin-auth');
+const { PLANS } = require('./plans');
+const { parseLicenseKey, hashLicenseKey } = require('./license-keys');
+const { parseLocale } = require('./email-templates');
+const { wakeEmailOutbox } = require('./email-outbox');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Status que a administração pode filtrar ('expired' = ativa com prazo vencido)
+const SEARCH_STATUSES = ['active', 'revoked', 'expired'];
+
+// Prazo máximo de uma prorrogação ou de uma licença emitida com prazo (dias)
+const MAX_LICENSE_DAYS = 3650;
+
+// Tentativas com credenciais inválidas por IP
+const adminRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    error: 'Too many failed admin requests, please try again later'
+  }
+});
+
+// Licença na resposta da administração (a chave só aparece pela dica; o hash não sai do servidor)
+function formatAdminLicense(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    status: user.status,
+    plan: user.plan_type,
+    key_hint: user.key_hint ? `...${user.key_hint}` : null,
+    locale: user.locale,
+    expires_at: user.expires_at,
+    expired: Boolean(user.expires_at) && new Date(user.expires_at) <= new Date(),
+    created_at: user.created_at,
+    updated_at: user.updated_at
+  };
+}
+
+// Quantidade de dias informada no body (inteiro entre 1 e MAX_LICENSE_DAYS) ou null se inválida
+function parseDays(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_LICENSE_DAYS ? value : null;
+}
+
+function sendInvalidDays(res) {
+  res.status(400).json({
+    success: false,
+    error: `days must be an integer between 1 and ${MAX_LICENSE_DAYS}`
+  });
+}
+
+function sendLicenseNotFound(res) {
+  res.status(404).json({
+    success: false,
+    error: 'License not found'
+  });
+}
+
+// Middleware que carrega a licença de :userId (qualquer status) em req.targetLicense
+async function loadTargetLicense(req, res, next) {
+  try {
+    const userId = Number(req.params.userId);
+    if (!Number.isInteger(userId) || userId < 1) {
+      return sendLicenseNotFound(res);
+    }
+    
+    const user = await getLicenseForAdmin(userId);
+    if (!user) {
+      return sendLicenseNotFound(res);
+    }
+    
+    req.targetLicense = user;
+    next();
+    
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Configurar rotas da API de administração (só com ADMIN_API_KEYS configurada)
+function setupAdminRoutes(app) {
+  if (!isAdminConfigured()) {
+    console.log('⚠️  Admin API disabled (ADMIN_API_KEYS not set)');
+    return false;
+  }
+  
+  app.use('/admin', adminRateLimit);
+  
+  // GET /admin/me - Credencial em uso, papel e permissões
+  app.get('/admin/me', requireAdmin('licenses:read'), (req, res) => {
+    res.json({
+      success: true,
+      admin: req.admin
+    });
+  });
+  
+  // GET /admin/users - Buscar licenças
+  // Query: email (parte do endereço), key (chave completa), key_hint (últimos 4 caracteres),
+  // status (active, revoked, expired), plan, limit, offset
+  app.get('/admin/users', requireAdmin('licenses:read'), async (req, res) => {
+    try {
+      const { email, key, key_hint: keyHint, status, plan } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const filters = {};
+      
+      if (email !== undefined) {
+        if (typeof email !== 'string' || !email.trim() || email.length > 255) {
+          return res.status(400).json({ success: false, error: 'Invalid email filter' });
+        }
+        filters.email = email.trim();
+      }
+      
+      if (key !== undefined) {
+        const licenseKey = parseLicenseKey(key);
+        if (!licenseKey) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid license key format. Please check the key for typos.',
+            code: 'INVALID_LICENSE_KEY'
+          });
+        }
+        filters.keyHash = hashLicenseKey(licenseKey);
+      }
+      
+      if (keyHint !== undefined) {
+        if (typeof keyHint !== 'string' || !/^[A-Za-z0-9]{4}$/.test(keyHint)) {
+          return res.status(400).json({ success: false, error: 'key_hint must be the last 4 characters of the key' });
+        }
+        filters.keyHint = keyHint;
+      }
+      
+      if (status !== undefined) {
+        if (!SEARCH_STATUSES.includes(status)) {
+          return res.status(400).json({ success: false, error: `status must be one of: ${SEARCH_STATUSES.join(', ')}` });
+        }
+        filters.status = status;
+      }
+      
+      if (plan !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(PLANS, plan)) {
+          return res.status(400).json({ success: false, error: `plan must be one of: ${Object.keys(PLANS).join(', ')}` });
+        }
+        filters.plan = plan;
+      }
+      
+      const result = await searchLicenses(filters, { limit, offset });
+      
+      res.json({
+        success: true,
+        users: result.licenses.map(formatAdminLicense),
+        total: result.total,
+        limit,
+        offset
+      });
+      
+    } catch (error) {
+      console.error('Error searching licenses:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search licenses'
+      });
+    }
+  });
+  
+  // GET /admin/users/:userId - Detalhes de uma licença e dispositivos ativados
+  app.get('/admin/users/:userId', requireAdmin('licenses:read'), loadTargetLicense, async (req, res) => {
+    try {
+      const devices = await listDevices(req.targetLicense.license_key);
+      
+      res.json({
+        success: true,
+        user: formatAdminLicense(req.targetLicense),
+        devices,
+        max_devices: (PLANS[req.targetLicense.plan_type] || PLANS.free).maxDevices
+      });
+      
+    } catch (error) {
+      console.error('Error getting license:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get license'
+      });
+    }
+  });
+  
+  // GET /admin/users/:userId/sync - Metadados de sincronização (contagens, versões e uso; sem conteúdo)
+  app.get('/admin/users/:userId/sync', requireAdmin('licenses:read'), loadTargetLicense, async (req, res) => {
+    try {
+      const licenseKey = req.targetLicense.license_key;
+      const [overview, dataTypes, usage] = await Promise.all([
+        getSyncOverview(licenseKey),
+        listUserDataTypes(licenseKey),
+        getUsage(licenseKey)
+      ]);
+      
+      res.json({
+        success: true,
+        user_id: req.targetLicense.id,
+        sync: overview,
+        data_types: dataTypes,
+        usage
+      });
+      
+    } catch (error) {
+      console.error('Error getting sync metadata:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get sync metadata'
+      });
+    }
+  });
+  
+  // POST /admin/users/:userId/revoke - Revogar uma licença (encerra as sessões). Body: { reason? }
+  app.post('/admin/users/:userId/revoke', requireAdmin('licenses:write'), loadTargetLicense, async (req, res) => {
+    try {
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.substring(0, 500) : null;
+      const user = await setLicenseStatus(req.targetLicense.id, 'revoked', { adminName: req.admin.name, reason });
+      
+      if (!user) {
+        return sendLicenseNotFound(res);
+      }
+      
+      res.json({
+        success: true,
+        message: 'License revoked',
+        user: formatAdminLicense(user)
+      });
+      
+    } catch (error) {
+      console.error('Error revoking license:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke license'
+      });
+    }
+  });
+  
+  // POST /admin/users/:userId/reactivate - Reativar uma licença revogada. Body: { reason? }
+  app.post('/admin/users/:userId/reactivate', requireAdmin('licenses:write'), loadTargetLicense, async (req, res) => {
+    try {
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.substring(0, 500) : null;
+      const user = await setLicenseStatus(req.targetLicense.id, 'active', { adminName: req.admin.name, reason });
+      
+      if (!user) {
+        return sendLicenseNotFound(res);
+      }
+      
+      res.json({
+        success: true,
+        message: 'License reactivated',
+        user: formatAdminLicense(user)
+      });
+      
+    } catch (error) {
+      console.error('Error reactivating license:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reactivate license'
+      });
+    }
+  });
+  
+  // POST /admin/users/:userId/extend - Prorrogar uma licença com prazo. Body: { days }
+  app.post('/admin/users/:userId/extend', requireAdmin('licenses:write'), loadTargetLicense, async (req, res) => {
+    try {
+      const days = parseDays(req.body.days);
+      if (!days) {
+        return sendInvalidDays(res);
+      }
+      
+      const user = await extendLicense(req.targetLicense.id, days, { adminName: req.admin.name });
+      
+      if (!user) {
+        return sendLicenseNotFound(res);
+      }
+      
+      res.json({
+        success: true,
+        message: `License extended by ${days} day(s)`,
+        user: formatAdminLicense(user)
+      });
+      
+    } catch (error) {
+      if (error.code === 'LICENSE_HAS_NO_EXPIRY') {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+      
+      console.error('Error extending license:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to extend license'
+      });
+    }
+  });
+  
+  // PUT /admin/users/:userId/plan - Mudar o plano. Body: { plan }
+  app.put('/admin/users/:userId/plan', requireAdmin('licenses:plan'), loadTargetLicense, async (req, res) => {
+    try {
+      const { plan } = req.body;
+      
+      if (typeof plan !== 'string' || !Object.prototype.hasOwnProperty.call(PLANS, plan)) {
+        return res.status(400).json({
+          success: false,
+          error: `plan must be one of: ${Object.keys(PLANS).join(', ')}`
+        });
+      }
+      
+      const user = await changeLicensePlan(req.targetLicense.id, plan, { adminName: req.admin.name });
+      
+      if (!user) {
+        return sendLicenseNotFound(res);
+      }
+      
+      res.json({
+        success: true,
+        message: `Plan changed to ${plan}`,
+        user: formatAdminLicense(user)
+      });
+      
+    } catch (error) {
+      console.error('Error changing plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change plan'
+      });
+    }
+  });
+  
+  // POST /admin/users - Emitir uma licença manualmente
+  // Body: { email, plan?, days? (licença com prazo), locale?, send_email? (padrão true) }
+  // A chave só aparece nesta resposta e no e-mail enviado ao cliente
+  app.post('/admin/users', requireAdmin('licenses:issue'), async (req, res) => {
+    try {
+      const { email, plan = 'premium', days, locale, send_email: sendEmail = true } = req.body;
+      
+      if (typeof email !== 'string' || email.length > 255 || !EMAIL_REGEX.test(email.trim())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid email format'
+        });
+      }
+      
+      if (typeof plan !== 'string' || !Object.prototype.hasOwnProperty.call(PLANS, plan)) {
+        return res.status(400).json({
+          success: false,
+          error: `plan must be one of: ${Object.keys(PLANS).join(', ')}`
+        });
+      }
+      
+      const expiresInDays = days === undefined || days === null ? null : parseDays(days);
+      if (days !== undefined && days !== null && !expiresInDays) {
+        return sendInvalidDays(res);
+      }
+      
+      const { user, licenseKey } = await createLicense(email.trim(), {
+        planType: plan,
+        locale: parseLocale(locale),
+        deliver: sendEmail !== false,
+        expiresInDays,
+        adminName: req.admin.name
+      });
+      
+      if (sendEmail !== false) {
+        wakeEmailOutbox();
+      }
+      
+      res.set('Cache-Control', 'no-store');
+      res.status(201).json({
+        success: true,
+        message: 'License issued',
+        licenseKey,
+        user: formatAdminLicense(user)
+      });
+      
+    } catch (error) {
+      console.error('Error issuing license:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue license'
+      });
+    }
+  });
+  
+  // GET /admin/audit - Registro das ações da administração. Query: user_id, limit, offset
+  app.get('/admin/audit', requireAdmin('audit:read'), async (req, res) => {
+    try {
+      const userId = req.query.user_id === undefined ? null : Number(req.query.user_id);
+      if (userId !== null && (!Number.isInteger(userId) || userId < 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user_id'
+        });
+      }
+      
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const actions = await listAdminActions({ userId, limit, offset });
+      
+      res.json({
+        success: true,
+        actions,
+        limit,
+        offset
+      });
+      
+    } catch (error) {
+      console.error('Error listing admin actions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list admin actions'
+      });
+    }
+  });
+  
+  return true;
+}
+
+module.exports = {
+  setupAdminRoutes
+};
@@ -0,0 +1,101 @@
+// scripts/admin-auth.js
+// Credenciais e permissões da API de administração (scripts/admin-api.js)
+//
+// As credenciais vêm de ADMIN_API_KEYS ("nome:papel:chave,..."), enviadas em
+// "Authorization: Bearer <chave>". Cada papel libera um conjunto de permissões (scopes);
+// as rotas exigem a permissão da ação, não um papel específico.
+const crypto = require('crypto');
+const { getBearerToken } = require('./auth-tokens');
+
+// Tamanho mínimo de uma chave de administração (ex.: openssl rand -hex 32)
+const MIN_ADMIN_KEY_LENGTH = 32;
+
+// Permissões de cada papel
+const ADMIN_ROLES = {
+  // Consultar licenças e dados de sincronização
+  viewer: ['licenses:read'],
+  // Atendimento: também revogar, reativar e prorrogar licenças
+  support: ['licenses:read', 'licenses:write'],
+  // Tudo, inclusive mudar plano, emitir licenças e ver o registro de ações
+  admin: ['licenses:read', 'licenses:write', 'licenses:plan', 'licenses:issue', 'audit:read']
+};
+
+function hashAdminKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Ler as credenciais de ADMIN_API_KEYS; entradas inválidas são ignoradas com aviso
+function loadAdminCredentials(value = process.env.ADMIN_API_KEYS) {
+  const credentials = [];
+  
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [name, role, ...rest] = entry.split(':');
+    const key = rest.join(':');
+    
+    if (!name || !Object.prototype.hasOwnProperty.call(ADMIN_ROLES, role) || key.length < MIN_ADMIN_KEY_LENGTH) {
+      console.log(`⚠️  Ignoring invalid ADMIN_API_KEYS entry for "${name || '?'}" (expected name:role:key, role in ${Object.keys(ADMIN_ROLES).join('/')}, key with at least ${MIN_ADMIN_KEY_LENGTH} characters)`);
+      continue;
+    }
+    
+    credentials.push({ name, role, scopes: ADMIN_ROLES[role], keyHash: hashAdminKey(key) });
+  }
+  
+  return credentials;
+}
+
+const adminCredentials = loadAdminCredentials();
+
+// Verificar se há credenciais de administração configuradas
+function isAdminConfigured() {
+  return adminCredentials.length > 0;
+}
+
+// Encontrar a credencial de uma chave (comparação em tempo constante com todas)
+function findAdminCredential(key) {
+  const keyHash = hashAdminKey(key);
+  let found = null;
+  
+  for (const credential of adminCredentials) {
+    if (crypto.timingSafeEqual(keyHash, credential.keyHash)) {
+      found = credential;
+    }
+  }
+  
+  return found;
+}
+
+// Middleware que exige uma credencial de administração com a permissão scope
+// Disponibiliza { name, role, scopes } em req.admin
+function requireAdmin(scope) {
+  return (req, res, next) => {
+    const key = getBearerToken(req);
+    const admin = key && findAdminCredential(key);
+    
+    if (!admin) {
+      res.set('WWW-Authenticate', 'Bearer realm="admin"');
+      return res.status(401).json({
+        success: false,
+        error: 'Valid admin credentials required',
+        code: 'AUTHENTICATION_REQUIRED'
+      });
+    }
+    
+    if (!admin.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `The ${admin.role} role does not allow this action`,
+        code: 'INSUFFICIENT_SCOPE',
+        required_scope: scope
+      });
+    }
+    
+    req.admin = { name: admin.name, role: admin.role, scopes: admin.scopes };
+    next();
+  };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  isAdminConfigured,
+  requireAdmin
+};
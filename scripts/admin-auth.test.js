@@ -0,0 +1,86 @@
+// scripts/admin-auth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const VIEWER_KEY = 'v'.repeat(40);
+const SUPPORT_KEY = 's'.repeat(40);
+const ADMIN_KEY = 'a'.repeat(32) + ':with-colon';
+
+process.env.ADMIN_API_KEYS = [
+  `vera:viewer:${VIEWER_KEY}`,
+  `sam:support:${SUPPORT_KEY}`,
+  `ada:admin:${ADMIN_KEY}`,
+  `short:admin:${'x'.repeat(31)}`,
+  `mallory:root:${'m'.repeat(40)}`
+].join(', ');
+
+const { ADMIN_ROLES, isAdminConfigured, requireAdmin } = require('./admin-auth');
+
+// Executar o middleware com um header Authorization; retorna { status, body, headers, admin, nextCalled }
+function runMiddleware(scope, authorization) {
+  const result = { status: 200, body: null, headers: {}, admin: null, nextCalled: false };
+  const req = { get: name => (name === 'Authorization' ? authorization : undefined) };
+  const res = {
+    set(name, value) {
+      result.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  
+  requireAdmin(scope)(req, res, () => {
+    result.nextCalled = true;
+  });
+  result.admin = req.admin || null;
+  return result;
+}
+
+test('each role grants a growing set of scopes', () => {
+  assert.deepEqual(ADMIN_ROLES.viewer, ['licenses:read']);
+  assert.ok(ADMIN_ROLES.viewer.every(scope => ADMIN_ROLES.support.includes(scope)));
+  assert.ok(ADMIN_ROLES.support.every(scope => ADMIN_ROLES.admin.includes(scope)));
+  assert.ok(isAdminConfigured());
+});
+
+test('requests without a valid admin key get 401 with a Bearer challenge', () => {
+  for (const authorization of [undefined, 'Basic abc', `Bearer ${'z'.repeat(40)}`, `Bearer ${'x'.repeat(31)}`, `Bearer ${'m'.repeat(40)}`]) {
+    const result = runMiddleware('licenses:read', authorization);
+    
+    assert.equal(result.status, 401);
+    assert.equal(result.body.code, 'AUTHENTICATION_REQUIRED');
+    assert.equal(result.headers['WWW-Authenticate'], 'Bearer realm="admin"');
+    assert.ok(!result.nextCalled);
+  }
+});
+
+test('a key whose role lacks the scope gets 403 with the required scope', () => {
+  const result = runMiddleware('licenses:write', `Bearer ${VIEWER_KEY}`);
+  
+  assert.equal(result.status, 403);
+  assert.deepEqual(
+    { code: result.body.code, required_scope: result.body.required_scope },
+    { code: 'INSUFFICIENT_SCOPE', required_scope: 'licenses:write' }
+  );
+  assert.ok(!result.nextCalled);
+  
+  assert.equal(runMiddleware('licenses:plan', `Bearer ${SUPPORT_KEY}`).status, 403);
+  assert.equal(runMiddleware('audit:read', `Bearer ${SUPPORT_KEY}`).status, 403);
+});
+
+test('a key with the scope passes and exposes the admin on the request', () => {
+  const support = runMiddleware('licenses:write', `Bearer ${SUPPORT_KEY}`);
+  assert.ok(support.nextCalled);
+  assert.deepEqual(support.admin, { name: 'sam', role: 'support', scopes: ADMIN_ROLES.support });
+  
+  // A chave pode conter ":" (tudo depois do papel)
+  const admin = runMiddleware('audit:read', `Bearer ${ADMIN_KEY}`);
+  assert.ok(admin.nextCalled);
+  assert.equal(admin.admin.name, 'ada');
+});
@@ -0,0 +1,236 @@
+// scripts/attachments-api.js
+const express = require('express');
+const crypto = require('crypto');
+const {
+  createAttachment,
+  getAttachment,
+  listAttachments,
+  deleteAttachment
+} = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { getStorage } = require('./storage');
+const { sendQuotaExceeded } = require('./usage-api');
+
+// Tamanho máximo de um anexo (padrão 10 MB)
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// IDs de anexo: hash sha256 do conteúdo em hexadecimal
+const ATTACHMENT_ID_REGEX = /^[a-f0-9]{64}$/;
+
+// Tipos exibidos inline no navegador; os demais são sempre baixados (evita HTML/SVG ativo)
+const INLINE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp'];
+
+// Corpo bruto do upload, com erros de tamanho respondidos em JSON
+const rawParser = express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES });
+
+function parseAttachmentBody(req, res, next) {
+  rawParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        error: error.status === 413
+          ? `Attachment exceeds the maximum size of ${MAX_ATTACHMENT_BYTES} bytes`
+          : 'Invalid attachment body'
+      });
+    }
+    next();
+  });
+}
+
+// Cabeçalho Content-Disposition com nome de arquivo em UTF-8
+function contentDisposition(type, filename) {
+  if (!filename) {
+    return type;
+  }
+  
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Configurar rotas de anexos
+function setupAttachmentRoutes(app) {
+
+  // POST /api/license/:licenseKey/attachments?filename= - Enviar um anexo (corpo bruto)
+  // O Content-Type da requisição é guardado como tipo do anexo
+  app.post('/api/license/:licenseKey/attachments', requireLicense, parseAttachmentBody, async (req, res) => {
+    try {
+      // Corpos JSON/formulário já foram consumidos pelos parsers globais
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(415).json({
+          success: false,
+          error: 'JSON and form bodies cannot be uploaded as attachments'
+        });
+      }
+      
+      if (req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Attachment body is required'
+        });
+      }
+      
+      const { filename } = req.query;
+      if (filename !== undefined && (typeof filename !== 'string' || filename.length > 255 || /[\/\\\x00-\x1f]/.test(filename))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid filename'
+        });
+      }
+      
+      const mimeType = (req.get('Content-Type') || 'application/octet-stream').split(';')[0].trim().toLowerCase().substring(0, 255);
+      const id = crypto.createHash('sha256').update(req.body).digest('hex');
+      const storage = getStorage();
+      
+      const result = await createAttachment(req.license.license_key, {
+        id,
+        mime_type: mimeType || 'application/octet-stream',
+        size: req.body.length,
+        filename: filename || null
+      }, () => storage.put(id, req.body));
+      
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: result.created ? 'Attachment uploaded successfully' : 'Attachment already exists',
+        attachment: result.attachment
+      });
+      
+    } catch (error) {
+      if (error.code === 'QUOTA_EXCEEDED') {
+        return sendQuotaExceeded(res, error);
+      }
+      
+      console.error('Error uploading attachment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to upload attachment'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/attachments - Listar anexos
+  app.get('/api/license/:licenseKey/attachments', requireLicense, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const result = await listAttachments(req.license.license_key, { limit, offset });
+      
+      res.json({
+        success: true,
+        attachments: result.attachments,
+        total: result.total,
+        total_size: result.totalSize,
+        limit,
+        offset
+      });
+      
+    } catch (error) {
+      console.error('Error listing attachments:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list attachments'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/attachments/:attachmentId - Baixar um anexo
+  // HEAD permite ao cliente verificar se o hash já foi enviado antes do upload
+  app.get('/api/license/:licenseKey/attachments/:attachmentId', requireLicense, async (req, res) => {
+    try {
+      const { attachmentId } = req.params;
+      
+      const attachment = ATTACHMENT_ID_REGEX.test(attachmentId)
+        ? await getAttachment(req.license.license_key, attachmentId)
+        : null;
+      
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found'
+        });
+      }
+      
+      // O conteúdo de um id nunca muda
+      const etag = `"${attachment.id}"`;
+      res.set({
+        'ETag': etag,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'",
+        'Content-Disposition': contentDisposition(
+          INLINE_MIME_TYPES.includes(attachment.mime_type) ? 'inline' : 'attachment',
+          attachment.filename
+        )
+      });
+      
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+      }
+      
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': String(attachment.size)
+      });
+      
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+      
+      const stream = await getStorage().get(attachment.id);
+      if (!stream) {
+        console.error(`❌ Attachment content missing from storage: ${attachment.id}`);
+        res.removeHeader('Content-Length');
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment content not found'
+        });
+      }
+      
+      stream.on('error', (error) => {
+        console.error('Error streaming attachment:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+      
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download attachment'
+      });
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/attachments/:attachmentId - Remover um anexo
+  app.delete('/api/license/:licenseKey/attachments/:attachmentId', requireLicense, async (req, res) => {
+    try {
+      const { attachmentId } = req.params;
+      
+      const deleted = ATTACHMENT_ID_REGEX.test(attachmentId) &&
+        await deleteAttachment(req.license.license_key, attachmentId, () => getStorage().remove(attachmentId));
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Attachment deleted'
+      });
+      
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete attachment'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupAttachmentRoutes
+};
@@ -0,0 +1,213 @@
+// scripts/auth-api.js
+const rateLimit = require('express-rate-limit');
+const {
+  verifyLicense,
+  registerDevice,
+  createAuthSession,
+  rotateAuthSession,
+  revokeAuthSession,
+  revokeAllAuthSessions
+} = require('./database');
+const { requireLicenseAnyDevice, sendLicenseKeyError } = require('./license-middleware');
+const { parseDeviceInput } = require('./devices');
+const { sendDeviceLimitReached, sendInvalidDevice } = require('./devices-api');
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  isRefreshTokenFormat,
+  getBearerToken
+} = require('./auth-tokens');
+
+// Trocas de chave de licença por tokens por IP (mesmo limite da verificação de licença)
+const tokenRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  message: {
+    success: false,
+    error: 'Too many login attempts, please try again later'
+  }
+});
+
+// Renovações que falham por IP, contra adivinhação de tokens de renovação
+const refreshRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 30,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    error: 'Too many attempts, please try again later'
+  }
+});
+
+// Montar a resposta com o par de tokens de uma sessão
+function tokenResponse(user, session, refreshToken) {
+  const access = signAccessToken({ userId: user.id, sessionId: session.id });
+  
+  return {
+    success: true,
+    token_type: 'Bearer',
+    access_token: access.token,
+    expires_in: access.expiresIn,
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at,
+    session_id: session.id
+  };
+}
+
+// Configurar rotas de autenticação por token
+function setupAuthRoutes(app) {
+
+  // POST /api/auth/token - Trocar a chave de licença por um token de acesso e um de renovação
+  // Body: { licenseKey, device_id, device_name?, browser? }; o dispositivo ocupa uma vaga do plano
+  app.post('/api/auth/token', tokenRateLimit, async (req, res) => {
+    try {
+      const { licenseKey } = req.body;
+      
+      if (!licenseKey || typeof licenseKey !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'License key is required'
+        });
+      }
+      
+      const device = parseDeviceInput(req.body);
+      if (!device) {
+        return sendInvalidDevice(res);
+      }
+      
+      const licenseResult = await verifyLicense(licenseKey);
+      if (!licenseResult.valid) {
+        if (sendLicenseKeyError(res, licenseResult)) {
+          return;
+        }
+        
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid or inactive license'
+        });
+      }
+      
+      await registerDevice(licenseResult.user.license_key, device);
+      
+      const refresh = generateRefreshToken();
+      const session = await createAuthSession(licenseResult.user.license_key, {
+        refreshTokenHash: refresh.hash,
+        deviceId: device.id,
+        userAgent: (req.get('User-Agent') || '').substring(0, 255) || null,
+        ttlDays: REFRESH_TOKEN_TTL_DAYS
+      });
+      
+      res.set('Cache-Control', 'no-store');
+      res.json(tokenResponse(licenseResult.user, session, refresh.token));
+      
+    } catch (error) {
+      if (sendDeviceLimitReached(res, error)) {
+        return;
+      }
+      
+      console.error('Error issuing tokens:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue tokens'
+      });
+    }
+  });
+  
+  // POST /api/auth/refresh - Obter um novo token de acesso (o token de renovação também é trocado)
+  app.post('/api/auth/refresh', refreshRateLimit, async (req, res) => {
+    try {
+      const { refresh_token: refreshToken } = req.body;
+      
+      if (!isRefreshTokenFormat(refreshToken)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired refresh token',
+          code: 'INVALID_TOKEN'
+        });
+      }
+      
+      const refresh = generateRefreshToken();
+      const rotated = await rotateAuthSession(hashRefreshToken(refreshToken), refresh.hash, {
+        ttlDays: REFRESH_TOKEN_TTL_DAYS
+      });
+      
+      if (!rotated) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired refresh token',
+          code: 'INVALID_TOKEN'
+        });
+      }
+      
+      res.set('Cache-Control', 'no-store');
+      res.json(tokenResponse(rotated.user, rotated.session, refresh.token));
+      
+    } catch (error) {
+      console.error('Error refreshing tokens:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh tokens'
+      });
+    }
+  });
+  
+  // POST /api/auth/logout - Encerrar a sessão atual (pelo token de renovação ou pelo token de acesso)
+  // Sempre responde com sucesso: não revela se o token existia
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      const { refresh_token: refreshToken } = req.body;
+      const claims = verifyAccessToken(getBearerToken(req));
+      
+      if (isRefreshTokenFormat(refreshToken)) {
+        await revokeAuthSession({ refreshTokenHash: hashRefreshToken(refreshToken) });
+      } else if (claims) {
+        await revokeAuthSession({ sessionId: claims.sessionId });
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'A refresh token or access token is required'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+      
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to log out'
+      });
+    }
+  });
+  
+  // POST /api/auth/revoke-all - Encerrar todas as sessões da licença (ex.: dispositivo perdido)
+  // Não exige dispositivo ativado, para funcionar mesmo sem nenhum dispositivo restante
+  app.post('/api/auth/revoke-all', requireLicenseAnyDevice, async (req, res) => {
+    try {
+      const revoked = await revokeAllAuthSessions(req.license.license_key);
+      
+      res.json({
+        success: true,
+        message: 'All sessions revoked',
+        revoked
+      });
+      
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke sessions'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupAuthRoutes
+};
@@ -0,0 +1,135 @@
+// scripts/auth-tokens.js
+// Tokens de acesso e de renovação (substituem o envio da chave de licença em cada requisição)
+//
+// - Token de acesso: JWT HS256 de curta duração, enviado em "Authorization: Bearer <token>".
+//   Não contém a chave de licença, só o id do usuário (sub) e o id da sessão (sid), então pode
+//   aparecer em logs sem expor a licença. A sessão é conferida a cada requisição, então o logout
+//   e a revogação valem imediatamente.
+// - Token de renovação: valor aleatório opaco, guardado só como hash (auth_sessions). É trocado
+//   a cada uso (rotação); reapresentar um token já trocado revoga a sessão (possível roubo).
+const crypto = require('crypto');
+
+// Duração do token de acesso (segundos)
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_ACCESS_TOKEN_TTL, 10) || 15 * 60;
+
+// Duração da sessão sem uso do token de renovação (dias); renovada a cada troca
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.AUTH_REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Tokens de renovação gerados por generateRefreshToken: 32 bytes em base64url
+const REFRESH_TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+const TOKEN_ISSUER = 'buzzynotes';
+
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret && process.env.NODE_ENV === 'production') {
+  // Com um segredo por processo os tokens falhariam ao reiniciar e entre instâncias
+  throw new Error('AUTH_TOKEN_SECRET is required in production');
+}
+if (!tokenSecret) {
+  // Sem segredo configurado os tokens só valem nesta instância e até o próximo reinício
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+  console.log('⚠️  AUTH_TOKEN_SECRET not set - using a temporary secret (tokens will not survive restarts)');
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', tokenSecret).update(data).digest('base64url');
+}
+
+// Função para emitir um token de acesso para uma sessão
+// Retorna { token, expiresIn } (segundos)
+function signAccessToken({ userId, sessionId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlJson({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64UrlJson({
+    iss: TOKEN_ISSUER,
+    sub: String(userId),
+    sid: sessionId,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS
+  });
+  
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+// Função para conferir um token de acesso (assinatura, emissor e validade)
+// Retorna { userId, sessionId } ou null se o token for inválido ou tiver expirado
+function verifyAccessToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const signature = Buffer.from(parts[2]);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+  
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+  
+  if (header.alg !== 'HS256' || payload.iss !== TOKEN_ISSUER || typeof payload.sid !== 'string') {
+    return null;
+  }
+  
+  if (!Number.isInteger(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+  
+  return { userId: Number(payload.sub), sessionId: payload.sid };
+}
+
+// Hash guardado no banco para um token de renovação (o token tem entropia alta, sem salt)
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Função para gerar um novo token de renovação; retorna { token, hash }
+function generateRefreshToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashRefreshToken(token) };
+}
+
+// Verificar o formato de um token de renovação antes de consultar o banco
+function isRefreshTokenFormat(token) {
+  return typeof token === 'string' && REFRESH_TOKEN_REGEX.test(token);
+}
+
+// Extrair o token do header "Authorization: Bearer <token>" (null se não houver)
+function getBearerToken(req) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+  
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  isRefreshTokenFormat,
+  getBearerToken
+};
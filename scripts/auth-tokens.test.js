@@ -0,0 +1,83 @@
+// scripts/auth-tokens.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const SECRET = 'test-secret-for-auth-tokens';
+process.env.AUTH_TOKEN_SECRET = SECRET;
+
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  isRefreshTokenFormat,
+  getBearerToken
+} = require('./auth-tokens');
+
+// Montar um JWT assinado com o segredo de teste (para simular tokens expirados ou adulterados)
+function craftToken(header, payload, secret = SECRET) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode(header)}.${encode(payload)}`;
+  return `${data}.${crypto.createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+function validPayload(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { iss: 'buzzynotes', sub: '42', sid: 'session-1', iat: now, exp: now + 60, ...overrides };
+}
+
+test('access tokens round-trip the user and session ids', () => {
+  const { token, expiresIn } = signAccessToken({ userId: 42, sessionId: 'session-1' });
+  
+  assert.equal(expiresIn, ACCESS_TOKEN_TTL_SECONDS);
+  assert.deepEqual(verifyAccessToken(token), { userId: 42, sessionId: 'session-1' });
+});
+
+test('access tokens with a tampered payload or signature are rejected', () => {
+  const { token } = signAccessToken({ userId: 42, sessionId: 'session-1' });
+  const [header, payload, signature] = token.split('.');
+  
+  const forged = Buffer.from(JSON.stringify(validPayload({ sub: '1' }))).toString('base64url');
+  assert.equal(verifyAccessToken(`${header}.${forged}.${signature}`), null);
+  assert.equal(verifyAccessToken(`${header}.${payload}.${signature.slice(0, -2)}AA`), null);
+  assert.equal(verifyAccessToken(`${header}.${payload}`), null);
+  assert.equal(verifyAccessToken(craftToken({ alg: 'HS256', typ: 'JWT' }, validPayload(), 'other-secret')), null);
+  assert.equal(verifyAccessToken(null), null);
+});
+
+test('expired tokens and unexpected claims are rejected', () => {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const now = Math.floor(Date.now() / 1000);
+  
+  assert.deepEqual(verifyAccessToken(craftToken(header, validPayload())), { userId: 42, sessionId: 'session-1' });
+  assert.equal(verifyAccessToken(craftToken(header, validPayload({ exp: now - 1 }))), null);
+  assert.equal(verifyAccessToken(craftToken(header, validPayload({ exp: String(now + 60) }))), null);
+  assert.equal(verifyAccessToken(craftToken(header, validPayload({ iss: 'someone-else' }))), null);
+  assert.equal(verifyAccessToken(craftToken(header, validPayload({ sid: 7 }))), null);
+  assert.equal(verifyAccessToken(craftToken({ alg: 'none', typ: 'JWT' }, validPayload())), null);
+});
+
+test('refresh tokens are random, stored as their sha256 hash and format-checked', () => {
+  const first = generateRefreshToken();
+  const second = generateRefreshToken();
+  
+  assert.notEqual(first.token, second.token);
+  assert.equal(first.hash, hashRefreshToken(first.token));
+  assert.equal(first.hash, crypto.createHash('sha256').update(first.token).digest('hex'));
+  assert.ok(isRefreshTokenFormat(first.token));
+  assert.ok(!isRefreshTokenFormat(`${first.token}=`));
+  assert.ok(!isRefreshTokenFormat(first.hash));
+  assert.ok(!isRefreshTokenFormat(undefined));
+});
+
+test('getBearerToken reads only well-formed Bearer headers', () => {
+  const request = header => ({ get: name => (name === 'Authorization' ? header : undefined) });
+  
+  assert.equal(getBearerToken(request('Bearer abc.def.ghi')), 'abc.def.ghi');
+  assert.equal(getBearerToken(request('bearer   abc')), 'abc');
+  assert.equal(getBearerToken(request('Basic abc')), null);
+  assert.equal(getBearerToken(request('Bearer a b')), null);
+  assert.equal(getBearerToken(request(undefined)), null);
+});
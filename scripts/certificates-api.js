@@ -0,0 +1,108 @@
+// scripts/certificates-api.js
+const rateLimit = require('express-rate-limit');
+const { getActiveLicenseById, touchDevice } = require('./database');
+const { requireLicense, sendInactiveLicense, sendDeviceNotActivated } = require('./license-middleware');
+const {
+  CERTIFICATE_TTL_DAYS,
+  OFFLINE_GRACE_DAYS,
+  issueLicenseCertificate,
+  verifyLicenseCertificate,
+  listPublicKeys
+} = require('./license-certificates');
+
+// Renovações que falham por IP (a renovação não exige a chave de licença)
+const certificateRefreshRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 30,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    error: 'Too many attempts, please try again later'
+  }
+});
+
+// Configurar rotas de certificados de licença (verificação offline pela extensão)
+function setupCertificateRoutes(app) {
+
+  // GET /api/license/keys - Chaves públicas para verificar os certificados (JWK Ed25519)
+  app.get('/api/license/keys', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+      success: true,
+      keys: listPublicKeys(),
+      certificate_ttl_days: CERTIFICATE_TTL_DAYS,
+      offline_grace_days: OFFLINE_GRACE_DAYS
+    });
+  });
+  
+  // POST /api/license/:licenseKey/certificate - Emitir um certificado para a licença
+  // O certificado fica vinculado ao dispositivo da requisição (sessão ou X-Device-Id)
+  app.post(['/api/license/certificate', '/api/license/:licenseKey/certificate'], requireLicense, (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      ...issueLicenseCertificate(req.license, req.deviceId)
+    });
+  });
+  
+  // POST /api/license/certificate/refresh - Trocar um certificado (mesmo vencido, dentro da
+  // tolerância offline) por um novo. Body: { certificate }
+  // Licença revogada, vencida ou dispositivo desativado respondem 403: a extensão deve voltar ao plano free
+  app.post('/api/license/certificate/refresh', certificateRefreshRateLimit, async (req, res) => {
+    try {
+      const claims = verifyLicenseCertificate(req.body.certificate);
+      
+      if (!claims || claims.graceUntil <= Math.floor(Date.now() / 1000)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired license certificate',
+          code: 'INVALID_CERTIFICATE'
+        });
+      }
+      
+      // Certificados antigos, sem dispositivo, não são renovados: a extensão deve verificar a
+      // licença de novo (POST /api/verify-license) com o dispositivo ativado
+      if (!claims.deviceId) {
+        return res.status(401).json({
+          success: false,
+          error: 'License certificate is not bound to a device; verify the license again',
+          code: 'INVALID_CERTIFICATE'
+        });
+      }
+      
+      const user = await getActiveLicenseById(claims.userId);
+      if (!user) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid or inactive license',
+          code: 'LICENSE_INACTIVE'
+        });
+      }
+      
+      if (!await touchDevice(user.license_key, claims.deviceId)) {
+        return sendDeviceNotActivated(res);
+      }
+      
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        success: true,
+        ...issueLicenseCertificate(user, claims.deviceId)
+      });
+      
+    } catch (error) {
+      if (sendInactiveLicense(res, error)) {
+        return;
+      }
+      
+      console.error('Error refreshing license certificate:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh license certificate'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupCertificateRoutes
+};
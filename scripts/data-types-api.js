@@ -0,0 +1,61 @@
+// scripts/data-types-api.js
+const { DATA_TYPE_ERROR_CODES, listDataTypes, getDataType } = require('./data-types');
+
+// Resposta padrão para erros de tipo de dado / validação de payload (400)
+// Retorna false se o erro não é desse tipo
+function sendDataTypeError(res, error) {
+  if (!DATA_TYPE_ERROR_CODES.includes(error.code)) {
+    return false;
+  }
+  
+  const definition = getDataType(error.dataType);
+  
+  res.status(400).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    data_type: error.dataType,
+    schema_version: definition ? definition.schemaVersion : null,
+    ...(error.code === 'UNKNOWN_DATA_TYPE' && {
+      data_types: listDataTypes().map(type => type.data_type)
+    }),
+    ...(error.errors && { errors: error.errors })
+  });
+  return true;
+}
+
+// Configurar rotas do registro de tipos de dado
+function setupDataTypeRoutes(app) {
+
+  // GET /api/sync/data-types - Tipos de dado aceitos no upload, com a versão e o JSON Schema atuais
+  app.get('/api/sync/data-types', (req, res) => {
+    res.json({
+      success: true,
+      data_types: listDataTypes()
+    });
+  });
+  
+  // GET /api/sync/data-types/:dataType - Schema atual de um tipo de dado
+  app.get('/api/sync/data-types/:dataType', (req, res) => {
+    const definition = getDataType(req.params.dataType);
+    
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown data type'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data_type: req.params.dataType,
+      schema_version: definition.schemaVersion,
+      schema: definition.schema
+    });
+  });
+}
+
+module.exports = {
+  setupDataTypeRoutes,
+  sendDataTypeError
+};
@@ -0,0 +1,237 @@
+// scripts/data-types.js
+// Registro dos tipos de dado sincronizados em bloco (POST /api/sync/upload)
+//
+// Cada tipo tem um JSON Schema e uma versão de schema. O cliente informa a versão em que
+// montou o payload (schemaVersion); payloads de versões anteriores passam pelas migrações
+// até a versão atual antes de serem validados e salvos, e o conteúdo já guardado é migrado
+// na inicialização do servidor. Para mudar o formato de um tipo:
+//   1. incrementar schemaVersion e ajustar o schema
+//   2. adicionar migrations[nova versão]: função que recebe o payload da versão anterior
+//      e retorna o payload no novo formato (sem depender de nada além do próprio payload)
+const Ajv = require('ajv');
+const { isEncryptedEnvelope } = require('./encryption');
+
+// Quantidade máxima de erros de validação retornados ao cliente
+const MAX_REPORTED_ERRORS = 20;
+
+// Identificador de um item (nota, pasta, tag)
+const ID_SCHEMA = { type: ['string', 'integer'], minLength: 1, maxLength: 255 };
+
+// Datas enviadas pelas versões da extensão (ISO 8601 ou timestamp em milissegundos)
+const TIMESTAMP_SCHEMA = { type: ['string', 'number', 'null'] };
+
+const NOTE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: ID_SCHEMA,
+    title: { type: 'string', maxLength: 1000 },
+    name: { type: 'string', maxLength: 1000 },
+    body: { type: 'string' },
+    content: { type: 'string' },
+    text: { type: 'string' },
+    folder: { type: ['string', 'null'], maxLength: 255 },
+    folderName: { type: ['string', 'null'], maxLength: 255 },
+    folder_name: { type: ['string', 'null'], maxLength: 255 },
+    folder_id: { type: ['string', 'null'], maxLength: 255 },
+    tags: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 100 } },
+    pinned: { type: 'boolean' },
+    created_at: TIMESTAMP_SCHEMA,
+    updated_at: TIMESTAMP_SCHEMA,
+    createdAt: TIMESTAMP_SCHEMA,
+    updatedAt: TIMESTAMP_SCHEMA
+  }
+};
+
+const FOLDER_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: ID_SCHEMA,
+    name: { type: 'string', minLength: 1, maxLength: 255 },
+    parent_id: { type: ['string', 'null'], maxLength: 255 },
+    parentId: { type: ['string', 'null'], maxLength: 255 },
+    position: { type: 'integer' },
+    created_at: TIMESTAMP_SCHEMA,
+    updated_at: TIMESTAMP_SCHEMA
+  }
+};
+
+const TAG_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: ID_SCHEMA,
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    color: { type: ['string', 'null'], maxLength: 32 }
+  }
+};
+
+// Schema de uma coleção de itens, nos mesmos formatos aceitos pelo merge (scripts/merge.js):
+// [itens], { <key>: [itens], ...extras } ou { id: item }. Nas listas o id é obrigatório
+function collectionSchema(key, itemSchema) {
+  const itemWithId = { ...itemSchema, required: ['id'] };
+  
+  return {
+    if: { type: 'array' },
+    then: { type: 'array', items: itemWithId },
+    else: {
+      type: 'object',
+      if: { required: [key], properties: { [key]: { type: 'array' } } },
+      then: { properties: { [key]: { type: 'array', items: itemWithId } } },
+      else: { propertyNames: { maxLength: 255 }, additionalProperties: itemSchema }
+    }
+  };
+}
+
+// Tipos de dado conhecidos
+const DATA_TYPES = {
+  notes: {
+    schemaVersion: 1,
+    schema: collectionSchema('notes', NOTE_SCHEMA),
+    migrations: {}
+  },
+  folders: {
+    schemaVersion: 1,
+    schema: collectionSchema('folders', FOLDER_SCHEMA),
+    migrations: {}
+  },
+  tags: {
+    schemaVersion: 1,
+    schema: collectionSchema('tags', TAG_SCHEMA),
+    migrations: {}
+  },
+  settings: {
+    schemaVersion: 1,
+    schema: {
+      type: 'object',
+      maxProperties: 500,
+      propertyNames: { maxLength: 100 }
+    },
+    migrations: {}
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// Validadores compilados por tipo (compilados no primeiro uso)
+const validators = new Map();
+
+function getValidator(dataType) {
+  if (!validators.has(dataType)) {
+    validators.set(dataType, ajv.compile(DATA_TYPES[dataType].schema));
+  }
+  return validators.get(dataType);
+}
+
+// Erro de tipo de dado / validação de payload
+function dataTypeError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+// Códigos dos erros de tipo de dado (todos respondidos com 400)
+const DATA_TYPE_ERROR_CODES = ['UNKNOWN_DATA_TYPE', 'UNSUPPORTED_SCHEMA_VERSION', 'INVALID_DATA'];
+
+// Buscar a definição de um tipo de dado (null se não for conhecido)
+function getDataType(dataType) {
+  return Object.prototype.hasOwnProperty.call(DATA_TYPES, dataType) ? DATA_TYPES[dataType] : null;
+}
+
+// Listar os tipos de dado conhecidos com a versão e o schema atuais
+function listDataTypes() {
+  return Object.entries(DATA_TYPES).map(([dataType, definition]) => ({
+    data_type: dataType,
+    schema_version: definition.schemaVersion,
+    schema: definition.schema
+  }));
+}
+
+// Converter os erros do Ajv em { path, message }, com o caminho em JSON Pointer ("/notes/3/title")
+function formatValidationErrors(errors) {
+  return errors
+    .filter(error => error.keyword !== 'if')
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map(error => {
+      let path = error.instancePath;
+      if (error.keyword === 'required') {
+        path += `/${error.params.missingProperty}`;
+      } else if (error.keyword === 'propertyNames') {
+        path += `/${error.params.propertyName}`;
+      }
+      
+      return { path: path || '/', message: error.message };
+    });
+}
+
+// Função para migrar um payload guardado na versão fromVersion até a versão atual do tipo
+// Tipos desconhecidos e conteúdo criptografado (o servidor não consegue lê-lo) não são alterados
+function migrateDataPayload(dataType, content, fromVersion = 1) {
+  const definition = getDataType(dataType);
+  if (!definition || isEncryptedEnvelope(content) || fromVersion >= definition.schemaVersion) {
+    return { content, schemaVersion: fromVersion };
+  }
+  
+  let migrated = content;
+  for (let version = fromVersion + 1; version <= definition.schemaVersion; version++) {
+    const migration = definition.migrations[version];
+    if (!migration) {
+      throw new Error(`Missing migration for ${dataType} schema v${version}`);
+    }
+    
+    try {
+      migrated = migration(migrated);
+    } catch (error) {
+      throw dataTypeError('INVALID_DATA', `Data could not be migrated to ${dataType} schema v${version}: ${error.message}`, {
+        dataType,
+        schemaVersion: fromVersion,
+        errors: []
+      });
+    }
+  }
+  
+  return { content: migrated, schemaVersion: definition.schemaVersion };
+}
+
+// Função para preparar um payload enviado pelo cliente: migrar da versão informada e validar
+// contra o schema atual. Retorna { content, schemaVersion } ou lança um erro de DATA_TYPE_ERROR_CODES
+// Envelopes criptografados não são validados (o formato é conferido pelo modo criptografado)
+function prepareDataPayload(dataType, content, schemaVersion) {
+  const definition = getDataType(dataType);
+  if (!definition) {
+    throw dataTypeError('UNKNOWN_DATA_TYPE', `Unknown data type: ${dataType}`, { dataType });
+  }
+  
+  const version = schemaVersion === undefined || schemaVersion === null ? definition.schemaVersion : schemaVersion;
+  if (!Number.isInteger(version) || version < 1 || version > definition.schemaVersion) {
+    throw dataTypeError('UNSUPPORTED_SCHEMA_VERSION', `Schema version for ${dataType} must be an integer between 1 and ${definition.schemaVersion}`, {
+      dataType,
+      schemaVersion: definition.schemaVersion
+    });
+  }
+  
+  if (isEncryptedEnvelope(content)) {
+    return { content, schemaVersion: version };
+  }
+  
+  const migrated = migrateDataPayload(dataType, content, version);
+  
+  const validate = getValidator(dataType);
+  if (!validate(migrated.content)) {
+    throw dataTypeError('INVALID_DATA', `Data does not match the ${dataType} schema (v${definition.schemaVersion})`, {
+      dataType,
+      schemaVersion: definition.schemaVersion,
+      errors: formatValidationErrors(validate.errors)
+    });
+  }
+  
+  return migrated;
+}
+
+module.exports = {
+  DATA_TYPES,
+  DATA_TYPE_ERROR_CODES,
+  getDataType,
+  listDataTypes,
+  migrateDataPayload,
+  prepareDataPayload
+};
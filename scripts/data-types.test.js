@@ -0,0 +1,101 @@
+// scripts/data-types.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DATA_TYPES,
+  getDataType,
+  listDataTypes,
+  migrateDataPayload,
+  prepareDataPayload
+} = require('./data-types');
+
+const ENVELOPE = { e2e: 1, algorithm: 'AES-256-GCM', key_id: 'k1', nonce: 'AAAAAAAAAAAAAAAA', ciphertext: 'AAAAAAAAAAAAAAAAAAAAAA==' };
+
+// Registrar um tipo de teste na versão 2, com migração da versão 1 (title -> name)
+function withSampleType(run) {
+  DATA_TYPES.sample = {
+    schemaVersion: 2,
+    schema: { type: 'array', items: { type: 'object', required: ['name'] } },
+    migrations: {
+      2: items => items.map(({ title, ...item }) => {
+        if (typeof title !== 'string') {
+          throw new Error('title must be a string');
+        }
+        return { ...item, name: title };
+      })
+    }
+  };
+  
+  try {
+    run();
+  } finally {
+    delete DATA_TYPES.sample;
+  }
+}
+
+test('known data types are listed with their schema version', () => {
+  const types = listDataTypes().map(type => type.data_type);
+  
+  assert.deepEqual(types, ['notes', 'folders', 'tags', 'settings']);
+  assert.ok(listDataTypes().every(type => type.schema_version === 1 && type.schema));
+  assert.equal(getDataType('unknown'), null);
+  assert.equal(getDataType('__proto__'), null);
+});
+
+test('notes payloads are accepted in every shape the merge understands', () => {
+  const note = { id: 'a', title: 'A', tags: ['x'], updated_at: 1700000000000 };
+  
+  for (const content of [[note], { notes: [note], settings: {} }, { a: { title: 'A' } }]) {
+    assert.deepEqual(prepareDataPayload('notes', content), { content, schemaVersion: 1 });
+  }
+});
+
+test('invalid payloads report JSON Pointer paths', () => {
+  assert.throws(
+    () => prepareDataPayload('notes', [{ id: 'a' }, { title: 'missing id' }, { id: 'c', tags: 'x' }]),
+    error => {
+      assert.equal(error.code, 'INVALID_DATA');
+      assert.equal(error.dataType, 'notes');
+      assert.deepEqual(error.errors.map(item => item.path).sort(), ['/1/id', '/2/tags']);
+      return true;
+    }
+  );
+  
+  assert.throws(() => prepareDataPayload('folders', { folders: [{ id: 'f', name: '' }] }), { code: 'INVALID_DATA' });
+  assert.throws(() => prepareDataPayload('settings', ['not', 'an', 'object']), { code: 'INVALID_DATA' });
+});
+
+test('unknown types and unsupported schema versions are refused', () => {
+  assert.throws(() => prepareDataPayload('bookmarks', []), { code: 'UNKNOWN_DATA_TYPE' });
+  assert.throws(() => prepareDataPayload('notes', [], 0), { code: 'UNSUPPORTED_SCHEMA_VERSION' });
+  assert.throws(() => prepareDataPayload('notes', [], 2), { code: 'UNSUPPORTED_SCHEMA_VERSION' });
+  assert.throws(() => prepareDataPayload('notes', [], '1'), { code: 'UNSUPPORTED_SCHEMA_VERSION' });
+});
+
+test('encrypted envelopes are passed through without validation or migration', () => {
+  assert.deepEqual(prepareDataPayload('notes', ENVELOPE), { content: ENVELOPE, schemaVersion: 1 });
+  
+  withSampleType(() => {
+    assert.deepEqual(migrateDataPayload('sample', ENVELOPE, 1), { content: ENVELOPE, schemaVersion: 1 });
+  });
+});
+
+test('payloads from older schema versions are migrated before validation', () => {
+  withSampleType(() => {
+    assert.deepEqual(prepareDataPayload('sample', [{ title: 'old' }], 1), { content: [{ name: 'old' }], schemaVersion: 2 });
+    assert.deepEqual(prepareDataPayload('sample', [{ name: 'new' }]), { content: [{ name: 'new' }], schemaVersion: 2 });
+    assert.throws(() => prepareDataPayload('sample', [{ title: 'old' }]), { code: 'INVALID_DATA' });
+    assert.throws(() => prepareDataPayload('sample', [{ title: 3 }], 1), error => {
+      assert.equal(error.code, 'INVALID_DATA');
+      assert.match(error.message, /could not be migrated to sample schema v2/);
+      return true;
+    });
+  });
+});
+
+test('stored content already at the current version is left untouched', () => {
+  const content = [{ id: 'a' }];
+  
+  assert.equal(migrateDataPayload('notes', content, 1).content, content);
+  assert.deepEqual(migrateDataPayload('unknown', content, 1), { content, schemaVersion: 1 });
+});
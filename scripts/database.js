@@ -1,4 +1,23 @@
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const { getPlanLimits } = require('./plans');
+const { projectSyncedNotes } = require('./search');
+const { toNoteMap, fromNoteMap } = require('./merge');
+const { isEncryptedEnvelope, validateEnvelope } = require('./encryption');
+const { DATA_TYPES, DATA_TYPE_ERROR_CODES, migrateDataPayload, prepareDataPayload } = require('./data-types');
+const {
+  generateLicenseKey,
+  parseLicenseKey,
+  hashLicenseKey,
+  licenseKeyHint,
+  emailDerivedLicenseKey
+} = require('./license-keys');
+
+// Documento de busca: título tem peso maior que o corpo
+const SEARCH_VECTOR_SQL = `
+  setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('simple', coalesce(body, '')), 'B')
+`;
 
 // Configuração que funciona tanto em desenvolvimento quanto produção
 const pool = new Pool(
@@ -19,6 +38,68 @@ const pool = new Pool(
   }
 );
 
+// Função para executar operações dentro de uma transação
+async function withTransaction(callback) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const result = await callback(client);
+    
+    await client.query('COMMIT');
+    return result;
+    
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Canal do Postgres que avisa todas as instâncias do servidor sobre mudanças (LISTEN/NOTIFY)
+const SYNC_EVENTS_CHANNEL = 'buzzynotes_sync_events';
+
+// Avisar os dispositivos conectados sobre uma mudança da licença
+// Dentro de uma transação o aviso só é entregue no COMMIT (nunca para escritas desfeitas)
+async function notifySyncEvent(client, licenseKey, event) {
+  await client.query('SELECT pg_notify($1, $2)', [
+    SYNC_EVENTS_CHANNEL,
+    JSON.stringify({ license_key: licenseKey, ...event })
+  ]);
+}
+
+// Avisar as instâncias para encerrar os streams abertos que perderam o acesso
+// target: { session_id } (logout), { device_id } (dispositivo desativado), { sessions: true }
+// (todas as sessões) ou {} (licença revogada: todos os streams)
+async function notifyAccessRevoked(client, licenseKey, target) {
+  await notifySyncEvent(client, licenseKey, { type: 'revoke', ...target });
+}
+
+// Função para registrar uma mudança no feed de sincronização
+// Retorna a nova revisão (monotônica) atribuída à mudança
+async function recordChange(client, licenseKey, entityType, entityId, operation) {
+  const result = await client.query(`
+    INSERT INTO sync_changes (license_key, entity_type, entity_id, operation) 
+    VALUES ($1, $2, $3, $4) 
+    RETURNING revision
+  `, [licenseKey, entityType, entityId, operation]);
+  
+  const revision = Number(result.rows[0].revision);
+  
+  // Dados em bloco avisam com a nova versão em saveUserData
+  if (entityType !== 'data') {
+    await notifySyncEvent(client, licenseKey, { type: 'change', revision });
+  }
+  
+  return revision;
+}
+
 // Função para testar conexão com diagnóstico detalhado
 async function testConnection() {
   let client;
@@ -71,6 +152,241 @@ async function testConnection() {
   }
 }
 
+// Função para migrar as colunas antigas notes.folder (nome) e notes.tags (array)
+// para as tabelas folders, tags e note_tags. Só executa se as colunas ainda existirem
+async function migrateLegacyNoteColumns() {
+  await withTransaction(async (client) => {
+    const columns = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'notes'
+      AND column_name IN ('folder', 'tags')
+    `);
+    
+    const legacy = columns.rows.map(row => row.column_name);
+    if (legacy.length === 0) {
+      return;
+    }
+    
+    console.log('🔧 Migrating legacy note columns:', legacy);
+    
+    // Registrar no feed as linhas migradas para os clientes baixarem o novo formato
+    const touchRows = (table, entityType, where) => client.query(`
+      WITH changed AS (
+        INSERT INTO sync_changes (license_key, entity_type, entity_id, operation)
+        SELECT license_key, '${entityType}', id, 'upsert' FROM ${table} WHERE ${where}
+        RETURNING revision, license_key, entity_id
+      )
+      UPDATE ${table} SET revision = changed.revision
+      FROM changed
+      WHERE ${table}.license_key = changed.license_key AND ${table}.id = changed.entity_id
+    `);
+    
+    const hasFolder = legacy.includes('folder');
+    const hasTags = legacy.includes('tags');
+    
+    await touchRows('notes', 'note', `deleted_at IS NULL AND (${[
+      hasFolder ? 'folder IS NOT NULL' : null,
+      hasTags ? 'cardinality(tags) > 0' : null
+    ].filter(Boolean).join(' OR ')})`);
+    
+    if (hasFolder) {
+      // Uma pasta na raiz para cada nome distinto (ids determinísticos)
+      await client.query(`
+        INSERT INTO folders (id, license_key, name)
+        SELECT 'legacy-' || substr(md5(license_key || ':' || lower(folder)), 1, 24), license_key, MIN(folder)
+        FROM notes
+        WHERE folder IS NOT NULL
+        GROUP BY license_key, lower(folder)
+        ON CONFLICT DO NOTHING
+      `);
+      
+      await client.query(`
+        UPDATE notes SET folder_id = 'legacy-' || substr(md5(license_key || ':' || lower(folder)), 1, 24)
+        WHERE folder IS NOT NULL
+      `);
+      
+      await touchRows('folders', 'folder', 'revision = 0');
+      await client.query('ALTER TABLE notes DROP COLUMN folder');
+    }
+    
+    if (hasTags) {
+      await client.query(`
+        INSERT INTO tags (id, license_key, name)
+        SELECT 'legacy-' || substr(md5(license_key || ':' || lower(tag)), 1, 24), license_key, left(MIN(tag), 100)
+        FROM notes, unnest(tags) AS tag
+        GROUP BY license_key, lower(tag)
+        ON CONFLICT DO NOTHING
+      `);
+      
+      await client.query(`
+        INSERT INTO note_tags (license_key, note_id, tag_id)
+        SELECT license_key, id, 'legacy-' || substr(md5(license_key || ':' || lower(tag)), 1, 24)
+        FROM notes, unnest(tags) AS tag
+        ON CONFLICT DO NOTHING
+      `);
+      
+      await touchRows('tags', 'tag', 'revision = 0');
+      await client.query('ALTER TABLE notes DROP COLUMN tags');
+    }
+    
+    console.log('✅ Legacy note columns migrated to folders and tags');
+  });
+}
+
+// Função para migrar o conteúdo guardado em user_data para a versão atual do schema de cada tipo
+// A versão dos dados não muda (o conteúdo é o mesmo, só no formato novo); revisões antigas
+// continuam na versão em que foram gravadas e são migradas ao serem restauradas
+async function migrateStoredUserData() {
+  for (const [dataType, definition] of Object.entries(DATA_TYPES)) {
+    let lastId = 0;
+    let migrated = 0;
+    
+    // Uma linha por transação (várias instâncias iniciando juntas dividem o trabalho)
+    while (lastId !== null) {
+      lastId = await withTransaction(async (client) => {
+        const result = await client.query(`
+          SELECT id, license_key, content, schema_version 
+          FROM user_data 
+          WHERE data_type = $1 AND schema_version < $2 AND id > $3 
+          ORDER BY id 
+          LIMIT 1 
+          FOR UPDATE SKIP LOCKED
+        `, [dataType, definition.schemaVersion, lastId]);
+        
+        const row = result.rows[0];
+        if (!row) {
+          return null;
+        }
+        
+        let payload;
+        try {
+          payload = migrateDataPayload(dataType, row.content, row.schema_version);
+        } catch (error) {
+          console.error(`❌ Failed to migrate ${dataType} data (row ${row.id}):`, error.message);
+          return row.id;
+        }
+        
+        // Conteúdo criptografado continua na versão declarada pelo cliente
+        if (payload.schemaVersion === row.schema_version) {
+          return row.id;
+        }
+        
+        await client.query(`
+          UPDATE user_data 
+          SET content = $2, content_size = octet_length($2::jsonb::text), schema_version = $3 
+          WHERE id = $1
+        `, [row.id, JSON.stringify(payload.content), payload.schemaVersion]);
+        
+        if (dataType === 'notes') {
+          await refreshSyncedNotesIndex(client, row.license_key, payload.content);
+        }
+        
+        migrated++;
+        return row.id;
+      });
+    }
+    
+    if (migrated > 0) {
+      console.log(`🔧 Migrated ${migrated} ${dataType} payload(s) to schema v${definition.schemaVersion}`);
+    }
+  }
+}
+
+// Função para permitir trocar o valor de users.license_key: as chaves estrangeiras que apontam
+// para colunas license_key passam a ter ON UPDATE CASCADE (vale também para tabelas futuras)
+async function cascadeLicenseKeyUpdates(client) {
+  const result = await client.query(`
+    SELECT c.conname, c.conrelid::regclass AS table_name, pg_get_constraintdef(c.oid) AS definition 
+    FROM pg_constraint c 
+    WHERE c.contype = 'f' AND c.confupdtype <> 'c' 
+    AND c.connamespace = 'public'::regnamespace 
+    AND EXISTS (
+      SELECT 1 FROM pg_attribute a 
+      WHERE a.attrelid = c.confrelid AND a.attnum = ANY(c.confkey) AND a.attname = 'license_key'
+    )
+  `);
+  
+  for (const constraint of result.rows) {
+    await client.query(`
+      ALTER TABLE ${constraint.table_name} 
+        DROP CONSTRAINT ${constraint.conname}, 
+        ADD CONSTRAINT ${constraint.conname} ${constraint.definition} ON UPDATE CASCADE
+    `);
+  }
+}
+
+// Trocar o valor guardado em users.license_key (as tabelas que referenciam a licença são
+// atualizadas em cascata; notes.updated_by não é chave estrangeira e é atualizada aqui)
+async function replaceStoredLicenseKeyWithClient(client, currentKey, newKey, keyHint) {
+  await client.query(
+    'UPDATE users SET license_key = $2, key_hint = $3, updated_at = CURRENT_TIMESTAMP WHERE license_key = $1',
+    [currentKey, newKey, keyHint]
+  );
+  
+  await client.query('UPDATE notes SET updated_by = $2 WHERE updated_by = $1', [currentKey, newKey]);
+}
+
+// Validade do link de recuperação enviado no aviso de chave substituída (o usuário pode demorar a ler)
+const KEY_ROTATION_NOTICE_TTL_MINUTES = 7 * 24 * 60;
+
+// Função para trocar as chaves de licença antigas, guardadas em texto, pelo hash (scripts/license-keys.js)
+// Chaves derivadas do e-mail são substituídas por uma chave nova (a antiga é calculável por qualquer um):
+// ficam registradas em license_key_rotations e, na mesma transação, o dono recebe na fila de e-mails
+// o aviso com um link de recuperação para obter a chave nova (que não é guardada em texto)
+async function migrateLicenseKeys() {
+  let lastId = 0;
+  let hashed = 0;
+  let rotated = 0;
+  
+  // Uma licença por transação (várias instâncias iniciando juntas dividem o trabalho)
+  while (lastId !== null) {
+    lastId = await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT id, license_key, email 
+        FROM users 
+        WHERE id > $1 AND license_key !~ '^[0-9a-f]{64}$' 
+        ORDER BY id 
+        LIMIT 1 
+        FOR UPDATE SKIP LOCKED
+      `, [lastId]);
+      
+      const row = result.rows[0];
+      if (!row) {
+        return null;
+      }
+      
+      const emailDerived = Boolean(row.email) && row.license_key === emailDerivedLicenseKey(row.email);
+      const storedKey = hashLicenseKey(emailDerived ? generateLicenseKey() : row.license_key);
+      
+      await replaceStoredLicenseKeyWithClient(
+        client,
+        row.license_key,
+        storedKey,
+        emailDerived ? null : licenseKeyHint(row.license_key)
+      );
+      
+      if (emailDerived) {
+        await client.query(`
+          INSERT INTO license_key_rotations (old_key_hash, license_key, email, reason, notified_at) 
+          VALUES ($1, $2, $3, 'email_derived', CURRENT_TIMESTAMP) 
+          ON CONFLICT (old_key_hash) DO NOTHING
+        `, [hashLicenseKey(row.license_key), storedKey, row.email]);
+        await queueKeyRotationNoticeWithClient(client, storedKey, row.email, KEY_ROTATION_NOTICE_TTL_MINUTES);
+        rotated++;
+      } else {
+        hashed++;
+      }
+      
+      return row.id;
+    });
+  }
+  
+  if (hashed > 0 || rotated > 0) {
+    console.log(`🔐 License keys migrated: ${hashed} hashed, ${rotated} email-derived key(s) rotated (owners notified by email)`);
+  }
+}
+
 // Função para inicializar o banco de dados
 async function initializeDatabase() {
   let client;
@@ -119,171 +435,4919 @@ async function initializeDatabase() {
       )
     `);
     
-    // Criar índices para performance
+    // Criar tabela de pastas (aninhadas e ordenadas por position)
     await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_users_license_key ON users(license_key);
+      CREATE TABLE IF NOT EXISTS folders (
+        id VARCHAR(64) NOT NULL,
+        license_key VARCHAR(255) NOT NULL,
+        parent_id VARCHAR(64),
+        name VARCHAR(255) NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        revision BIGINT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (license_key, id),
+        CONSTRAINT fk_folders_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_folders_parent 
+          FOREIGN KEY (license_key, parent_id) 
+          REFERENCES folders(license_key, id) 
+          ON DELETE CASCADE
+      )
     `);
     
+    // Criar tabela de notas individuais
     await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_user_data_license_key ON user_data(license_key);
+      CREATE TABLE IF NOT EXISTS notes (
+        id VARCHAR(64) NOT NULL,
+        license_key VARCHAR(255) NOT NULL,
+        folder_id VARCHAR(64),
+        title TEXT NOT NULL DEFAULT '',
+        body TEXT NOT NULL DEFAULT '',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (license_key, id),
+        CONSTRAINT fk_notes_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_notes_folder 
+          FOREIGN KEY (license_key, folder_id) 
+          REFERENCES folders(license_key, id)
+      )
     `);
     
+    // Criar tabela de tags e a associação nota <-> tag
     await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_user_data_type ON user_data(license_key, data_type);
+      CREATE TABLE IF NOT EXISTS tags (
+        id VARCHAR(64) NOT NULL,
+        license_key VARCHAR(255) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        color VARCHAR(7),
+        revision BIGINT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (license_key, id),
+        CONSTRAINT fk_tags_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
     `);
     
-    // Verificar tabelas criadas
-    const finalCheck = await client.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public'
-      AND table_type = 'BASE TABLE'
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS note_tags (
+        license_key VARCHAR(255) NOT NULL,
+        note_id VARCHAR(64) NOT NULL,
+        tag_id VARCHAR(64) NOT NULL,
+        PRIMARY KEY (license_key, note_id, tag_id),
+        CONSTRAINT fk_note_tags_note 
+          FOREIGN KEY (license_key, note_id) 
+          REFERENCES notes(license_key, id) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_note_tags_tag 
+          FOREIGN KEY (license_key, tag_id) 
+          REFERENCES tags(license_key, id) 
+          ON DELETE CASCADE
+      )
     `);
     
-    console.log('✅ Database tables created successfully:');
-    finalCheck.rows.forEach(row => {
-      console.log(`   📋 ${row.table_name}`);
-    });
+    // Criar tabela de mudanças (feed de sincronização incremental)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_changes (
+        revision BIGSERIAL PRIMARY KEY,
+        license_key VARCHAR(255) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(255) NOT NULL,
+        operation VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_sync_changes_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-    return true;
+    // Criar tabela de revisões dos dados do usuário (histórico e bases para merge)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_data_revisions (
+        id SERIAL PRIMARY KEY,
+        license_key VARCHAR(255) NOT NULL,
+        data_type VARCHAR(50) NOT NULL,
+        version INTEGER NOT NULL,
+        content JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_user_data_revisions_version 
+          UNIQUE (license_key, data_type, version),
+        CONSTRAINT fk_user_data_revisions_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-  } catch (error) {
-    console.error('❌ Database initialization failed:', error.message);
-    console.error('🔍 SQL State:', error.code);
-    return false;
-  } finally {
-    if (client) {
-      client.release();
-    }
-  }
-}
-
-// Função para verificar licença
-async function verifyLicense(licenseKey) {
-  let client;
-  try {
-    client = await pool.connect();
-    const result = await client.query(
-      'SELECT id, email, status, plan_type, created_at FROM users WHERE license_key = $1 AND status = $2',
-      [licenseKey, 'active']
-    );
+    // Criar índice de busca das notas enviadas pelo upload de dados (user_data 'notes')
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS synced_notes_index (
+        license_key VARCHAR(255) NOT NULL,
+        note_id VARCHAR(255) NOT NULL,
+        folder VARCHAR(255),
+        tags TEXT[] NOT NULL DEFAULT '{}',
+        title TEXT NOT NULL DEFAULT '',
+        body TEXT NOT NULL DEFAULT '',
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        search_vector tsvector GENERATED ALWAYS AS (${SEARCH_VECTOR_SQL}) STORED,
+        PRIMARY KEY (license_key, note_id),
+        CONSTRAINT fk_synced_notes_index_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-    if (result.rows.length > 0) {
-      console.log(`✅ License verified: ${licenseKey.substring(0, 8)}...`);
-      return { valid: true, user: result.rows[0] };
-    } else {
-      console.log(`❌ License not found or inactive: ${licenseKey.substring(0, 8)}...`);
-      return { valid: false, user: null };
-    }
+    // Criar lixeira das notas que sumiram entre versões dos dados em bloco (user_data 'notes')
+    // content = a nota como estava no último upload que a continha (usada para restaurar)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS synced_notes_trash (
+        license_key VARCHAR(255) NOT NULL,
+        note_id VARCHAR(255) NOT NULL,
+        content JSONB NOT NULL,
+        folder VARCHAR(255),
+        tags TEXT[] NOT NULL DEFAULT '{}',
+        title TEXT NOT NULL DEFAULT '',
+        body TEXT NOT NULL DEFAULT '',
+        deleted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (license_key, note_id),
+        CONSTRAINT fk_synced_notes_trash_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-  } catch (error) {
-    console.error('Error verifying license:', error.message);
-    return { valid: false, user: null };
-  } finally {
-    if (client) {
-      client.release();
-    }
-  }
-}
-
-// Função para ativar licença
-async function activateLicense(licenseKey, email) {
-  let client;
-  try {
-    client = await pool.connect();
+    // Criar tabela com a última revisão do feed apagada pela limpeza de cada licença
+    // Cursores anteriores a pruned_through não podem mais ser continuados pelo feed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_changes_pruned (
+        license_key VARCHAR(255) PRIMARY KEY,
+        pruned_through BIGINT NOT NULL,
+        pruned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_sync_changes_pruned_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-    // Inserir ou atualizar usuário
-    const result = await client.query(`
-      INSERT INTO users (license_key, email, status, plan_type) 
-      VALUES ($1, $2, 'active', 'premium') 
-      ON CONFLICT (license_key) 
-      DO UPDATE SET 
-        email = EXCLUDED.email,
-        status = 'active',
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING *
-    `, [licenseKey, email]);
+    // Criar tabela de anexos (id = hash sha256 do conteúdo, guardado no adaptador de armazenamento)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id VARCHAR(64) NOT NULL,
+        license_key VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(255) NOT NULL,
+        size BIGINT NOT NULL,
+        filename VARCHAR(255),
+        revision BIGINT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (license_key, id),
+        CONSTRAINT fk_attachments_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-    console.log(`✅ License activated: ${licenseKey.substring(0, 8)}... for ${email}`);
-    return result.rows[0];
+    // Criar tabela de chaves de criptografia de ponta a ponta (uma por licença)
+    // Guarda só os parâmetros de derivação e o verifier: a chave nunca chega ao servidor
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS encryption_keys (
+        license_key VARCHAR(255) PRIMARY KEY,
+        key_id VARCHAR(64) NOT NULL,
+        algorithm VARCHAR(50) NOT NULL,
+        kdf JSONB NOT NULL,
+        verifier JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_encryption_keys_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-  } catch (error) {
-    console.error('Error activating license:', error.message);
-    throw error;
-  } finally {
-    if (client) {
-      client.release();
-    }
-  }
-}
-
-// Função para salvar dados do usuário
-async function saveUserData(licenseKey, dataType = 'notes', content) {
-  let client;
-  try {
-    client = await pool.connect();
+    // Criar tabela de links públicos de compartilhamento (uma nota ou uma pasta, só leitura)
+    // O link é apagado junto com a pasta ou com a nota (quando ela sai definitivamente da lixeira)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shares (
+        token VARCHAR(64) PRIMARY KEY,
+        license_key VARCHAR(255) NOT NULL,
+        note_id VARCHAR(64),
+        folder_id VARCHAR(64),
+        password_hash TEXT,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        view_count BIGINT NOT NULL DEFAULT 0,
+        last_viewed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT chk_shares_target 
+          CHECK ((note_id IS NULL) <> (folder_id IS NULL)),
+        CONSTRAINT fk_shares_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_shares_note 
+          FOREIGN KEY (license_key, note_id) 
+          REFERENCES notes(license_key, id) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_shares_folder 
+          FOREIGN KEY (license_key, folder_id) 
+          REFERENCES folders(license_key, id) 
+          ON DELETE CASCADE
+      )
+    `);
     
-    // Verificar se licença existe
-    const userExists = await client.query(
-      'SELECT id FROM users WHERE license_key = $1 AND status = $2',
-      [licenseKey, 'active']
-    );
+    // Criar tabelas de pastas compartilhadas entre licenças (famílias e equipes)
+    // As notas continuam na conta do dono; membros acessam a subárvore conforme o papel
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shared_folders (
+        id VARCHAR(64) PRIMARY KEY,
+        owner_license_key VARCHAR(255) NOT NULL,
+        folder_id VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_shared_folders_folder 
+          UNIQUE (owner_license_key, folder_id),
+        CONSTRAINT fk_shared_folders_license 
+          FOREIGN KEY (owner_license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_shared_folders_folder 
+          FOREIGN KEY (owner_license_key, folder_id) 
+          REFERENCES folders(license_key, id) 
+          ON DELETE CASCADE
+      )
+    `);
     
-    if (userExists.rows.length === 0) {
-      throw new Error('Invalid or inactive license');
-    }
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shared_folder_members (
+        shared_folder_id VARCHAR(64) NOT NULL,
+        license_key VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shared_folder_id, license_key),
+        CONSTRAINT chk_shared_folder_members_role 
+          CHECK (role IN ('viewer', 'editor', 'owner')),
+        CONSTRAINT fk_shared_folder_members_folder 
+          FOREIGN KEY (shared_folder_id) 
+          REFERENCES shared_folders(id) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_shared_folder_members_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-    // Salvar ou atualizar dados
-    const result = await client.query(`
-      INSERT INTO user_data (license_key, data_type, content) 
-      VALUES ($1, $2, $3)
-      ON CONFLICT (license_key, data_type) 
-      DO UPDATE SET 
-        content = EXCLUDED.content,
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING id, created_at, updated_at
-    `, [licenseKey, dataType, JSON.stringify(content)]);
+    // Convites pendentes (por e-mail); aceitos pela licença cujo e-mail confere
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shared_folder_invitations (
+        token VARCHAR(64) PRIMARY KEY,
+        shared_folder_id VARCHAR(64) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        invited_by VARCHAR(255),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT chk_shared_folder_invitations_role 
+          CHECK (role IN ('viewer', 'editor', 'owner')),
+        CONSTRAINT fk_shared_folder_invitations_folder 
+          FOREIGN KEY (shared_folder_id) 
+          REFERENCES shared_folders(id) 
+          ON DELETE CASCADE,
+        CONSTRAINT fk_shared_folder_invitations_inviter 
+          FOREIGN KEY (invited_by) 
+          REFERENCES users(license_key) 
+          ON DELETE SET NULL
+      )
+    `);
     
-    console.log(`💾 Data saved for license: ${licenseKey.substring(0, 8)}...`);
-    return result.rows[0];
+    // Criar tabela de sessões de autenticação (tokens de renovação guardados só como hash)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id VARCHAR(32) PRIMARY KEY,
+        license_key VARCHAR(255) NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        previous_token_hash CHAR(64),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        CONSTRAINT uq_auth_sessions_refresh_token 
+          UNIQUE (refresh_token_hash),
+        CONSTRAINT fk_auth_sessions_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
     
-  } catch (error) {
-    console.error('Error saving user data:', error.message);
-    throw error;
-  } finally {
-    if (client) {
-      client.release();
-    }
-  }
-}
-
-// Função para recuperar dados do usuário
+    // Chaves de licença substituídas por motivo de segurança (ex.: derivadas do e-mail)
+    // O hash da chave antiga permite avisar quem ainda a usa; notified_at marca o aviso por e-mail
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_key_rotations (
+        old_key_hash CHAR(64) PRIMARY KEY,
+        license_key VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        reason VARCHAR(50) NOT NULL,
+        rotated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        notified_at TIMESTAMP WITH TIME ZONE,
+        CONSTRAINT fk_license_key_rotations_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
+    
+    // Tokens de recuperação de licença enviados por e-mail (guardados só como hash, uso único)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_recovery_tokens (
+        token_hash CHAR(64) PRIMARY KEY,
+        license_key VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_license_recovery_tokens_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
+    
+    // Fila de e-mails transacionais (scripts/email-outbox.js envia e tenta de novo com espera crescente)
+    // Entra na mesma transação da alteração que gera o e-mail; data (que pode conter a chave de licença
+    // ou um token de recuperação) é apagado quando o envio termina, com sucesso ou não
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id BIGSERIAL PRIMARY KEY,
+        template VARCHAR(50) NOT NULL,
+        locale VARCHAR(10) NOT NULL DEFAULT 'en',
+        recipient VARCHAR(255) NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Registro das ações da administração sobre as licenças (scripts/admin-api.js)
+    // user_id não é chave estrangeira: o registro continua se a licença for apagada
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        admin_name VARCHAR(100) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        user_id INTEGER,
+        details JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Criar tabela de dispositivos ativados (cada um ocupa uma vaga do plano)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS devices (
+        license_key VARCHAR(255) NOT NULL,
+        device_id VARCHAR(64) NOT NULL,
+        name VARCHAR(100),
+        browser VARCHAR(100),
+        activated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (license_key, device_id),
+        CONSTRAINT fk_devices_license 
+          FOREIGN KEY (license_key) 
+          REFERENCES users(license_key) 
+          ON DELETE CASCADE
+      )
+    `);
+    
+    // Colunas adicionadas depois da criação inicial das tabelas
+    await client.query(`
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS revision BIGINT NOT NULL DEFAULT 0;
+    `);
+    
+    await client.query(`
+      ALTER TABLE user_data ADD COLUMN IF NOT EXISTS revision BIGINT NOT NULL DEFAULT 0;
+    `);
+    
+    await client.query(`
+      ALTER TABLE user_data ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    `);
+    
+    await client.query(`
+      ALTER TABLE user_data_revisions ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'upload';
+    `);
+    
+    // Versão do schema do tipo de dado em que o conteúdo está (ver scripts/data-types.js)
+    await client.query(`
+      ALTER TABLE user_data ADD COLUMN IF NOT EXISTS schema_version INTEGER NOT NULL DEFAULT 1;
+    `);
+    
+    await client.query(`
+      ALTER TABLE user_data_revisions ADD COLUMN IF NOT EXISTS schema_version INTEGER NOT NULL DEFAULT 1;
+    `);
+    
+    // Últimos caracteres da chave de licença, para o usuário reconhecê-la (a chave só é guardada como hash)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS key_hint VARCHAR(8);
+    `);
+    
+    // Idioma dos e-mails enviados ao usuário (null = padrão)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
+    `);
+    
+    // Fim da validade da licença (null = sem prazo; definido pela administração)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+    `);
+    
+    // Sessão de checkout do Stripe que gerou a licença (o Stripe pode reenviar o mesmo evento)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS checkout_session_id VARCHAR(255);
+    `);
+    
+    // Dispositivo da sessão (desativar o dispositivo encerra as sessões dele)
+    await client.query(`
+      ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS device_id VARCHAR(64);
+    `);
+    
+    await client.query(`
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+    `);
+    
+    await client.query(`
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS search_vector tsvector 
+        GENERATED ALWAYS AS (${SEARCH_VECTOR_SQL}) STORED;
+    `);
+    
+    await client.query(`
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS folder_id VARCHAR(64);
+    `);
+    
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_notes_folder') THEN
+          ALTER TABLE notes ADD CONSTRAINT fk_notes_folder 
+            FOREIGN KEY (license_key, folder_id) 
+            REFERENCES folders(license_key, id);
+        END IF;
+      END $$;
+    `);
+    
+    // Licença que fez a última alteração de cada nota (atribuição em pastas compartilhadas)
+    await client.query(`
+      ALTER TABLE notes ADD COLUMN IF NOT EXISTS updated_by VARCHAR(255);
+    `);
+    
+    // Tamanho do conteúdo em bytes, usado na contabilização de uso (preenchido nas linhas antigas)
+    await client.query(`
+      ALTER TABLE user_data ADD COLUMN IF NOT EXISTS content_size BIGINT;
+    `);
+    
+    await client.query(`
+      ALTER TABLE user_data_revisions ADD COLUMN IF NOT EXISTS content_size BIGINT;
+    `);
+    
+    await client.query(`
+      UPDATE user_data SET content_size = COALESCE(octet_length(content::text), 0) WHERE content_size IS NULL;
+    `);
+    
+    await client.query(`
+      UPDATE user_data_revisions SET content_size = COALESCE(octet_length(content::text), 0) WHERE content_size IS NULL;
+    `);
+    
+    // Converter as colunas antigas notes.folder / notes.tags em pastas e tags
+    await migrateLegacyNoteColumns();
+    
+    // Atualizar os dados sincronizados em bloco para a versão atual do schema de cada tipo
+    await migrateStoredUserData();
+    
+    // Guardar só o hash das chaves de licença (e trocar as derivadas do e-mail)
+    await cascadeLicenseKeyUpdates(client);
+    await migrateLicenseKeys();
+    
+    // Criar índices para performance
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_license_key ON users(license_key);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_data_license_key ON user_data(license_key);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_data_type ON user_data(license_key, data_type);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notes_folder_id ON notes(license_key, folder_id);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notes_updated_at ON notes(license_key, updated_at DESC);
+    `);
+    
+    // Necessário para o ON CONFLICT de saveUserData. Bancos antigos podem ter mais de uma
+    // linha por (license_key, data_type): mantém só a mais recente antes de criar o índice
+    const duplicates = await client.query(`
+      DELETE FROM user_data
+      WHERE id IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY license_key, data_type
+            ORDER BY updated_at DESC NULLS LAST, id DESC
+          ) AS position
+          FROM user_data
+        ) ranked
+        WHERE position > 1
+      )
+    `);
+    if (duplicates.rowCount > 0) {
+      console.log(`   🧹 Removed ${duplicates.rowCount} duplicate user_data row(s)`);
+    }
+    
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_user_data_license_type_unique ON user_data(license_key, data_type);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_sync_changes_license_revision ON sync_changes(license_key, revision);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notes_deleted_at ON notes(deleted_at) WHERE deleted_at IS NOT NULL;
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_synced_notes_trash_deleted_at ON synced_notes_trash(deleted_at);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_sync_changes_created_at ON sync_changes(created_at);
+    `);
+    
+    // Índices de busca full-text e filtro por tags
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notes_search ON notes USING GIN(search_vector);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_synced_notes_index_search ON synced_notes_index USING GIN(search_vector);
+    `);
+    
+    // Nomes únicos (sem diferenciar maiúsculas) entre pastas irmãs e entre tags
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_folders_sibling_name 
+        ON folders(license_key, COALESCE(parent_id, ''), lower(name));
+    `);
+    
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name ON tags(license_key, lower(name));
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_note_tags_tag ON note_tags(license_key, tag_id);
+    `);
+    
+    // Conteúdo compartilhado entre licenças: usado para saber se ainda há referências a um hash
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_attachments_id ON attachments(id);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_shares_license_key ON shares(license_key, created_at DESC);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_shared_folder_members_license ON shared_folder_members(license_key);
+    `);
+    
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_shared_folder_invitations_email 
+        ON shared_folder_invitations(shared_folder_id, lower(email));
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_shared_folder_invitations_lookup ON shared_folder_invitations(lower(email));
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_license_key ON auth_sessions(license_key);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_previous_token ON auth_sessions(previous_token_hash);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_device ON auth_sessions(license_key, device_id);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_license_recovery_tokens_email ON license_recovery_tokens(lower(email), created_at);
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_pending ON email_outbox(next_attempt_at) WHERE status = 'pending';
+    `);
+    
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_log_user ON admin_audit_log(user_id, created_at DESC);
+    `);
+    
+    // Busca de licenças por e-mail na administração
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_email ON users(lower(email));
+    `);
+    
+    // Uma licença por checkout (createLicense ignora reenvios do mesmo checkout)
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_checkout_session ON users(checkout_session_id) 
+      WHERE checkout_session_id IS NOT NULL;
+    `);
+    
+    // Verificar tabelas criadas
+    const finalCheck = await client.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_schema = 'public'
+      AND table_type = 'BASE TABLE'
+    `);
+    
+    console.log('✅ Database tables created successfully:');
+    finalCheck.rows.forEach(row => {
+      console.log(`   📋 ${row.table_name}`);
+    });
+    
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Database initialization failed:', error.message);
+    console.error('🔍 SQL State:', error.code);
+    return false;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Colunas retornadas para a licença (license_key é o hash da chave)
+const LICENSE_COLUMNS = 'id, license_key, key_hint, email, status, plan_type, locale, expires_at, created_at';
+
+// Condição de licença ativa: status 'active' e dentro do prazo (alias = nome da tabela users na consulta)
+function activeLicenseSql(alias = 'users') {
+  return `${alias}.status = 'active' AND (${alias}.expires_at IS NULL OR ${alias}.expires_at > CURRENT_TIMESTAMP)`;
+}
+
+// Criar erro de licença existente mas inativa (revogada pela administração ou vencida)
+function inactiveLicenseError(license) {
+  const revoked = license.status !== 'active';
+  const error = new Error(revoked ? 'This license has been revoked' : 'This license has expired');
+  error.code = revoked ? 'LICENSE_REVOKED' : 'LICENSE_EXPIRED';
+  return error;
+}
+
+// Função para verificar licença (a chave informada pelo cliente, em texto)
+// Retorna { valid, user, reason }; reason: 'malformed' (formato inválido, ex.: erro de digitação),
+// 'rotated' (chave substituída por segurança) ou 'not_found' (inexistente ou inativa)
+async function verifyLicense(licenseKey) {
+  const key = parseLicenseKey(licenseKey);
+  if (!key) {
+    return { valid: false, user: null, reason: 'malformed' };
+  }
+  
+  const keyHash = hashLicenseKey(key);
+  
+  let client;
+  try {
+    client = await pool.connect();
+    const result = await client.query(
+      `SELECT ${LICENSE_COLUMNS} FROM users WHERE license_key = $1 AND ${activeLicenseSql()}`,
+      [keyHash]
+    );
+    
+    if (result.rows.length > 0) {
+      console.log(`✅ License verified: ${keyHash.substring(0, 8)}...`);
+      return { valid: true, user: result.rows[0], reason: null };
+    }
+    
+    const rotation = await client.query('SELECT 1 FROM license_key_rotations WHERE old_key_hash = $1', [keyHash]);
+    
+    console.log(`❌ License not found or inactive: ${keyHash.substring(0, 8)}...`);
+    return { valid: false, user: null, reason: rotation.rows.length > 0 ? 'rotated' : 'not_found' };
+    
+  } catch (error) {
+    console.error('Error verifying license:', error.message);
+    return { valid: false, user: null, reason: 'not_found' };
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para buscar uma licença ativa pelo id do usuário (renovação de certificados de licença)
+// Retorna null se a licença não existe; revogada ou vencida lança LICENSE_REVOKED / LICENSE_EXPIRED
+async function getActiveLicenseById(userId) {
+  let client;
+  try {
+    client = await pool.connect();
+    const result = await client.query(
+      `SELECT ${LICENSE_COLUMNS}, (${activeLicenseSql()}) AS is_active FROM users WHERE id = $1`,
+      [userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    const { is_active: isActive, ...user } = result.rows[0];
+    if (!isActive) {
+      throw inactiveLicenseError(user);
+    }
+    
+    return user;
+    
+  } catch (error) {
+    if (error.code !== 'LICENSE_REVOKED' && error.code !== 'LICENSE_EXPIRED') {
+      console.error('Error fetching license:', error.message);
+    }
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para emitir uma nova licença (chave gerada por scripts/license-keys.js)
+// deliver = enviar a chave por e-mail (entra na fila na mesma transação); locale = idioma dos e-mails
+// expiresInDays = licença com prazo (null = sem prazo); checkoutSessionId = checkout do Stripe que a gerou
+// adminName = emitida pela administração (a ação 'issue' é registrada na mesma transação)
+// Retorna { user, licenseKey }: a chave em texto só existe aqui, o banco guarda o hash
+// Retorna null se o checkout informado já gerou uma licença
+async function createLicense(email, { planType = 'premium', locale = null, deliver = false, expiresInDays = null, checkoutSessionId = null, adminName = null } = {}) {
+  const licenseKey = generateLicenseKey();
+  
+  try {
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO users (license_key, key_hint, email, status, plan_type, locale, expires_at, checkout_session_id) 
+        VALUES ($1, $2, $3, 'active', $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6), $7) 
+        ON CONFLICT (checkout_session_id) WHERE checkout_session_id IS NOT NULL DO NOTHING
+        RETURNING ${LICENSE_COLUMNS}
+      `, [hashLicenseKey(licenseKey), licenseKeyHint(licenseKey), email, planType, locale, expiresInDays, checkoutSessionId]);
+      
+      // Checkout já processado: nenhuma licença nova nem e-mail
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      if (deliver) {
+        await enqueueEmailWithClient(client, {
+          template: 'license_delivered',
+          to: email,
+          locale,
+          data: { licenseKey, plan: planType }
+        });
+      }
+      
+      if (adminName) {
+        await recordAdminActionWithClient(client, adminName, 'issue', result.rows[0].id, {
+          plan: planType,
+          days: expiresInDays,
+          emailed: deliver
+        });
+      }
+      
+      return result.rows[0];
+    });
+    
+    if (!user) {
+      console.log(`🔁 Checkout ${checkoutSessionId} already has a license, skipping`);
+      return null;
+    }
+    
+    console.log(`🆕 License issued: ...${licenseKeyHint(licenseKey)} for ${email}`);
+    return { user, licenseKey };
+    
+  } catch (error) {
+    console.error('Error creating license:', error.message);
+    throw error;
+  }
+}
+
+// Criar erro de chave de licença inválida ou inexistente (reason como em verifyLicense)
+function licenseKeyError(reason) {
+  const error = new Error(reason === 'malformed' ? 'Invalid license key format' : 'License not found');
+  error.code = reason === 'malformed' ? 'INVALID_LICENSE_KEY' : 'LICENSE_NOT_FOUND';
+  error.reason = reason;
+  return error;
+}
+
+// Função para ativar uma licença já emitida, opcionalmente no dispositivo informado ({ id, name, browser })
+// O dispositivo ocupa uma vaga do plano; sem vaga lança DEVICE_LIMIT_REACHED e nada é salvo
+// Chaves que não foram emitidas pelo servidor lançam INVALID_LICENSE_KEY / LICENSE_NOT_FOUND;
+// licenças revogadas ou vencidas lançam LICENSE_REVOKED / LICENSE_EXPIRED (ativar nunca as reativa)
+async function activateLicense(licenseKey, email, device = null) {
+  const key = parseLicenseKey(licenseKey);
+  if (!key) {
+    throw licenseKeyError('malformed');
+  }
+  
+  const keyHash = hashLicenseKey(key);
+  
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE users 
+        SET email = $2, updated_at = CURRENT_TIMESTAMP 
+        WHERE license_key = $1 AND ${activeLicenseSql()} 
+        RETURNING ${LICENSE_COLUMNS}
+      `, [keyHash, email]);
+      
+      if (result.rows.length === 0) {
+        const inactive = await client.query('SELECT status, expires_at FROM users WHERE license_key = $1', [keyHash]);
+        if (inactive.rows.length > 0) {
+          throw inactiveLicenseError(inactive.rows[0]);
+        }
+        
+        const rotation = await client.query('SELECT 1 FROM license_key_rotations WHERE old_key_hash = $1', [keyHash]);
+        throw licenseKeyError(rotation.rows.length > 0 ? 'rotated' : 'not_found');
+      }
+      
+      const user = result.rows[0];
+      if (device) {
+        await registerDeviceWithClient(client, keyHash, user.plan_type, device);
+      }
+      
+      console.log(`✅ License activated: ${keyHash.substring(0, 8)}... for ${email}`);
+      return user;
+    });
+    
+  } catch (error) {
+    if (!['DEVICE_LIMIT_REACHED', 'INVALID_LICENSE_KEY', 'LICENSE_NOT_FOUND', 'LICENSE_REVOKED', 'LICENSE_EXPIRED'].includes(error.code)) {
+      console.error('Error activating license:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Hash guardado para os tokens de recuperação (o token tem entropia alta, sem salt)
+function hashRecoveryToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Criar um token de recuperação para uma licença em uma transação já aberta
+// Retorna o token em texto (só vai no e-mail; o banco guarda o hash)
+async function createRecoveryTokenWithClient(client, licenseKey, email, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  await client.query(`
+    INSERT INTO license_recovery_tokens (token_hash, license_key, email, expires_at) 
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+  `, [hashRecoveryToken(token), licenseKey, email, ttlMinutes]);
+  
+  return token;
+}
+
+// Função para pedir a recuperação das licenças ativas de um e-mail: cria um token por licença
+// e coloca o e-mail com o link na fila (locale = idioma do pedido, se o usuário não tiver um)
+// Retorna { limited, queued }; limited = limite de pedidos por hora do e-mail atingido (nenhum
+// token é criado). Sem licença para o e-mail, queued é 0
+async function createLicenseRecovery(email, { ttlMinutes, maxPerHour, locale = null }) {
+  try {
+    return await withTransaction(async (client) => {
+      // Serializar pedidos simultâneos do mesmo e-mail (a contagem do limite precisa ser exata)
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('license_recovery'), hashtext(lower($1)))", [email]);
+      
+      const recent = await client.query(`
+        SELECT COUNT(*)::int AS count FROM license_recovery_tokens 
+        WHERE lower(email) = lower($1) AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 hour'
+      `, [email]);
+      
+      if (recent.rows[0].count >= maxPerHour) {
+        return { limited: true, queued: 0 };
+      }
+      
+      const users = await client.query(
+        `SELECT ${LICENSE_COLUMNS} FROM users WHERE lower(email) = lower($1) AND ${activeLicenseSql()} ORDER BY id`,
+        [email]
+      );
+      
+      for (const user of users.rows) {
+        const token = await createRecoveryTokenWithClient(client, user.license_key, user.email, ttlMinutes);
+        await enqueueEmailWithClient(client, {
+          template: 'license_recovery',
+          to: user.email,
+          locale: user.locale || locale,
+          data: { token, ttlMinutes }
+        });
+      }
+      
+      return { limited: false, queued: users.rows.length };
+    });
+    
+  } catch (error) {
+    console.error('Error creating license recovery:', error.message);
+    throw error;
+  }
+}
+
+// Função para usar um token de recuperação: emite uma chave nova para a licença (a antiga deixa
+// de valer e fica registrada em license_key_rotations) e invalida os demais tokens da licença
+// Retorna { user, licenseKey } ou null se o token não existe, expirou ou já foi usado
+async function redeemLicenseRecovery(token) {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE license_recovery_tokens SET used_at = CURRENT_TIMESTAMP 
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP 
+        RETURNING license_key, email
+      `, [hashRecoveryToken(token)]);
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      const { license_key: currentKey, email } = result.rows[0];
+      const licenseKey = generateLicenseKey();
+      const newKey = hashLicenseKey(licenseKey);
+      
+      await client.query(`
+        UPDATE license_recovery_tokens SET used_at = CURRENT_TIMESTAMP 
+        WHERE license_key = $1 AND used_at IS NULL
+      `, [currentKey]);
+      
+      await replaceStoredLicenseKeyWithClient(client, currentKey, newKey, licenseKeyHint(licenseKey));
+      
+      await client.query(`
+        INSERT INTO license_key_rotations (old_key_hash, license_key, email, reason, notified_at) 
+        VALUES ($1, $2, $3, 'recovery', CURRENT_TIMESTAMP) 
+        ON CONFLICT (old_key_hash) DO NOTHING
+      `, [currentKey, newKey, email]);
+      
+      const user = await client.query(`SELECT ${LICENSE_COLUMNS} FROM users WHERE license_key = $1`, [newKey]);
+      
+      console.log(`🔑 License key recovered and rotated: ${newKey.substring(0, 8)}... for ${email}`);
+      return { user: user.rows[0], licenseKey };
+    });
+    
+  } catch (error) {
+    console.error('Error redeeming license recovery:', error.message);
+    throw error;
+  }
+}
+
+// Colocar na fila, em uma transação já aberta, o aviso de chave substituída com um link de
+// recuperação (o usuário obtém a chave nova por ele)
+async function queueKeyRotationNoticeWithClient(client, licenseKey, email, ttlMinutes) {
+  const token = await createRecoveryTokenWithClient(client, licenseKey, email, ttlMinutes);
+  await enqueueEmailWithClient(client, {
+    template: 'key_rotated',
+    to: email,
+    data: { token, ttlMinutes }
+  });
+}
+
+// Função para colocar na fila os avisos de chave substituída ainda não enviados (no máximo limit),
+// como os de chaves trocadas antes de o aviso sair junto com a troca
+// Retorna a quantidade de avisos colocados na fila
+async function queueKeyRotationNotices({ ttlMinutes, limit = 50 }) {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE license_key_rotations SET notified_at = CURRENT_TIMESTAMP 
+        WHERE old_key_hash IN (
+          SELECT old_key_hash FROM license_key_rotations 
+          WHERE notified_at IS NULL AND email IS NOT NULL 
+          ORDER BY rotated_at 
+          LIMIT $1 
+          FOR UPDATE SKIP LOCKED
+        ) 
+        RETURNING license_key, email
+      `, [limit]);
+      
+      for (const row of result.rows) {
+        await queueKeyRotationNoticeWithClient(client, row.license_key, row.email, ttlMinutes);
+      }
+      
+      return result.rows.length;
+    });
+    
+  } catch (error) {
+    console.error('Error queueing key rotation notices:', error.message);
+    throw error;
+  }
+}
+
+// Colocar um e-mail na fila em uma transação já aberta ({ template, to, locale?, data? })
+// Sem locale, usa o idioma da licença do destinatário (se houver); o idioma final é resolvido no envio
+async function enqueueEmailWithClient(client, { template, to, locale = null, data = {} }) {
+  const result = await client.query(`
+    INSERT INTO email_outbox (template, recipient, locale, data) 
+    VALUES ($1, $2, COALESCE($3, (SELECT locale FROM users WHERE lower(email) = lower($2::varchar) AND locale IS NOT NULL ORDER BY id LIMIT 1), 'en'), $4) 
+    RETURNING id
+  `, [template, to, locale, JSON.stringify(data)]);
+  
+  return result.rows[0].id;
+}
+
+// Função para colocar um e-mail na fila fora de outra transação
+async function enqueueEmail(message) {
+  let client;
+  try {
+    client = await pool.connect();
+    return await enqueueEmailWithClient(client, message);
+    
+  } catch (error) {
+    console.error('Error enqueueing email:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para reservar os próximos e-mails da fila para envio (no máximo limit)
+// A tentativa já é contada e o e-mail fica reservado por leaseSeconds: se o processo cair
+// durante o envio, ele volta para a fila depois desse prazo
+async function claimOutboxEmails({ limit = 20, leaseSeconds = 300 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      UPDATE email_outbox 
+      SET attempts = attempts + 1, next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2) 
+      WHERE id IN (
+        SELECT id FROM email_outbox 
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP 
+        ORDER BY next_attempt_at, id 
+        LIMIT $1 
+        FOR UPDATE SKIP LOCKED
+      ) 
+      RETURNING id, template, locale, recipient, data, attempts
+    `, [limit, leaseSeconds]);
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error claiming outbox emails:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para registrar o resultado do envio de um e-mail da fila
+// lastError = null marca como enviado; com erro, retryInSeconds agenda uma nova tentativa
+// (null = desistir). Enviado ou desistido, o conteúdo (data) é apagado
+async function completeOutboxEmail(id, { lastError = null, retryInSeconds = null } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    if (!lastError) {
+      await client.query(`
+        UPDATE email_outbox 
+        SET status = 'sent', sent_at = CURRENT_TIMESTAMP, data = '{}', last_error = NULL 
+        WHERE id = $1
+      `, [id]);
+    } else if (retryInSeconds !== null) {
+      await client.query(`
+        UPDATE email_outbox 
+        SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2), last_error = $3 
+        WHERE id = $1
+      `, [id, retryInSeconds, lastError]);
+    } else {
+      await client.query(`
+        UPDATE email_outbox SET status = 'failed', data = '{}', last_error = $2 WHERE id = $1
+      `, [id, lastError]);
+    }
+    
+  } catch (error) {
+    console.error('Error completing outbox email:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Colunas retornadas para dispositivos (sem a licença)
+const DEVICE_COLUMNS = 'device_id, name, browser, activated_at, last_seen_at';
+
+// Criar erro de limite de dispositivos (devices = dispositivos que ocupam as vagas)
+function deviceLimitError(maxDevices, devices) {
+  const error = new Error('Device limit reached for this license');
+  error.code = 'DEVICE_LIMIT_REACHED';
+  error.maxDevices = maxDevices;
+  error.devices = devices;
+  return error;
+}
+
+// Registrar um dispositivo (ou atualizar o nome, navegador e último acesso de um já registrado)
+// dentro de uma transação. Dispositivos novos só entram se houver vaga no plano
+async function registerDeviceWithClient(client, licenseKey, planType, { id, name = null, browser = null }) {
+  // Serializar ativações simultâneas da mesma licença (a contagem de vagas precisa ser exata)
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('devices'), hashtext($1))", [licenseKey]);
+  
+  const existing = await client.query(`
+    UPDATE devices 
+    SET name = COALESCE($3, name), browser = COALESCE($4, browser), last_seen_at = CURRENT_TIMESTAMP 
+    WHERE license_key = $1 AND device_id = $2 
+    RETURNING ${DEVICE_COLUMNS}
+  `, [licenseKey, id, name, browser]);
+  
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+  
+  const { maxDevices } = getPlanLimits(planType);
+  const devices = await client.query(
+    `SELECT ${DEVICE_COLUMNS} FROM devices WHERE license_key = $1 ORDER BY last_seen_at DESC`,
+    [licenseKey]
+  );
+  
+  if (devices.rows.length >= maxDevices) {
+    throw deviceLimitError(maxDevices, devices.rows);
+  }
+  
+  const result = await client.query(`
+    INSERT INTO devices (license_key, device_id, name, browser) 
+    VALUES ($1, $2, $3, $4) 
+    RETURNING ${DEVICE_COLUMNS}
+  `, [licenseKey, id, name, browser]);
+  
+  console.log(`📱 Device registered for license: ${licenseKey.substring(0, 8)}... (${devices.rows.length + 1}/${maxDevices})`);
+  return result.rows[0];
+}
+
+// Função para registrar um dispositivo de uma licença ativa (ex.: login por token)
+async function registerDevice(licenseKey, device) {
+  try {
+    return await withTransaction(async (client) => {
+      const planType = await getActivePlanWithClient(client, licenseKey);
+      return registerDeviceWithClient(client, licenseKey, planType, device);
+    });
+    
+  } catch (error) {
+    if (error.code !== 'DEVICE_LIMIT_REACHED') {
+      console.error('Error registering device:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para atualizar o último acesso de um dispositivo
+// Retorna false se o dispositivo não está registrado (nunca ativado ou desativado)
+// O último acesso só é gravado de minuto em minuto, para não escrever a cada requisição
+async function touchDevice(licenseKey, deviceId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      WITH touched AS (
+        UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP 
+        WHERE license_key = $1 AND device_id = $2 
+        AND last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute'
+      )
+      SELECT 1 FROM devices WHERE license_key = $1 AND device_id = $2
+    `, [licenseKey, deviceId]);
+    
+    return result.rows.length > 0;
+    
+  } catch (error) {
+    console.error('Error updating device last seen:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para listar os dispositivos de uma licença (último acesso mais recente primeiro)
+async function listDevices(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      `SELECT ${DEVICE_COLUMNS} FROM devices WHERE license_key = $1 ORDER BY last_seen_at DESC`,
+      [licenseKey]
+    );
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error listing devices:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para desativar um dispositivo: libera a vaga e encerra as sessões dele
+// Retorna false se o dispositivo não existir
+async function deleteDevice(licenseKey, deviceId) {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM devices WHERE license_key = $1 AND device_id = $2',
+        [licenseKey, deviceId]
+      );
+      
+      if (result.rowCount === 0) {
+        return false;
+      }
+      
+      await client.query(`
+        UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP 
+        WHERE license_key = $1 AND device_id = $2 AND revoked_at IS NULL
+      `, [licenseKey, deviceId]);
+      
+      await notifyAccessRevoked(client, licenseKey, { device_id: deviceId });
+      
+      console.log(`📵 Device deactivated for license: ${licenseKey.substring(0, 8)}...`);
+      return true;
+    });
+    
+  } catch (error) {
+    console.error('Error deleting device:', error.message);
+    throw error;
+  }
+}
+
+// Função para reconstruir o índice de busca das notas sincronizadas em bloco
+// Roda na mesma transação do upload para o índice nunca ficar defasado
+async function refreshSyncedNotesIndex(client, licenseKey, content) {
+  await client.query('DELETE FROM synced_notes_index WHERE license_key = $1', [licenseKey]);
+  
+  // Conteúdo criptografado não é indexado (o servidor não consegue lê-lo)
+  const notes = isEncryptedEnvelope(content) ? [] : projectSyncedNotes(content);
+  if (notes.length === 0) {
+    return;
+  }
+  
+  await client.query(`
+    INSERT INTO synced_notes_index (license_key, note_id, folder, tags, title, body) 
+    SELECT $1, note->>'id', note->>'folder', 
+      ARRAY(SELECT jsonb_array_elements_text(note->'tags')), 
+      note->>'title', note->>'body'
+    FROM jsonb_array_elements($2::jsonb) AS note
+  `, [licenseKey, JSON.stringify(notes)]);
+}
+
+// Levar para a lixeira as notas que sumiram entre duas versões dos dados em bloco e registrar
+// o tombstone no feed; notas que voltaram aos dados saem da lixeira
+// Conteúdo criptografado ou em formato não indexado por id não pode ser comparado
+async function trashRemovedSyncedNotesWithClient(client, licenseKey, previous, content) {
+  if (isEncryptedEnvelope(previous) || isEncryptedEnvelope(content)) {
+    return;
+  }
+  
+  const before = toNoteMap(previous);
+  const after = toNoteMap(content);
+  if (!before || !after) {
+    return;
+  }
+  
+  const added = [...after.notes.keys()].filter(id => !before.notes.has(id));
+  if (added.length > 0) {
+    await client.query(
+      'DELETE FROM synced_notes_trash WHERE license_key = $1 AND note_id = ANY($2)',
+      [licenseKey, added]
+    );
+  }
+  
+  const removed = [...before.notes].filter(([id]) => !after.notes.has(id));
+  for (const note of projectSyncedNotes(Object.fromEntries(removed))) {
+    await client.query(`
+      INSERT INTO synced_notes_trash (license_key, note_id, content, folder, tags, title, body) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7) 
+      ON CONFLICT (license_key, note_id) 
+      DO UPDATE SET 
+        content = EXCLUDED.content,
+        folder = EXCLUDED.folder,
+        tags = EXCLUDED.tags,
+        title = EXCLUDED.title,
+        body = EXCLUDED.body,
+        deleted_at = CURRENT_TIMESTAMP
+    `, [licenseKey, note.id, JSON.stringify(before.notes.get(note.id)), note.folder, note.tags, note.title, note.body]);
+    
+    await recordChange(client, licenseKey, 'synced_note', note.id, 'delete');
+  }
+}
+
+// Criar erro de conflito de versão (cliente desatualizado)
+function versionConflictError(currentVersion) {
+  const error = new Error('Version conflict');
+  error.code = 'VERSION_CONFLICT';
+  error.currentVersion = currentVersion;
+  return error;
+}
+
+// Códigos dos erros do modo de criptografia de ponta a ponta
+const ENCRYPTION_ERROR_CODES = ['INVALID_ENVELOPE', 'ENCRYPTION_REQUIRED', 'ENCRYPTION_NOT_CONFIGURED', 'ENCRYPTION_KEY_MISMATCH'];
+
+// Erro do modo de criptografia de ponta a ponta (keyId = chave registrada atualmente)
+function encryptionError(code, message, keyId = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.keyId = keyId;
+  return error;
+}
+
+// Garantir que o conteúdo respeita o modo de criptografia da licença
+// Com chave registrada só são aceitos envelopes cifrados com ela; sem chave, envelopes são recusados
+async function assertEncryptionPolicyWithClient(client, licenseKey, content) {
+  const result = await client.query(
+    'SELECT key_id FROM encryption_keys WHERE license_key = $1 FOR SHARE',
+    [licenseKey]
+  );
+  const keyId = result.rows.length > 0 ? result.rows[0].key_id : null;
+  
+  if (!isEncryptedEnvelope(content)) {
+    if (keyId) {
+      throw encryptionError('ENCRYPTION_REQUIRED', 'End-to-end encryption is enabled: data must be an encrypted envelope', keyId);
+    }
+    return;
+  }
+  
+  const envelopeError = validateEnvelope(content);
+  if (envelopeError) {
+    throw encryptionError('INVALID_ENVELOPE', envelopeError, keyId);
+  }
+  
+  if (!keyId) {
+    throw encryptionError('ENCRYPTION_NOT_CONFIGURED', 'End-to-end encryption is not set up for this license');
+  }
+  
+  if (content.key_id !== keyId) {
+    throw encryptionError('ENCRYPTION_KEY_MISMATCH', 'Data is not encrypted with the current key', keyId);
+  }
+}
+
+// Recusar conteúdo em texto claro fora dos dados em bloco enquanto a licença tem chave registrada
+// Notas, pastas e tags individuais (e links e pastas compartilhadas) não têm formato cifrado
+async function assertPlaintextAllowedWithClient(client, licenseKey) {
+  const result = await client.query(
+    'SELECT key_id FROM encryption_keys WHERE license_key = $1 FOR SHARE',
+    [licenseKey]
+  );
+  
+  if (result.rows.length > 0) {
+    throw encryptionError(
+      'ENCRYPTION_REQUIRED',
+      'End-to-end encryption is enabled: notes, folders and tags must be synced as encrypted data',
+      result.rows[0].key_id
+    );
+  }
+}
+
+// Uso de armazenamento de uma licença, em bytes
+// Notas: dados sincronizados + notas individuais (incluindo a lixeira); revisões: histórico
+async function getUsageWithClient(client, licenseKey) {
+  const result = await client.query(`
+    SELECT 
+      (SELECT plan_type FROM users WHERE license_key = $1) AS plan_type,
+      (SELECT COALESCE(SUM(content_size), 0) FROM user_data WHERE license_key = $1) 
+        + (SELECT COALESCE(SUM(octet_length(title) + octet_length(body)), 0) FROM notes WHERE license_key = $1) 
+        + (SELECT COALESCE(SUM(octet_length(content::text)), 0) FROM synced_notes_trash WHERE license_key = $1) AS notes,
+      (SELECT COALESCE(SUM(size), 0) FROM attachments WHERE license_key = $1) AS attachments,
+      (SELECT COALESCE(SUM(content_size), 0) FROM user_data_revisions WHERE license_key = $1) AS revisions
+  `, [licenseKey]);
+  
+  const row = result.rows[0];
+  const usage = {
+    plan: row.plan_type,
+    quota: getPlanLimits(row.plan_type).storageQuotaBytes,
+    notes: Number(row.notes),
+    attachments: Number(row.attachments),
+    revisions: Number(row.revisions)
+  };
+  usage.total = usage.notes + usage.attachments + usage.revisions;
+  
+  return usage;
+}
+
+// Criar erro de cota de armazenamento excedida (com o uso atual da licença)
+function quotaExceededError(usage) {
+  const error = new Error('Storage quota exceeded');
+  error.code = 'QUOTA_EXCEEDED';
+  error.usage = usage;
+  return error;
+}
+
+// Serializar as escritas que consomem armazenamento de uma licença e retornar o uso atual
+async function lockUsageWithClient(client, licenseKey) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('usage'), hashtext($1))", [licenseKey]);
+  return getUsageWithClient(client, licenseKey);
+}
+
+// Verificar a cota depois das escritas da transação
+// Escritas que reduzem o uso passam mesmo acima da cota (ex.: após mudança de plano)
+async function assertQuotaWithClient(client, licenseKey, usageBefore) {
+  const usage = await getUsageWithClient(client, licenseKey);
+  
+  // O erro informa o uso atual (a transação é desfeita)
+  if (usage.total > usage.quota && usage.total > usageBefore.total) {
+    throw quotaExceededError(usageBefore);
+  }
+  
+  return usage;
+}
+
+// Executar as escritas de uma transação respeitando a cota da licença
+async function withinQuotaWithClient(client, licenseKey, write) {
+  const usageBefore = await lockUsageWithClient(client, licenseKey);
+  const result = await write();
+  await assertQuotaWithClient(client, licenseKey, usageBefore);
+  return result;
+}
+
+// Função para consultar o uso de armazenamento de uma licença
+async function getUsage(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    return await getUsageWithClient(client, licenseKey);
+    
+  } catch (error) {
+    console.error('Error getting usage:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Buscar o plano de uma licença ativa dentro da transação (erro se a licença não estiver ativa)
+async function getActivePlanWithClient(client, licenseKey) {
+  const userExists = await client.query(
+    `SELECT id, plan_type FROM users WHERE license_key = $1 AND ${activeLicenseSql()}`,
+    [licenseKey]
+  );
+  
+  if (userExists.rows.length === 0) {
+    throw new Error('Invalid or inactive license');
+  }
+  
+  return userExists.rows[0].plan_type;
+}
+
+// Salvar um tipo de dado em uma transação já aberta (a cota é conferida por quem chama)
+// prepared = { content, schemaVersion } já migrado e validado por prepareDataPayload
+async function saveUserDataWithClient(client, licenseKey, planType, dataType, prepared, { expectedVersion, source }) {
+  const { content } = prepared;
+  
+  await assertEncryptionPolicyWithClient(client, licenseKey, content);
+  
+  // Conteúdo anterior das notas, para levar à lixeira as que sumirem nesta versão
+  const previous = dataType === 'notes'
+    ? await client.query(
+      'SELECT content FROM user_data WHERE license_key = $1 AND data_type = $2 FOR UPDATE',
+      [licenseKey, dataType]
+    )
+    : null;
+  
+  const revision = await recordChange(client, licenseKey, 'data', dataType, 'upsert');
+  const conditional = expectedVersion !== undefined && expectedVersion !== null;
+  
+  // Salvar ou atualizar dados (a condição de versão protege contra escritas concorrentes)
+  const result = await client.query(`
+    INSERT INTO user_data (license_key, data_type, content, content_size, revision, version, schema_version) 
+    VALUES ($1, $2, $3, octet_length($3::jsonb::text), $4, 1, $6)
+    ON CONFLICT (license_key, data_type) 
+    DO UPDATE SET 
+      content = EXCLUDED.content,
+      content_size = EXCLUDED.content_size,
+      revision = EXCLUDED.revision,
+      schema_version = EXCLUDED.schema_version,
+      version = user_data.version + 1,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE $5::int IS NULL OR user_data.version = $5::int
+    RETURNING id, version, revision, schema_version, created_at, updated_at
+  `, [licenseKey, dataType, JSON.stringify(content), revision, conditional ? expectedVersion : null, prepared.schemaVersion]);
+  
+  const saved = result.rows[0];
+  
+  if (!saved || (conditional && saved.version !== expectedVersion + 1)) {
+    const current = await client.query(
+      'SELECT version FROM user_data WHERE license_key = $1 AND data_type = $2',
+      [licenseKey, dataType]
+    );
+    
+    // A transação é desfeita, então uma inserção inesperada não é mantida
+    const currentVersion = saved && saved.version === 1 ? 0 : current.rows[0].version;
+    throw versionConflictError(currentVersion);
+  }
+  
+  // Guardar a revisão no histórico (também serve de base para merges)
+  await client.query(`
+    INSERT INTO user_data_revisions (license_key, data_type, version, content, content_size, source, schema_version) 
+    VALUES ($1, $2, $3, $4, octet_length($4::jsonb::text), $5, $6)
+    ON CONFLICT (license_key, data_type, version) 
+    DO UPDATE SET 
+      content = EXCLUDED.content,
+      content_size = EXCLUDED.content_size,
+      source = EXCLUDED.source,
+      schema_version = EXCLUDED.schema_version,
+      created_at = CURRENT_TIMESTAMP
+  `, [licenseKey, dataType, saved.version, JSON.stringify(content), source, prepared.schemaVersion]);
+  
+  // Conteúdo criptografado: não manter cópias em texto claro no histórico nem na lixeira
+  if (isEncryptedEnvelope(content)) {
+    await client.query(`
+      DELETE FROM user_data_revisions 
+      WHERE license_key = $1 AND data_type = $2 AND NOT (jsonb_typeof(content) = 'object' AND content ? 'e2e')
+    `, [licenseKey, dataType]);
+    
+    if (dataType === 'notes') {
+      await client.query('DELETE FROM synced_notes_trash WHERE license_key = $1', [licenseKey]);
+    }
+  }
+  
+  // Manter o índice de busca e a lixeira em dia com o conteúdo enviado
+  if (dataType === 'notes') {
+    await refreshSyncedNotesIndex(client, licenseKey, content);
+    await trashRemovedSyncedNotesWithClient(
+      client,
+      licenseKey,
+      previous.rows.length > 0 ? previous.rows[0].content : null,
+      content
+    );
+  }
+  
+  // Aplicar o limite de revisões do plano
+  const { revisionRetention } = getPlanLimits(planType);
+  await client.query(`
+    DELETE FROM user_data_revisions 
+    WHERE license_key = $1 AND data_type = $2 AND version <= $3
+  `, [licenseKey, dataType, saved.version - revisionRetention]);
+  
+  // O aviso só é entregue aos outros dispositivos quando a transação é confirmada
+  await notifySyncEvent(client, licenseKey, {
+    type: 'data',
+    data_type: dataType,
+    version: saved.version,
+    revision: Number(saved.revision)
+  });
+  
+  return saved;
+}
+
+// Códigos de erro esperados ao salvar dados (não são registrados no log)
+const SAVE_USER_DATA_ERROR_CODES = ['VERSION_CONFLICT', 'QUOTA_EXCEEDED', ...ENCRYPTION_ERROR_CODES, ...DATA_TYPE_ERROR_CODES];
+
+// Função para salvar dados do usuário
+// Se expectedVersion for informado, só salva se a versão atual for a mesma
+// (0 = ainda não existe); caso contrário lança VERSION_CONFLICT.
+// source indica a origem da revisão no histórico ('upload', 'merge', 'restore')
+// schemaVersion = versão do schema em que o cliente montou o conteúdo (padrão: a atual)
+async function saveUserData(licenseKey, dataType = 'notes', content, { expectedVersion, source = 'upload', schemaVersion } = {}) {
+  try {
+    // Migrar para a versão atual do schema e validar (lança UNKNOWN_DATA_TYPE / INVALID_DATA)
+    const prepared = prepareDataPayload(dataType, content, schemaVersion);
+    
+    return await withTransaction(async (client) => {
+      const planType = await getActivePlanWithClient(client, licenseKey);
+      
+      const saved = await withinQuotaWithClient(client, licenseKey, () =>
+        saveUserDataWithClient(client, licenseKey, planType, dataType, prepared, { expectedVersion, source })
+      );
+      
+      console.log(`💾 Data saved for license: ${licenseKey.substring(0, 8)}... (v${saved.version})`);
+      return saved;
+    });
+    
+  } catch (error) {
+    if (!SAVE_USER_DATA_ERROR_CODES.includes(error.code)) {
+      console.error('Error saving user data:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para aplicar um lote de sincronização em uma única transação (tudo ou nada):
+// vários tipos de dado em bloco e, opcionalmente, mudanças de notas (mesmo formato de applyNoteChanges)
+// items: [{ dataType, content, schemaVersion, expectedVersion }]
+// Retorna { data: [linha salva de cada item], changes: [resultado de cada mudança] }
+// Os erros informam o tipo de dado em error.dataType; conflitos de versão são reunidos em
+// um único VERSION_CONFLICT com error.conflicts = [{ dataType, currentVersion }]
+async function applySyncBatch(licenseKey, { items = [], changes = [] }) {
+  try {
+    // Validar tudo antes de abrir a transação
+    const prepared = items.map(item => {
+      try {
+        return prepareDataPayload(item.dataType, item.content, item.schemaVersion);
+      } catch (error) {
+        error.dataType = item.dataType;
+        throw error;
+      }
+    });
+    
+    const result = await withTransaction(async (client) => {
+      const planType = await getActivePlanWithClient(client, licenseKey);
+      
+      return withinQuotaWithClient(client, licenseKey, async () => {
+        const data = [];
+        const conflicts = [];
+        
+        for (let i = 0; i < items.length; i++) {
+          const { dataType, expectedVersion } = items[i];
+          
+          try {
+            data.push(await saveUserDataWithClient(client, licenseKey, planType, dataType, prepared[i], { expectedVersion, source: 'upload' }));
+          } catch (error) {
+            // Continuar para informar todos os conflitos de uma vez (a transação é desfeita no fim)
+            if (error.code === 'VERSION_CONFLICT') {
+              conflicts.push({ dataType, currentVersion: error.currentVersion });
+              data.push(null);
+              continue;
+            }
+            error.dataType = dataType;
+            throw error;
+          }
+        }
+        
+        if (conflicts.length > 0) {
+          const error = versionConflictError(conflicts[0].currentVersion);
+          error.conflicts = conflicts;
+          throw error;
+        }
+        
+        return {
+          data,
+          changes: await applyNoteChangesWithClient(client, licenseKey, changes)
+        };
+      });
+    });
+    
+    console.log(`📦 Sync batch applied for license ${licenseKey.substring(0, 8)}... (${items.length} data type(s), ${changes.length} change(s))`);
+    return result;
+    
+  } catch (error) {
+    if (![...SAVE_USER_DATA_ERROR_CODES, 'FOLDER_NOT_FOUND'].includes(error.code)) {
+      console.error('Error applying sync batch:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Converter uma linha de user_data no formato retornado por getUserData
+// Conteúdo gravado por uma instância com schema anterior ainda não migrado é migrado aqui
+function userDataFromRow(dataType, row) {
+  let migrated = { content: row.content, schemaVersion: row.schema_version };
+  try {
+    migrated = migrateDataPayload(dataType, row.content, row.schema_version);
+  } catch (error) {
+    console.error(`Error migrating ${dataType} data on read:`, error.message);
+  }
+  
+  return {
+    content: migrated.content,
+    schemaVersion: migrated.schemaVersion,
+    version: row.version,
+    revision: Number(row.revision),
+    lastModified: row.updated_at
+  };
+}
+
+// Função para recuperar dados do usuário
 async function getUserData(licenseKey, dataType = 'notes') {
   let client;
   try {
     client = await pool.connect();
     
     const result = await client.query(`
-      SELECT content, updated_at 
-      FROM user_data 
-      WHERE license_key = $1 AND data_type = $2 
-      ORDER BY updated_at DESC 
-      LIMIT 1
-    `, [licenseKey, dataType]);
+      SELECT content, version, revision, schema_version, updated_at 
+      FROM user_data 
+      WHERE license_key = $1 AND data_type = $2 
+      ORDER BY updated_at DESC 
+      LIMIT 1
+    `, [licenseKey, dataType]);
+    
+    if (result.rows.length > 0) {
+      console.log(`📂 Data retrieved for license: ${licenseKey.substring(0, 8)}...`);
+      return userDataFromRow(dataType, result.rows[0]);
+    }
+    
+    return null;
+    
+  } catch (error) {
+    console.error('Error getting user data:', error.message);
+    return null;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para recuperar vários tipos de dado de uma vez (consulta única, estado consistente)
+// dataTypes = null retorna todos os tipos guardados. Retorna { dataType: dados no formato de getUserData }
+async function getUserDataBatch(licenseKey, dataTypes = null) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT data_type, content, version, revision, schema_version, updated_at 
+      FROM user_data 
+      WHERE license_key = $1 AND ($2::text[] IS NULL OR data_type = ANY($2)) 
+      ORDER BY data_type
+    `, [licenseKey, dataTypes]);
+    
+    const data = {};
+    for (const row of result.rows) {
+      data[row.data_type] = userDataFromRow(row.data_type, row);
+    }
+    
+    console.log(`📂 Batch of ${result.rows.length} data type(s) retrieved for license: ${licenseKey.substring(0, 8)}...`);
+    return data;
+    
+  } catch (error) {
+    console.error('Error getting user data batch:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para listar os tipos de dado sincronizados de uma licença (sem o conteúdo)
+async function listUserDataTypes(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT data_type, version, content_size AS size, updated_at 
+      FROM user_data 
+      WHERE license_key = $1 
+      ORDER BY data_type
+    `, [licenseKey]);
+    
+    return result.rows.map(row => ({ ...row, size: Number(row.size) }));
+    
+  } catch (error) {
+    console.error('Error listing user data types:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para percorrer as notas sincronizadas em bloco (user_data 'notes') em lotes, em ordem de id
+async function listSyncedNotesForExport(licenseKey, { after = null, limit = 200 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT note_id AS id, folder, tags, title, body, updated_at 
+      FROM synced_notes_index 
+      WHERE license_key = $1 AND ($2::text IS NULL OR note_id > $2) 
+      ORDER BY note_id 
+      LIMIT $3
+    `, [licenseKey, after, limit]);
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error listing synced notes for export:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para recuperar uma revisão específica dos dados do usuário
+async function getUserDataRevision(licenseKey, dataType, version) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT version, source, schema_version, content, created_at 
+      FROM user_data_revisions 
+      WHERE license_key = $1 AND data_type = $2 AND version = $3
+    `, [licenseKey, dataType, version]);
+    
+    return result.rows[0] || null;
+    
+  } catch (error) {
+    console.error('Error getting user data revision:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para listar as revisões guardadas de um tipo de dado (mais recentes primeiro)
+async function listUserDataRevisions(licenseKey, dataType = 'notes', { limit = 50, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT version, source, schema_version, content_size AS size, 
+        (jsonb_typeof(content) = 'object' AND content ? 'e2e') AS encrypted, created_at 
+      FROM user_data_revisions 
+      WHERE license_key = $1 AND data_type = $2 
+      ORDER BY version DESC 
+      LIMIT $3 OFFSET $4
+    `, [licenseKey, dataType, limit, offset]);
+    
+    return result.rows.map(row => ({ ...row, size: Number(row.size) }));
+    
+  } catch (error) {
+    console.error('Error listing user data revisions:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para restaurar uma revisão como estado atual (cria uma nova versão)
+// Retorna null se a revisão não existir mais
+async function restoreUserDataRevision(licenseKey, dataType, version, { expectedVersion } = {}) {
+  const revision = await getUserDataRevision(licenseKey, dataType, version);
+  if (!revision) {
+    return null;
+  }
+  
+  // Revisões antigas podem estar em uma versão anterior do schema
+  const migrated = migrateDataPayload(dataType, revision.content, revision.schema_version);
+  
+  const saved = await saveUserData(licenseKey, dataType, migrated.content, {
+    expectedVersion,
+    source: 'restore',
+    schemaVersion: migrated.schemaVersion
+  });
+  
+  console.log(`⏪ Revision v${version} restored as v${saved.version} for license: ${licenseKey.substring(0, 8)}...`);
+  return { ...saved, content: migrated.content };
+}
+
+// Colunas retornadas para o registro de chave de criptografia (sem a licença)
+const ENCRYPTION_KEY_COLUMNS = 'key_id, algorithm, kdf, verifier, created_at, updated_at';
+
+// Função para buscar o registro de chave de criptografia de uma licença
+async function getEncryptionKey(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      `SELECT ${ENCRYPTION_KEY_COLUMNS} FROM encryption_keys WHERE license_key = $1`,
+      [licenseKey]
+    );
+    
+    return result.rows[0] || null;
+    
+  } catch (error) {
+    console.error('Error getting encryption key:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para registrar ou trocar a chave de criptografia de uma licença
+// Trocar uma chave existente exige expectedKeyId igual à atual (evita dispositivos sobrescrevendo uns aos outros)
+// Retorna { key, created }
+async function setEncryptionKey(licenseKey, { key_id, algorithm, kdf, verifier }, { expectedKeyId } = {}) {
+  try {
+    const result = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT key_id FROM encryption_keys WHERE license_key = $1 FOR UPDATE',
+        [licenseKey]
+      );
+      
+      const currentKeyId = existing.rows.length > 0 ? existing.rows[0].key_id : null;
+      if (currentKeyId && currentKeyId !== expectedKeyId) {
+        throw encryptionError('ENCRYPTION_KEY_MISMATCH', 'expected_key_id does not match the current key', currentKeyId);
+      }
+      
+      const saved = await client.query(`
+        INSERT INTO encryption_keys (license_key, key_id, algorithm, kdf, verifier) 
+        VALUES ($1, $2, $3, $4, $5) 
+        ON CONFLICT (license_key) 
+        DO UPDATE SET 
+          key_id = EXCLUDED.key_id,
+          algorithm = EXCLUDED.algorithm,
+          kdf = EXCLUDED.kdf,
+          verifier = EXCLUDED.verifier,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING ${ENCRYPTION_KEY_COLUMNS}
+      `, [licenseKey, key_id, algorithm, JSON.stringify(kdf), JSON.stringify(verifier)]);
+      
+      // Outros dispositivos descobrem a troca pelo feed e buscam o registro novo
+      await recordChange(client, licenseKey, 'encryption', 'key', 'upsert');
+      
+      return { key: saved.rows[0], created: !currentKeyId };
+    });
+    
+    console.log(`🔐 Encryption key ${result.created ? 'registered' : 'rotated'} for license: ${licenseKey.substring(0, 8)}... (${key_id})`);
+    return result;
+    
+  } catch (error) {
+    if (!ENCRYPTION_ERROR_CODES.includes(error.code)) {
+      console.error('Error setting encryption key:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para desativar a criptografia de uma licença (exige confirmar a chave atual)
+// Retorna false se a licença não tinha chave registrada
+async function deleteEncryptionKey(licenseKey, expectedKeyId) {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT key_id FROM encryption_keys WHERE license_key = $1 FOR UPDATE',
+        [licenseKey]
+      );
+      
+      if (existing.rows.length === 0) {
+        return false;
+      }
+      
+      if (existing.rows[0].key_id !== expectedKeyId) {
+        throw encryptionError('ENCRYPTION_KEY_MISMATCH', 'expected_key_id does not match the current key', existing.rows[0].key_id);
+      }
+      
+      await client.query('DELETE FROM encryption_keys WHERE license_key = $1', [licenseKey]);
+      await recordChange(client, licenseKey, 'encryption', 'key', 'delete');
+      return true;
+    });
+    
+    if (deleted) {
+      console.log(`🔓 Encryption disabled for license: ${licenseKey.substring(0, 8)}...`);
+    }
+    return deleted;
+    
+  } catch (error) {
+    if (!ENCRYPTION_ERROR_CODES.includes(error.code)) {
+      console.error('Error deleting encryption key:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Nomes das tags de uma nota (usado com a tabela notes no FROM/RETURNING)
+const NOTE_TAG_NAMES_SQL = `ARRAY(
+  SELECT tags.name FROM note_tags 
+  JOIN tags ON tags.license_key = note_tags.license_key AND tags.id = note_tags.tag_id 
+  WHERE note_tags.license_key = notes.license_key AND note_tags.note_id = notes.id 
+  ORDER BY lower(tags.name)
+)`;
+
+// E-mail de quem fez a última alteração da nota (a licença em si nunca é exposta)
+const NOTE_UPDATED_BY_SQL = '(SELECT users.email FROM users WHERE users.license_key = notes.updated_by)';
+
+// Colunas retornadas para notas (sem a licença)
+const NOTE_COLUMNS = `id, folder_id, ${NOTE_TAG_NAMES_SQL} AS tags, title, body, revision, created_at, updated_at, ${NOTE_UPDATED_BY_SQL} AS updated_by`;
+
+// Normalizar linha de nota (BIGINT chega como string do pg)
+function formatNote(row) {
+  return row ? { ...row, revision: Number(row.revision) } : null;
+}
+
+// Erro para pasta inexistente referenciada por uma nota ou subpasta
+function folderNotFoundError(folderId) {
+  const error = new Error(`Folder not found: ${folderId}`);
+  error.code = 'FOLDER_NOT_FOUND';
+  error.folderId = folderId;
+  return error;
+}
+
+// Garantir que a pasta informada existe (null = raiz)
+async function assertFolderExists(client, licenseKey, folderId) {
+  if (folderId === null || folderId === undefined) {
+    return;
+  }
+  
+  const result = await client.query(
+    'SELECT 1 FROM folders WHERE license_key = $1 AND id = $2',
+    [licenseKey, folderId]
+  );
+  
+  if (result.rows.length === 0) {
+    throw folderNotFoundError(folderId);
+  }
+}
+
+// Função para listar notas de uma licença
+// folderId: undefined = todas, null = só as da raiz; tags: nomes exigidos (todos)
+async function listNotes(licenseKey, { folderId, tags = [], limit = 100, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const params = [licenseKey];
+    let where = 'license_key = $1 AND deleted_at IS NULL';
+    
+    if (folderId !== undefined) {
+      params.push(folderId);
+      where += ` AND folder_id IS NOT DISTINCT FROM $${params.length}`;
+    }
+    
+    if (tags.length > 0) {
+      params.push(tags.map(tag => tag.toLowerCase()));
+      where += ` AND ARRAY(SELECT lower(tag) FROM unnest(${NOTE_TAG_NAMES_SQL}) AS tag) @> $${params.length}::text[]`;
+    }
+    
+    const total = await client.query(`SELECT COUNT(*)::int AS count FROM notes WHERE ${where}`, params);
+    
+    const result = await client.query(`
+      SELECT ${NOTE_COLUMNS} 
+      FROM notes 
+      WHERE ${where} 
+      ORDER BY updated_at DESC, id 
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    
+    return { notes: result.rows.map(formatNote), total: total.rows[0].count };
+    
+  } catch (error) {
+    console.error('Error listing notes:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para percorrer as notas de uma licença em lotes, em ordem de id (exportação)
+// Paginação por chave (after = último id do lote anterior) para não carregar a conta inteira
+async function listNotesForExport(licenseKey, { after = null, limit = 200 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${NOTE_COLUMNS} 
+      FROM notes 
+      WHERE license_key = $1 AND deleted_at IS NULL AND ($2::text IS NULL OR id > $2) 
+      ORDER BY id 
+      LIMIT $3
+    `, [licenseKey, after, limit]);
+    
+    return result.rows.map(formatNote);
+    
+  } catch (error) {
+    console.error('Error listing notes for export:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Buscar uma nota (fora da lixeira) usando um client já aberto
+async function selectNoteWithClient(client, licenseKey, noteId) {
+  const result = await client.query(
+    `SELECT ${NOTE_COLUMNS} FROM notes WHERE license_key = $1 AND id = $2 AND deleted_at IS NULL`,
+    [licenseKey, noteId]
+  );
+  
+  return formatNote(result.rows[0]);
+}
+
+// Função para buscar uma nota específica
+async function getNote(licenseKey, noteId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    return await selectNoteWithClient(client, licenseKey, noteId);
+    
+  } catch (error) {
+    console.error('Error getting note:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Substituir as tags de uma nota pelos nomes informados usando um client já em transação
+// Tags que ainda não existem são criadas (nomes comparados sem diferenciar maiúsculas)
+async function setNoteTagsWithClient(client, licenseKey, noteId, names) {
+  const tagIds = [];
+  
+  for (const name of names.map(tagName => tagName.trim())) {
+    const existing = await client.query(
+      'SELECT id FROM tags WHERE license_key = $1 AND lower(name) = lower($2)',
+      [licenseKey, name]
+    );
+    
+    if (existing.rows.length > 0) {
+      tagIds.push(existing.rows[0].id);
+    } else {
+      const tag = await insertTagWithClient(client, licenseKey, { id: crypto.randomUUID(), name });
+      tagIds.push(tag.id);
+    }
+  }
+  
+  await client.query('DELETE FROM note_tags WHERE license_key = $1 AND note_id = $2', [licenseKey, noteId]);
+  
+  if (tagIds.length > 0) {
+    await client.query(`
+      INSERT INTO note_tags (license_key, note_id, tag_id) 
+      SELECT $1, $2, unnest($3::text[]) 
+      ON CONFLICT DO NOTHING
+    `, [licenseKey, noteId, tagIds]);
+  }
+}
+
+// Inserir nota usando um client já em transação
+// Um id que está na lixeira é reaproveitado (a nota antiga é substituída)
+// actor: licença que fez a alteração (outra que não a dona em pastas compartilhadas)
+async function insertNoteWithClient(client, licenseKey, { id, folder_id = null, tags = [], title = '', body = '' }, actor = licenseKey) {
+  await assertPlaintextAllowedWithClient(client, licenseKey);
+  await assertFolderExists(client, licenseKey, folder_id);
+  
+  const revision = await recordChange(client, licenseKey, 'note', id, 'upsert');
+  
+  const result = await client.query(`
+    INSERT INTO notes (id, license_key, folder_id, title, body, revision, updated_by) 
+    VALUES ($1, $2, $3, $4, $5, $6, $7) 
+    ON CONFLICT (license_key, id) 
+    DO UPDATE SET 
+      folder_id = EXCLUDED.folder_id,
+      title = EXCLUDED.title,
+      body = EXCLUDED.body,
+      revision = EXCLUDED.revision,
+      updated_by = EXCLUDED.updated_by,
+      deleted_at = NULL,
+      created_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE notes.deleted_at IS NOT NULL
+    RETURNING id
+  `, [id, licenseKey, folder_id, title, body, revision, actor]);
+  
+  if (result.rows.length === 0) {
+    const error = new Error('Note already exists');
+    error.code = 'NOTE_EXISTS';
+    throw error;
+  }
+  
+  await setNoteTagsWithClient(client, licenseKey, id, tags);
+  
+  return selectNoteWithClient(client, licenseKey, id);
+}
+
+// Atualizar campos informados de uma nota usando um client já em transação
+async function updateNoteWithClient(client, licenseKey, noteId, fields, actor = licenseKey) {
+  const existing = await client.query(
+    'SELECT id FROM notes WHERE license_key = $1 AND id = $2 AND deleted_at IS NULL FOR UPDATE',
+    [licenseKey, noteId]
+  );
+  
+  if (existing.rows.length === 0) {
+    return null;
+  }
+  
+  // Mover uma nota entre pastas não grava texto novo
+  if (fields.title !== undefined || fields.body !== undefined || fields.tags !== undefined) {
+    await assertPlaintextAllowedWithClient(client, licenseKey);
+  }
+  
+  if (fields.folder_id !== undefined) {
+    await assertFolderExists(client, licenseKey, fields.folder_id);
+  }
+  
+  const revision = await recordChange(client, licenseKey, 'note', noteId, 'upsert');
+  
+  await client.query(`
+    UPDATE notes SET 
+      folder_id = CASE WHEN $3 THEN $4 ELSE folder_id END,
+      title = COALESCE($5, title),
+      body = COALESCE($6, body),
+      revision = $7,
+      updated_by = $8,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE license_key = $1 AND id = $2
+  `, [
+    licenseKey,
+    noteId,
+    fields.folder_id !== undefined,
+    fields.folder_id === undefined ? null : fields.folder_id,
+    fields.title === undefined ? null : fields.title,
+    fields.body === undefined ? null : fields.body,
+    revision,
+    actor
+  ]);
+  
+  if (fields.tags !== undefined) {
+    await setNoteTagsWithClient(client, licenseKey, noteId, fields.tags);
+  }
+  
+  return selectNoteWithClient(client, licenseKey, noteId);
+}
+
+// Gerar uma nova revisão para notas cuja representação mudou indiretamente
+// (ex.: tag renomeada ou removida), para que os clientes as baixem de novo
+async function touchNotesWithClient(client, licenseKey, noteIds) {
+  for (const noteId of noteIds) {
+    const revision = await recordChange(client, licenseKey, 'note', noteId, 'upsert');
+    
+    await client.query(
+      'UPDATE notes SET revision = $3 WHERE license_key = $1 AND id = $2',
+      [licenseKey, noteId, revision]
+    );
+  }
+}
+
+// Mover nota para a lixeira usando um client já em transação
+// A linha fica como tombstone e o delete é propagado pelo feed de mudanças
+async function deleteNoteWithClient(client, licenseKey, noteId, actor = licenseKey) {
+  const existing = await client.query(
+    'SELECT id FROM notes WHERE license_key = $1 AND id = $2 AND deleted_at IS NULL FOR UPDATE',
+    [licenseKey, noteId]
+  );
+  
+  if (existing.rows.length === 0) {
+    return null;
+  }
+  
+  const revision = await recordChange(client, licenseKey, 'note', noteId, 'delete');
+  
+  await client.query(`
+    UPDATE notes SET 
+      deleted_at = CURRENT_TIMESTAMP,
+      revision = $3,
+      updated_by = $4
+    WHERE license_key = $1 AND id = $2
+  `, [licenseKey, noteId, revision, actor]);
+  
+  return revision;
+}
+
+// Função para criar uma nota
+async function createNote(licenseKey, note) {
+  try {
+    const created = await withTransaction(client => withinQuotaWithClient(client, licenseKey,
+      () => insertNoteWithClient(client, licenseKey, note)));
+    
+    console.log(`📝 Note created: ${created.id} for license ${licenseKey.substring(0, 8)}...`);
+    return created;
+    
+  } catch (error) {
+    console.error('Error creating note:', error.message);
+    throw error;
+  }
+}
+
+// Função para atualizar campos de uma nota (apenas os informados)
+async function updateNote(licenseKey, noteId, fields) {
+  try {
+    const updated = await withTransaction(client => withinQuotaWithClient(client, licenseKey,
+      () => updateNoteWithClient(client, licenseKey, noteId, fields)));
+    
+    if (updated) {
+      console.log(`📝 Note updated: ${noteId} for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return updated;
+    
+  } catch (error) {
+    console.error('Error updating note:', error.message);
+    throw error;
+  }
+}
+
+// Função para mover uma nota para a lixeira
+async function deleteNote(licenseKey, noteId) {
+  try {
+    const revision = await withTransaction(client => deleteNoteWithClient(client, licenseKey, noteId));
+    
+    if (revision) {
+      console.log(`🗑️  Note moved to trash: ${noteId} for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return revision !== null;
+    
+  } catch (error) {
+    console.error('Error deleting note:', error.message);
+    throw error;
+  }
+}
+
+// Função para aplicar um lote de mudanças de notas em uma única transação
+// changes: [{ op: 'upsert', note: {...} } | { op: 'delete', id }]
+async function applyNoteChanges(licenseKey, changes) {
+  try {
+    const results = await withTransaction(client => withinQuotaWithClient(client, licenseKey, () =>
+      applyNoteChangesWithClient(client, licenseKey, changes)
+    ));
+    
+    console.log(`🔄 ${results.length} change(s) applied for license ${licenseKey.substring(0, 8)}...`);
+    return results;
+    
+  } catch (error) {
+    console.error('Error applying note changes:', error.message);
+    throw error;
+  }
+}
+
+// Aplicar um lote de mudanças de notas em uma transação já aberta (a cota é conferida por quem chama)
+async function applyNoteChangesWithClient(client, licenseKey, changes) {
+  const applied = [];
+  
+  for (const change of changes) {
+    if (change.op === 'delete') {
+      const revision = await deleteNoteWithClient(client, licenseKey, change.id);
+      applied.push({ id: change.id, op: 'delete', status: revision ? 'deleted' : 'not_found', revision });
+      continue;
+    }
+    
+    const updated = await updateNoteWithClient(client, licenseKey, change.note.id, change.note);
+    if (updated) {
+      applied.push({ id: updated.id, op: 'upsert', status: 'updated', revision: updated.revision });
+    } else {
+      const created = await insertNoteWithClient(client, licenseKey, change.note);
+      applied.push({ id: created.id, op: 'upsert', status: 'created', revision: created.revision });
+    }
+  }
+  
+  return applied;
+}
+
+// Colunas retornadas para pastas e tags (sem a licença)
+const FOLDER_COLUMNS = 'id, parent_id, name, position, revision, created_at, updated_at';
+const TAG_COLUMNS = 'id, name, color, revision, created_at, updated_at';
+
+// Normalizar linhas de pasta e tag (BIGINT chega como string do pg)
+function formatFolder(row) {
+  return row ? { ...row, revision: Number(row.revision) } : null;
+}
+
+function formatTag(row) {
+  return row ? { ...row, revision: Number(row.revision) } : null;
+}
+
+// Pasta informada ($2) e todas as suas descendentes
+const FOLDER_SUBTREE_SQL = `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM folders WHERE license_key = $1 AND id = $2
+    UNION
+    SELECT folders.id FROM folders 
+    JOIN subtree ON folders.parent_id = subtree.id 
+    WHERE folders.license_key = $1
+  )
+`;
+
+// Serializar alterações na árvore de pastas de uma licença (evita ciclos entre moves concorrentes)
+async function lockFolderTreeWithClient(client, licenseKey) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('folders'), hashtext($1))", [licenseKey]);
+}
+
+// Garantir que não existe pasta irmã com o mesmo nome (sem diferenciar maiúsculas)
+async function assertFolderNameAvailable(client, licenseKey, parentId, name, exceptId = null) {
+  const result = await client.query(`
+    SELECT 1 FROM folders 
+    WHERE license_key = $1 AND parent_id IS NOT DISTINCT FROM $2 
+    AND lower(name) = lower($3) AND id IS DISTINCT FROM $4
+  `, [licenseKey, parentId, name, exceptId]);
+  
+  if (result.rows.length > 0) {
+    const error = new Error('A folder with this name already exists here');
+    error.code = 'FOLDER_NAME_TAKEN';
+    throw error;
+  }
+}
+
+// Posição logo após a última pasta irmã
+async function nextFolderPositionWithClient(client, licenseKey, parentId) {
+  const result = await client.query(`
+    SELECT COALESCE(MAX(position) + 1, 0) AS position 
+    FROM folders 
+    WHERE license_key = $1 AND parent_id IS NOT DISTINCT FROM $2
+  `, [licenseKey, parentId]);
+  
+  return result.rows[0].position;
+}
+
+// Abrir espaço em uma posição já ocupada empurrando as pastas irmãs seguintes
+async function shiftFolderPositionsWithClient(client, licenseKey, parentId, position, exceptId = null) {
+  const occupied = await client.query(`
+    SELECT 1 FROM folders 
+    WHERE license_key = $1 AND parent_id IS NOT DISTINCT FROM $2 AND position = $3 AND id IS DISTINCT FROM $4
+  `, [licenseKey, parentId, position, exceptId]);
+  
+  if (occupied.rows.length === 0) {
+    return;
+  }
+  
+  const shifted = await client.query(`
+    UPDATE folders SET position = position + 1 
+    WHERE license_key = $1 AND parent_id IS NOT DISTINCT FROM $2 AND position >= $3 AND id IS DISTINCT FROM $4 
+    RETURNING id
+  `, [licenseKey, parentId, position, exceptId]);
+  
+  for (const row of shifted.rows) {
+    const revision = await recordChange(client, licenseKey, 'folder', row.id, 'upsert');
+    await client.query(
+      'UPDATE folders SET revision = $3 WHERE license_key = $1 AND id = $2',
+      [licenseKey, row.id, revision]
+    );
+  }
+}
+
+// Função para listar as pastas de uma licença (lista plana, ordenada por pai e posição)
+async function listFolders(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${FOLDER_COLUMNS.split(', ').map(column => `folders.${column}`).join(', ')}, 
+        COUNT(notes.id)::int AS note_count 
+      FROM folders 
+      LEFT JOIN notes ON notes.license_key = folders.license_key 
+        AND notes.folder_id = folders.id AND notes.deleted_at IS NULL 
+      WHERE folders.license_key = $1 
+      GROUP BY folders.license_key, folders.id 
+      ORDER BY folders.parent_id NULLS FIRST, folders.position, lower(folders.name)
+    `, [licenseKey]);
+    
+    return result.rows.map(formatFolder);
+    
+  } catch (error) {
+    console.error('Error listing folders:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para buscar uma pasta específica
+async function getFolder(licenseKey, folderId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      `SELECT ${FOLDER_COLUMNS} FROM folders WHERE license_key = $1 AND id = $2`,
+      [licenseKey, folderId]
+    );
+    
+    return formatFolder(result.rows[0]);
+    
+  } catch (error) {
+    console.error('Error getting folder:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para criar uma pasta
+// Sem position, a pasta vai para o fim da lista de irmãs
+async function createFolder(licenseKey, { id, parent_id = null, name, position }) {
+  try {
+    const created = await withTransaction(async (client) => {
+      await lockFolderTreeWithClient(client, licenseKey);
+      await assertPlaintextAllowedWithClient(client, licenseKey);
+      
+      const existing = await client.query(
+        'SELECT 1 FROM folders WHERE license_key = $1 AND id = $2',
+        [licenseKey, id]
+      );
+      
+      if (existing.rows.length > 0) {
+        const error = new Error('Folder already exists');
+        error.code = 'FOLDER_EXISTS';
+        throw error;
+      }
+      
+      await assertFolderExists(client, licenseKey, parent_id);
+      await assertFolderNameAvailable(client, licenseKey, parent_id, name);
+      
+      let targetPosition = position;
+      if (targetPosition === undefined) {
+        targetPosition = await nextFolderPositionWithClient(client, licenseKey, parent_id);
+      } else {
+        await shiftFolderPositionsWithClient(client, licenseKey, parent_id, targetPosition);
+      }
+      
+      const revision = await recordChange(client, licenseKey, 'folder', id, 'upsert');
+      
+      const result = await client.query(`
+        INSERT INTO folders (id, license_key, parent_id, name, position, revision) 
+        VALUES ($1, $2, $3, $4, $5, $6) 
+        RETURNING ${FOLDER_COLUMNS}
+      `, [id, licenseKey, parent_id, name, targetPosition, revision]);
+      
+      return formatFolder(result.rows[0]);
+    });
+    
+    console.log(`📁 Folder created: ${created.id} for license ${licenseKey.substring(0, 8)}...`);
+    return created;
+    
+  } catch (error) {
+    console.error('Error creating folder:', error.message);
+    throw error;
+  }
+}
+
+// Função para renomear, mover e/ou reordenar uma pasta em uma única operação
+// Mover para dentro de si mesma ou de uma descendente é recusado (FOLDER_CYCLE)
+async function updateFolder(licenseKey, folderId, fields) {
+  try {
+    const updated = await withTransaction(async (client) => {
+      await lockFolderTreeWithClient(client, licenseKey);
+      
+      const existing = await client.query(
+        `SELECT ${FOLDER_COLUMNS} FROM folders WHERE license_key = $1 AND id = $2`,
+        [licenseKey, folderId]
+      );
+      
+      if (existing.rows.length === 0) {
+        return null;
+      }
+      
+      if (fields.name !== undefined) {
+        await assertPlaintextAllowedWithClient(client, licenseKey);
+      }
+      
+      const current = existing.rows[0];
+      const parentId = fields.parent_id === undefined ? current.parent_id : fields.parent_id;
+      const name = fields.name === undefined ? current.name : fields.name;
+      const moved = parentId !== current.parent_id;
+      
+      if (moved && parentId !== null) {
+        await assertFolderExists(client, licenseKey, parentId);
+        
+        const cycle = await client.query(
+          `${FOLDER_SUBTREE_SQL} SELECT 1 FROM subtree WHERE id = $3`,
+          [licenseKey, folderId, parentId]
+        );
+        
+        if (cycle.rows.length > 0) {
+          const error = new Error('A folder cannot be moved into itself or one of its subfolders');
+          error.code = 'FOLDER_CYCLE';
+          throw error;
+        }
+      }
+      
+      if (moved || name !== current.name) {
+        await assertFolderNameAvailable(client, licenseKey, parentId, name, folderId);
+      }
+      
+      let position = current.position;
+      if (fields.position !== undefined) {
+        position = fields.position;
+        await shiftFolderPositionsWithClient(client, licenseKey, parentId, position, folderId);
+      } else if (moved) {
+        position = await nextFolderPositionWithClient(client, licenseKey, parentId);
+      }
+      
+      const revision = await recordChange(client, licenseKey, 'folder', folderId, 'upsert');
+      
+      const result = await client.query(`
+        UPDATE folders SET 
+          parent_id = $3,
+          name = $4,
+          position = $5,
+          revision = $6,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE license_key = $1 AND id = $2
+        RETURNING ${FOLDER_COLUMNS}
+      `, [licenseKey, folderId, parentId, name, position, revision]);
+      
+      return formatFolder(result.rows[0]);
+    });
+    
+    if (updated) {
+      console.log(`📁 Folder updated: ${folderId} for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return updated;
+    
+  } catch (error) {
+    console.error('Error updating folder:', error.message);
+    throw error;
+  }
+}
+
+// Função para remover uma pasta e suas subpastas
+// As notas contidas vão para a lixeira (e voltam para a raiz se restauradas)
+// Retorna { folders, notes } com as quantidades afetadas, ou null se a pasta não existe
+async function deleteFolder(licenseKey, folderId) {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      await lockFolderTreeWithClient(client, licenseKey);
+      
+      const subtree = await client.query(`${FOLDER_SUBTREE_SQL} SELECT id FROM subtree`, [licenseKey, folderId]);
+      const folderIds = subtree.rows.map(row => row.id);
+      
+      if (folderIds.length === 0) {
+        return null;
+      }
+      
+      const notes = await client.query(
+        'SELECT id FROM notes WHERE license_key = $1 AND folder_id = ANY($2) AND deleted_at IS NULL',
+        [licenseKey, folderIds]
+      );
+      
+      for (const note of notes.rows) {
+        await deleteNoteWithClient(client, licenseKey, note.id);
+      }
+      
+      // Inclui as notas que já estavam na lixeira
+      await client.query(
+        'UPDATE notes SET folder_id = NULL WHERE license_key = $1 AND folder_id = ANY($2)',
+        [licenseKey, folderIds]
+      );
+      
+      for (const id of folderIds) {
+        await recordChange(client, licenseKey, 'folder', id, 'delete');
+      }
+      
+      await client.query(
+        'DELETE FROM folders WHERE license_key = $1 AND id = ANY($2)',
+        [licenseKey, folderIds]
+      );
+      
+      return { folders: folderIds.length, notes: notes.rows.length };
+    });
+    
+    if (deleted) {
+      console.log(`🗑️  Folder deleted: ${folderId} (${deleted.folders} folder(s), ${deleted.notes} note(s) to trash) for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return deleted;
+    
+  } catch (error) {
+    console.error('Error deleting folder:', error.message);
+    throw error;
+  }
+}
+
+// Função para mover várias notas para uma pasta (null = raiz) em uma única transação
+// Retorna { moved: [notas], notFound: [ids] }
+async function moveNotes(licenseKey, noteIds, folderId) {
+  try {
+    const result = await withTransaction(async (client) => {
+      await assertFolderExists(client, licenseKey, folderId);
+      
+      const moved = [];
+      const notFound = [];
+      
+      for (const noteId of noteIds) {
+        const note = await updateNoteWithClient(client, licenseKey, noteId, { folder_id: folderId });
+        if (note) {
+          moved.push(note);
+        } else {
+          notFound.push(noteId);
+        }
+      }
+      
+      return { moved, notFound };
+    });
+    
+    console.log(`📁 ${result.moved.length} note(s) moved to ${folderId || 'root'} for license ${licenseKey.substring(0, 8)}...`);
+    return result;
+    
+  } catch (error) {
+    console.error('Error moving notes:', error.message);
+    throw error;
+  }
+}
+
+// Função para listar as tags de uma licença com a quantidade de notas
+async function listTags(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${TAG_COLUMNS.split(', ').map(column => `tags.${column}`).join(', ')}, 
+        COUNT(notes.id)::int AS note_count 
+      FROM tags 
+      LEFT JOIN note_tags ON note_tags.license_key = tags.license_key AND note_tags.tag_id = tags.id 
+      LEFT JOIN notes ON notes.license_key = note_tags.license_key 
+        AND notes.id = note_tags.note_id AND notes.deleted_at IS NULL 
+      WHERE tags.license_key = $1 
+      GROUP BY tags.license_key, tags.id 
+      ORDER BY lower(tags.name)
+    `, [licenseKey]);
+    
+    return result.rows.map(formatTag);
+    
+  } catch (error) {
+    console.error('Error listing tags:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Erro de tag com id ou nome já em uso
+function tagExistsError() {
+  const error = new Error('Tag already exists');
+  error.code = 'TAG_EXISTS';
+  return error;
+}
+
+// Inserir tag usando um client já em transação (o nome é guardado sem espaços nas pontas)
+async function insertTagWithClient(client, licenseKey, { id, name, color = null }) {
+  await assertPlaintextAllowedWithClient(client, licenseKey);
+  
+  const revision = await recordChange(client, licenseKey, 'tag', id, 'upsert');
+  
+  const result = await client.query(`
+    INSERT INTO tags (id, license_key, name, color, revision) 
+    VALUES ($1, $2, $3, $4, $5) 
+    ON CONFLICT DO NOTHING
+    RETURNING ${TAG_COLUMNS}
+  `, [id, licenseKey, name.trim(), color, revision]);
+  
+  if (result.rows.length === 0) {
+    throw tagExistsError();
+  }
+  
+  return formatTag(result.rows[0]);
+}
+
+// Notas (fora da lixeira) marcadas com uma tag
+async function taggedNoteIdsWithClient(client, licenseKey, tagId) {
+  const result = await client.query(`
+    SELECT notes.id FROM notes 
+    JOIN note_tags ON note_tags.license_key = notes.license_key AND note_tags.note_id = notes.id 
+    WHERE notes.license_key = $1 AND note_tags.tag_id = $2 AND notes.deleted_at IS NULL
+  `, [licenseKey, tagId]);
+  
+  return result.rows.map(row => row.id);
+}
+
+// Função para criar uma tag
+async function createTag(licenseKey, tag) {
+  try {
+    const created = await withTransaction(client => insertTagWithClient(client, licenseKey, tag));
+    
+    console.log(`🏷️  Tag created: ${created.id} for license ${licenseKey.substring(0, 8)}...`);
+    return created;
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      throw tagExistsError();
+    }
+    console.error('Error creating tag:', error.message);
+    throw error;
+  }
+}
+
+// Função para renomear e/ou mudar a cor de uma tag
+// Renomear gera nova revisão das notas marcadas, que exibem as tags pelo nome
+async function updateTag(licenseKey, tagId, { name: rawName, color }) {
+  const name = rawName === undefined ? undefined : rawName.trim();
+  
+  try {
+    const updated = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT name FROM tags WHERE license_key = $1 AND id = $2 FOR UPDATE',
+        [licenseKey, tagId]
+      );
+      
+      if (existing.rows.length === 0) {
+        return null;
+      }
+      
+      if (name !== undefined) {
+        await assertPlaintextAllowedWithClient(client, licenseKey);
+      }
+      
+      if (name !== undefined && name !== existing.rows[0].name) {
+        const taken = await client.query(
+          'SELECT 1 FROM tags WHERE license_key = $1 AND lower(name) = lower($2) AND id <> $3',
+          [licenseKey, name, tagId]
+        );
+        
+        if (taken.rows.length > 0) {
+          throw tagExistsError();
+        }
+        
+        await touchNotesWithClient(client, licenseKey, await taggedNoteIdsWithClient(client, licenseKey, tagId));
+      }
+      
+      const revision = await recordChange(client, licenseKey, 'tag', tagId, 'upsert');
+      
+      const result = await client.query(`
+        UPDATE tags SET 
+          name = COALESCE($3, name),
+          color = CASE WHEN $4 THEN $5 ELSE color END,
+          revision = $6,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE license_key = $1 AND id = $2
+        RETURNING ${TAG_COLUMNS}
+      `, [
+        licenseKey,
+        tagId,
+        name === undefined ? null : name,
+        color !== undefined,
+        color === undefined ? null : color,
+        revision
+      ]);
+      
+      return formatTag(result.rows[0]);
+    });
+    
+    if (updated) {
+      console.log(`🏷️  Tag updated: ${tagId} for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return updated;
+    
+  } catch (error) {
+    // Outra renomeação para o mesmo nome foi confirmada depois da verificação acima (idx_tags_name)
+    if (error.code === '23505') {
+      throw tagExistsError();
+    }
+    console.error('Error updating tag:', error.message);
+    throw error;
+  }
+}
+
+// Função para remover uma tag (e sua associação com as notas)
+async function deleteTag(licenseKey, tagId) {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT 1 FROM tags WHERE license_key = $1 AND id = $2 FOR UPDATE',
+        [licenseKey, tagId]
+      );
+      
+      if (existing.rows.length === 0) {
+        return false;
+      }
+      
+      const noteIds = await taggedNoteIdsWithClient(client, licenseKey, tagId);
+      
+      await recordChange(client, licenseKey, 'tag', tagId, 'delete');
+      await client.query('DELETE FROM tags WHERE license_key = $1 AND id = $2', [licenseKey, tagId]);
+      await touchNotesWithClient(client, licenseKey, noteIds);
+      
+      return true;
+    });
+    
+    if (deleted) {
+      console.log(`🏷️  Tag deleted: ${tagId} for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return deleted;
+    
+  } catch (error) {
+    console.error('Error deleting tag:', error.message);
+    throw error;
+  }
+}
+
+// Colunas retornadas para anexos (sem a licença)
+const ATTACHMENT_COLUMNS = 'id, mime_type, size, filename, revision, created_at';
+
+// Normalizar linha de anexo (BIGINT chega como string do pg)
+function formatAttachment(row) {
+  return row ? { ...row, size: Number(row.size), revision: Number(row.revision) } : null;
+}
+
+// Serializar gravação e remoção do conteúdo de um hash (compartilhado entre licenças)
+async function lockAttachmentContentWithClient(client, hash) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('attachments'), hashtext($1))", [hash]);
+}
+
+// Função para registrar um anexo da licença
+// storeContent grava o conteúdo no armazenamento e só é chamada para anexos novos
+// Retorna { attachment, created }; reenviar o mesmo conteúdo devolve o anexo existente
+async function createAttachment(licenseKey, { id, mime_type, size, filename = null }, storeContent) {
+  try {
+    const result = await withTransaction(async (client) => {
+      await lockAttachmentContentWithClient(client, id);
+      
+      const existing = await client.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE license_key = $1 AND id = $2`,
+        [licenseKey, id]
+      );
+      
+      if (existing.rows.length > 0) {
+        return { attachment: formatAttachment(existing.rows[0]), created: false };
+      }
+      
+      // Verificar a cota antes de gravar o conteúdo no armazenamento
+      const usage = await lockUsageWithClient(client, licenseKey);
+      if (usage.total + size > usage.quota) {
+        throw quotaExceededError(usage);
+      }
+      
+      await storeContent();
+      
+      const revision = await recordChange(client, licenseKey, 'attachment', id, 'upsert');
+      
+      const inserted = await client.query(`
+        INSERT INTO attachments (id, license_key, mime_type, size, filename, revision) 
+        VALUES ($1, $2, $3, $4, $5, $6) 
+        RETURNING ${ATTACHMENT_COLUMNS}
+      `, [id, licenseKey, mime_type, size, filename, revision]);
+      
+      return { attachment: formatAttachment(inserted.rows[0]), created: true };
+    });
+    
+    if (result.created) {
+      console.log(`📎 Attachment stored: ${id.substring(0, 12)}... (${size} bytes) for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return result;
+    
+  } catch (error) {
+    if (error.code !== 'QUOTA_EXCEEDED') {
+      console.error('Error creating attachment:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para buscar os metadados de um anexo
+async function getAttachment(licenseKey, attachmentId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE license_key = $1 AND id = $2`,
+      [licenseKey, attachmentId]
+    );
+    
+    return formatAttachment(result.rows[0]);
+    
+  } catch (error) {
+    console.error('Error getting attachment:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para listar os anexos de uma licença (mais recentes primeiro)
+async function listAttachments(licenseKey, { limit = 100, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const totals = await client.query(
+      'SELECT COUNT(*)::int AS count, COALESCE(SUM(size), 0) AS size FROM attachments WHERE license_key = $1',
+      [licenseKey]
+    );
+    
+    const result = await client.query(`
+      SELECT ${ATTACHMENT_COLUMNS} 
+      FROM attachments 
+      WHERE license_key = $1 
+      ORDER BY created_at DESC, id 
+      LIMIT $2 OFFSET $3
+    `, [licenseKey, limit, offset]);
+    
+    return {
+      attachments: result.rows.map(formatAttachment),
+      total: totals.rows[0].count,
+      totalSize: Number(totals.rows[0].size)
+    };
+    
+  } catch (error) {
+    console.error('Error listing attachments:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para remover um anexo da licença
+// removeContent apaga o conteúdo do armazenamento quando nenhuma licença usa mais o hash
+async function deleteAttachment(licenseKey, attachmentId, removeContent) {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      await lockAttachmentContentWithClient(client, attachmentId);
+      
+      const result = await client.query(
+        'DELETE FROM attachments WHERE license_key = $1 AND id = $2',
+        [licenseKey, attachmentId]
+      );
+      
+      if (result.rowCount === 0) {
+        return false;
+      }
+      
+      await recordChange(client, licenseKey, 'attachment', attachmentId, 'delete');
+      
+      const remaining = await client.query('SELECT 1 FROM attachments WHERE id = $1 LIMIT 1', [attachmentId]);
+      if (remaining.rows.length === 0) {
+        await removeContent();
+      }
+      
+      return true;
+    });
+    
+    if (deleted) {
+      console.log(`🗑️  Attachment deleted: ${attachmentId.substring(0, 12)}... for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return deleted;
+    
+  } catch (error) {
+    console.error('Error deleting attachment:', error.message);
+    throw error;
+  }
+}
+
+// Entidades do feed cujo estado atual acompanha as mudanças de upsert
+const FEED_ENTITIES = {
+  note: { table: 'notes', columns: NOTE_COLUMNS, filter: 'AND deleted_at IS NULL', format: formatNote },
+  folder: { table: 'folders', columns: FOLDER_COLUMNS, filter: '', format: formatFolder },
+  tag: { table: 'tags', columns: TAG_COLUMNS, filter: '', format: formatTag },
+  attachment: { table: 'attachments', columns: ATTACHMENT_COLUMNS, filter: '', format: formatAttachment }
+};
+
+// Função para buscar mudanças posteriores a um cursor (revisão)
+// Várias mudanças da mesma entidade na página são condensadas na última
+// Cursor anterior às mudanças já apagadas por pruneSyncChanges retorna { expired: true, cursor }
+// com a revisão atual: o cliente precisa baixar tudo de novo e continuar a partir dela
+async function getChangesSince(licenseKey, since = 0, limit = 500) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const pruned = await client.query('SELECT pruned_through FROM sync_changes_pruned WHERE license_key = $1', [licenseKey]);
+    if (pruned.rows.length > 0 && since < Number(pruned.rows[0].pruned_through)) {
+      const latest = await client.query(
+        'SELECT COALESCE(MAX(revision), 0) AS revision FROM sync_changes WHERE license_key = $1',
+        [licenseKey]
+      );
+      return { changes: [], cursor: Number(latest.rows[0].revision), hasMore: false, expired: true };
+    }
+    
+    const result = await client.query(`
+      SELECT revision, entity_type, entity_id, operation, created_at 
+      FROM sync_changes 
+      WHERE license_key = $1 AND revision > $2 
+      ORDER BY revision 
+      LIMIT $3
+    `, [licenseKey, since, limit]);
+    
+    const latestByEntity = new Map();
+    result.rows.forEach(row => {
+      latestByEntity.set(`${row.entity_type}:${row.entity_id}`, row);
+    });
+    
+    // Buscar o estado atual das entidades alteradas
+    const currentByType = {};
+    for (const [type, entity] of Object.entries(FEED_ENTITIES)) {
+      const ids = [...latestByEntity.values()]
+        .filter(row => row.entity_type === type && row.operation === 'upsert')
+        .map(row => row.entity_id);
+      
+      currentByType[type] = new Map();
+      if (ids.length > 0) {
+        const rows = await client.query(
+          `SELECT ${entity.columns} FROM ${entity.table} WHERE license_key = $1 AND id = ANY($2) ${entity.filter}`,
+          [licenseKey, ids]
+        );
+        rows.rows.forEach(row => currentByType[type].set(row.id, entity.format(row)));
+      }
+    }
+    
+    const changes = [];
+    [...latestByEntity.values()]
+      .sort((a, b) => Number(a.revision) - Number(b.revision))
+      .forEach(row => {
+        const change = {
+          revision: Number(row.revision),
+          type: row.entity_type,
+          id: row.entity_id,
+          op: row.operation,
+          changed_at: row.created_at
+        };
+        
+        const current = currentByType[row.entity_type];
+        if (current && row.operation === 'upsert') {
+          // Entidade removida depois desta mudança: o delete aparece em uma página seguinte
+          if (!current.has(row.entity_id)) {
+            return;
+          }
+          change[row.entity_type] = current.get(row.entity_id);
+        }
+        
+        changes.push(change);
+      });
+    
+    const lastRow = result.rows[result.rows.length - 1];
+    
+    return {
+      changes,
+      cursor: lastRow ? Number(lastRow.revision) : since,
+      hasMore: result.rows.length === limit
+    };
+    
+  } catch (error) {
+    console.error('Error getting changes:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para buscar a revisão mais recente do feed de uma licença (0 se não houver mudanças)
+async function getLatestRevision(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      'SELECT COALESCE(MAX(revision), 0) AS revision FROM sync_changes WHERE license_key = $1',
+      [licenseKey]
+    );
+    
+    return Number(result.rows[0].revision);
+    
+  } catch (error) {
+    console.error('Error getting latest revision:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Escapar HTML no SQL para os trechos destacados serem seguros de exibir
+const ESCAPE_HTML_SQL = (column) => `replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+// Função de busca full-text nas notas de uma licença
+// Inclui as notas individuais e as enviadas pelo upload de dados (source 'note' / 'sync')
+async function searchNotes(licenseKey, tsQuery, { folderId, tags = [], limit = 20, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const params = [licenseKey, tsQuery, limit, offset];
+    const filters = [];
+    
+    // Notas sincronizadas só têm o valor de pasta do payload (id ou nome)
+    if (folderId !== undefined) {
+      params.push(folderId);
+      filters.push(`AND (folder_id = $${params.length} OR (source = 'sync' AND folder IN (
+        $${params.length}, (SELECT name FROM folders WHERE license_key = $1 AND id = $${params.length})
+      )))`);
+    }
+    
+    if (tags.length > 0) {
+      params.push(tags.map(tag => tag.toLowerCase()));
+      filters.push(`AND ARRAY(SELECT lower(tag) FROM unnest(tags) AS tag) @> $${params.length}::text[]`);
+    }
+    
+    const result = await client.query(`
+      WITH documents AS (
+        SELECT 'note' AS source, notes.id, notes.folder_id, folders.name AS folder, ${NOTE_TAG_NAMES_SQL} AS tags, 
+          notes.title, notes.body, notes.updated_at, notes.search_vector 
+        FROM notes 
+        LEFT JOIN folders ON folders.license_key = notes.license_key AND folders.id = notes.folder_id 
+        WHERE notes.license_key = $1 AND notes.deleted_at IS NULL
+        UNION ALL
+        SELECT 'sync' AS source, note_id, NULL, folder, tags, title, body, updated_at, search_vector 
+        FROM synced_notes_index 
+        WHERE license_key = $1
+      ),
+      matches AS (
+        SELECT documents.*, 
+          ts_rank_cd(search_vector, query) AS rank,
+          COUNT(*) OVER() AS total
+        FROM documents, to_tsquery('simple', $2) AS query
+        WHERE search_vector @@ query ${filters.join(' ')}
+        ORDER BY rank DESC, updated_at DESC, id
+        LIMIT $3 OFFSET $4
+      )
+      SELECT source, id, folder_id, folder, tags, title, updated_at, rank, total,
+        ts_headline('simple', ${ESCAPE_HTML_SQL('title')}, query, 
+          'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title_snippet,
+        ts_headline('simple', ${ESCAPE_HTML_SQL('body')}, query, 
+          'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "') AS body_snippet
+      FROM matches, to_tsquery('simple', $2) AS query
+      ORDER BY rank DESC, updated_at DESC, id
+    `, params);
+    
+    return {
+      results: result.rows.map(row => ({
+        id: row.id,
+        source: row.source,
+        folder_id: row.folder_id,
+        folder: row.folder,
+        tags: row.tags,
+        title: row.title,
+        rank: Number(row.rank),
+        snippet: {
+          title: row.title_snippet,
+          body: row.body_snippet
+        },
+        updated_at: row.updated_at
+      })),
+      total: result.rows.length > 0 ? Number(result.rows[0].total) : 0
+    };
+    
+  } catch (error) {
+    console.error('Error searching notes:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para listar as notas na lixeira (mais recentes primeiro)
+// Inclui as notas individuais e as que sumiram dos dados em bloco (source 'note' / 'sync')
+async function listTrashedNotes(licenseKey, { limit = 100, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT 'note' AS source, ${NOTE_COLUMNS}, NULL AS folder, deleted_at 
+      FROM notes 
+      WHERE license_key = $1 AND deleted_at IS NOT NULL 
+      UNION ALL
+      SELECT 'sync' AS source, note_id, NULL, tags, title, body, NULL, NULL, deleted_at, NULL, folder, deleted_at 
+      FROM synced_notes_trash 
+      WHERE license_key = $1 
+      ORDER BY deleted_at DESC, id 
+      LIMIT $2 OFFSET $3
+    `, [licenseKey, limit, offset]);
+    
+    return result.rows.map(row => (row.source === 'sync' ? row : formatNote(row)));
+    
+  } catch (error) {
+    console.error('Error listing trash:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Restaurar uma nota que sumiu dos dados em bloco: ela volta para user_data 'notes' em uma nova versão
+// Retorna { source: 'sync', id, content, version } ou null se a nota não está na lixeira
+async function restoreTrashedSyncedNoteWithClient(client, licenseKey, noteId) {
+  const trashed = await client.query(
+    'SELECT content FROM synced_notes_trash WHERE license_key = $1 AND note_id = $2 FOR UPDATE',
+    [licenseKey, noteId]
+  );
+  
+  if (trashed.rows.length === 0) {
+    return null;
+  }
+  
+  const current = await client.query(
+    "SELECT content FROM user_data WHERE license_key = $1 AND data_type = 'notes' FOR UPDATE",
+    [licenseKey]
+  );
+  const currentContent = current.rows.length > 0 ? current.rows[0].content : null;
+  
+  const map = isEncryptedEnvelope(currentContent) ? null : toNoteMap(currentContent);
+  if (!map) {
+    const error = new Error('Synced notes data cannot be merged with the restored note');
+    error.code = 'NOT_MERGEABLE';
+    throw error;
+  }
+  
+  const content = trashed.rows[0].content;
+  map.notes.set(noteId, content);
+  
+  const planType = await getActivePlanWithClient(client, licenseKey);
+  const saved = await withinQuotaWithClient(client, licenseKey, () => saveUserDataWithClient(
+    client,
+    licenseKey,
+    planType,
+    'notes',
+    prepareDataPayload('notes', fromNoteMap(map.shape || 'array', map.notes, map.extras)),
+    { source: 'restore' }
+  ));
+  
+  return { source: 'sync', id: noteId, content, version: saved.version };
+}
+
+// Função para restaurar uma nota da lixeira
+async function restoreTrashedNote(licenseKey, noteId) {
+  try {
+    const restored = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT id FROM notes WHERE license_key = $1 AND id = $2 AND deleted_at IS NOT NULL FOR UPDATE',
+        [licenseKey, noteId]
+      );
+      
+      if (existing.rows.length === 0) {
+        return restoreTrashedSyncedNoteWithClient(client, licenseKey, noteId);
+      }
+      
+      const revision = await recordChange(client, licenseKey, 'note', noteId, 'upsert');
+      
+      const result = await client.query(`
+        UPDATE notes SET 
+          deleted_at = NULL,
+          revision = $3,
+          updated_by = $1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE license_key = $1 AND id = $2
+        RETURNING ${NOTE_COLUMNS}
+      `, [licenseKey, noteId, revision]);
+      
+      return formatNote(result.rows[0]);
+    });
+    
+    if (restored) {
+      console.log(`♻️  Note restored from trash: ${noteId} for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return restored;
+    
+  } catch (error) {
+    console.error('Error restoring note:', error.message);
+    throw error;
+  }
+}
+
+// Função para apagar definitivamente notas da lixeira
+// Sem noteId, esvazia a lixeira inteira da licença
+async function purgeTrashedNotes(licenseKey, noteId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = noteId === undefined
+      ? await client.query(
+        'DELETE FROM notes WHERE license_key = $1 AND deleted_at IS NOT NULL',
+        [licenseKey]
+      )
+      : await client.query(
+        'DELETE FROM notes WHERE license_key = $1 AND id = $2 AND deleted_at IS NOT NULL',
+        [licenseKey, noteId]
+      );
+    
+    const synced = noteId === undefined
+      ? await client.query('DELETE FROM synced_notes_trash WHERE license_key = $1', [licenseKey])
+      : await client.query(
+        'DELETE FROM synced_notes_trash WHERE license_key = $1 AND note_id = $2',
+        [licenseKey, noteId]
+      );
+    
+    const purged = result.rowCount + synced.rowCount;
+    console.log(`🔥 ${purged} note(s) purged from trash for license ${licenseKey.substring(0, 8)}...`);
+    return purged;
+    
+  } catch (error) {
+    console.error('Error purging trash:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para apagar definitivamente notas na lixeira há mais de N dias (todas as licenças)
+// Os tombstones continuam no feed de mudanças para os dispositivos que ainda não sincronizaram
+async function purgeExpiredTrash(retentionDays) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      `DELETE FROM notes WHERE deleted_at IS NOT NULL AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [retentionDays]
+    );
+    
+    const synced = await client.query(
+      'DELETE FROM synced_notes_trash WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+      [retentionDays]
+    );
+    
+    return result.rowCount + synced.rowCount;
+    
+  } catch (error) {
+    console.error('Error purging expired trash:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para apagar as mudanças do feed mais antigas que retentionDays dias
+// A mudança mais recente de cada licença é mantida (ela é o cursor atual da licença); a última
+// revisão apagada fica em sync_changes_pruned para getChangesSince recusar cursores anteriores
+// Retorna o número de mudanças apagadas
+async function pruneSyncChanges(retentionDays) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      WITH pruned AS (
+        DELETE FROM sync_changes AS s 
+        WHERE s.created_at < CURRENT_TIMESTAMP - make_interval(days => $1) 
+          AND s.revision < (SELECT MAX(revision) FROM sync_changes WHERE license_key = s.license_key) 
+        RETURNING s.license_key, s.revision
+      ), horizons AS (
+        INSERT INTO sync_changes_pruned (license_key, pruned_through) 
+        SELECT license_key, MAX(revision) FROM pruned GROUP BY license_key 
+        ON CONFLICT (license_key) DO UPDATE SET 
+          pruned_through = GREATEST(sync_changes_pruned.pruned_through, EXCLUDED.pruned_through), 
+          pruned_at = CURRENT_TIMESTAMP
+      )
+      SELECT COUNT(*) AS count FROM pruned
+    `, [retentionDays]);
+    
+    return Number(result.rows[0].count);
+    
+  } catch (error) {
+    console.error('Error pruning sync changes:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Colunas retornadas para links de compartilhamento (sem a licença nem o hash da senha)
+const SHARE_COLUMNS = `shares.token, shares.note_id, shares.folder_id, 
+  (shares.password_hash IS NOT NULL) AS has_password, shares.expires_at, 
+  (shares.expires_at IS NOT NULL AND shares.expires_at <= CURRENT_TIMESTAMP) AS expired, 
+  shares.view_count, shares.last_viewed_at, shares.created_at`;
+
+// Normalizar linha de link (BIGINT chega como string do pg)
+function formatShare(row) {
+  return row ? { ...row, view_count: Number(row.view_count) } : null;
+}
+
+// Erro para nota ou pasta inexistente ao criar um link
+function shareTargetNotFoundError(message) {
+  const error = new Error(message);
+  error.code = 'SHARE_TARGET_NOT_FOUND';
+  return error;
+}
+
+// Função para criar um link público de uma nota ou pasta (token aleatório, não adivinhável)
+// passwordHash já vem calculado pela API; o servidor nunca guarda a senha
+async function createShare(licenseKey, { note_id = null, folder_id = null, passwordHash = null, expires_at = null }) {
+  try {
+    const share = await withTransaction(async (client) => {
+      await assertPlaintextAllowedWithClient(client, licenseKey);
+      
+      let title;
+      
+      if (note_id) {
+        const note = await selectNoteWithClient(client, licenseKey, note_id);
+        if (!note) {
+          throw shareTargetNotFoundError(`Note not found: ${note_id}`);
+        }
+        title = note.title;
+      } else {
+        const folder = await client.query(
+          'SELECT name FROM folders WHERE license_key = $1 AND id = $2',
+          [licenseKey, folder_id]
+        );
+        if (folder.rows.length === 0) {
+          throw shareTargetNotFoundError(`Folder not found: ${folder_id}`);
+        }
+        title = folder.rows[0].name;
+      }
+      
+      const result = await client.query(`
+        INSERT INTO shares (token, license_key, note_id, folder_id, password_hash, expires_at) 
+        VALUES ($1, $2, $3, $4, $5, $6) 
+        RETURNING ${SHARE_COLUMNS}
+      `, [crypto.randomBytes(24).toString('base64url'), licenseKey, note_id, folder_id, passwordHash, expires_at]);
+      
+      return { ...formatShare(result.rows[0]), title };
+    });
+    
+    console.log(`🔗 Share link created for ${note_id ? `note ${note_id}` : `folder ${folder_id}`} for license ${licenseKey.substring(0, 8)}...`);
+    return share;
+    
+  } catch (error) {
+    if (error.code !== 'SHARE_TARGET_NOT_FOUND') {
+      console.error('Error creating share link:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para listar os links de uma licença (inclusive os expirados), com o título atual do conteúdo
+async function listShares(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${SHARE_COLUMNS}, COALESCE(notes.title, folders.name) AS title 
+      FROM shares 
+      LEFT JOIN notes ON notes.license_key = shares.license_key AND notes.id = shares.note_id 
+      LEFT JOIN folders ON folders.license_key = shares.license_key AND folders.id = shares.folder_id 
+      WHERE shares.license_key = $1 
+      ORDER BY shares.created_at DESC, shares.token
+    `, [licenseKey]);
+    
+    return result.rows.map(formatShare);
+    
+  } catch (error) {
+    console.error('Error listing share links:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para revogar um link; retorna false se ele não existe
+async function deleteShare(licenseKey, token) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      'DELETE FROM shares WHERE license_key = $1 AND token = $2',
+      [licenseKey, token]
+    );
+    
+    if (result.rowCount > 0) {
+      console.log(`🔗 Share link revoked for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return result.rowCount > 0;
+    
+  } catch (error) {
+    console.error('Error revoking share link:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para buscar um link pelo token (acesso público)
+// Links de licenças inativas ou com criptografia de ponta a ponta são tratados como inexistentes
+async function getShareByToken(token) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${SHARE_COLUMNS}, shares.license_key, shares.password_hash 
+      FROM shares 
+      JOIN users ON users.license_key = shares.license_key AND ${activeLicenseSql()} 
+      WHERE shares.token = $1 
+      AND NOT EXISTS (SELECT 1 FROM encryption_keys WHERE encryption_keys.license_key = shares.license_key)
+    `, [token]);
+    
+    return formatShare(result.rows[0]);
+    
+  } catch (error) {
+    console.error('Error getting share link:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para carregar o conteúdo de um link: a nota, ou a pasta com subpastas e notas
+// Retorna null se a nota está na lixeira; limit corta pastas muito grandes (truncated = true)
+async function getSharedContent(share, { limit = 500 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    if (share.note_id) {
+      const note = await selectNoteWithClient(client, share.license_key, share.note_id);
+      return note ? { note } : null;
+    }
+    
+    const folders = await client.query(`
+      ${FOLDER_SUBTREE_SQL} 
+      SELECT ${FOLDER_COLUMNS} FROM folders 
+      WHERE license_key = $1 AND id IN (SELECT id FROM subtree) 
+      ORDER BY parent_id NULLS FIRST, position, lower(name)
+    `, [share.license_key, share.folder_id]);
+    
+    const folder = folders.rows.find(row => row.id === share.folder_id);
+    if (!folder) {
+      return null;
+    }
+    
+    const notes = await client.query(`
+      SELECT ${NOTE_COLUMNS} 
+      FROM notes 
+      WHERE license_key = $1 AND folder_id = ANY($2) AND deleted_at IS NULL 
+      ORDER BY updated_at DESC, id 
+      LIMIT $3
+    `, [share.license_key, folders.rows.map(row => row.id), limit + 1]);
+    
+    return {
+      folder: formatFolder(folder),
+      folders: folders.rows.filter(row => row !== folder).map(formatFolder),
+      notes: notes.rows.slice(0, limit).map(formatNote),
+      truncated: notes.rows.length > limit
+    };
+    
+  } catch (error) {
+    console.error('Error loading shared content:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para contar uma visualização de um link
+async function recordShareView(token) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    await client.query(
+      'UPDATE shares SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE token = $1',
+      [token]
+    );
+    
+  } catch (error) {
+    console.error('Error recording share view:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Validade de um convite para pasta compartilhada
+const FOLDER_INVITATION_TTL_DAYS = 14;
+
+// Erros das pastas compartilhadas (código + mensagem)
+function sharedFolderError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Função para compartilhar uma pasta da licença (a licença vira membro com papel owner)
+// Pastas aninhadas em outra compartilhada (ou que contêm uma) não podem ser compartilhadas
+async function createSharedFolder(licenseKey, folderId) {
+  try {
+    const shared = await withTransaction(async (client) => {
+      await lockFolderTreeWithClient(client, licenseKey);
+      await assertPlaintextAllowedWithClient(client, licenseKey);
+      await assertFolderExists(client, licenseKey, folderId);
+      
+      // Ancestrais e descendentes da pasta
+      const related = await client.query(`
+        ${FOLDER_SUBTREE_SQL}, 
+        ancestors AS (
+          SELECT id, parent_id FROM folders WHERE license_key = $1 AND id = $2
+          UNION
+          SELECT folders.id, folders.parent_id FROM folders 
+          JOIN ancestors ON folders.id = ancestors.parent_id 
+          WHERE folders.license_key = $1
+        )
+        SELECT 1 FROM shared_folders 
+        WHERE owner_license_key = $1 
+        AND (folder_id IN (SELECT id FROM subtree) OR folder_id IN (SELECT id FROM ancestors))
+      `, [licenseKey, folderId]);
+      
+      if (related.rows.length > 0) {
+        throw sharedFolderError('FOLDER_ALREADY_SHARED', 'This folder, a parent or a subfolder is already shared');
+      }
+      
+      const result = await client.query(`
+        INSERT INTO shared_folders (id, owner_license_key, folder_id) 
+        VALUES ($1, $2, $3) 
+        RETURNING id, folder_id, created_at
+      `, [crypto.randomBytes(12).toString('base64url'), licenseKey, folderId]);
+      
+      await client.query(
+        "INSERT INTO shared_folder_members (shared_folder_id, license_key, role) VALUES ($1, $2, 'owner')",
+        [result.rows[0].id, licenseKey]
+      );
+      
+      return result.rows[0];
+    });
+    
+    console.log(`👥 Folder shared: ${folderId} for license ${licenseKey.substring(0, 8)}...`);
+    return shared;
+    
+  } catch (error) {
+    if (error.code !== 'FOLDER_NOT_FOUND' && error.code !== 'FOLDER_ALREADY_SHARED') {
+      console.error('Error sharing folder:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Colunas de uma pasta compartilhada vista por um membro (folder_id só faz sentido para o dono)
+const SHARED_FOLDER_COLUMNS = `shared_folders.id, folders.name, shared_folder_members.role, 
+  (shared_folders.owner_license_key = shared_folder_members.license_key) AS is_owner, 
+  CASE WHEN shared_folders.owner_license_key = shared_folder_members.license_key THEN shared_folders.folder_id END AS folder_id, 
+  owners.email AS owner_email, 
+  (SELECT COUNT(*)::int FROM shared_folder_members AS members WHERE members.shared_folder_id = shared_folders.id) AS member_count, 
+  shared_folders.created_at`;
+
+// Junções para SHARED_FOLDER_COLUMNS (só pastas cujo dono tem licença ativa)
+const SHARED_FOLDER_JOINS = `
+  JOIN shared_folders ON shared_folders.id = shared_folder_members.shared_folder_id 
+  JOIN folders ON folders.license_key = shared_folders.owner_license_key AND folders.id = shared_folders.folder_id 
+  JOIN users AS owners ON owners.license_key = shared_folders.owner_license_key AND ${activeLicenseSql('owners')}
+`;
+
+// Função para listar as pastas compartilhadas de que a licença participa (como dona ou membro)
+async function listSharedFolders(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${SHARED_FOLDER_COLUMNS} 
+      FROM shared_folder_members 
+      ${SHARED_FOLDER_JOINS} 
+      WHERE shared_folder_members.license_key = $1 
+      ORDER BY lower(folders.name), shared_folders.id
+    `, [licenseKey]);
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error listing shared folders:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para verificar o acesso de uma licença a uma pasta compartilhada
+// Retorna a pasta com o papel da licença, ou null se ela não é membro
+async function getSharedFolderAccess(sharedFolderId, licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${SHARED_FOLDER_COLUMNS}, 
+        shared_folders.owner_license_key, shared_folders.folder_id AS owner_folder_id 
+      FROM shared_folder_members 
+      ${SHARED_FOLDER_JOINS} 
+      WHERE shared_folder_members.shared_folder_id = $1 AND shared_folder_members.license_key = $2
+    `, [sharedFolderId, licenseKey]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    const { owner_license_key, owner_folder_id, ...sharedFolder } = result.rows[0];
+    return {
+      sharedFolder,
+      ownerLicenseKey: owner_license_key,
+      folderId: owner_folder_id,
+      licenseKey,
+      role: sharedFolder.role
+    };
+    
+  } catch (error) {
+    console.error('Error checking shared folder access:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para parar de compartilhar uma pasta (membros e convites são removidos; as notas ficam com o dono)
+async function deleteSharedFolder(sharedFolderId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query('DELETE FROM shared_folders WHERE id = $1', [sharedFolderId]);
+    
+    if (result.rowCount > 0) {
+      console.log(`👥 Folder sharing stopped: ${sharedFolderId}`);
+    }
+    
+    return result.rowCount > 0;
+    
+  } catch (error) {
+    console.error('Error deleting shared folder:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para listar os membros de uma pasta compartilhada (identificados pelo id do usuário e e-mail)
+async function listSharedFolderMembers(sharedFolderId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT users.id AS member_id, users.email, shared_folder_members.role, 
+        (shared_folders.owner_license_key = shared_folder_members.license_key) AS is_owner, 
+        shared_folder_members.created_at AS joined_at 
+      FROM shared_folder_members 
+      JOIN shared_folders ON shared_folders.id = shared_folder_members.shared_folder_id 
+      JOIN users ON users.license_key = shared_folder_members.license_key 
+      WHERE shared_folder_members.shared_folder_id = $1 
+      ORDER BY is_owner DESC, shared_folder_members.created_at, users.id
+    `, [sharedFolderId]);
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error listing shared folder members:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Buscar um membro pelo id do usuário, travando a linha (usando um client já em transação)
+async function lockSharedFolderMemberWithClient(client, sharedFolderId, memberId) {
+  const result = await client.query(`
+    SELECT shared_folder_members.license_key, shared_folder_members.role, 
+      (shared_folders.owner_license_key = shared_folder_members.license_key) AS is_owner 
+    FROM shared_folder_members 
+    JOIN shared_folders ON shared_folders.id = shared_folder_members.shared_folder_id 
+    JOIN users ON users.license_key = shared_folder_members.license_key 
+    WHERE shared_folder_members.shared_folder_id = $1 AND users.id = $2 
+    FOR UPDATE OF shared_folder_members
+  `, [sharedFolderId, memberId]);
+  
+  const member = result.rows[0];
+  if (member && member.is_owner) {
+    throw sharedFolderError('FOLDER_OWNER_LOCKED', 'The folder owner cannot be removed or change role');
+  }
+  
+  return member || null;
+}
+
+// Função para trocar o papel de um membro; retorna false se ele não existe
+async function updateSharedFolderMemberRole(sharedFolderId, memberId, role) {
+  try {
+    return await withTransaction(async (client) => {
+      const member = await lockSharedFolderMemberWithClient(client, sharedFolderId, memberId);
+      if (!member) {
+        return false;
+      }
+      
+      await client.query(`
+        UPDATE shared_folder_members SET role = $3, updated_at = CURRENT_TIMESTAMP 
+        WHERE shared_folder_id = $1 AND license_key = $2
+      `, [sharedFolderId, member.license_key, role]);
+      
+      return true;
+    });
+    
+  } catch (error) {
+    if (error.code !== 'FOLDER_OWNER_LOCKED') {
+      console.error('Error updating shared folder member:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para remover um membro (ou sair da pasta); retorna false se ele não existe
+async function removeSharedFolderMember(sharedFolderId, memberId) {
+  try {
+    return await withTransaction(async (client) => {
+      const member = await lockSharedFolderMemberWithClient(client, sharedFolderId, memberId);
+      if (!member) {
+        return false;
+      }
+      
+      await client.query(
+        'DELETE FROM shared_folder_members WHERE shared_folder_id = $1 AND license_key = $2',
+        [sharedFolderId, member.license_key]
+      );
+      
+      return true;
+    });
+    
+  } catch (error) {
+    if (error.code !== 'FOLDER_OWNER_LOCKED') {
+      console.error('Error removing shared folder member:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Colunas de um convite visto por quem convidou
+const FOLDER_INVITATION_COLUMNS = 'token, email, role, expires_at, created_at';
+
+// Função para convidar alguém por e-mail; um convite pendente para o mesmo e-mail é substituído
+// O e-mail do convite entra na fila na mesma transação (acordar o envio depois: wakeEmailOutbox)
+async function createFolderInvitation(access, { email, role }) {
+  try {
+    const invitation = await withTransaction(async (client) => {
+      const member = await client.query(`
+        SELECT 1 FROM shared_folder_members 
+        JOIN users ON users.license_key = shared_folder_members.license_key 
+        WHERE shared_folder_members.shared_folder_id = $1 AND lower(users.email) = lower($2)
+      `, [access.sharedFolder.id, email]);
+      
+      if (member.rows.length > 0) {
+        throw sharedFolderError('ALREADY_MEMBER', 'This person is already a member of the folder');
+      }
+      
+      await client.query(
+        'DELETE FROM shared_folder_invitations WHERE shared_folder_id = $1 AND lower(email) = lower($2)',
+        [access.sharedFolder.id, email]
+      );
+      
+      const result = await client.query(`
+        INSERT INTO shared_folder_invitations (token, shared_folder_id, email, role, invited_by, expires_at) 
+        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6)) 
+        RETURNING ${FOLDER_INVITATION_COLUMNS}
+      `, [crypto.randomBytes(24).toString('base64url'), access.sharedFolder.id, email, role, access.licenseKey, FOLDER_INVITATION_TTL_DAYS]);
+      
+      // E-mail do convite com o link para aceitar (sai só se o convite for confirmado)
+      const inviter = await client.query('SELECT email FROM users WHERE license_key = $1', [access.licenseKey]);
+      await enqueueEmailWithClient(client, {
+        template: 'folder_invitation',
+        to: email,
+        data: {
+          token: result.rows[0].token,
+          folderName: access.sharedFolder.name,
+          invitedBy: inviter.rows.length > 0 ? inviter.rows[0].email : null,
+          role,
+          ttlDays: FOLDER_INVITATION_TTL_DAYS
+        }
+      });
+      
+      return result.rows[0];
+    });
+    
+    console.log(`✉️  Folder invitation created for shared folder ${access.sharedFolder.id}`);
+    return invitation;
+    
+  } catch (error) {
+    if (error.code !== 'ALREADY_MEMBER') {
+      console.error('Error creating folder invitation:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para listar os convites pendentes (não expirados) de uma pasta compartilhada
+async function listFolderInvitations(sharedFolderId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT ${FOLDER_INVITATION_COLUMNS} 
+      FROM shared_folder_invitations 
+      WHERE shared_folder_id = $1 AND expires_at > CURRENT_TIMESTAMP 
+      ORDER BY created_at DESC, token
+    `, [sharedFolderId]);
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error listing folder invitations:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para cancelar um convite; retorna false se ele não existe
+async function deleteFolderInvitation(sharedFolderId, token) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      'DELETE FROM shared_folder_invitations WHERE shared_folder_id = $1 AND token = $2',
+      [sharedFolderId, token]
+    );
+    
+    return result.rowCount > 0;
+    
+  } catch (error) {
+    console.error('Error deleting folder invitation:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Convites pendentes endereçados ao e-mail da licença
+const RECEIVED_INVITATIONS_SQL = `
+  SELECT shared_folder_invitations.token, shared_folder_invitations.shared_folder_id, 
+    folders.name, shared_folder_invitations.role, inviters.email AS invited_by, 
+    shared_folder_invitations.expires_at, shared_folder_invitations.created_at 
+  FROM shared_folder_invitations 
+  JOIN users AS invitees ON lower(invitees.email) = lower(shared_folder_invitations.email) 
+  JOIN shared_folders ON shared_folders.id = shared_folder_invitations.shared_folder_id 
+  JOIN folders ON folders.license_key = shared_folders.owner_license_key AND folders.id = shared_folders.folder_id 
+  LEFT JOIN users AS inviters ON inviters.license_key = shared_folder_invitations.invited_by 
+  WHERE invitees.license_key = $1 AND shared_folder_invitations.expires_at > CURRENT_TIMESTAMP
+`;
+
+// Função para listar os convites recebidos por uma licença
+async function listReceivedInvitations(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(
+      `${RECEIVED_INVITATIONS_SQL} ORDER BY shared_folder_invitations.created_at DESC`,
+      [licenseKey]
+    );
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error listing received invitations:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Aceitar um convite (já travado) para a licença, usando um client já em transação
+// Quem já é membro mantém o papel atual
+async function acceptFolderInvitationWithClient(client, token, { shared_folder_id, role }, licenseKey) {
+  await client.query('DELETE FROM shared_folder_invitations WHERE token = $1', [token]);
+  
+  await client.query(`
+    INSERT INTO shared_folder_members (shared_folder_id, license_key, role) 
+    VALUES ($1, $2, $3) 
+    ON CONFLICT (shared_folder_id, license_key) DO NOTHING
+  `, [shared_folder_id, licenseKey, role]);
+}
+
+// Função para aceitar ou recusar um convite recebido
+// Aceitar torna a licença membro com o papel do convite; retorna null se o convite não existe
+async function respondToFolderInvitation(licenseKey, token, accept) {
+  try {
+    const response = await withTransaction(async (client) => {
+      const invitation = await client.query(
+        `${RECEIVED_INVITATIONS_SQL} AND shared_folder_invitations.token = $2 FOR UPDATE OF shared_folder_invitations`,
+        [licenseKey, token]
+      );
+      
+      if (invitation.rows.length === 0) {
+        return null;
+      }
+      
+      const { shared_folder_id, role } = invitation.rows[0];
+      
+      if (accept) {
+        await acceptFolderInvitationWithClient(client, token, { shared_folder_id, role }, licenseKey);
+      } else {
+        await client.query('DELETE FROM shared_folder_invitations WHERE token = $1', [token]);
+      }
+      
+      return { shared_folder_id, role };
+    });
+    
+    if (response) {
+      console.log(`✉️  Folder invitation ${accept ? 'accepted' : 'declined'} for license ${licenseKey.substring(0, 8)}...`);
+    }
+    
+    return response;
+    
+  } catch (error) {
+    console.error('Error responding to folder invitation:', error.message);
+    throw error;
+  }
+}
+
+// Função para buscar um convite pendente pelo token (página do link do e-mail)
+// Retorna { email, role, name, invited_by, expires_at } ou null se não existe ou expirou
+async function getFolderInvitation(token) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT shared_folder_invitations.email, shared_folder_invitations.role, folders.name, 
+        inviters.email AS invited_by, shared_folder_invitations.expires_at 
+      FROM shared_folder_invitations 
+      JOIN shared_folders ON shared_folders.id = shared_folder_invitations.shared_folder_id 
+      JOIN folders ON folders.license_key = shared_folders.owner_license_key AND folders.id = shared_folders.folder_id 
+      LEFT JOIN users AS inviters ON inviters.license_key = shared_folder_invitations.invited_by 
+      WHERE shared_folder_invitations.token = $1 AND shared_folder_invitations.expires_at > CURRENT_TIMESTAMP
+    `, [token]);
+    
+    return result.rows[0] || null;
+    
+  } catch (error) {
+    console.error('Error getting folder invitation:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para aceitar um convite pelo link do e-mail. Quem abre o link recebeu o e-mail, então o
+// convite vale para a licença ativa desse e-mail (a mais antiga, se houver mais de uma)
+// Retorna { shared_folder_id, role }, { noLicense: true } se o e-mail ainda não tem licença ativa
+// (o convite continua pendente) ou null se o convite não existe ou expirou
+async function acceptFolderInvitationByToken(token) {
+  try {
+    const response = await withTransaction(async (client) => {
+      const invitation = await client.query(`
+        SELECT shared_folder_id, email, role FROM shared_folder_invitations 
+        WHERE token = $1 AND expires_at > CURRENT_TIMESTAMP 
+        FOR UPDATE
+      `, [token]);
+      
+      if (invitation.rows.length === 0) {
+        return null;
+      }
+      
+      const { shared_folder_id, email, role } = invitation.rows[0];
+      const invitee = await client.query(
+        `SELECT license_key FROM users WHERE lower(email) = lower($1) AND ${activeLicenseSql()} ORDER BY id LIMIT 1`,
+        [email]
+      );
+      
+      if (invitee.rows.length === 0) {
+        return { noLicense: true };
+      }
+      
+      await acceptFolderInvitationWithClient(client, token, { shared_folder_id, role }, invitee.rows[0].license_key);
+      return { shared_folder_id, role };
+    });
+    
+    if (response && !response.noLicense) {
+      console.log(`✉️  Folder invitation accepted by link for shared folder ${response.shared_folder_id}`);
+    }
+    
+    return response;
+    
+  } catch (error) {
+    console.error('Error accepting folder invitation:', error.message);
+    throw error;
+  }
+}
+
+// Garantir que a pasta (null = pasta compartilhada) está dentro da subárvore compartilhada
+// Retorna o id da pasta; usa um client já em transação com a árvore de pastas do dono travada
+async function resolveSharedFolderIdWithClient(client, access, folderId) {
+  if (folderId === null || folderId === undefined) {
+    return access.folderId;
+  }
+  
+  const result = await client.query(
+    `${FOLDER_SUBTREE_SQL} SELECT 1 FROM subtree WHERE id = $3`,
+    [access.ownerLicenseKey, access.folderId, folderId]
+  );
+  
+  if (result.rows.length === 0) {
+    throw folderNotFoundError(folderId);
+  }
+  
+  return folderId;
+}
+
+// Buscar uma nota da pasta compartilhada (fora da lixeira) usando um client já aberto
+async function selectSharedNoteWithClient(client, access, noteId) {
+  const result = await client.query(`
+    ${FOLDER_SUBTREE_SQL} 
+    SELECT ${NOTE_COLUMNS} FROM notes 
+    WHERE license_key = $1 AND id = $3 AND deleted_at IS NULL AND folder_id IN (SELECT id FROM subtree)
+  `, [access.ownerLicenseKey, access.folderId, noteId]);
+  
+  return formatNote(result.rows[0]);
+}
+
+// Função para listar as subpastas e as notas de uma pasta compartilhada
+async function listSharedFolderContent(access, { limit = 100, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const params = [access.ownerLicenseKey, access.folderId];
+    
+    const folders = await client.query(`
+      ${FOLDER_SUBTREE_SQL} 
+      SELECT ${FOLDER_COLUMNS} FROM folders 
+      WHERE license_key = $1 AND id IN (SELECT id FROM subtree) AND id <> $2 
+      ORDER BY parent_id NULLS FIRST, position, lower(name)
+    `, params);
+    
+    const notesWhere = 'license_key = $1 AND deleted_at IS NULL AND folder_id IN (SELECT id FROM subtree)';
+    
+    const total = await client.query(
+      `${FOLDER_SUBTREE_SQL} SELECT COUNT(*)::int AS count FROM notes WHERE ${notesWhere}`,
+      params
+    );
+    
+    const notes = await client.query(`
+      ${FOLDER_SUBTREE_SQL} 
+      SELECT ${NOTE_COLUMNS} FROM notes 
+      WHERE ${notesWhere} 
+      ORDER BY updated_at DESC, id 
+      LIMIT $3 OFFSET $4
+    `, [...params, limit, offset]);
+    
+    return {
+      folders: folders.rows.map(formatFolder),
+      notes: notes.rows.map(formatNote),
+      total: total.rows[0].count
+    };
+    
+  } catch (error) {
+    console.error('Error listing shared folder content:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para buscar uma nota de uma pasta compartilhada
+async function getSharedNote(access, noteId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    return await selectSharedNoteWithClient(client, access, noteId);
+    
+  } catch (error) {
+    console.error('Error getting shared note:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para criar uma nota em uma pasta compartilhada (na conta e na cota do dono)
+// Ids já usados pelo dono são recusados, mesmo na lixeira (um membro não substitui notas de fora da pasta)
+async function createSharedNote(access, note) {
+  try {
+    const created = await withTransaction(client => withinQuotaWithClient(client, access.ownerLicenseKey, async () => {
+      await lockFolderTreeWithClient(client, access.ownerLicenseKey);
+      const folderId = await resolveSharedFolderIdWithClient(client, access, note.folder_id);
+      
+      const existing = await client.query(
+        'SELECT 1 FROM notes WHERE license_key = $1 AND id = $2',
+        [access.ownerLicenseKey, note.id]
+      );
+      if (existing.rows.length > 0) {
+        const error = new Error('Note already exists');
+        error.code = 'NOTE_EXISTS';
+        throw error;
+      }
+      
+      return insertNoteWithClient(client, access.ownerLicenseKey, { ...note, folder_id: folderId }, access.licenseKey);
+    }));
+    
+    console.log(`📝 Shared note created: ${created.id} in shared folder ${access.sharedFolder.id}`);
+    return created;
+    
+  } catch (error) {
+    console.error('Error creating shared note:', error.message);
+    throw error;
+  }
+}
+
+// Função para atualizar uma nota de uma pasta compartilhada (só pode ser movida dentro dela)
+async function updateSharedNote(access, noteId, fields) {
+  try {
+    const updated = await withTransaction(client => withinQuotaWithClient(client, access.ownerLicenseKey, async () => {
+      await lockFolderTreeWithClient(client, access.ownerLicenseKey);
+      
+      if (!(await selectSharedNoteWithClient(client, access, noteId))) {
+        return null;
+      }
+      
+      const changes = { ...fields };
+      if (fields.folder_id !== undefined) {
+        changes.folder_id = await resolveSharedFolderIdWithClient(client, access, fields.folder_id);
+      }
+      
+      return updateNoteWithClient(client, access.ownerLicenseKey, noteId, changes, access.licenseKey);
+    }));
+    
+    if (updated) {
+      console.log(`📝 Shared note updated: ${noteId} in shared folder ${access.sharedFolder.id}`);
+    }
+    
+    return updated;
+    
+  } catch (error) {
+    console.error('Error updating shared note:', error.message);
+    throw error;
+  }
+}
+
+// Função para mover uma nota de uma pasta compartilhada para a lixeira do dono
+async function deleteSharedNote(access, noteId) {
+  try {
+    const revision = await withTransaction(async (client) => {
+      await lockFolderTreeWithClient(client, access.ownerLicenseKey);
+      
+      if (!(await selectSharedNoteWithClient(client, access, noteId))) {
+        return null;
+      }
+      
+      return deleteNoteWithClient(client, access.ownerLicenseKey, noteId, access.licenseKey);
+    });
+    
+    if (revision) {
+      console.log(`🗑️  Shared note moved to trash: ${noteId} in shared folder ${access.sharedFolder.id}`);
+    }
+    
+    return revision !== null;
+    
+  } catch (error) {
+    console.error('Error deleting shared note:', error.message);
+    throw error;
+  }
+}
+
+// Função para buscar as mudanças de uma pasta compartilhada desde um cursor (revisão do feed do dono)
+// Notas que saíram da pasta não aparecem no feed: note_ids lista todas as visíveis para o cliente
+// descartar as que não estão mais lá; as subpastas vêm sempre completas (são poucas)
+async function getSharedFolderChanges(access, since = 0, limit = 500) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const params = [access.ownerLicenseKey, access.folderId];
+    
+    const latest = await client.query(
+      'SELECT COALESCE(MAX(revision), 0) AS revision FROM sync_changes WHERE license_key = $1',
+      [access.ownerLicenseKey]
+    );
+    const latestRevision = Number(latest.rows[0].revision);
+    
+    const folders = await client.query(`
+      ${FOLDER_SUBTREE_SQL} 
+      SELECT ${FOLDER_COLUMNS} FROM folders 
+      WHERE license_key = $1 AND id IN (SELECT id FROM subtree) AND id <> $2 
+      ORDER BY parent_id NULLS FIRST, position, lower(name)
+    `, params);
+    
+    const notesWhere = 'license_key = $1 AND deleted_at IS NULL AND folder_id IN (SELECT id FROM subtree)';
+    
+    const notes = await client.query(`
+      ${FOLDER_SUBTREE_SQL} 
+      SELECT ${NOTE_COLUMNS} FROM notes 
+      WHERE ${notesWhere} AND revision > $3 AND revision <= $4 
+      ORDER BY revision 
+      LIMIT $5
+    `, [...params, since, latestRevision, limit]);
+    
+    const noteIds = await client.query(
+      `${FOLDER_SUBTREE_SQL} SELECT id FROM notes WHERE ${notesWhere} ORDER BY id`,
+      params
+    );
+    
+    const hasMore = notes.rows.length === limit;
+    
+    return {
+      folders: folders.rows.map(formatFolder),
+      notes: notes.rows.map(formatNote),
+      noteIds: noteIds.rows.map(row => row.id),
+      cursor: hasMore ? Number(notes.rows[notes.rows.length - 1].revision) : Math.max(latestRevision, since),
+      hasMore
+    };
+    
+  } catch (error) {
+    console.error('Error getting shared folder changes:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Colunas do usuário retornadas na autenticação (as mesmas de verifyLicense)
+const AUTH_USER_COLUMNS = 'u.id, u.license_key, u.key_hint, u.email, u.status, u.plan_type, u.expires_at, u.created_at';
+
+// Função para abrir uma sessão de autenticação (troca da chave de licença por tokens)
+// Sessões expiradas ou revogadas há mais de 30 dias da mesma licença são apagadas
+async function createAuthSession(licenseKey, { refreshTokenHash, deviceId = null, userAgent = null, ttlDays }) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    await client.query(`
+      DELETE FROM auth_sessions 
+      WHERE license_key = $1 
+      AND (expires_at < CURRENT_TIMESTAMP OR revoked_at < CURRENT_TIMESTAMP - INTERVAL '30 days')
+    `, [licenseKey]);
+    
+    const result = await client.query(`
+      INSERT INTO auth_sessions (id, license_key, refresh_token_hash, device_id, user_agent, expires_at) 
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6)) 
+      RETURNING id, device_id, created_at, expires_at
+    `, [crypto.randomBytes(12).toString('base64url'), licenseKey, refreshTokenHash, deviceId, userAgent, ttlDays]);
     
-    if (result.rows.length > 0) {
-      console.log(`📂 Data retrieved for license: ${licenseKey.substring(0, 8)}...`);
-      return {
-        content: result.rows[0].content,
-        lastModified: result.rows[0].updated_at
-      };
+    console.log(`🔑 Auth session opened for license: ${licenseKey.substring(0, 8)}...`);
+    return result.rows[0];
+    
+  } catch (error) {
+    console.error('Error creating auth session:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
     }
+  }
+}
+
+// Função para trocar o token de renovação de uma sessão (rotação)
+// Retorna { session, user } ou null se o token não for válido. Um token já trocado
+// sendo reapresentado indica vazamento: a sessão inteira é revogada
+async function rotateAuthSession(refreshTokenHash, newRefreshTokenHash, { ttlDays }) {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT s.id AS session_id, s.refresh_token_hash = $1 AS is_current, ${AUTH_USER_COLUMNS} 
+        FROM auth_sessions s 
+        JOIN users u ON u.license_key = s.license_key AND ${activeLicenseSql('u')} 
+        WHERE (s.refresh_token_hash = $1 OR s.previous_token_hash = $1) 
+        AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP 
+        FOR UPDATE OF s
+      `, [refreshTokenHash]);
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      const { session_id: sessionId, is_current: isCurrent, ...user } = result.rows[0];
+      
+      if (!isCurrent) {
+        await client.query(
+          'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [sessionId]
+        );
+        await notifyAccessRevoked(client, user.license_key, { session_id: sessionId });
+        console.log(`🚨 Refresh token reuse detected, session revoked for license: ${user.license_key.substring(0, 8)}...`);
+        return null;
+      }
+      
+      const updated = await client.query(`
+        UPDATE auth_sessions 
+        SET previous_token_hash = refresh_token_hash, 
+          refresh_token_hash = $2, 
+          last_used_at = CURRENT_TIMESTAMP, 
+          expires_at = CURRENT_TIMESTAMP + make_interval(days => $3) 
+        WHERE id = $1 
+        RETURNING id, device_id, created_at, expires_at
+      `, [sessionId, newRefreshTokenHash, ttlDays]);
+      
+      return { session: updated.rows[0], user };
+    });
     
-    return null;
+  } catch (error) {
+    console.error('Error rotating auth session:', error.message);
+    throw error;
+  }
+}
+
+// Função para buscar o usuário de uma sessão ativa (conferida a cada requisição com token de acesso)
+// Retorna { user, deviceId } ou null se a sessão foi revogada, expirou ou a licença não está mais ativa
+async function getAuthSessionUser(sessionId, userId) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT s.device_id, ${AUTH_USER_COLUMNS} 
+      FROM auth_sessions s 
+      JOIN users u ON u.license_key = s.license_key 
+      WHERE s.id = $1 AND u.id = $2 AND ${activeLicenseSql('u')} 
+      AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+    `, [sessionId, userId]);
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    const { device_id: deviceId, ...user } = result.rows[0];
+    return { user, deviceId };
     
   } catch (error) {
-    console.error('Error getting user data:', error.message);
-    return null;
+    console.error('Error getting auth session user:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para revogar uma sessão (logout), pelo id ou pelo hash do token de renovação
+// Retorna true se havia uma sessão ativa
+async function revokeAuthSession({ sessionId = null, refreshTokenHash = null }) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP 
+      WHERE (id = $1 OR refresh_token_hash = $2) AND revoked_at IS NULL 
+      RETURNING id, license_key
+    `, [sessionId, refreshTokenHash]);
+    
+    for (const session of result.rows) {
+      await notifyAccessRevoked(client, session.license_key, { session_id: session.id });
+    }
+    
+    return result.rowCount > 0;
+    
+  } catch (error) {
+    console.error('Error revoking auth session:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para revogar todas as sessões de uma licença; retorna a quantidade revogada
+async function revokeAllAuthSessions(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP 
+      WHERE license_key = $1 AND revoked_at IS NULL
+    `, [licenseKey]);
+    
+    await notifyAccessRevoked(client, licenseKey, { sessions: true });
+    
+    console.log(`🔒 ${result.rowCount} auth session(s) revoked for license: ${licenseKey.substring(0, 8)}...`);
+    return result.rowCount;
+    
+  } catch (error) {
+    console.error('Error revoking auth sessions:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Colunas de uma licença vista pela administração
+const ADMIN_LICENSE_COLUMNS = `${LICENSE_COLUMNS}, updated_at`;
+
+// Erro de uma ação da administração sobre uma licença
+function adminLicenseError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Registrar uma ação da administração em uma transação já aberta
+async function recordAdminActionWithClient(client, adminName, action, userId, details = {}) {
+  await client.query(`
+    INSERT INTO admin_audit_log (admin_name, action, user_id, details) 
+    VALUES ($1, $2, $3, $4)
+  `, [adminName, action, userId, JSON.stringify(details)]);
+}
+
+// Função para buscar licenças (administração). Filtros opcionais: email (parte do endereço),
+// keyHash (chave completa, já em hash), keyHint (últimos caracteres da chave), status e plan
+// Retorna { licenses, total }
+async function searchLicenses({ email, keyHash, keyHint, status, plan } = {}, { limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  
+  if (email) {
+    params.push(email);
+    conditions.push(`position(lower($${params.length}) in lower(email)) > 0`);
+  }
+  if (keyHash) {
+    params.push(keyHash);
+    conditions.push(`license_key = $${params.length}`);
+  }
+  if (keyHint) {
+    params.push(keyHint);
+    conditions.push(`key_hint = upper($${params.length})`);
+  }
+  if (status === 'expired') {
+    conditions.push("status = 'active' AND expires_at <= CURRENT_TIMESTAMP");
+  } else if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+    if (status === 'active') {
+      conditions.push('(expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)');
+    }
+  }
+  if (plan) {
+    params.push(plan);
+    conditions.push(`plan_type = $${params.length}`);
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const total = await client.query(`SELECT COUNT(*)::int AS count FROM users ${where}`, params);
+    const result = await client.query(`
+      SELECT ${ADMIN_LICENSE_COLUMNS} FROM users ${where} 
+      ORDER BY id DESC 
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    
+    return { licenses: result.rows, total: total.rows[0].count };
+    
+  } catch (error) {
+    console.error('Error searching licenses:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para buscar uma licença pelo id do usuário, em qualquer status (administração)
+async function getLicenseForAdmin(userId) {
+  let client;
+  try {
+    client = await pool.connect();
+    const result = await client.query(`SELECT ${ADMIN_LICENSE_COLUMNS} FROM users WHERE id = $1`, [userId]);
+    return result.rows[0] || null;
+    
+  } catch (error) {
+    console.error('Error fetching license:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para resumir os dados sincronizados de uma licença (administração; sem o conteúdo)
+async function getSyncOverview(licenseKey) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT 
+        (SELECT COUNT(*) FROM notes WHERE license_key = $1 AND deleted_at IS NULL)::int AS notes,
+        (SELECT COUNT(*) FROM notes WHERE license_key = $1 AND deleted_at IS NOT NULL)::int AS trashed_notes,
+        (SELECT COUNT(*) FROM folders WHERE license_key = $1)::int AS folders,
+        (SELECT COUNT(*) FROM tags WHERE license_key = $1)::int AS tags,
+        (SELECT COUNT(*) FROM attachments WHERE license_key = $1)::int AS attachments,
+        (SELECT COUNT(*) FROM shares WHERE license_key = $1)::int AS shares,
+        (SELECT COUNT(*) FROM auth_sessions WHERE license_key = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP)::int AS active_sessions,
+        (SELECT COALESCE(MAX(revision), 0) FROM sync_changes WHERE license_key = $1) AS latest_revision,
+        (SELECT MAX(created_at) FROM sync_changes WHERE license_key = $1) AS last_change_at,
+        EXISTS (SELECT 1 FROM encryption_keys WHERE license_key = $1) AS encryption_enabled
+    `, [licenseKey]);
+    
+    const row = result.rows[0];
+    return { ...row, latest_revision: Number(row.latest_revision) };
+    
+  } catch (error) {
+    console.error('Error getting sync overview:', error.message);
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+// Função para mudar o status de uma licença ('active' ou 'revoked') pela administração
+// Revogar encerra as sessões da licença. Retorna a licença atualizada ou null se não existe
+async function setLicenseStatus(userId, status, { adminName, reason = null }) {
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT status FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+      
+      const result = await client.query(`
+        UPDATE users SET status = $2, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = $1 
+        RETURNING ${ADMIN_LICENSE_COLUMNS}
+      `, [userId, status]);
+      
+      const user = result.rows[0];
+      let revokedSessions = 0;
+      if (status !== 'active') {
+        const revoked = await client.query(`
+          UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP 
+          WHERE license_key = $1 AND revoked_at IS NULL
+        `, [user.license_key]);
+        revokedSessions = revoked.rowCount;
+        await notifyAccessRevoked(client, user.license_key, {});
+      }
+      
+      await recordAdminActionWithClient(client, adminName, status === 'active' ? 'reactivate' : 'revoke', userId, {
+        previous_status: current.rows[0].status,
+        reason,
+        ...(status !== 'active' && { revoked_sessions: revokedSessions })
+      });
+      
+      console.log(`🛠️  License ${userId} ${status === 'active' ? 'reactivated' : 'revoked'} by ${adminName}`);
+      return user;
+    });
+    
+  } catch (error) {
+    console.error('Error changing license status:', error.message);
+    throw error;
+  }
+}
+
+// Função para prorrogar a validade de uma licença por days dias (a partir do prazo atual ou, se
+// já venceu, de agora). Licenças sem prazo lançam LICENSE_HAS_NO_EXPIRY
+// Retorna a licença atualizada ou null se não existe
+async function extendLicense(userId, days, { adminName }) {
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT expires_at FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+      
+      if (!current.rows[0].expires_at) {
+        throw adminLicenseError('LICENSE_HAS_NO_EXPIRY', 'This license does not expire');
+      }
+      
+      const result = await client.query(`
+        UPDATE users 
+        SET expires_at = GREATEST(expires_at, CURRENT_TIMESTAMP) + make_interval(days => $2), updated_at = CURRENT_TIMESTAMP 
+        WHERE id = $1 
+        RETURNING ${ADMIN_LICENSE_COLUMNS}
+      `, [userId, days]);
+      
+      await recordAdminActionWithClient(client, adminName, 'extend', userId, {
+        days,
+        previous_expires_at: current.rows[0].expires_at,
+        expires_at: result.rows[0].expires_at
+      });
+      
+      console.log(`🛠️  License ${userId} extended by ${days} day(s) by ${adminName}`);
+      return result.rows[0];
+    });
+    
+  } catch (error) {
+    if (error.code !== 'LICENSE_HAS_NO_EXPIRY') {
+      console.error('Error extending license:', error.message);
+    }
+    throw error;
+  }
+}
+
+// Função para mudar o plano de uma licença pela administração
+// Retorna a licença atualizada ou null se não existe
+async function changeLicensePlan(userId, planType, { adminName }) {
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT plan_type FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+      
+      const result = await client.query(`
+        UPDATE users SET plan_type = $2, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = $1 
+        RETURNING ${ADMIN_LICENSE_COLUMNS}
+      `, [userId, planType]);
+      
+      await recordAdminActionWithClient(client, adminName, 'change_plan', userId, {
+        previous_plan: current.rows[0].plan_type,
+        plan: planType
+      });
+      
+      console.log(`🛠️  License ${userId} plan changed to ${planType} by ${adminName}`);
+      return result.rows[0];
+    });
+    
+  } catch (error) {
+    console.error('Error changing license plan:', error.message);
+    throw error;
+  }
+}
+
+// Função para listar as ações da administração (mais recentes primeiro), opcionalmente de uma licença
+async function listAdminActions({ userId = null, limit = 50, offset = 0 } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      SELECT id, admin_name, action, user_id, details, created_at 
+      FROM admin_audit_log 
+      WHERE $1::int IS NULL OR user_id = $1 
+      ORDER BY id DESC 
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+    
+    return result.rows;
+    
+  } catch (error) {
+    console.error('Error listing admin actions:', error.message);
+    throw error;
   } finally {
     if (client) {
       client.release();
@@ -303,11 +5367,103 @@ async function closePool() {
 
 module.exports = {
   pool,
+  SYNC_EVENTS_CHANNEL,
   testConnection,
   initializeDatabase,
   verifyLicense,
+  getActiveLicenseById,
+  createLicense,
   activateLicense,
+  createLicenseRecovery,
+  redeemLicenseRecovery,
+  KEY_ROTATION_NOTICE_TTL_MINUTES,
+  queueKeyRotationNotices,
+  enqueueEmail,
+  claimOutboxEmails,
+  completeOutboxEmail,
+  searchLicenses,
+  getLicenseForAdmin,
+  getSyncOverview,
+  setLicenseStatus,
+  extendLicense,
+  changeLicensePlan,
+  listAdminActions,
+  registerDevice,
+  touchDevice,
+  listDevices,
+  deleteDevice,
   saveUserData,
+  applySyncBatch,
   getUserData,
+  getUserDataBatch,
+  listUserDataTypes,
+  listSyncedNotesForExport,
+  getUsage,
+  getUserDataRevision,
+  listUserDataRevisions,
+  restoreUserDataRevision,
+  getEncryptionKey,
+  setEncryptionKey,
+  deleteEncryptionKey,
+  listNotes,
+  listNotesForExport,
+  getNote,
+  createNote,
+  updateNote,
+  deleteNote,
+  applyNoteChanges,
+  listFolders,
+  getFolder,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  moveNotes,
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  createAttachment,
+  getAttachment,
+  listAttachments,
+  deleteAttachment,
+  getChangesSince,
+  getLatestRevision,
+  searchNotes,
+  listTrashedNotes,
+  restoreTrashedNote,
+  purgeTrashedNotes,
+  purgeExpiredTrash,
+  pruneSyncChanges,
+  createShare,
+  listShares,
+  deleteShare,
+  getShareByToken,
+  getSharedContent,
+  recordShareView,
+  createSharedFolder,
+  listSharedFolders,
+  getSharedFolderAccess,
+  deleteSharedFolder,
+  listSharedFolderMembers,
+  updateSharedFolderMemberRole,
+  removeSharedFolderMember,
+  createFolderInvitation,
+  listFolderInvitations,
+  deleteFolderInvitation,
+  listReceivedInvitations,
+  respondToFolderInvitation,
+  getFolderInvitation,
+  acceptFolderInvitationByToken,
+  listSharedFolderContent,
+  getSharedNote,
+  createSharedNote,
+  updateSharedNote,
+  deleteSharedNote,
+  getSharedFolderChanges,
+  createAuthSession,
+  rotateAuthSession,
+  getAuthSessionUser,
+  revokeAuthSession,
+  revokeAllAuthSessions,
   closePool
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+// scripts/devices-api.js
+const { listDevices, deleteDevice } = require('./database');
+const { requireLicenseAnyDevice } = require('./license-middleware');
+const { getPlanLimits } = require('./plans');
+
+// Formatar um dispositivo para a resposta (current = dispositivo que fez a requisição)
+function formatDevice(device, currentDeviceId = null) {
+  return {
+    device_id: device.device_id,
+    name: device.name,
+    browser: device.browser,
+    activated_at: device.activated_at,
+    last_seen_at: device.last_seen_at,
+    current: device.device_id === currentDeviceId
+  };
+}
+
+// Resposta padrão quando o limite de dispositivos do plano foi atingido (403)
+// Retorna false se o erro não é desse tipo
+function sendDeviceLimitReached(res, error) {
+  if (error.code !== 'DEVICE_LIMIT_REACHED') {
+    return false;
+  }
+  
+  res.status(403).json({
+    success: false,
+    error: 'Device limit reached for this license. Deactivate a device to continue.',
+    code: 'DEVICE_LIMIT_REACHED',
+    max_devices: error.maxDevices,
+    devices: error.devices.map(device => formatDevice(device))
+  });
+  return true;
+}
+
+// Resposta para um device_id ausente ou em formato inválido
+function sendInvalidDevice(res) {
+  res.status(400).json({
+    success: false,
+    error: 'device_id is required (8-64 characters: letters, digits, "-" or "_")'
+  });
+}
+
+// Configurar rotas de dispositivos
+function setupDeviceRoutes(app) {
+
+  // GET /api/license/:licenseKey/devices - Listar os dispositivos ativados e as vagas do plano
+  // Não exige dispositivo ativado: é daqui que se libera uma vaga quando o limite foi atingido
+  app.get('/api/license/:licenseKey/devices', requireLicenseAnyDevice, async (req, res) => {
+    try {
+      const devices = await listDevices(req.license.license_key);
+      
+      res.json({
+        success: true,
+        devices: devices.map(device => formatDevice(device, req.deviceId)),
+        used: devices.length,
+        max_devices: getPlanLimits(req.license.plan_type).maxDevices
+      });
+      
+    } catch (error) {
+      console.error('Error listing devices:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list devices'
+      });
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/devices/:deviceId - Desativar um dispositivo (libera a vaga)
+  // As sessões do dispositivo são encerradas; ele precisa ser ativado de novo para voltar a sincronizar
+  app.delete('/api/license/:licenseKey/devices/:deviceId', requireLicenseAnyDevice, async (req, res) => {
+    try {
+      const deleted = await deleteDevice(req.license.license_key, req.params.deviceId);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Device deactivated successfully'
+      });
+      
+    } catch (error) {
+      console.error('Error deactivating device:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to deactivate device'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupDeviceRoutes,
+  sendDeviceLimitReached,
+  sendInvalidDevice
+};
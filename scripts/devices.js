@@ -0,0 +1,43 @@
+// scripts/devices.js
+// Dispositivos ativados por licença (cada um ocupa uma vaga do plano, ver maxDevices em scripts/plans.js)
+//
+// O cliente gera um id aleatório por instalação e o envia na ativação (device_id). Depois disso
+// o dispositivo é identificado pela sessão (tokens emitidos para ele) ou, nas requisições com a
+// chave de licença, pelo header X-Device-Id.
+
+// Ids de dispositivo aceitos (ex.: UUID ou valor aleatório em base64url)
+const DEVICE_ID_REGEX = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Tamanho máximo do nome e do navegador informados pelo cliente
+const MAX_DEVICE_LABEL_LENGTH = 100;
+
+// Verificar o formato de um id de dispositivo
+function isDeviceIdFormat(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_REGEX.test(deviceId);
+}
+
+function deviceLabel(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  return value.trim().substring(0, MAX_DEVICE_LABEL_LENGTH);
+}
+
+// Função para ler o dispositivo do body ({ device_id, device_name, browser })
+// Retorna { id, name, browser } ou null se o id estiver ausente ou em formato inválido
+function parseDeviceInput(body) {
+  if (!body || !isDeviceIdFormat(body.device_id)) {
+    return null;
+  }
+  
+  return {
+    id: body.device_id,
+    name: deviceLabel(body.device_name),
+    browser: deviceLabel(body.browser)
+  };
+}
+
+module.exports = {
+  isDeviceIdFormat,
+  parseDeviceInput
+};
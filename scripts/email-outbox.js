@@ -0,0 +1,116 @@
+// scripts/email-outbox.js
+// Envio dos e-mails da fila (tabela email_outbox)
+//
+// Os e-mails entram na fila na mesma transação da alteração que os gera (licença emitida,
+// pedido de recuperação...), então nenhum se perde se o servidor cair ou o envio falhar.
+// Falhas são tentadas de novo com espera crescente (1 min, 2 min, 4 min... até 6 h) até
+// EMAIL_MAX_ATTEMPTS; recusas definitivas do servidor de e-mail (5xx) não são repetidas.
+const { claimOutboxEmails, completeOutboxEmail } = require('./database');
+const { renderEmail } = require('./email-templates');
+const { sendMail } = require('./mailer');
+
+// Intervalo entre verificações da fila (além dos avisos de wakeEmailOutbox)
+const OUTBOX_INTERVAL_MS = 30 * 1000; // 30 segundos
+
+// E-mails reservados por vez
+const OUTBOX_BATCH_SIZE = 20;
+
+// Tempo que um e-mail fica reservado durante o envio (depois volta para a fila)
+const SEND_LEASE_SECONDS = 5 * 60;
+
+// Espera antes da primeira nova tentativa e espera máxima entre tentativas
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Tentativas de envio antes de desistir de um e-mail
+function getMaxAttempts() {
+  const attempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10);
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : 8;
+}
+
+// Espera antes da próxima tentativa, dobrando a cada falha
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+let running = false;
+let rerun = false;
+
+// Enviar um e-mail reservado e registrar o resultado
+async function deliver(email) {
+  try {
+    const message = renderEmail(email.template, email.locale, email.data);
+    await sendMail({ to: email.recipient, ...message });
+    await completeOutboxEmail(email.id);
+    
+  } catch (error) {
+    const permanent = error.permanent || error.code === 'UNKNOWN_EMAIL_TEMPLATE';
+    const retry = !permanent && email.attempts < getMaxAttempts();
+    
+    await completeOutboxEmail(email.id, {
+      lastError: error.message.substring(0, 1000),
+      retryInSeconds: retry ? retryDelaySeconds(email.attempts) : null
+    });
+    
+    if (retry) {
+      console.log(`⚠️  Email ${email.id} (${email.template}) failed, attempt ${email.attempts}: ${error.message}`);
+    } else {
+      console.error(`❌ Email ${email.id} (${email.template}) to ${email.recipient} gave up after ${email.attempts} attempt(s): ${error.message}`);
+    }
+  }
+}
+
+// Função para enviar os e-mails pendentes da fila (até esvaziar os que já podem ser enviados)
+async function runEmailOutbox() {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  
+  running = true;
+  try {
+    let sent = 0;
+    let batch;
+    do {
+      rerun = false;
+      batch = await claimOutboxEmails({ limit: OUTBOX_BATCH_SIZE, leaseSeconds: SEND_LEASE_SECONDS });
+      
+      for (const email of batch) {
+        await deliver(email);
+      }
+      sent += batch.length;
+    } while (batch.length === OUTBOX_BATCH_SIZE || rerun);
+    
+    if (sent > 0) {
+      console.log(`📤 Email outbox processed ${sent} message(s)`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Email outbox failed:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Avisar que há e-mails novos na fila (envio logo após o commit, sem esperar o intervalo)
+function wakeEmailOutbox() {
+  setImmediate(runEmailOutbox);
+}
+
+// Função para agendar o envio periódico da fila de e-mails
+function startEmailOutbox() {
+  runEmailOutbox();
+  
+  const timer = setInterval(runEmailOutbox, OUTBOX_INTERVAL_MS);
+  timer.unref();
+  
+  console.log(`📤 Email outbox scheduled (max attempts: ${getMaxAttempts()})`);
+  return timer;
+}
+
+module.exports = {
+  startEmailOutbox,
+  runEmailOutbox,
+  wakeEmailOutbox,
+  retryDelaySeconds
+};
@@ -0,0 +1,14 @@
+// scripts/email-outbox.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { retryDelaySeconds } = require('./email-outbox');
+
+test('retries wait twice as long after each failure', () => {
+  assert.deepEqual([1, 2, 3, 4].map(retryDelaySeconds), [60, 120, 240, 480]);
+});
+
+test('the wait between retries is capped at six hours', () => {
+  assert.equal(retryDelaySeconds(9), 256 * 60);
+  assert.equal(retryDelaySeconds(10), 6 * 60 * 60);
+  assert.equal(retryDelaySeconds(50), 6 * 60 * 60);
+});
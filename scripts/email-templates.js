@@ -0,0 +1,259 @@
+// scripts/email-templates.js
+// Modelos dos e-mails transacionais, em inglês (padrão) e português
+//
+// Cada modelo recebe os dados guardados na fila (email_outbox.data) e retorna { subject, lines };
+// uma linha vazia separa parágrafos. O HTML é montado a partir das mesmas linhas, então os
+// dois formatos nunca divergem. Para um novo modelo, adicionar as duas versões em TEMPLATES.
+const { escapeHtml } = require('./export');
+
+const DEFAULT_LOCALE = 'en';
+
+// Endereço público usado nos links dos e-mails. Nunca vem do header Host da requisição:
+// um Host forjado faria o link (e o token) apontar para outro site
+const APP_BASE_URL = (process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+if (!process.env.APP_BASE_URL) {
+  console.log(`⚠️  APP_BASE_URL not set - email links will point to ${APP_BASE_URL}`);
+}
+
+// Link da página de recuperação de licença para um token
+function recoveryUrl(token) {
+  return `${APP_BASE_URL}/recover/${token}`;
+}
+
+// Link da página para aceitar um convite de pasta compartilhada
+function invitationUrl(token) {
+  return `${APP_BASE_URL}/invitations/${token}`;
+}
+
+// Papel em uma pasta compartilhada, como aparece no convite
+const ROLE_NAMES = {
+  en: { viewer: 'viewer (read only)', editor: 'editor', owner: 'owner' },
+  pt: { viewer: 'leitor (só leitura)', editor: 'editor', owner: 'dono' }
+};
+
+// Validade de um link em texto ("30 minutes", "7 days" / "30 minutos", "7 dias")
+function formatDuration(minutes, locale) {
+  const days = minutes % (24 * 60) === 0 ? minutes / (24 * 60) : null;
+  if (locale === 'pt') {
+    return days ? `${days} dia${days === 1 ? '' : 's'}` : `${minutes} minuto${minutes === 1 ? '' : 's'}`;
+  }
+  return days ? `${days} day${days === 1 ? '' : 's'}` : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+const TEMPLATES = {
+  // Chave de licença de uma compra (data: { licenseKey, plan })
+  license_delivered: {
+    en: (data) => ({
+      subject: 'Your BuzzyNotes license key',
+      lines: [
+        'Thank you for buying BuzzyNotes Premium!',
+        '',
+        'Your license key:',
+        data.licenseKey,
+        '',
+        'Open the BuzzyNotes extension, go to Settings > License and enter this key with your email address.',
+        '',
+        'Keep this email: for your security we only store a fingerprint of the key and cannot show it again. If you lose it, you can get a new key from the license recovery page.'
+      ]
+    }),
+    pt: (data) => ({
+      subject: 'Sua chave de licença do BuzzyNotes',
+      lines: [
+        'Obrigado por comprar o BuzzyNotes Premium!',
+        '',
+        'Sua chave de licença:',
+        data.licenseKey,
+        '',
+        'Abra a extensão BuzzyNotes, vá em Configurações > Licença e informe esta chave com o seu e-mail.',
+        '',
+        'Guarde este e-mail: por segurança guardamos só uma impressão digital da chave e não conseguimos mostrá-la de novo. Se você a perder, pode obter uma chave nova na página de recuperação de licença.'
+      ]
+    })
+  },
+  
+  // Falha na cobrança da assinatura (data: { invoiceUrl? })
+  payment_failed: {
+    en: (data) => ({
+      subject: 'Payment failed for your BuzzyNotes subscription',
+      lines: [
+        'We could not charge your payment method for your BuzzyNotes Premium subscription.',
+        '',
+        'Please update your payment details to keep your premium features.',
+        ...(data.invoiceUrl ? ['', 'Pay the invoice or update your card here:', data.invoiceUrl] : [])
+      ]
+    }),
+    pt: (data) => ({
+      subject: 'Falha no pagamento da sua assinatura BuzzyNotes',
+      lines: [
+        'Não conseguimos cobrar a sua forma de pagamento da assinatura BuzzyNotes Premium.',
+        '',
+        'Atualize seus dados de pagamento para manter os recursos premium.',
+        ...(data.invoiceUrl ? ['', 'Pague a fatura ou atualize seu cartão aqui:', data.invoiceUrl] : [])
+      ]
+    })
+  },
+  
+  // Assinatura cancelada (data: {})
+  subscription_canceled: {
+    en: () => ({
+      subject: 'Your BuzzyNotes subscription was canceled',
+      lines: [
+        'Your BuzzyNotes Premium subscription was canceled and you will not be charged again.',
+        '',
+        'Your notes stay on your devices. If this was a mistake, you can subscribe again at any time.'
+      ]
+    }),
+    pt: () => ({
+      subject: 'Sua assinatura BuzzyNotes foi cancelada',
+      lines: [
+        'Sua assinatura BuzzyNotes Premium foi cancelada e você não será mais cobrado.',
+        '',
+        'Suas notas continuam nos seus dispositivos. Se foi um engano, você pode assinar de novo a qualquer momento.'
+      ]
+    })
+  },
+  
+  // Link de recuperação pedido pelo usuário (data: { token, ttlMinutes })
+  license_recovery: {
+    en: (data) => ({
+      subject: 'Recover your BuzzyNotes license key',
+      lines: [
+        'Someone (hopefully you) asked to recover the BuzzyNotes license for this email address.',
+        '',
+        `Open this link to get your license key (valid for ${formatDuration(data.ttlMinutes, 'en')}, single use):`,
+        recoveryUrl(data.token),
+        '',
+        'A new key will be issued and your previous key will stop working.',
+        'If you did not ask for this, you can ignore this email.'
+      ]
+    }),
+    pt: (data) => ({
+      subject: 'Recupere sua chave de licença do BuzzyNotes',
+      lines: [
+        'Alguém (provavelmente você) pediu para recuperar a licença do BuzzyNotes deste e-mail.',
+        '',
+        `Abra este link para obter sua chave de licença (válido por ${formatDuration(data.ttlMinutes, 'pt')}, uso único):`,
+        recoveryUrl(data.token),
+        '',
+        'Uma chave nova será emitida e a anterior deixará de funcionar.',
+        'Se você não pediu isso, pode ignorar este e-mail.'
+      ]
+    })
+  },
+  
+  // Convite para uma pasta compartilhada (data: { token, folderName, invitedBy, role, ttlDays })
+  folder_invitation: {
+    en: (data) => ({
+      subject: `${data.invitedBy || 'Someone'} shared the folder "${data.folderName}" with you on BuzzyNotes`,
+      lines: [
+        `${data.invitedBy || 'A BuzzyNotes user'} invited you to the shared folder "${data.folderName}" as ${ROLE_NAMES.en[data.role] || data.role}.`,
+        '',
+        `Open this link to accept the invitation (valid for ${formatDuration(data.ttlDays * 24 * 60, 'en')}):`,
+        invitationUrl(data.token),
+        '',
+        'You can also accept it in the BuzzyNotes extension, under Shared folders. The invitation is for the license registered with this email address.'
+      ]
+    }),
+    pt: (data) => ({
+      subject: `${data.invitedBy || 'Alguém'} compartilhou a pasta "${data.folderName}" com você no BuzzyNotes`,
+      lines: [
+        `${data.invitedBy || 'Um usuário do BuzzyNotes'} convidou você para a pasta compartilhada "${data.folderName}" como ${ROLE_NAMES.pt[data.role] || data.role}.`,
+        '',
+        `Abra este link para aceitar o convite (válido por ${formatDuration(data.ttlDays * 24 * 60, 'pt')}):`,
+        invitationUrl(data.token),
+        '',
+        'Você também pode aceitá-lo na extensão BuzzyNotes, em Pastas compartilhadas. O convite vale para a licença registrada com este e-mail.'
+      ]
+    })
+  },
+  
+  // Aviso de chave substituída por segurança (data: { token, ttlMinutes })
+  key_rotated: {
+    en: (data) => ({
+      subject: 'Your BuzzyNotes license key was replaced',
+      lines: [
+        'For security reasons, your BuzzyNotes license key was replaced and the old key no longer works.',
+        '',
+        `Open this link to get your new license key (valid for ${formatDuration(data.ttlMinutes, 'en')}, single use):`,
+        recoveryUrl(data.token),
+        '',
+        'After that you can request a new link at any time from the license recovery page.'
+      ]
+    }),
+    pt: (data) => ({
+      subject: 'Sua chave de licença do BuzzyNotes foi substituída',
+      lines: [
+        'Por segurança, sua chave de licença do BuzzyNotes foi substituída e a chave antiga não funciona mais.',
+        '',
+        `Abra este link para obter sua nova chave de licença (válido por ${formatDuration(data.ttlMinutes, 'pt')}, uso único):`,
+        recoveryUrl(data.token),
+        '',
+        'Depois disso você pode pedir um novo link a qualquer momento na página de recuperação de licença.'
+      ]
+    })
+  }
+};
+
+// Idioma suportado para um valor informado ('pt-BR', 'pt_BR', header Accept-Language...)
+// Retorna 'en', 'pt' ou null se o idioma não for suportado
+function parseLocale(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  
+  const language = value.trim().toLowerCase().split(/[-_,;]/)[0];
+  return ['en', 'pt'].includes(language) ? language : null;
+}
+
+// Montar o HTML de um e-mail a partir das linhas do modelo (links viram <a>)
+function renderHtml(lines) {
+  const paragraphs = [];
+  let current = [];
+  
+  for (const line of [...lines, '']) {
+    if (line === '') {
+      if (current.length > 0) {
+        paragraphs.push(`<p>${current.join('<br>\n')}</p>`);
+      }
+      current = [];
+    } else if (/^https?:\/\/\S+$/.test(line)) {
+      current.push(`<a href="${escapeHtml(line)}">${escapeHtml(line)}</a>`);
+    } else {
+      current.push(escapeHtml(line));
+    }
+  }
+  
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: system-ui, sans-serif; color: #222; max-width: 36rem;">
+${paragraphs.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Função para montar um e-mail a partir de um modelo; idiomas não suportados usam o inglês
+// Retorna { subject, text, html }; modelos desconhecidos lançam um erro
+function renderEmail(template, locale, data = {}) {
+  const versions = Object.prototype.hasOwnProperty.call(TEMPLATES, template) ? TEMPLATES[template] : null;
+  if (!versions) {
+    const error = new Error(`Unknown email template: ${template}`);
+    error.code = 'UNKNOWN_EMAIL_TEMPLATE';
+    throw error;
+  }
+  
+  const render = versions[parseLocale(locale) || DEFAULT_LOCALE];
+  const { subject, lines } = render(data);
+  
+  return {
+    subject,
+    text: `${lines.join('\n')}\n`,
+    html: renderHtml(lines)
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  parseLocale,
+  renderEmail
+};
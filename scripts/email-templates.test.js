@@ -0,0 +1,64 @@
+// scripts/email-templates.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.APP_BASE_URL = 'https://notes.example.com/';
+
+const { DEFAULT_LOCALE, parseLocale, renderEmail } = require('./email-templates');
+
+test('parseLocale accepts language tags and Accept-Language headers', () => {
+  assert.equal(parseLocale('pt-BR'), 'pt');
+  assert.equal(parseLocale('pt_BR'), 'pt');
+  assert.equal(parseLocale(' EN-us '), 'en');
+  assert.equal(parseLocale('pt-BR,pt;q=0.9,en;q=0.8'), 'pt');
+  assert.equal(parseLocale('fr-FR'), null);
+  assert.equal(parseLocale(undefined), null);
+});
+
+test('unsupported locales fall back to the default language', () => {
+  const data = { token: 'tok', ttlMinutes: 30 };
+  
+  assert.equal(DEFAULT_LOCALE, 'en');
+  assert.deepEqual(renderEmail('license_recovery', 'fr', data), renderEmail('license_recovery', 'en', data));
+  assert.notEqual(renderEmail('license_recovery', 'pt-BR', data).subject, renderEmail('license_recovery', 'en', data).subject);
+});
+
+test('recovery emails link to APP_BASE_URL and state how long the link lasts', () => {
+  const en = renderEmail('license_recovery', 'en', { token: 'abc123', ttlMinutes: 30 });
+  const pt = renderEmail('license_recovery', 'pt', { token: 'abc123', ttlMinutes: 1 });
+  
+  assert.ok(en.text.includes('\nhttps://notes.example.com/recover/abc123\n'));
+  assert.match(en.text, /valid for 30 minutes/);
+  assert.match(pt.text, /válido por 1 minuto,/);
+  assert.ok(en.html.includes('<a href="https://notes.example.com/recover/abc123">https://notes.example.com/recover/abc123</a>'));
+});
+
+test('invitation emails count the validity in days and escape user data in HTML', () => {
+  const email = renderEmail('folder_invitation', 'en', {
+    token: 'inv',
+    folderName: '<b>Plans</b> & "ideas"',
+    invitedBy: 'Ana',
+    role: 'viewer',
+    ttlDays: 7
+  });
+  
+  assert.match(email.subject, /^Ana shared the folder "<b>Plans<\/b> & "ideas"" with you/);
+  assert.match(email.text, /as viewer \(read only\)\./);
+  assert.match(email.text, /valid for 7 days/);
+  assert.ok(email.html.includes('&lt;b&gt;Plans&lt;/b&gt; &amp;'));
+  assert.ok(!email.html.includes('<b>'));
+  assert.ok(email.html.includes('<a href="https://notes.example.com/invitations/inv">'));
+});
+
+test('text paragraphs and HTML paragraphs come from the same lines', () => {
+  const email = renderEmail('folder_invitation', 'pt', { token: 'inv', folderName: 'F', role: 'editor', ttlDays: 1 });
+  const paragraphs = email.text.trim().split('\n\n');
+  
+  assert.equal((email.html.match(/<p>/g) || []).length, paragraphs.length);
+  assert.match(email.text, /válido por 1 dia\)/);
+});
+
+test('unknown templates are refused with a code', () => {
+  assert.throws(() => renderEmail('newsletter', 'en', {}), { code: 'UNKNOWN_EMAIL_TEMPLATE' });
+  assert.throws(() => renderEmail('toString', 'en', {}), { code: 'UNKNOWN_EMAIL_TEMPLATE' });
+});
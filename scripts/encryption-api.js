@@ -0,0 +1,172 @@
+// scripts/encryption-api.js
+const {
+  getEncryptionKey,
+  setEncryptionKey,
+  deleteEncryptionKey
+} = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { validateKeyRecord } = require('./encryption');
+
+// Status HTTP dos erros do modo criptografado
+const ENCRYPTION_ERROR_STATUS = {
+  INVALID_ENVELOPE: 400,
+  ENCRYPTION_REQUIRED: 409,
+  ENCRYPTION_NOT_CONFIGURED: 409,
+  ENCRYPTION_KEY_MISMATCH: 409
+};
+
+// Resposta padrão para erros do modo criptografado; retorna false se o erro não é desse tipo
+function sendEncryptionError(res, error) {
+  const status = ENCRYPTION_ERROR_STATUS[error.code];
+  if (!status) {
+    return false;
+  }
+  
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    current_key_id: error.keyId || null
+  });
+  return true;
+}
+
+// Criar o middleware que recusa rotas que precisam do texto das notas no servidor (busca,
+// exportação) enquanto a criptografia de ponta a ponta está ativa: o cliente as faz localmente
+function rejectWhenEncrypted(message) {
+  return async (req, res, next) => {
+    try {
+      const key = await getEncryptionKey(req.license.license_key);
+      
+      if (key) {
+        return res.status(409).json({
+          success: false,
+          error: message,
+          code: 'ENCRYPTION_ENABLED',
+          current_key_id: key.key_id
+        });
+      }
+      
+      next();
+      
+    } catch (error) {
+      console.error('Error checking encryption settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check encryption settings'
+      });
+    }
+  };
+}
+
+// Configurar rotas do registro de chave de criptografia de ponta a ponta
+function setupEncryptionRoutes(app) {
+
+  // GET /api/license/:licenseKey/encryption - Registro de chave (parâmetros de derivação e verifier)
+  // Um novo dispositivo deriva a chave da senha e decifra o verifier para confirmar que ela está certa
+  app.get('/api/license/:licenseKey/encryption', requireLicense, async (req, res) => {
+    try {
+      const key = await getEncryptionKey(req.license.license_key);
+      
+      res.json({
+        success: true,
+        enabled: Boolean(key),
+        key
+      });
+      
+    } catch (error) {
+      console.error('Error getting encryption key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get encryption settings'
+      });
+    }
+  });
+  
+  // PUT /api/license/:licenseKey/encryption - Ativar a criptografia ou trocar a chave
+  // Trocar a chave exige expected_key_id; depois disso os dados precisam ser reenviados cifrados com a nova
+  // Enquanto ativa, só os dados em bloco são aceitos: notas, pastas e tags individuais, links públicos e
+  // pastas compartilhadas recusam texto novo (ENCRYPTION_REQUIRED) e busca e exportação ficam no dispositivo
+  app.put('/api/license/:licenseKey/encryption', requireLicense, async (req, res) => {
+    try {
+      const { key_id, algorithm, kdf, verifier, expected_key_id } = req.body;
+      
+      const validationError = validateKeyRecord({ key_id, algorithm, kdf, verifier });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const result = await setEncryptionKey(
+        req.license.license_key,
+        { key_id, algorithm, kdf, verifier },
+        { expectedKeyId: expected_key_id }
+      );
+      
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: result.created ? 'End-to-end encryption enabled' : 'Encryption key rotated',
+        key: result.key
+      });
+      
+    } catch (error) {
+      if (sendEncryptionError(res, error)) {
+        return;
+      }
+      
+      console.error('Error setting encryption key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update encryption settings'
+      });
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/encryption - Desativar a criptografia (body: { expected_key_id })
+  // Os dados já cifrados continuam como estão até o cliente reenviá-los em texto claro
+  app.delete('/api/license/:licenseKey/encryption', requireLicense, async (req, res) => {
+    try {
+      const expectedKeyId = req.body && req.body.expected_key_id;
+      
+      if (typeof expectedKeyId !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'expected_key_id is required to disable encryption'
+        });
+      }
+      
+      const deleted = await deleteEncryptionKey(req.license.license_key, expectedKeyId);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'End-to-end encryption is not enabled'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'End-to-end encryption disabled'
+      });
+      
+    } catch (error) {
+      if (sendEncryptionError(res, error)) {
+        return;
+      }
+      
+      console.error('Error disabling encryption:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update encryption settings'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupEncryptionRoutes,
+  sendEncryptionError,
+  rejectWhenEncrypted
+};
@@ -0,0 +1,159 @@
+// scripts/encryption.js
+// Modo de conhecimento zero (criptografia de ponta a ponta) dos dados sincronizados
+//
+// O cliente criptografa o conteúdo inteiro de um tipo de dado e envia, no lugar dele, um envelope:
+//   {
+//     "e2e": 1,                         - versão do formato do envelope
+//     "algorithm": "AES-256-GCM",       - ou "XChaCha20-Poly1305"
+//     "key_id": "k1",                   - chave usada (a registrada para a licença)
+//     "nonce": "<base64>",              - 12 bytes (AES-GCM) ou 24 bytes (XChaCha20)
+//     "ciphertext": "<base64>"          - conteúdo criptografado + tag de autenticação (16 bytes)
+//   }
+// O servidor valida a estrutura e guarda o envelope sem nunca ver a chave nem o texto claro.
+//
+// O registro de chave da licença guarda os parâmetros de derivação (kdf) da senha e um
+// "verifier": envelope de um texto conhecido, que um novo dispositivo decifra para confirmar a senha
+
+// Versão atual do formato do envelope
+const ENVELOPE_VERSION = 1;
+
+// Algoritmos aceitos e o tamanho do nonce de cada um
+const ENVELOPE_ALGORITHMS = {
+  'AES-256-GCM': { nonceBytes: 12 },
+  'XChaCha20-Poly1305': { nonceBytes: 24 }
+};
+
+// Tamanho da tag de autenticação (o ciphertext nunca é menor que isso)
+const AUTH_TAG_BYTES = 16;
+
+// Funções de derivação de chave aceitas e os parâmetros mínimos de cada uma
+const KDF_PARAMETERS = {
+  'PBKDF2-SHA256': { iterations: 100000 },
+  'Argon2id': { iterations: 2, memory_kib: 19456, parallelism: 1 }
+};
+
+// Tamanho mínimo do salt da derivação
+const MIN_SALT_BYTES = 16;
+
+const KEY_ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+const BASE64_REGEX = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+const ENVELOPE_FIELDS = ['e2e', 'algorithm', 'key_id', 'nonce', 'ciphertext'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Tamanho em bytes de um valor base64, ou null se não for base64 válido
+function base64Length(value) {
+  if (typeof value !== 'string' || !BASE64_REGEX.test(value)) {
+    return null;
+  }
+  return Buffer.byteLength(value, 'base64');
+}
+
+// Verificar se um conteúdo sincronizado é um envelope criptografado
+function isEncryptedEnvelope(content) {
+  return isPlainObject(content) && Object.prototype.hasOwnProperty.call(content, 'e2e');
+}
+
+// Função para validar um envelope criptografado
+// Retorna a mensagem de erro ou null; campos extras são recusados (não vazar metadados em claro)
+function validateEnvelope(envelope) {
+  if (!isPlainObject(envelope)) {
+    return 'Encrypted envelope must be an object';
+  }
+  
+  const extra = Object.keys(envelope).filter(field => !ENVELOPE_FIELDS.includes(field));
+  if (extra.length > 0) {
+    return `Unexpected envelope fields: ${extra.join(', ')}`;
+  }
+  
+  if (envelope.e2e !== ENVELOPE_VERSION) {
+    return `Unsupported envelope version (expected e2e: ${ENVELOPE_VERSION})`;
+  }
+  
+  const algorithm = ENVELOPE_ALGORITHMS[envelope.algorithm];
+  if (!algorithm) {
+    return `Algorithm must be one of: ${Object.keys(ENVELOPE_ALGORITHMS).join(', ')}`;
+  }
+  
+  if (typeof envelope.key_id !== 'string' || !KEY_ID_REGEX.test(envelope.key_id)) {
+    return 'Invalid key_id';
+  }
+  
+  if (base64Length(envelope.nonce) !== algorithm.nonceBytes) {
+    return `Nonce must be ${algorithm.nonceBytes} bytes of base64 for ${envelope.algorithm}`;
+  }
+  
+  const ciphertextBytes = base64Length(envelope.ciphertext);
+  if (ciphertextBytes === null || ciphertextBytes < AUTH_TAG_BYTES) {
+    return 'Ciphertext must be base64 and include the authentication tag';
+  }
+  
+  return null;
+}
+
+// Função para validar os parâmetros de derivação da chave a partir da senha
+function validateKdf(kdf) {
+  if (!isPlainObject(kdf)) {
+    return 'KDF parameters must be an object';
+  }
+  
+  const minimums = KDF_PARAMETERS[kdf.name];
+  if (!minimums) {
+    return `KDF must be one of: ${Object.keys(KDF_PARAMETERS).join(', ')}`;
+  }
+  
+  const saltBytes = base64Length(kdf.salt);
+  if (saltBytes === null || saltBytes < MIN_SALT_BYTES) {
+    return `KDF salt must be at least ${MIN_SALT_BYTES} bytes of base64`;
+  }
+  
+  for (const [parameter, minimum] of Object.entries(minimums)) {
+    if (!Number.isInteger(kdf[parameter]) || kdf[parameter] < minimum) {
+      return `KDF ${parameter} must be an integer of at least ${minimum}`;
+    }
+  }
+  
+  const extra = Object.keys(kdf).filter(field => field !== 'name' && field !== 'salt' && !minimums[field]);
+  if (extra.length > 0) {
+    return `Unexpected KDF fields: ${extra.join(', ')}`;
+  }
+  
+  return null;
+}
+
+// Função para validar o registro de chave enviado pelo cliente
+// O verifier precisa ter sido cifrado com a própria chave registrada
+function validateKeyRecord({ key_id, algorithm, kdf, verifier }) {
+  if (typeof key_id !== 'string' || !KEY_ID_REGEX.test(key_id)) {
+    return 'key_id must be 1-64 letters, numbers, "_" or "-"';
+  }
+  
+  if (!ENVELOPE_ALGORITHMS[algorithm]) {
+    return `Algorithm must be one of: ${Object.keys(ENVELOPE_ALGORITHMS).join(', ')}`;
+  }
+  
+  const kdfError = validateKdf(kdf);
+  if (kdfError) {
+    return kdfError;
+  }
+  
+  const verifierError = validateEnvelope(verifier);
+  if (verifierError) {
+    return `Invalid verifier: ${verifierError}`;
+  }
+  
+  if (verifier.key_id !== key_id || verifier.algorithm !== algorithm) {
+    return 'Verifier must be encrypted with the registered key and algorithm';
+  }
+  
+  return null;
+}
+
+module.exports = {
+  isEncryptedEnvelope,
+  validateEnvelope,
+  validateKeyRecord
+};
@@ -0,0 +1,83 @@
+// scripts/events-api.js
+const rateLimit = require('express-rate-limit');
+const { getLatestRevision } = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { addStream, countStreams, writeEvent } = require('./realtime');
+
+// Streams simultâneos por licença em cada instância (abas e dispositivos)
+const MAX_STREAMS_PER_LICENSE = parseInt(process.env.EVENTS_MAX_STREAMS, 10) || 20;
+
+// Intervalo de reconexão sugerido ao EventSource do navegador
+const CLIENT_RETRY_MS = 5000;
+
+// Aberturas de stream por licença (a rota fica fora do limite global por IP em server.js):
+// o EventSource reconecta sozinho a cada queda, em todas as abas e dispositivos
+const eventStreamRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 120, // reconexões a cada CLIENT_RETRY_MS em até 10 abas ou dispositivos
+  keyGenerator: req => req.license.license_key,
+  message: {
+    success: false,
+    error: 'Too many event stream connections for this license, please slow down'
+  }
+});
+
+// Configurar rota de eventos em tempo real
+function setupEventRoutes(app) {
+
+  // GET /api/license/:licenseKey/events - Stream de avisos de mudança (Server-Sent Events)
+  //   ready   - conexão aberta, com a revisão atual do feed
+  //   data    - upload de dados em bloco concluído: { data_type, version, revision }
+  //   changes - notas/pastas/tags/anexos mudaram: { revision } (buscar em /api/sync/changes)
+  //   resync  - avisos podem ter se perdido: buscar o feed e os dados novamente
+  //   revoked - sessão encerrada, dispositivo desativado ou licença revogada: o stream é fechado
+  app.get('/api/license/:licenseKey/events', requireLicense, eventStreamRateLimit, async (req, res) => {
+    const licenseKey = req.license.license_key;
+    
+    if (countStreams(licenseKey) >= MAX_STREAMS_PER_LICENSE) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many open event streams for this license'
+      });
+    }
+    
+    let revision;
+    try {
+      revision = await getLatestRevision(licenseKey);
+    } catch (error) {
+      console.error('Error opening event stream:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to open event stream'
+      });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    req.socket.setTimeout(0);
+    
+    const removeStream = addStream(licenseKey, res, {
+      sessionId: req.authSessionId || null,
+      deviceId: req.deviceId
+    });
+    req.on('close', removeStream);
+    
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+    writeEvent(res, 'ready', { revision }, revision);
+    
+    // Reconexão do EventSource: avisar se houve mudanças desde o último evento recebido
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    if (Number.isInteger(lastEventId) && lastEventId < revision) {
+      writeEvent(res, 'changes', { revision }, revision);
+    }
+  });
+}
+
+module.exports = {
+  setupEventRoutes
+};
@@ -0,0 +1,87 @@
+// scripts/export-api.js
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const { requireLicense } = require('./license-middleware');
+const { rejectWhenEncrypted } = require('./encryption-api');
+const { getStorage } = require('./storage');
+const {
+  loadExportContext,
+  writeMarkdownExport,
+  generateHtmlExport,
+  generateJsonExport
+} = require('./export');
+
+// Formatos de exportação: tipo de conteúdo e extensão do arquivo baixado
+const EXPORT_FORMATS = {
+  markdown: { contentType: 'application/zip', extension: 'zip' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Com criptografia de ponta a ponta a exportação é feita no dispositivo (o servidor só tem envelopes)
+const exportInPlaintextMode = rejectWhenEncrypted('Export runs on your devices while end-to-end encryption is enabled');
+
+// Configurar rotas de exportação
+function setupExportRoutes(app) {
+
+  // GET /api/license/:licenseKey/export?format=markdown|html|json - Baixar todas as notas
+  app.get('/api/license/:licenseKey/export', requireLicense, exportInPlaintextMode, async (req, res) => {
+    const format = req.query.format || 'json';
+    const licenseKey = req.license.license_key;
+    
+    if (typeof format !== 'string' || !EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    
+    let context;
+    try {
+      context = await loadExportContext(licenseKey);
+    } catch (error) {
+      console.error('Error preparing export:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to export notes'
+      });
+    }
+    
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `buzzynotes-export-${context.exportedAt.substring(0, 10)}.${extension}`;
+    
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    
+    console.log(`📤 Export (${format}) started for license: ${licenseKey.substring(0, 8)}...`);
+    
+    // A partir daqui a resposta já está sendo enviada: erros só podem interromper o download
+    try {
+      if (format === 'markdown') {
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        await Promise.all([
+          pipeline(archive, res),
+          writeMarkdownExport(context, archive, getStorage())
+        ]);
+      } else {
+        const generate = format === 'html' ? generateHtmlExport : generateJsonExport;
+        await pipeline(Readable.from(generate(context)), res);
+      }
+      
+      console.log(`📤 Export (${format}) finished for license: ${licenseKey.substring(0, 8)}...`);
+      
+    } catch (error) {
+      console.error(`Error exporting notes (${format}):`, error.message);
+      res.destroy();
+    }
+  });
+}
+
+module.exports = {
+  setupExportRoutes
+};
@@ -0,0 +1,368 @@
+// scripts/export.js
+// Exportação das notas de uma licença em Markdown (zip), HTML (página única) e JSON canônico
+// Tudo é gerado em lotes e escrito à medida que é lido, para contas grandes não esgotarem a memória
+const {
+  getUserData,
+  listUserDataTypes,
+  listNotesForExport,
+  listSyncedNotesForExport,
+  listFolders,
+  listTags,
+  listAttachments
+} = require('./database');
+
+// Quantidade de notas lidas do banco por vez
+const EXPORT_BATCH_SIZE = 200;
+
+// Identificação do formato JSON canônico (lido de volta pela importação)
+const EXPORT_FORMAT = 'buzzynotes-export';
+const EXPORT_VERSION = 1;
+
+// Nomes reservados pelo Windows que não podem ser usados como arquivo ou pasta
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Percorrer uma listagem paginada por chave (after = id do último item do lote anterior)
+async function* iterateInBatches(fetchBatch) {
+  let after = null;
+  
+  while (true) {
+    const rows = await fetchBatch({ after, limit: EXPORT_BATCH_SIZE });
+    
+    for (const row of rows) {
+      yield row;
+    }
+    
+    if (rows.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    after = rows[rows.length - 1].id;
+  }
+}
+
+// Função para escapar texto inserido no HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Converter um nome (título ou pasta) em um nome de arquivo válido em qualquer sistema
+function sanitizeFileName(name, fallback = 'Untitled') {
+  let safe = String(name || '')
+    .replace(/[\/\\:*?"<>|\x00-\x1f\x7f]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 100)
+    .replace(/^[. ]+|[. ]+$/g, '');
+  
+  if (!safe) {
+    safe = fallback;
+  }
+  
+  return RESERVED_NAMES.test(safe) ? `_${safe}` : safe;
+}
+
+// Reservar um caminho único (sem diferenciar maiúsculas), acrescentando " (2)", " (3)"...
+function reservePath(usedPaths, dir, name, extension = '') {
+  const prefix = dir ? `${dir}/` : '';
+  let candidate = `${prefix}${name}${extension}`;
+  
+  for (let counter = 2; usedPaths.has(candidate.toLowerCase()); counter++) {
+    candidate = `${prefix}${name} (${counter})${extension}`;
+  }
+  
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Montar o caminho de cada pasta a partir da lista plana (id -> 'Pai/Filha')
+// Pastas irmãs cujos nomes colidem depois de sanitizados recebem sufixo numérico
+function buildFolderPaths(folders) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const paths = new Map();
+  const usedPaths = new Set();
+  
+  const resolve = (folder, depth) => {
+    if (paths.has(folder.id)) {
+      return paths.get(folder.id);
+    }
+    
+    // Pai ausente ou árvore profunda demais: tratar como pasta da raiz
+    const parent = folder.parent_id ? byId.get(folder.parent_id) : null;
+    const parentPath = parent && depth < 100 ? resolve(parent, depth + 1) : '';
+    
+    const folderPath = reservePath(usedPaths, parentPath, sanitizeFileName(folder.name, 'Folder'));
+    paths.set(folder.id, folderPath);
+    return folderPath;
+  };
+  
+  for (const folder of folders) {
+    resolve(folder, 0);
+  }
+  
+  return paths;
+}
+
+// Percorrer os anexos da licença em páginas
+async function* iterateAttachments(licenseKey) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const { attachments } = await listAttachments(licenseKey, { limit: EXPORT_BATCH_SIZE, offset });
+    
+    for (const attachment of attachments) {
+      yield attachment;
+    }
+    
+    if (attachments.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+  }
+}
+
+// Carregar os metadados (pastas e tags) antes de começar a enviar a resposta
+// Assim falhas no banco ainda podem ser respondidas com erro JSON
+async function loadExportContext(licenseKey) {
+  const [folders, tags] = await Promise.all([
+    listFolders(licenseKey),
+    listTags(licenseKey)
+  ]);
+  
+  return {
+    licenseKey,
+    folders,
+    tags,
+    folderPaths: buildFolderPaths(folders),
+    exportedAt: new Date().toISOString()
+  };
+}
+
+// Data em ISO 8601 (ou null)
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Nota em Markdown com front-matter YAML (strings em aspas duplas, compatíveis com JSON)
+function noteToMarkdown(note, folderPath) {
+  const lines = [
+    '---',
+    `id: ${JSON.stringify(note.id)}`,
+    `title: ${JSON.stringify(note.title || '')}`,
+    `folder: ${folderPath ? JSON.stringify(folderPath) : 'null'}`,
+    `tags: ${JSON.stringify(note.tags || [])}`
+  ];
+  
+  if (note.created_at) {
+    lines.push(`created: ${toIsoString(note.created_at)}`);
+  }
+  if (note.updated_at) {
+    lines.push(`updated: ${toIsoString(note.updated_at)}`);
+  }
+  
+  lines.push('---', '', note.body || '');
+  return lines.join('\n');
+}
+
+// Aguardar o arquivo zip processar uma entrada (controle de fluxo com a resposta)
+function appendEntry(archive, source, data) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      archive.off('close', onClose);
+    };
+    const onEntry = () => { cleanup(); resolve(); };
+    const onError = (error) => { cleanup(); reject(error); };
+    const onClose = () => { cleanup(); reject(new Error('Export archive closed')); };
+    
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    archive.on('close', onClose);
+    archive.append(source, data);
+  });
+}
+
+// Função para escrever o export Markdown em um arquivo zip (archiver)
+//   notes/<pastas>/<título>.md   - notas individuais, na estrutura de pastas
+//   synced/<pasta>/<título>.md   - notas sincronizadas em bloco
+//   attachments/<hash>/<nome>    - anexos
+async function writeMarkdownExport(context, archive, storage) {
+  const usedPaths = new Set();
+  
+  // Pastas vazias também fazem parte da estrutura
+  for (const folderPath of context.folderPaths.values()) {
+    await appendEntry(archive, null, { name: `notes/${folderPath}/` });
+  }
+  
+  for await (const note of iterateInBatches(options => listNotesForExport(context.licenseKey, options))) {
+    const folderPath = note.folder_id ? context.folderPaths.get(note.folder_id) || '' : '';
+    const name = reservePath(usedPaths, `notes${folderPath ? `/${folderPath}` : ''}`, sanitizeFileName(note.title), '.md');
+    
+    await appendEntry(archive, noteToMarkdown(note, folderPath), { name, date: note.updated_at });
+  }
+  
+  for await (const note of iterateInBatches(options => listSyncedNotesForExport(context.licenseKey, options))) {
+    const folderPath = note.folder ? sanitizeFileName(note.folder, 'Folder') : '';
+    const name = reservePath(usedPaths, `synced${folderPath ? `/${folderPath}` : ''}`, sanitizeFileName(note.title), '.md');
+    
+    await appendEntry(archive, noteToMarkdown(note, note.folder), { name, date: note.updated_at });
+  }
+  
+  for await (const attachment of iterateAttachments(context.licenseKey)) {
+    const stream = await storage.get(attachment.id);
+    if (!stream) {
+      console.error(`❌ Attachment content missing from storage: ${attachment.id}`);
+      continue;
+    }
+    
+    const name = `attachments/${attachment.id}/${sanitizeFileName(attachment.filename, attachment.id)}`;
+    await appendEntry(archive, stream, { name, date: attachment.created_at });
+  }
+  
+  await archive.finalize();
+}
+
+// Artigo HTML de uma nota
+function noteToHtml(note, folderPath) {
+  const meta = [];
+  if (folderPath) {
+    meta.push(`<span class="folder">${escapeHtml(folderPath)}</span>`);
+  }
+  for (const tag of note.tags || []) {
+    meta.push(`<span class="tag">#${escapeHtml(tag)}</span>`);
+  }
+  if (note.updated_at) {
+    meta.push(`<time datetime="${toIsoString(note.updated_at)}">${toIsoString(note.updated_at)}</time>`);
+  }
+  
+  return `<article id="note-${escapeHtml(note.id)}">
+<h2>${escapeHtml(note.title || 'Untitled')}</h2>
+<p class="meta">${meta.join(' ')}</p>
+<div class="body">${escapeHtml(note.body || '')}</div>
+</article>
+`;
+}
+
+// Função para gerar o export HTML (página única, sem scripts nem recursos externos)
+async function* generateHtmlExport(context) {
+  yield `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>BuzzyNotes export</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+article { border-top: 1px solid #ddd; padding: 1rem 0; }
+.meta { color: #666; font-size: 0.85rem; }
+.meta span, .meta time { margin-right: 0.5rem; }
+.body { white-space: pre-wrap; overflow-wrap: break-word; }
+</style>
+</head>
+<body>
+<h1>BuzzyNotes export</h1>
+<p class="meta">Exported at <time datetime="${context.exportedAt}">${context.exportedAt}</time></p>
+<section id="notes">
+<h1>Notes</h1>
+`;
+
+  for await (const note of iterateInBatches(options => listNotesForExport(context.licenseKey, options))) {
+    yield noteToHtml(note, note.folder_id ? context.folderPaths.get(note.folder_id) : null);
+  }
+  
+  yield '</section>\n<section id="synced">\n<h1>Synced notes</h1>\n';
+  
+  for await (const note of iterateInBatches(options => listSyncedNotesForExport(context.licenseKey, options))) {
+    yield noteToHtml(note, note.folder);
+  }
+  
+  yield '</section>\n</body>\n</html>\n';
+}
+
+// Função para gerar o export JSON canônico
+// As notas ficam por último para serem escritas uma a uma; os dados sincronizados vão sem alteração
+async function* generateJsonExport(context) {
+  const header = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: context.exportedAt,
+    folders: context.folders.map(folder => ({
+      id: folder.id,
+      parent_id: folder.parent_id,
+      name: folder.name,
+      position: folder.position,
+      created_at: folder.created_at,
+      updated_at: folder.updated_at
+    })),
+    tags: context.tags.map(tag => ({
+      id: tag.id,
+      name: tag.name,
+      color: tag.color,
+      created_at: tag.created_at,
+      updated_at: tag.updated_at
+    }))
+  };
+  
+  // Objeto aberto: as próximas propriedades são escritas em partes
+  yield JSON.stringify(header).slice(0, -1);
+  
+  yield ',"attachments":[';
+  let first = true;
+  for await (const attachment of iterateAttachments(context.licenseKey)) {
+    yield (first ? '' : ',') + JSON.stringify({
+      id: attachment.id,
+      mime_type: attachment.mime_type,
+      size: attachment.size,
+      filename: attachment.filename,
+      created_at: attachment.created_at
+    });
+    first = false;
+  }
+  
+  // Um tipo de dado sincronizado por vez
+  yield '],"data":{';
+  first = true;
+  for (const { data_type: dataType } of await listUserDataTypes(context.licenseKey)) {
+    const userData = await getUserData(context.licenseKey, dataType);
+    if (!userData) {
+      continue;
+    }
+    
+    yield `${first ? '' : ','}${JSON.stringify(dataType)}:${JSON.stringify({
+      version: userData.version,
+      updated_at: userData.lastModified,
+      content: userData.content
+    })}`;
+    first = false;
+  }
+  
+  yield '},"notes":[';
+  first = true;
+  for await (const note of iterateInBatches(options => listNotesForExport(context.licenseKey, options))) {
+    yield (first ? '' : ',') + JSON.stringify({
+      id: note.id,
+      folder_id: note.folder_id,
+      tags: note.tags,
+      title: note.title,
+      body: note.body,
+      created_at: note.created_at,
+      updated_at: note.updated_at
+    });
+    first = false;
+  }
+  
+  yield ']}\n';
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  escapeHtml,
+  sanitizeFileName,
+  noteToHtml,
+  loadExportContext,
+  writeMarkdownExport,
+  generateHtmlExport,
+  generateJsonExport
+};
@@ -0,0 +1,218 @@
+// scripts/folders-api.js
+const crypto = require('crypto');
+const {
+  listFolders,
+  getFolder,
+  createFolder,
+  updateFolder,
+  deleteFolder
+} = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { sendEncryptionError } = require('./encryption-api');
+const { ID_REGEX } = require('./notes-api');
+
+// Tamanho máximo do nome de uma pasta
+const MAX_FOLDER_NAME_LENGTH = 255;
+
+// Função para validar os campos enviados de uma pasta
+function validateFolderFields(fields) {
+  if (fields.name !== undefined &&
+      (typeof fields.name !== 'string' || fields.name.trim().length === 0 || fields.name.length > MAX_FOLDER_NAME_LENGTH)) {
+    return `Name must be a non-empty string of up to ${MAX_FOLDER_NAME_LENGTH} characters`;
+  }
+  
+  if (fields.parent_id !== undefined && fields.parent_id !== null &&
+      (typeof fields.parent_id !== 'string' || !ID_REGEX.test(fields.parent_id))) {
+    return 'Parent id must be a valid folder id or null';
+  }
+  
+  if (fields.position !== undefined &&
+      (!Number.isInteger(fields.position) || fields.position < 0 || fields.position > 1000000)) {
+    return 'Position must be a non-negative integer';
+  }
+  
+  return null;
+}
+
+// Resposta de erro para os códigos lançados pelas funções de pasta
+function sendFolderError(res, error, fallbackMessage) {
+  const statusByCode = {
+    FOLDER_NOT_FOUND: 400,
+    FOLDER_CYCLE: 400,
+    FOLDER_EXISTS: 409,
+    FOLDER_NAME_TAKEN: 409
+  };
+  
+  if (statusByCode[error.code]) {
+    return res.status(statusByCode[error.code]).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  if (sendEncryptionError(res, error)) {
+    return;
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+}
+
+// Configurar rotas de pastas
+function setupFolderRoutes(app) {
+
+  // GET /api/license/:licenseKey/folders - Listar pastas (lista plana com parent_id)
+  app.get('/api/license/:licenseKey/folders', requireLicense, async (req, res) => {
+    try {
+      const folders = await listFolders(req.license.license_key);
+      
+      res.json({
+        success: true,
+        folders
+      });
+      
+    } catch (error) {
+      console.error('Error listing folders:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list folders'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/folders/:folderId - Buscar uma pasta
+  app.get('/api/license/:licenseKey/folders/:folderId', requireLicense, async (req, res) => {
+    try {
+      const folder = await getFolder(req.license.license_key, req.params.folderId);
+      
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folder not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        folder
+      });
+      
+    } catch (error) {
+      console.error('Error getting folder:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get folder'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/folders - Criar uma pasta
+  app.post('/api/license/:licenseKey/folders', requireLicense, async (req, res) => {
+    try {
+      const { id, parent_id, name, position } = req.body;
+      
+      if (id !== undefined && (typeof id !== 'string' || !ID_REGEX.test(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid folder id format'
+        });
+      }
+      
+      const validationError = name === undefined
+        ? 'Name is required'
+        : validateFolderFields({ parent_id, name, position });
+      
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const folder = await createFolder(req.license.license_key, {
+        id: id || crypto.randomUUID(),
+        parent_id,
+        name,
+        position
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Folder created successfully',
+        folder
+      });
+      
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      sendFolderError(res, error, 'Failed to create folder');
+    }
+  });
+  
+  // PUT /api/license/:licenseKey/folders/:folderId - Renomear, mover e/ou reordenar uma pasta
+  app.put('/api/license/:licenseKey/folders/:folderId', requireLicense, async (req, res) => {
+    try {
+      const { parent_id, name, position } = req.body;
+      
+      const validationError = validateFolderFields({ parent_id, name, position });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const folder = await updateFolder(req.license.license_key, req.params.folderId, { parent_id, name, position });
+      
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folder not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Folder updated successfully',
+        folder
+      });
+      
+    } catch (error) {
+      console.error('Error updating folder:', error);
+      sendFolderError(res, error, 'Failed to update folder');
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/folders/:folderId - Remover pasta e subpastas (notas vão para a lixeira)
+  app.delete('/api/license/:licenseKey/folders/:folderId', requireLicense, async (req, res) => {
+    try {
+      const deleted = await deleteFolder(req.license.license_key, req.params.folderId);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folder not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Folder deleted',
+        deleted_folders: deleted.folders,
+        trashed_notes: deleted.notes
+      });
+      
+    } catch (error) {
+      console.error('Error deleting folder:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete folder'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupFolderRoutes
+};
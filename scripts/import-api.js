@@ -0,0 +1,171 @@
+// scripts/import-api.js
+const express = require('express');
+const { requireLicense } = require('./license-middleware');
+const { sendQuotaExceeded } = require('./usage-api');
+const { sendEncryptionError } = require('./encryption-api');
+const { sendDataTypeError } = require('./data-types-api');
+const {
+  IMPORT_FORMATS,
+  MAX_IMPORT_NOTES,
+  detectImportFormat,
+  parseImport,
+  mergeImportedNotes
+} = require('./import');
+
+// Tamanho máximo do arquivo importado (padrão 25 MB)
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_BYTES, 10) || 25 * 1024 * 1024;
+
+// Corpo bruto do upload, com erros de tamanho respondidos em JSON
+const rawParser = express.raw({ type: () => true, limit: MAX_IMPORT_BYTES });
+
+function parseImportBody(req, res, next) {
+  rawParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        error: error.status === 413
+          ? `Import file exceeds the maximum size of ${MAX_IMPORT_BYTES} bytes`
+          : 'Invalid import body'
+      });
+    }
+    next();
+  });
+}
+
+// Configurar rotas de importação
+function setupImportRoutes(app) {
+
+  // POST /api/license/:licenseKey/import?format=enex|markdown|keep|text&filename= - Importar notas (corpo bruto)
+  // Sem format, o formato é detectado pelo nome do arquivo e pelo conteúdo
+  // Reimportar o mesmo arquivo não duplica notas: cada item gera sempre o mesmo id
+  app.post('/api/license/:licenseKey/import', requireLicense, parseImportBody, async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(415).json({
+          success: false,
+          error: 'JSON and form bodies cannot be imported; send the file as the raw request body'
+        });
+      }
+      
+      if (req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Import file is required'
+        });
+      }
+      
+      const { filename } = req.query;
+      if (filename !== undefined && (typeof filename !== 'string' || filename.length > 255 || /[\/\\\x00-\x1f]/.test(filename))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid filename'
+        });
+      }
+      
+      const format = req.query.format || detectImportFormat(req.body, filename);
+      if (!IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}`
+        });
+      }
+      
+      const items = await parseImport(format, req.body, filename);
+      
+      const notes = items.filter(item => item.note).map(item => item.note);
+      if (notes.length > MAX_IMPORT_NOTES) {
+        return res.status(400).json({
+          success: false,
+          error: `Import is limited to ${MAX_IMPORT_NOTES} notes per file`
+        });
+      }
+      
+      // Itens repetidos no mesmo arquivo geram o mesmo id: importar só o primeiro
+      const uniqueNotes = new Map();
+      for (const note of notes) {
+        if (!uniqueNotes.has(note.id)) {
+          uniqueNotes.set(note.id, note);
+        }
+      }
+      
+      const merged = await mergeImportedNotes(req.license.license_key, [...uniqueNotes.values()]);
+      const added = new Set(merged.added);
+      
+      // Resultado por item, na ordem do arquivo
+      const results = items.map(item => {
+        if (item.error) {
+          return { name: item.name, status: 'failed', error: item.error };
+        }
+        if (item.skipped) {
+          return { name: item.name, status: 'skipped', reason: item.skipped };
+        }
+        
+        const result = { name: item.name, id: item.note.id, title: item.note.title };
+        if (added.delete(item.note.id)) {
+          return { ...result, status: 'imported' };
+        }
+        return {
+          ...result,
+          status: 'skipped',
+          reason: merged.existing.includes(item.note.id) ? 'Already imported' : 'Duplicate item in this file'
+        };
+      });
+      
+      const count = (status) => results.filter(result => result.status === status).length;
+      const summary = { imported: count('imported'), skipped: count('skipped'), failed: count('failed') };
+      
+      console.log(`📥 Import (${format}) for license ${req.license.license_key.substring(0, 8)}...: ${summary.imported} imported, ${summary.skipped} skipped, ${summary.failed} failed`);
+      
+      res.json({
+        success: true,
+        message: summary.imported > 0 ? 'Notes imported successfully' : 'No new notes to import',
+        format,
+        version: merged.version,
+        summary,
+        results
+      });
+      
+    } catch (error) {
+      if (error.code === 'INVALID_IMPORT') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      if (error.code === 'QUOTA_EXCEEDED') {
+        return sendQuotaExceeded(res, error);
+      }
+      
+      // Dados sincronizados em um formato que não é indexado por id
+      if (error.code === 'NOT_MERGEABLE') {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      if (sendEncryptionError(res, error) || sendDataTypeError(res, error)) {
+        return;
+      }
+      
+      if (error.code === 'VERSION_CONFLICT') {
+        return res.status(409).json({
+          success: false,
+          error: 'Notes data is being modified, please retry the import',
+          current_version: error.currentVersion
+        });
+      }
+      
+      console.error('Error importing notes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import notes'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupImportRoutes
+};
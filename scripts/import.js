@@ -0,0 +1,489 @@
+// scripts/import.js
+// Importação de notas de outros aplicativos (Evernote ENEX, zip de Markdown, Google Keep Takeout, texto puro)
+// As notas convertidas são mescladas aos dados sincronizados (user_data 'notes') pelo mesmo caminho do upload
+const crypto = require('crypto');
+const path = require('path');
+const yauzl = require('yauzl');
+const { XMLParser } = require('fast-xml-parser');
+const { getUserData, saveUserData } = require('./database');
+const { toNoteMap, fromNoteMap } = require('./merge');
+const { isEncryptedEnvelope } = require('./encryption');
+
+// Formatos aceitos
+const IMPORT_FORMATS = ['enex', 'markdown', 'keep', 'text'];
+
+// Limites de uma importação (protegem contra arquivos zip maliciosos)
+const MAX_IMPORT_NOTES = 10000;
+const MAX_ZIP_ENTRIES = 20000;
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+// Extensões lidas de dentro de um zip de Markdown
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// Tentativas de mesclar quando os dados mudam durante a importação
+const MAX_MERGE_ATTEMPTS = 3;
+
+// Erro de arquivo que não pôde ser lido no formato informado
+function invalidImportError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+// Id determinístico de uma nota importada: reimportar o mesmo item gera o mesmo id
+function importedNoteId(format, key) {
+  return `import-${crypto.createHash('sha256').update(`${format}\0${key}`).digest('hex').substring(0, 32)}`;
+}
+
+// Hash curto de um conteúdo (chave de itens sem identidade própria)
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Data em ISO 8601, ou null se inválida
+function toIsoDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Montar uma nota no formato dos dados sincronizados
+function buildNote(format, key, { title, body, folder = null, tags = [], created_at = null, updated_at = null }) {
+  const uniqueTags = [...new Set(tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim()))];
+  
+  return {
+    id: importedNoteId(format, key),
+    title: (title || '').trim().substring(0, 500),
+    body: body || '',
+    folder: folder ? String(folder).substring(0, 255) : null,
+    tags: uniqueTags,
+    created_at: created_at || updated_at,
+    updated_at: updated_at || created_at
+  };
+}
+
+// Decodificar entidades HTML (nomeadas comuns e numéricas)
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+// Converter HTML (ENML do Evernote) em texto simples, mantendo quebras de linha, listas e checkboxes
+function htmlToText(html) {
+  const text = html
+    .replace(/<\?xml[^>]*\?>|<!DOCTYPE[^>]*>/gi, '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<en-todo[^>]*checked="true"[^>]*\/?>/gi, '[x] ')
+    .replace(/<en-todo[^>]*\/?>/gi, '[ ] ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(div|p|li|h[1-6]|tr|blockquote|pre)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  
+  return decodeEntities(text)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Data do ENEX (20200101T120000Z) em ISO 8601
+function parseEnexDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match ? toIsoDate(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`) : null;
+}
+
+// Função para converter um export do Evernote (.enex)
+// Anexos (<resource>) não são importados; a nota é importada com o texto
+function parseEnex(buffer) {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    isArray: (name) => ['note', 'tag'].includes(name),
+    parseTagValue: false,
+    trimValues: false
+  });
+  
+  let document;
+  try {
+    document = parser.parse(buffer.toString('utf8'), true);
+  } catch (error) {
+    throw invalidImportError(`Invalid ENEX file: ${error.message}`);
+  }
+  
+  if (!document || !document['en-export']) {
+    throw invalidImportError('Invalid ENEX file: missing <en-export> root');
+  }
+  
+  const notes = document['en-export'].note || [];
+  
+  return notes.map((note, index) => {
+    const title = typeof note.title === 'string' ? note.title : '';
+    const name = title || `Note ${index + 1}`;
+    
+    if (typeof note.content !== 'string') {
+      return { name, error: 'Note has no content' };
+    }
+    
+    const created = parseEnexDate(note.created);
+    const updated = parseEnexDate(note.updated);
+    
+    return {
+      name,
+      note: buildNote('enex', created ? `${title}\0${created}` : `${title}\0${contentHash(note.content)}`, {
+        title,
+        body: htmlToText(note.content),
+        tags: (note.tag || []).filter(tag => typeof tag === 'string'),
+        created_at: created,
+        updated_at: updated
+      })
+    };
+  });
+}
+
+// Ler os arquivos de um zip (só os aceitos por include), respeitando os limites de tamanho
+function readZipEntries(buffer, include) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        return reject(invalidImportError(`Invalid zip file: ${openError.message}`));
+      }
+      
+      const entries = [];
+      let count = 0;
+      let totalBytes = 0;
+      
+      const fail = (error) => {
+        zipfile.close();
+        reject(error);
+      };
+      
+      zipfile.on('error', (error) => fail(invalidImportError(`Invalid zip file: ${error.message}`)));
+      zipfile.on('end', () => resolve(entries));
+      
+      zipfile.on('entry', (entry) => {
+        count++;
+        if (count > MAX_ZIP_ENTRIES) {
+          return fail(invalidImportError(`Zip file has more than ${MAX_ZIP_ENTRIES} entries`));
+        }
+        
+        // Diretórios, arquivos de sistema e tipos não aceitos são ignorados
+        const name = entry.fileName;
+        if (name.endsWith('/') || /(^|\/)(__MACOSX|\.)/.test(name) || !include(name)) {
+          return zipfile.readEntry();
+        }
+        
+        totalBytes += entry.uncompressedSize;
+        if (totalBytes > MAX_UNCOMPRESSED_BYTES) {
+          return fail(invalidImportError(`Zip content exceeds ${MAX_UNCOMPRESSED_BYTES} bytes`));
+        }
+        
+        zipfile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) {
+            return fail(invalidImportError(`Invalid zip entry ${name}: ${streamError.message}`));
+          }
+          
+          const chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('error', (error) => fail(invalidImportError(`Invalid zip entry ${name}: ${error.message}`)));
+          stream.on('end', () => {
+            entries.push({ name, data: Buffer.concat(chunks) });
+            zipfile.readEntry();
+          });
+        });
+      });
+      
+      zipfile.readEntry();
+    });
+  });
+}
+
+// Separar o front-matter (--- chave: valor ---) do corpo de um arquivo Markdown
+// Valores em JSON (como os gerados pelo export) ou texto simples; listas "[a, b]" ou "- item"
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+  
+  const attributes = {};
+  let listKey = null;
+  
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      attributes[listKey].push(parseFrontMatterValue(item[1]));
+      continue;
+    }
+    
+    const pair = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+    if (!pair) {
+      continue;
+    }
+    
+    if (pair[2] === '') {
+      listKey = pair[1];
+      attributes[listKey] = [];
+    } else {
+      listKey = null;
+      attributes[pair[1]] = parseFrontMatterValue(pair[2]);
+    }
+  }
+  
+  return { attributes, body: text.substring(match[0].length).replace(/^\r?\n/, '') };
+}
+
+function parseFrontMatterValue(raw) {
+  const value = raw.trim();
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    // Não é JSON: lista simples, texto entre aspas simples ou texto puro
+  }
+  
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(part => parseFrontMatterValue(part)).filter(part => part !== '');
+  }
+  
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  
+  return value;
+}
+
+// Converter um arquivo Markdown/texto em nota
+// Título: front-matter, primeiro cabeçalho "# " ou nome do arquivo; pasta: front-matter ou diretório no zip
+function markdownToNote(format, filePath, text) {
+  const { attributes, body } = parseFrontMatter(text.replace(/^\uFEFF/, ''));
+  
+  const fileTitle = path.posix.basename(filePath).replace(/\.[^.]+$/, '');
+  const heading = body.match(/^#\s+(.+)$/m);
+  const title = typeof attributes.title === 'string' && attributes.title
+    ? attributes.title
+    : heading ? heading[1].trim() : fileTitle;
+  
+  const directory = path.posix.dirname(filePath);
+  let folder = directory === '.' ? null : directory;
+  if (Object.prototype.hasOwnProperty.call(attributes, 'folder')) {
+    folder = typeof attributes.folder === 'string' && attributes.folder ? attributes.folder : null;
+  }
+  
+  const tags = Array.isArray(attributes.tags)
+    ? attributes.tags
+    : typeof attributes.tags === 'string' ? attributes.tags.split(',') : [];
+  
+  return buildNote(format, filePath, {
+    title,
+    body,
+    folder,
+    tags: tags.map(String),
+    created_at: toIsoDate(attributes.created || attributes.created_at || attributes.date),
+    updated_at: toIsoDate(attributes.updated || attributes.updated_at)
+  });
+}
+
+// Função para converter um zip de arquivos Markdown (a estrutura de diretórios vira a pasta da nota)
+async function parseMarkdownZip(buffer) {
+  const entries = await readZipEntries(buffer, name => MARKDOWN_EXTENSIONS.includes(path.posix.extname(name).toLowerCase()));
+  
+  return entries.map(({ name, data }) => {
+    const text = data.toString('utf8');
+    if (text.includes('\u0000')) {
+      return { name, error: 'File is not a text file' };
+    }
+    return { name, note: markdownToNote('markdown', name, text) };
+  });
+}
+
+// Converter uma nota do Google Keep (JSON do Takeout)
+// key identifica a nota quando ela não tem data de criação (padrão: o caminho no zip)
+function keepToNote(name, keep, key = name) {
+  if (typeof keep !== 'object' || keep === null || Array.isArray(keep)) {
+    return { name, error: 'Not a Google Keep note' };
+  }
+  
+  if (keep.isTrashed) {
+    return { name, skipped: 'Note is in the Google Keep trash' };
+  }
+  
+  let body = typeof keep.textContent === 'string' ? keep.textContent : '';
+  
+  // Listas de tarefas viram checkboxes em Markdown
+  if (Array.isArray(keep.listContent)) {
+    body = keep.listContent
+      .filter(item => item && typeof item.text === 'string')
+      .map(item => `- [${item.isChecked ? 'x' : ' '}] ${item.text}`)
+      .join('\n');
+  }
+  
+  const title = typeof keep.title === 'string' ? keep.title : '';
+  if (!title && !body) {
+    return { name, error: 'Note is empty' };
+  }
+  
+  const tags = Array.isArray(keep.labels)
+    ? keep.labels.map(label => label && label.name).filter(label => typeof label === 'string')
+    : [];
+  
+  const created = Number.isFinite(keep.createdTimestampUsec) ? toIsoDate(keep.createdTimestampUsec / 1000) : null;
+  const updated = Number.isFinite(keep.userEditedTimestampUsec) ? toIsoDate(keep.userEditedTimestampUsec / 1000) : null;
+  
+  return {
+    name,
+    note: buildNote('keep', created ? `${title}\0${created}` : key, {
+      title,
+      body,
+      tags: keep.isArchived ? [...tags, 'Archived'] : tags,
+      created_at: created,
+      updated_at: updated
+    })
+  };
+}
+
+// Função para converter um Google Keep Takeout (zip com os .json das notas, ou um único .json)
+// Um .json avulso é identificado pelo conteúdo: arquivos diferentes nunca viram a mesma nota
+async function parseKeepTakeout(buffer, filename) {
+  const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  
+  const files = isZip
+    ? await readZipEntries(buffer, name => path.posix.extname(name).toLowerCase() === '.json')
+    : [{ name: filename || 'note.json', data: buffer, key: contentHash(buffer) }];
+  
+  return files.map(({ name, data, key }) => {
+    let keep;
+    try {
+      keep = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      return { name, error: 'Invalid JSON' };
+    }
+    return keepToNote(name, keep, key);
+  });
+}
+
+// Função para converter um arquivo de texto puro em uma nota
+function parsePlainText(buffer, filename) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (text.includes('\u0000')) {
+    throw invalidImportError('File is not a text file');
+  }
+  
+  // Sem nome de arquivo, a primeira linha é o título
+  const firstLine = text.split(/\r?\n/, 1)[0].trim();
+  const name = filename || firstLine || 'Imported note';
+  
+  return [{
+    name,
+    note: buildNote('text', filename || contentHash(text), {
+      title: filename ? filename.replace(/\.[^.]+$/, '') : firstLine.substring(0, 200),
+      body: text
+    })
+  }];
+}
+
+// Descobrir o formato pelo nome do arquivo e pelo conteúdo
+function detectImportFormat(buffer, filename = '') {
+  const extension = path.extname(filename).toLowerCase();
+  const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  
+  if (extension === '.enex' || /^\s*(<\?xml[^>]*\?>\s*)?(<!DOCTYPE en-export[^>]*>\s*)?<en-export/.test(buffer.subarray(0, 1024).toString('utf8'))) {
+    return 'enex';
+  }
+  if (extension === '.json') {
+    return 'keep';
+  }
+  if (isZip) {
+    return /takeout|keep/i.test(filename) ? 'keep' : 'markdown';
+  }
+  return 'text';
+}
+
+// Função para converter um arquivo enviado em itens de importação: { name, note } | { name, error } | { name, skipped }
+async function parseImport(format, buffer, filename) {
+  switch (format) {
+    case 'enex':
+      return parseEnex(buffer);
+    case 'markdown':
+      return parseMarkdownZip(buffer);
+    case 'keep':
+      return parseKeepTakeout(buffer, filename);
+    case 'text':
+      return parsePlainText(buffer, filename);
+    default:
+      throw invalidImportError(`Unknown import format: ${format}`);
+  }
+}
+
+// Função para mesclar as notas importadas aos dados sincronizados da licença
+// Notas com id já existente (importações anteriores) são mantidas como estão
+// Retorna { version, added, existing } (ids); version é null se nada foi salvo
+async function mergeImportedNotes(licenseKey, notes) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await getUserData(licenseKey, 'notes');
+    
+    // Dados criptografados não podem ser lidos (nem mesclados) pelo servidor
+    if (current && isEncryptedEnvelope(current.content)) {
+      const error = new Error('Notes data is end-to-end encrypted and cannot be merged on the server');
+      error.code = 'NOT_MERGEABLE';
+      throw error;
+    }
+    
+    const map = toNoteMap(current ? current.content : null);
+    if (!map) {
+      const error = new Error('Existing notes data cannot be merged with imported notes');
+      error.code = 'NOT_MERGEABLE';
+      throw error;
+    }
+    
+    const added = [];
+    const existing = [];
+    for (const note of notes) {
+      if (map.notes.has(note.id)) {
+        existing.push(note.id);
+      } else {
+        map.notes.set(note.id, note);
+        added.push(note.id);
+      }
+    }
+    
+    if (added.length === 0) {
+      return { version: null, added, existing };
+    }
+    
+    const content = fromNoteMap(map.shape || 'array', map.notes, map.extras);
+    
+    try {
+      const saved = await saveUserData(licenseKey, 'notes', content, {
+        expectedVersion: current ? current.version : 0,
+        source: 'import'
+      });
+      
+      return { version: saved.version, added, existing };
+      
+    } catch (error) {
+      // Dados alterados durante a importação: mesclar de novo sobre a versão atual
+      if (error.code === 'VERSION_CONFLICT' && attempt < MAX_MERGE_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_NOTES,
+  detectImportFormat,
+  parseImport,
+  mergeImportedNotes
+};
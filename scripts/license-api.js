@@ -1,5 +1,22 @@
 // scripts/license-api.js
-const { verifyLicense, activateLicense, saveUserData, getUserData } = require('./database');
+const {
+  verifyLicense,
+  activateLicense,
+  touchDevice,
+  saveUserData,
+  getUserData,
+  getUserDataRevision
+} = require('./database');
+const { mergeNotesPayload } = require('./merge');
+const { sendQuotaExceeded } = require('./usage-api');
+const { isEncryptedEnvelope } = require('./encryption');
+const { sendEncryptionError } = require('./encryption-api');
+const { migrateDataPayload, prepareDataPayload } = require('./data-types');
+const { sendDataTypeError } = require('./data-types-api');
+const { requireLicense, sendLicenseKeyError, sendInactiveLicense, sendDeviceNotActivated } = require('./license-middleware');
+const { isDeviceIdFormat, parseDeviceInput } = require('./devices');
+const { sendDeviceLimitReached, sendInvalidDevice } = require('./devices-api');
+const { issueLicenseCertificate } = require('./license-certificates');
 
 // Rate limiting para APIs de licença
 const licenseRateLimit = require('express-rate-limit')({
@@ -11,25 +28,85 @@ const licenseRateLimit = require('express-rate-limit')({
   }
 });
 
-// Função para gerar licença baseada no email (determinística)
-function generateEmailBasedLicense(email) {
-  const crypto = require('crypto');
-  const hash = crypto.createHash('md5').update(email.toLowerCase()).digest('hex');
+// Função para interpretar uma pré-condição de versão (valor de If-Match ou número)
+// Retorna undefined quando não há pré-condição e NaN quando o valor é inválido
+function parseVersionPrecondition(raw) {
+  if (typeof raw === 'string') {
+    raw = raw.trim().replace(/^W\//, '').replace(/"/g, '');
+  }
+  
+  if (raw === undefined || raw === null || raw === '*') {
+    return undefined;
+  }
+  
+  const version = Number(raw);
+  return Number.isInteger(version) && version >= 0 ? version : NaN;
+}
+
+// Função para extrair a versão esperada no upload (header If-Match ou campo version)
+function getExpectedVersion(req) {
+  const ifMatch = req.get('If-Match');
+  return parseVersionPrecondition(ifMatch !== undefined ? ifMatch : req.body.version);
+}
+
+// Formatar versão como ETag
+function formatETag(version) {
+  return `"${version}"`;
+}
+
+// Tipos de dados que o servidor sabe mesclar automaticamente
+const MERGEABLE_DATA_TYPES = ['notes'];
+
+// Função para tentar resolver um upload conflitante com merge de três vias
+// (base = versão que o cliente baixou, cliente = upload, servidor = versão atual)
+async function mergeConflictingUpload(licenseKey, dataType, data, expectedVersion) {
+  const current = await getUserData(licenseKey, dataType);
+  
+  if (!current || !expectedVersion || !MERGEABLE_DATA_TYPES.includes(dataType)) {
+    return { current, conflicts: null };
+  }
+  
+  // Conteúdo criptografado só pode ser mesclado pelo cliente
+  if (isEncryptedEnvelope(data) || isEncryptedEnvelope(current.content)) {
+    return { current, conflicts: null };
+  }
   
-  // Converter primeiros 16 caracteres em formato de licença
-  const chars = hash.toUpperCase().substring(0, 16);
+  const base = await getUserDataRevision(licenseKey, dataType, expectedVersion);
+  if (!base) {
+    return { current, conflicts: null };
+  }
+  
+  // A base pode ter sido gravada em uma versão anterior do schema
+  const baseContent = migrateDataPayload(dataType, base.content, base.schema_version).content;
+  
+  const result = mergeNotesPayload(baseContent, data, current.content);
+  if (!result) {
+    return { current, conflicts: null };
+  }
+  
+  if (result.conflicts.length > 0) {
+    return { current, merged: result.merged, conflicts: result.conflicts };
+  }
+  
+  // Sem colisões: salvar o resultado sobre a versão atual do servidor
+  const saved = await saveUserData(licenseKey, dataType, result.merged, {
+    expectedVersion: current.version,
+    source: 'merge'
+  });
   
-  // Formato: XXXX-XXXX-XXXX-XXXX
-  return chars.match(/.{1,4}/g).join('-');
+  console.log(`🔀 Upload merged for license: ${licenseKey.substring(0, 8)}... (v${expectedVersion} + v${current.version})`);
+  return { current, merged: result.merged, conflicts: [], saved };
 }
 
 // Configurar rotas de licença
 function setupLicenseRoutes(app) {
   
-  // POST /api/verify-license - Verificar se uma licença é válida
+  // POST /api/verify-license - Verificar se uma licença é válida neste dispositivo
+  // Body: { licenseKey, device_id }; o dispositivo precisa estar ativado (POST /api/activate-license)
+  // A resposta inclui um certificado assinado para a extensão verificar a licença offline
   app.post('/api/verify-license', licenseRateLimit, async (req, res) => {
     try {
-      const { licenseKey } = req.body;
+      const { licenseKey, device_id: deviceId } = req.body;
       
       // Validação básica
       if (!licenseKey || typeof licenseKey !== 'string') {
@@ -39,9 +116,21 @@ function setupLicenseRoutes(app) {
         });
       }
       
+      if (!isDeviceIdFormat(deviceId)) {
+        return sendInvalidDevice(res);
+      }
+      
       // Verificar licença
       const licenseResult = await verifyLicense(licenseKey);
       
+      if (licenseResult.valid && !await touchDevice(licenseResult.user.license_key, deviceId)) {
+        return sendDeviceNotActivated(res);
+      }
+      
+      if (!licenseResult.valid && sendLicenseKeyError(res, licenseResult)) {
+        return;
+      }
+      
       if (licenseResult.valid) {
         res.json({
           success: true,
@@ -51,7 +140,8 @@ function setupLicenseRoutes(app) {
             plan: licenseResult.user.plan_type,
             status: licenseResult.user.status,
             activated: licenseResult.user.created_at
-          }
+          },
+          certificate: issueLicenseCertificate(licenseResult.user, deviceId)
         });
       } else {
         res.status(404).json({
@@ -69,7 +159,9 @@ function setupLicenseRoutes(app) {
     }
   });
   
-  // POST /api/activate-license - Ativar uma nova licença
+  // POST /api/activate-license - Ativar neste dispositivo uma licença já emitida
+  // Body: { licenseKey, email, device_id, device_name?, browser? }. Reativar um dispositivo
+  // já registrado não ocupa outra vaga. A resposta inclui um certificado de licença assinado
   app.post('/api/activate-license', licenseRateLimit, async (req, res) => {
     try {
       const { licenseKey, email } = req.body;
@@ -82,6 +174,11 @@ function setupLicenseRoutes(app) {
         });
       }
       
+      const device = parseDeviceInput(req.body);
+      if (!device) {
+        return sendInvalidDevice(res);
+      }
+      
       // Validar formato do email
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!emailRegex.test(email)) {
@@ -92,7 +189,7 @@ function setupLicenseRoutes(app) {
       }
       
       // Ativar licença
-      const user = await activateLicense(licenseKey, email);
+      const user = await activateLicense(licenseKey, email, device);
       
       res.json({
         success: true,
@@ -102,59 +199,129 @@ function setupLicenseRoutes(app) {
           plan: user.plan_type,
           status: user.status,
           activated: user.created_at
-        }
+        },
+        certificate: issueLicenseCertificate(user, device.id)
       });
       
     } catch (error) {
-      console.error('Error activating license:', error);
+      if (sendDeviceLimitReached(res, error) || (error.reason && sendLicenseKeyError(res, error)) || sendInactiveLicense(res, error)) {
+        return;
+      }
       
-      // Se for erro de constraint (licença já existe)
-      if (error.code === '23505') {
-        res.status(409).json({
-          success: false,
-          error: 'License already activated'
-        });
-      } else {
-        res.status(500).json({
+      if (error.code === 'LICENSE_NOT_FOUND') {
+        return res.status(404).json({
           success: false,
-          error: 'Failed to activate license'
+          error: 'License not found'
         });
       }
+      
+      console.error('Error activating license:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to activate license'
+      });
     }
   });
   
   // POST /api/sync/upload - Upload de dados do usuário (premium only)
-  app.post('/api/sync/upload', async (req, res) => {
+  app.post('/api/sync/upload', requireLicense, async (req, res) => {
     try {
-      const { licenseKey, dataType = 'notes', data } = req.body;
+      const { dataType = 'notes', data, schemaVersion } = req.body;
+      const licenseKey = req.license.license_key;
       
       // Validação
-      if (!licenseKey || !data) {
+      if (!data) {
         return res.status(400).json({
           success: false,
-          error: 'License key and data are required'
+          error: 'Data is required'
         });
       }
       
-      // Verificar se licença é válida
-      const licenseResult = await verifyLicense(licenseKey);
-      if (!licenseResult.valid) {
-        return res.status(403).json({
+      // Pré-condição de versão (controle de concorrência otimista)
+      const expectedVersion = getExpectedVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({
           success: false,
-          error: 'Invalid or inactive license'
+          error: 'Invalid version precondition'
         });
       }
       
+      // Migrar da versão de schema do cliente e validar antes de salvar ou mesclar
+      const prepared = prepareDataPayload(dataType, data, schemaVersion);
+      
       // Salvar dados
-      const result = await saveUserData(licenseKey, dataType, data);
+      let result;
+      try {
+        result = await saveUserData(licenseKey, dataType, prepared.content, {
+          expectedVersion,
+          schemaVersion: prepared.schemaVersion
+        });
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT') {
+          throw error;
+        }
+      
+        // Cliente desatualizado: tentar mesclar com a versão atual do servidor
+        const resolution = await mergeConflictingUpload(licenseKey, dataType, prepared.content, expectedVersion)
+          .catch(mergeError => {
+            if (mergeError.code !== 'VERSION_CONFLICT') {
+              throw mergeError;
+            }
+            return { current: null, conflicts: null };
+          });
+        
+        if (resolution.saved) {
+          res.set('ETag', formatETag(resolution.saved.version));
+          return res.json({
+            success: true,
+            message: 'Data merged with server changes',
+            merged: true,
+            data: resolution.merged,
+            version: resolution.saved.version,
+            revision: Number(resolution.saved.revision),
+            schema_version: resolution.saved.schema_version,
+            uploaded_at: resolution.saved.updated_at || resolution.saved.created_at
+          });
+        }
+        
+        const current = resolution.current || await getUserData(licenseKey, dataType);
+        
+        res.set('ETag', formatETag(current ? current.version : 0));
+        return res.status(409).json({
+          success: false,
+          error: 'Version conflict',
+          message: resolution.conflicts
+            ? 'Some changes conflict with changes made on another device'
+            : 'Data was modified on the server since your last download',
+          current_version: current ? current.version : 0,
+          data: current ? current.content : null,
+          last_modified: current ? current.lastModified : null,
+          ...(resolution.conflicts && {
+            conflicts: resolution.conflicts,
+            merged_data: resolution.merged
+          })
+        });
+      }
       
+      res.set('ETag', formatETag(result.version));
       res.json({
         success: true,
         message: 'Data uploaded successfully',
+        version: result.version,
+        revision: Number(result.revision),
+        schema_version: result.schema_version,
         uploaded_at: result.updated_at || result.created_at
       });
       
     } catch (error) {
+      if (error.code === 'QUOTA_EXCEEDED') {
+        return sendQuotaExceeded(res, error);
+      }
+      
+      if (sendEncryptionError(res, error) || sendDataTypeError(res, error)) {
+        return;
+      }
+      
       console.error('Error uploading data:', error);
       res.status(500).json({
         success: false,
@@ -163,34 +330,40 @@ function setupLicenseRoutes(app) {
     }
   });
   
-  // GET /api/sync/download/:licenseKey - Download de dados do usuário (premium only)
-  app.get('/api/sync/download/:licenseKey', async (req, res) => {
+  // GET /api/sync/download - Download de dados do usuário (premium only)
+  // A forma com a chave na URL (/api/sync/download/:licenseKey) é obsoleta
+  app.get(['/api/sync/download', '/api/sync/download/:licenseKey'], requireLicense, async (req, res) => {
     try {
-      const { licenseKey } = req.params;
+      const licenseKey = req.license.license_key;
       const { dataType = 'notes' } = req.query;
       
-      // Verificar se licença é válida
-      const licenseResult = await verifyLicense(licenseKey);
-      if (!licenseResult.valid) {
-        return res.status(403).json({
-          success: false,
-          error: 'Invalid or inactive license'
-        });
-      }
-      
       // Recuperar dados
       const userData = await getUserData(licenseKey, dataType);
       
+      const version = userData ? userData.version : 0;
+      const etag = formatETag(version);
+      res.set('ETag', etag);
+      
+      // Cliente já tem a versão atual
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+      }
+      
       if (userData) {
         res.json({
           success: true,
           data: userData.content,
+          encrypted: isEncryptedEnvelope(userData.content),
+          version,
+          revision: userData.revision,
+          schema_version: userData.schemaVersion,
           last_modified: userData.lastModified
         });
       } else {
         res.json({
           success: true,
           data: null,
+          version,
           message: 'No data found for this license'
         });
       }
@@ -204,307 +377,40 @@ function setupLicenseRoutes(app) {
     }
   });
   
-  // GET /api/license/:licenseKey/info - Informações detalhadas da licença
-  app.get('/api/license/:licenseKey/info', async (req, res) => {
+  // GET /api/me - Informações detalhadas da licença autenticada
+  // A forma com a chave na URL (/api/license/:licenseKey/info) é obsoleta
+  app.get(['/api/me', '/api/license/:licenseKey/info'], requireLicense, async (req, res) => {
     try {
-      const { licenseKey } = req.params;
-      
-      // Verificar licença
-      const licenseResult = await verifyLicense(licenseKey);
-      
-      if (licenseResult.valid) {
-        res.json({
-          success: true,
-          license: {
-            key: licenseKey.substring(0, 8) + '...',
-            email: licenseResult.user.email,
-            plan: licenseResult.user.plan_type,
-            status: licenseResult.user.status,
-            activated: licenseResult.user.created_at,
-            features: {
-              unlimited_notes: true,
-              unlimited_folders: true,
-              cloud_sync: true,
-              premium_support: true
-            }
-          }
-        });
-      } else {
-        res.status(404).json({
-          success: false,
-          error: 'License not found'
-        });
-      }
-      
-    } catch (error) {
-      console.error('Error getting license info:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to get license information'
-      });
-    }
-  });
-
-  // ===== SISTEMA DE LICENÇA INDIVIDUAL SIMPLES (OPÇÃO C) =====
-
-  // POST /api/generate-license - Gerar licença para email (após pagamento)
-  app.post('/api/generate-license', async (req, res) => {
-    try {
-      const { email, paymentConfirmation } = req.body;
-      
-      // Validação básica
-      if (!email || typeof email !== 'string') {
-        return res.status(400).json({
-          success: false,
-          error: 'Email is required'
-        });
-      }
-      
-      // Validar formato do email
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid email format'
-        });
-      }
-      
-      // Verificar se email já tem licença
-      const { pool } = require('./database');
-      
-      const client = await pool.connect();
-      const existingUser = await client.query(
-        'SELECT license_key, status FROM users WHERE email = $1',
-        [email]
-      );
-      
-      if (existingUser.rows.length > 0) {
-        const user = existingUser.rows[0];
-        
-        if (user.status === 'active') {
-          client.release();
-          // Retornar licença existente
-          return res.json({
-            success: true,
-            message: 'License already exists for this email',
-            licenseKey: user.license_key,
-            action: 'existing'
-          });
-        } else {
-          // Reativar licença existente
-          await client.query(
-            'UPDATE users SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2',
-            ['active', email]
-          );
-          
-          client.release();
-          return res.json({
-            success: true,
-            message: 'License reactivated',
-            licenseKey: user.license_key,
-            action: 'reactivated'
-          });
-        }
-      }
-      
-      // Gerar nova licença baseada no email
-      const licenseKey = generateEmailBasedLicense(email);
-      
-      // Criar usuário com licença
-      const newUser = await client.query(`
-        INSERT INTO users (license_key, email, status, plan_type) 
-        VALUES ($1, $2, 'active', 'premium') 
-        RETURNING *
-      `, [licenseKey, email]);
-      
-      client.release();
-      
-      console.log(`✅ License generated: ${licenseKey.substring(0, 8)}... for ${email}`);
+      const user = req.license;
       
       res.json({
         success: true,
-        message: 'License generated successfully',
-        licenseKey: licenseKey,
-        action: 'created',
-        user: {
-          email: email,
-          plan: 'premium',
-          status: 'active',
-          created: newUser.rows[0].created_at
-        }
-      });
-      
-    } catch (error) {
-      console.error('Error generating license:', error.message);
-      
-      if (error.code === '23505') {
-        res.status(409).json({
-          success: false,
-          error: 'License generation conflict. Please try again.'
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to generate license'
-        });
-      }
-    }
-  });
-
-  // POST /api/request-license - Endpoint público para solicitar licença
-  app.post('/api/request-license', async (req, res) => {
-    try {
-      const { email } = req.body;
-      
-      if (!email) {
-        return res.status(400).json({
-          success: false,
-          error: 'Email is required'
-        });
-      }
-      
-      // Validar email
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid email format'
-        });
-      }
-      
-      const { pool } = require('./database');
-      
-      // Verificar se já existe
-      const client = await pool.connect();
-      const existingUser = await client.query(
-        'SELECT license_key, status, created_at FROM users WHERE email = $1',
-        [email]
-      );
-      
-      if (existingUser.rows.length > 0) {
-        const user = existingUser.rows[0];
-        client.release();
-        return res.json({
-          success: true,
-          message: 'License found for this email',
-          licenseKey: user.license_key,
+        license: {
+          key: user.key_hint ? `...${user.key_hint}` : null,
+          email: user.email,
+          plan: user.plan_type,
           status: user.status,
-          created: user.created_at
-        });
-      }
-      
-      // Se não existe, gerar nova licença
-      const licenseKey = generateEmailBasedLicense(email);
-      
-      const newUser = await client.query(`
-        INSERT INTO users (license_key, email, status, plan_type) 
-        VALUES ($1, $2, 'active', 'premium') 
-        RETURNING *
-      `, [licenseKey, email]);
-      
-      client.release();
-      
-      console.log(`🆕 New license created: ${licenseKey.substring(0, 8)}... for ${email}`);
-      
-      res.json({
-        success: true,
-        message: 'License created successfully',
-        licenseKey: licenseKey,
-        user: {
-          email: email,
-          plan: 'premium',
-          status: 'active',
-          created: newUser.rows[0].created_at
+          activated: user.created_at,
+          expires_at: user.expires_at,
+          features: {
+            unlimited_notes: true,
+            unlimited_folders: true,
+            cloud_sync: true,
+            premium_support: true
+          }
         }
       });
       
     } catch (error) {
-      console.error('Error requesting license:', error.message);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to process license request'
-      });
-    }
-  });
-
-  // GET /api/check-email/:email - Verificar se email tem licença
-  app.get('/api/check-email/:email', async (req, res) => {
-    try {
-      const { email } = req.params;
-      
-      if (!email) {
-        return res.status(400).json({
-          success: false,
-          error: 'Email is required'
-        });
-      }
-      
-      const { pool } = require('./database');
-      const client = await pool.connect();
-      
-      const user = await client.query(
-        'SELECT license_key, status, plan_type, created_at FROM users WHERE email = $1',
-        [email]
-      );
-      
-      client.release();
-      
-      if (user.rows.length > 0) {
-        res.json({
-          success: true,
-          hasLicense: true,
-          licenseKey: user.rows[0].license_key,
-          status: user.rows[0].status,
-          plan: user.rows[0].plan_type,
-          created: user.rows[0].created_at
-        });
-      } else {
-        res.json({
-          success: true,
-          hasLicense: false
-        });
-      }
-      
-    } catch (error) {
-      console.error('Error checking email:', error.message);
+      console.error('Error getting license info:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to check email'
+        error: 'Failed to get license information'
       });
     }
   });
 
-  // POST /api/dev/reset-email - Reset email para testes
-  app.post('/api/dev/reset-email', async (req, res) => {
-    try {
-      const { email } = req.body;
-      
-      if (!email) {
-        return res.status(400).json({
-          success: false,
-          error: 'Email is required'
-        });
-      }
-      
-      const { pool } = require('./database');
-      const client = await pool.connect();
-      
-      await client.query('DELETE FROM users WHERE email = $1', [email]);
-      client.release();
-      
-      res.json({
-        success: true,
-        message: `Email ${email} reset successfully`
-      });
-      
-    } catch (error) {
-      console.error('Error resetting email:', error.message);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to reset email'
-      });
-    }
-  });
+  // ===== SISTEMA DE LICENÇA INDIVIDUAL SIMPLES (OPÇÃO C) =====
 
   // GET /generate - Página para gerar licença (PROTEGIDA)
   app.get('/generate', (req, res) => {
@@ -593,14 +499,14 @@ function setupLicenseRoutes(app) {
             
             <h1>🚀 Get Your License Key</h1>
             <div class="form">
-                <h3>Enter your email to generate your premium license:</h3>
+                <h3>Enter the email you used at checkout to receive your license key:</h3>
                 <input type="email" id="email" placeholder="your@email.com" required>
-                <button onclick="generateLicense()">Generate My License</button>
+                <button onclick="generateLicense()">Email My License Key</button>
                 <div id="result"></div>
                 
                 <div class="security-note">
-                    🔒 This page is only accessible after completing payment through Stripe.
-                    Your license will be tied to the email address you provide.
+                    🔒 Your license key is only shown through the link sent to your email.
+                    The link works once and expires shortly.
                 </div>
             </div>
             
@@ -630,7 +536,7 @@ function setupLicenseRoutes(app) {
                     attempts++;
                     
                     try {
-                        const response = await fetch('/api/request-license', {
+                        const response = await fetch('/api/license/recovery', {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({ email })
@@ -641,14 +547,13 @@ function setupLicenseRoutes(app) {
                         if (data.success) {
                             document.getElementById('result').innerHTML = \`
                                 <div class="result">
-                                    <h4>✅ Your Premium License:</h4>
-                                    <div class="license">\${data.licenseKey}</div>
+                                    <h4>📬 Check your inbox</h4>
+                                    <p>\${data.message}</p>
                                     <p><strong>Email:</strong> \${email}</p>
-                                    <p><strong>Status:</strong> Active Premium</p>
                                     <hr>
                                     <p><strong>Next Steps:</strong></p>
                                     <ol>
-                                        <li>Copy your license key above</li>
+                                        <li>Open the link in the email and copy your license key</li>
                                         <li>Open BuzzyNotes extension (Ctrl+Shift+U)</li>
                                         <li>Click "Already have a license?"</li>
                                         <li>Enter your license and email</li>
@@ -713,91 +618,6 @@ function setupLicenseRoutes(app) {
     }
   });
 
-  // 🧪 GET /dev/generate - Página de teste (só para desenvolvimento)
-  app.get('/dev/generate', (req, res) => {
-    if (process.env.NODE_ENV === 'production') {
-      return res.status(404).send('Not found');
-    }
-    
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-          <title>🧪 BuzzyNotes License Generator - TEST MODE</title>
-          <style>
-              body { font-family: Arial, sans-serif; max-width: 500px; margin: 50px auto; padding: 20px; }
-              .form { background: #fff3cd; padding: 20px; border-radius: 8px; border: 2px solid #ffc107; }
-              .warning { background: #f8d7da; padding: 15px; border-radius: 8px; margin-bottom: 20px; text-align: center; color: #721c24; }
-              input { width: 100%; padding: 10px; margin: 10px 0; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
-              button { background: #ffc107; color: #000; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; width: 100%; }
-              .result { background: #e7f3ff; padding: 15px; margin: 15px 0; border-radius: 4px; }
-              .license { font-family: monospace; font-size: 18px; font-weight: bold; color: #333; }
-          </style>
-      </head>
-      <body>
-          <div class="warning">
-              <h2>⚠️ TEST MODE ONLY</h2>
-              <p>This is for development testing only!</p>
-          </div>
-          
-          <h1>🧪 BuzzyNotes License Generator - TEST</h1>
-          <div class="form">
-              <h3>Enter your email to get your premium license:</h3>
-              <input type="email" id="email" placeholder="test@email.com" required>
-              <button onclick="generateLicense()">Generate Test License</button>
-              <div id="result"></div>
-          </div>
-          
-          <script>
-              async function generateLicense() {
-                  const email = document.getElementById('email').value;
-                  if (!email) {
-                      alert('Please enter your email');
-                      return;
-                  }
-                  
-                  try {
-                      const response = await fetch('/api/request-license', {
-                          method: 'POST',
-                          headers: { 'Content-Type': 'application/json' },
-                          body: JSON.stringify({ email })
-                      });
-                      
-                      const data = await response.json();
-                      
-                      if (data.success) {
-                          document.getElementById('result').innerHTML = \`
-                              <div class="result">
-                                  <h4>✅ Test License Generated:</h4>
-                                  <div class="license">\${data.licenseKey}</div>
-                                  <p><strong>Email:</strong> \${email}</p>
-                                  <p><strong>Status:</strong> Test Premium</p>
-                                  <p><em>⚠️ This is a test license for development purposes only.</em></p>
-                              </div>
-                          \`;
-                      } else {
-                          document.getElementById('result').innerHTML = \`
-                              <div class="result" style="background: #ffe7e7;">
-                                  <h4>❌ Error:</h4>
-                                  <p>\${data.error}</p>
-                              </div>
-                          \`;
-                      }
-                  } catch (error) {
-                      document.getElementById('result').innerHTML = \`
-                          <div class="result" style="background: #ffe7e7;">
-                              <h4>❌ Network Error:</h4>
-                              <p>Failed to generate license. Please try again.</p>
-                          </div>
-                      \`;
-                  }
-              }
-          </script>
-      </body>
-      </html>
-    `);
-  });
-
   // 🔍 GET /health - Verificação de saúde do servidor
   app.get('/health', (req, res) => {
     res.json({
@@ -809,98 +629,12 @@ function setupLicenseRoutes(app) {
     });
   });
 
-  // 🧪 GET /test-generate - Versão temporária sem proteção (para debug)
-  app.get('/test-generate', (req, res) => {
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-          <title>🧪 Test Generate Page - No Protection</title>
-          <style>
-              body { font-family: Arial, sans-serif; max-width: 500px; margin: 50px auto; padding: 20px; }
-              .form { background: #f0f8ff; padding: 20px; border-radius: 8px; border: 2px solid #0066cc; }
-              .debug { background: #fff3cd; padding: 15px; border-radius: 8px; margin-bottom: 20px; }
-              input { width: 100%; padding: 10px; margin: 10px 0; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
-              button { background: #0066cc; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; width: 100%; }
-              .result { background: #e7f3ff; padding: 15px; margin: 15px 0; border-radius: 4px; }
-              .license { font-family: monospace; font-size: 18px; font-weight: bold; color: #333; }
-          </style>
-      </head>
-      <body>
-          <div class="debug">
-              <h3>🧪 DEBUG MODE</h3>
-              <p><strong>URL:</strong> ${req.protocol}://${req.get('host')}${req.originalUrl}</p>
-              <p><strong>Referrer:</strong> ${req.get('Referrer') || req.get('Referer') || 'None'}</p>
-              <p><strong>User-Agent:</strong> ${(req.get('User-Agent') || '').substring(0, 100)}...</p>
-              <p><strong>Time:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <h1>🧪 Test License Generator</h1>
-          <div class="form">
-              <h3>This is a test version without referrer protection:</h3>
-              <input type="email" id="email" placeholder="test@email.com" required>
-              <button onclick="generateLicense()">Generate Test License</button>
-              <div id="result"></div>
-              
-              <p style="color: #666; font-size: 12px; margin-top: 20px;">
-                ⚠️ This is for debugging only. The real /generate page has security protection.
-              </p>
-          </div>
-          
-          <script>
-              async function generateLicense() {
-                  const email = document.getElementById('email').value;
-                  if (!email) {
-                      alert('Please enter your email');
-                      return;
-                  }
-                  
-                  try {
-                      const response = await fetch('/api/request-license', {
-                          method: 'POST',
-                          headers: { 'Content-Type': 'application/json' },
-                          body: JSON.stringify({ email })
-                      });
-                      
-                      const data = await response.json();
-                      
-                      if (data.success) {
-                          document.getElementById('result').innerHTML = \`
-                              <div class="result">
-                                  <h4>✅ Test License Generated:</h4>
-                                  <div class="license">\${data.licenseKey}</div>
-                                  <p><strong>Email:</strong> \${email}</p>
-                                  <p><strong>Status:</strong> Test Premium</p>
-                                  <p><em>⚠️ This is a test license for debugging purposes.</em></p>
-                              </div>
-                          \`;
-                      } else {
-                          document.getElementById('result').innerHTML = \`
-                              <div class="result" style="background: #ffe7e7;">
-                                  <h4>❌ Error:</h4>
-                                  <p>\${data.error}</p>
-                              </div>
-                          \`;
-                      }
-                  } catch (error) {
-                      document.getElementById('result').innerHTML = \`
-                          <div class="result" style="background: #ffe7e7;">
-                              <h4>❌ Network Error:</h4>
-                              <p>Failed to generate license. Please try again.</p>
-                          </div>
-                      \`;
-                  }
-              }
-          </script>
-      </body>
-      </html>
-    `);
-  });
-
   // ===== FIM DO CÓDIGO DA OPÇÃO C =====
 
 }
 
 module.exports = {
-  setupLicenseRoutes
+  setupLicenseRoutes,
+  parseVersionPrecondition,
+  formatETag
 };
\ No newline at end of file
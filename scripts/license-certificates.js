@@ -0,0 +1,191 @@
+// scripts/license-certificates.js
+// Certificados de licença assinados (Ed25519) para a extensão verificar o plano offline
+//
+// O certificado é um JWT com alg EdDSA: header.payload.assinatura em base64url, com o id da
+// chave (kid) no header. A extensão embute as chaves públicas (GET /api/license/keys) e:
+//   - até exp: usa o plano e os recursos do certificado sem consultar o servidor
+//   - entre exp e grace_until: continua liberada, mas tenta renovar (POST /api/license/certificate/refresh)
+//   - depois de grace_until: volta ao plano free até conseguir falar com o servidor
+//
+// Rotação de chaves: gerar um novo par, configurar a chave nova em LICENSE_SIGNING_KEY e mover
+// a pública da anterior para LICENSE_VERIFY_KEYS ("kid:x,kid:x", x = chave pública em base64url)
+// até os certificados assinados por ela passarem do prazo de tolerância.
+const crypto = require('crypto');
+const { getPlanLimits } = require('./plans');
+
+// Validade do certificado (dias) e tolerância offline depois dela (dias)
+const CERTIFICATE_TTL_DAYS = parseInt(process.env.LICENSE_CERTIFICATE_TTL_DAYS, 10) || 7;
+const OFFLINE_GRACE_DAYS = parseInt(process.env.LICENSE_OFFLINE_GRACE_DAYS, 10) || 14;
+
+const DAY_SECONDS = 24 * 60 * 60;
+const CERTIFICATE_ISSUER = 'buzzynotes';
+const CERTIFICATE_TYPE = 'license+jwt';
+
+// Identificador derivado da chave pública (usado quando LICENSE_SIGNING_KEY_ID não é informado)
+function keyFingerprint(publicKey) {
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return crypto.createHash('sha256').update(raw).digest('hex').substring(0, 16);
+}
+
+function loadSigningKey() {
+  let privateKey;
+  
+  if (process.env.LICENSE_SIGNING_KEY) {
+    // PEM PKCS#8; aceita "\n" literais (valor em uma linha só no .env)
+    privateKey = crypto.createPrivateKey(process.env.LICENSE_SIGNING_KEY.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('LICENSE_SIGNING_KEY must be an Ed25519 private key');
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    // A extensão embute a chave pública: uma chave por processo invalidaria os certificados
+    // a cada reinício e entre instâncias
+    throw new Error('LICENSE_SIGNING_KEY is required in production');
+  } else {
+    // Sem chave configurada os certificados só valem até o próximo reinício
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    console.log('⚠️  LICENSE_SIGNING_KEY not set - using a temporary key (license certificates will not survive restarts)');
+  }
+  
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    kid: process.env.LICENSE_SIGNING_KEY_ID || keyFingerprint(publicKey),
+    privateKey,
+    publicKey
+  };
+}
+
+// Chaves públicas aposentadas, ainda aceitas na renovação
+function loadVerifyKeys() {
+  return (process.env.LICENSE_VERIFY_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [kid, x] = entry.split(':');
+      if (!kid || !x) {
+        throw new Error('LICENSE_VERIFY_KEYS entries must be "kid:publicKey"');
+      }
+      
+      return {
+        kid,
+        publicKey: crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x }, format: 'jwk' })
+      };
+    });
+}
+
+const signingKey = loadSigningKey();
+
+// Chaves aceitas por kid (a de assinatura atual primeiro)
+const verifyKeys = new Map([[signingKey.kid, signingKey.publicKey]]);
+for (const key of loadVerifyKeys()) {
+  if (!verifyKeys.has(key.kid)) {
+    verifyKeys.set(key.kid, key.publicKey);
+  }
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Função para emitir um certificado para uma licença ativa, vinculado a um dispositivo ativado
+// (a renovação confere se o dispositivo continua ativado; sem ele, quem tivesse o certificado
+// poderia renová-lo para sempre)
+// Retorna a resposta da API: { certificate, key_id, plan, features, expires_at, grace_until }
+function issueLicenseCertificate(user, deviceId) {
+  if (!deviceId) {
+    throw new Error('License certificates must be bound to a device');
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  
+  // Licenças com prazo: nem o certificado nem a tolerância offline passam do vencimento
+  const licenseEnd = user.expires_at ? Math.floor(new Date(user.expires_at).getTime() / 1000) : Infinity;
+  const exp = Math.min(now + CERTIFICATE_TTL_DAYS * DAY_SECONDS, licenseEnd);
+  const graceUntil = Math.min(exp + OFFLINE_GRACE_DAYS * DAY_SECONDS, licenseEnd);
+  const { features } = getPlanLimits(user.plan_type);
+  
+  const header = base64UrlJson({ alg: 'EdDSA', typ: CERTIFICATE_TYPE, kid: signingKey.kid });
+  const payload = base64UrlJson({
+    iss: CERTIFICATE_ISSUER,
+    sub: String(user.id),
+    plan: user.plan_type,
+    features,
+    did: deviceId,
+    iat: now,
+    exp,
+    grace_until: graceUntil
+  });
+  const signature = crypto.sign(null, Buffer.from(`${header}.${payload}`), signingKey.privateKey).toString('base64url');
+  
+  return {
+    certificate: `${header}.${payload}.${signature}`,
+    key_id: signingKey.kid,
+    plan: user.plan_type,
+    features,
+    expires_at: new Date(exp * 1000).toISOString(),
+    grace_until: new Date(graceUntil * 1000).toISOString()
+  };
+}
+
+// Função para conferir um certificado (assinatura por uma chave conhecida e emissor)
+// A validade não é conferida aqui. Retorna { userId, deviceId, expiresAt, graceUntil } (em segundos)
+// ou null se o certificado for inválido
+function verifyLicenseCertificate(certificate) {
+  if (typeof certificate !== 'string') {
+    return null;
+  }
+  
+  const parts = certificate.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+  
+  const publicKey = header && header.alg === 'EdDSA' && header.typ === CERTIFICATE_TYPE && verifyKeys.get(header.kid);
+  if (!publicKey) {
+    return null;
+  }
+  
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (!crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, signature)) {
+    return null;
+  }
+  
+  if (payload.iss !== CERTIFICATE_ISSUER || !Number.isInteger(payload.exp) || !Number.isInteger(payload.grace_until)) {
+    return null;
+  }
+  
+  return {
+    userId: Number(payload.sub),
+    deviceId: payload.did || null,
+    expiresAt: payload.exp,
+    graceUntil: payload.grace_until
+  };
+}
+
+// Listar as chaves públicas aceitas (JWK), a de assinatura atual primeiro
+function listPublicKeys() {
+  return [...verifyKeys.entries()].map(([kid, publicKey]) => ({
+    ...publicKey.export({ format: 'jwk' }),
+    kid,
+    alg: 'EdDSA',
+    use: 'sig',
+    active: kid === signingKey.kid
+  }));
+}
+
+module.exports = {
+  CERTIFICATE_TTL_DAYS,
+  OFFLINE_GRACE_DAYS,
+  issueLicenseCertificate,
+  verifyLicenseCertificate,
+  listPublicKeys
+};
@@ -0,0 +1,112 @@
+// scripts/license-certificates.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// Chave de assinatura atual e uma chave aposentada (aceita só na verificação)
+const signing = crypto.generateKeyPairSync('ed25519');
+const retired = crypto.generateKeyPairSync('ed25519');
+const unknown = crypto.generateKeyPairSync('ed25519');
+
+process.env.LICENSE_SIGNING_KEY = signing.privateKey.export({ format: 'pem', type: 'pkcs8' }).replace(/\n/g, '\\n');
+process.env.LICENSE_SIGNING_KEY_ID = 'current';
+process.env.LICENSE_VERIFY_KEYS = `retired:${retired.publicKey.export({ format: 'jwk' }).x}`;
+
+const {
+  CERTIFICATE_TTL_DAYS,
+  OFFLINE_GRACE_DAYS,
+  issueLicenseCertificate,
+  verifyLicenseCertificate,
+  listPublicKeys
+} = require('./license-certificates');
+const { getPlanLimits } = require('./plans');
+
+const USER = { id: 7, plan_type: 'premium' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Assinar um certificado com qualquer chave (para simular chaves aposentadas e desconhecidas)
+function craftCertificate(privateKey, kid, payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'EdDSA', typ: 'license+jwt', kid })}.${encode(payload)}`;
+  return `${data}.${crypto.sign(null, Buffer.from(data), privateKey).toString('base64url')}`;
+}
+
+function certificatePayload(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { iss: 'buzzynotes', sub: '7', plan: 'premium', did: 'device-1', iat: now, exp: now + 60, grace_until: now + 120, ...overrides };
+}
+
+test('issued certificates carry the plan and device and verify with the current key', () => {
+  const issued = issueLicenseCertificate(USER, 'device-1');
+  
+  assert.equal(issued.key_id, 'current');
+  assert.equal(issued.plan, 'premium');
+  assert.deepEqual(issued.features, getPlanLimits('premium').features);
+  
+  const expiresIn = new Date(issued.expires_at).getTime() - Date.now();
+  assert.ok(Math.abs(expiresIn - CERTIFICATE_TTL_DAYS * DAY_MS) < 60 * 1000);
+  assert.equal(new Date(issued.grace_until) - new Date(issued.expires_at), OFFLINE_GRACE_DAYS * DAY_MS);
+  
+  const verified = verifyLicenseCertificate(issued.certificate);
+  assert.equal(verified.userId, 7);
+  assert.equal(verified.deviceId, 'device-1');
+  assert.equal(verified.expiresAt * 1000, new Date(issued.expires_at).getTime());
+});
+
+test('certificates and their offline grace never outlast a license with an expiry date', () => {
+  const expiresAt = new Date(Date.now() + DAY_MS);
+  const issued = issueLicenseCertificate({ ...USER, expires_at: expiresAt }, 'device-1');
+  const expiresAtSeconds = Math.floor(expiresAt.getTime() / 1000) * 1000;
+  
+  assert.equal(new Date(issued.expires_at).getTime(), expiresAtSeconds);
+  assert.equal(new Date(issued.grace_until).getTime(), expiresAtSeconds);
+  assert.equal(verifyLicenseCertificate(issued.certificate).graceUntil * 1000, expiresAtSeconds);
+  
+  // Prazo depois do certificado: só a tolerância offline é cortada
+  const later = new Date(Date.now() + (CERTIFICATE_TTL_DAYS + 1) * DAY_MS);
+  const capped = issueLicenseCertificate({ ...USER, expires_at: later }, 'device-1');
+  assert.ok(new Date(capped.expires_at) < later);
+  assert.equal(new Date(capped.grace_until).getTime(), Math.floor(later.getTime() / 1000) * 1000);
+});
+
+test('certificates are always bound to a device', () => {
+  assert.throws(() => issueLicenseCertificate(USER), /bound to a device/);
+  assert.throws(() => issueLicenseCertificate(USER, null), /bound to a device/);
+});
+
+test('certificates signed by a retired key still verify; unknown keys do not', () => {
+  const fromRetired = craftCertificate(retired.privateKey, 'retired', certificatePayload());
+  assert.equal(verifyLicenseCertificate(fromRetired).deviceId, 'device-1');
+  
+  assert.equal(verifyLicenseCertificate(craftCertificate(unknown.privateKey, 'unknown', certificatePayload())), null);
+  // kid conhecido, assinatura de outra chave
+  assert.equal(verifyLicenseCertificate(craftCertificate(unknown.privateKey, 'current', certificatePayload())), null);
+});
+
+test('tampered or malformed certificates are rejected', () => {
+  const { certificate } = issueLicenseCertificate(USER, 'device-1');
+  const [header, , signature] = certificate.split('.');
+  const upgraded = Buffer.from(JSON.stringify(certificatePayload({ sub: '8' }))).toString('base64url');
+  
+  assert.equal(verifyLicenseCertificate(`${header}.${upgraded}.${signature}`), null);
+  assert.equal(verifyLicenseCertificate(certificate.split('.').slice(0, 2).join('.')), null);
+  assert.equal(verifyLicenseCertificate('not-a-certificate'), null);
+  assert.equal(verifyLicenseCertificate(undefined), null);
+  assert.equal(verifyLicenseCertificate(craftCertificate(signing.privateKey, 'current', certificatePayload({ iss: 'other' }))), null);
+  assert.equal(verifyLicenseCertificate(craftCertificate(signing.privateKey, 'current', certificatePayload({ grace_until: 'later' }))), null);
+});
+
+test('certificates without a device verify with a null deviceId (refresh refuses them)', () => {
+  const payload = certificatePayload();
+  delete payload.did;
+  
+  assert.equal(verifyLicenseCertificate(craftCertificate(signing.privateKey, 'current', payload)).deviceId, null);
+});
+
+test('listPublicKeys publishes the current key first and the retired keys as inactive', () => {
+  const keys = listPublicKeys();
+  
+  assert.deepEqual(keys.map(key => [key.kid, key.active]), [['current', true], ['retired', false]]);
+  assert.equal(keys[0].x, signing.publicKey.export({ format: 'jwk' }).x);
+  assert.ok(keys.every(key => key.alg === 'EdDSA' && key.crv === 'Ed25519' && key.d === undefined));
+});
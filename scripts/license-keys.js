@@ -0,0 +1,129 @@
+// scripts/license-keys.js
+// Serviço de chaves de licença: geração, conferência do formato e hash guardado no banco
+//
+// Formato: BZN-XXXXX-XXXXX-XXXXX-XXXXX-XXXXX, em base32 Crockford (sem I, L, O e U).
+// Os 24 primeiros caracteres são aleatórios (120 bits) e o último é um dígito verificador
+// (Luhn mod 32), então erros de digitação são rejeitados sem consultar o banco.
+//
+// O banco guarda só o hash da chave (users.license_key e as colunas que a referenciam);
+// a chave em texto aparece uma única vez, na resposta ou e-mail que a entrega ao cliente.
+// Chaves antigas (XXXX-XXXX-XXXX-XXXX) continuam aceitas, com exceção das derivadas do
+// e-mail, que são trocadas na inicialização (migrateLicenseKeys em scripts/database.js).
+const crypto = require('crypto');
+
+const LICENSE_KEY_PREFIX = 'BZN';
+
+// Base32 Crockford
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Caracteres aleatórios por chave (mais o dígito verificador)
+const RANDOM_LENGTH = 24;
+const GROUP_LENGTH = 5;
+
+// Quantidade de caracteres finais da chave guardada como dica (ex.: "...4K9QZ" em /api/me)
+const KEY_HINT_LENGTH = 4;
+
+// Formato das chaves antigas (geradas por Math.random ou derivadas do e-mail)
+const LEGACY_LICENSE_KEY_REGEX = /^[A-Z0-9]{4}(-[A-Z0-9]{4}){3}$/;
+
+// Hash guardado no banco (sha256 em hex, sem salt: a chave tem entropia alta)
+const LICENSE_KEY_HASH_REGEX = /^[0-9a-f]{64}$/;
+
+// Dígito verificador Luhn mod N (detecta qualquer troca de um caractere e a maioria das
+// inversões de caracteres vizinhos)
+function checkCharacter(body) {
+  const n = ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+  
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  
+  return ALPHABET[(n - (sum % n)) % n];
+}
+
+function formatLicenseKey(chars) {
+  const groups = chars.match(new RegExp(`.{1,${GROUP_LENGTH}}`, 'g'));
+  return [LICENSE_KEY_PREFIX, ...groups].join('-');
+}
+
+// Função para gerar uma nova chave de licença (aleatória, com dígito verificador)
+function generateLicenseKey() {
+  let body = '';
+  for (let i = 0; i < RANDOM_LENGTH; i++) {
+    body += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  
+  return formatLicenseKey(body + checkCharacter(body));
+}
+
+// Função para conferir e normalizar uma chave digitada pelo usuário
+// Chaves no formato atual são aceitas sem hífens, em minúsculas e com O/I/L no lugar de 0/1/1
+// Retorna a chave normalizada ou null se ela não for válida (ex.: erro de digitação)
+function parseLicenseKey(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  
+  const value = input.trim();
+  if (!value || value.length > 255) {
+    return null;
+  }
+  
+  const compact = value.toUpperCase().replace(/[\s-]/g, '');
+  if (LEGACY_LICENSE_KEY_REGEX.test(value) || !compact.startsWith(LICENSE_KEY_PREFIX)) {
+    // Chave antiga: aceita como foi emitida
+    return value;
+  }
+  
+  const chars = compact
+    .substring(LICENSE_KEY_PREFIX.length)
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  
+  if (chars.length !== RANDOM_LENGTH + 1 || [...chars].some(char => !ALPHABET.includes(char))) {
+    return null;
+  }
+  
+  const body = chars.substring(0, RANDOM_LENGTH);
+  if (checkCharacter(body) !== chars[RANDOM_LENGTH]) {
+    return null;
+  }
+  
+  return formatLicenseKey(chars);
+}
+
+// Hash de uma chave já normalizada por parseLicenseKey (valor guardado em users.license_key)
+function hashLicenseKey(licenseKey) {
+  return crypto.createHash('sha256').update(licenseKey).digest('hex');
+}
+
+// Verificar se um valor de users.license_key já é um hash (e não uma chave antiga em texto)
+function isLicenseKeyHash(value) {
+  return typeof value === 'string' && LICENSE_KEY_HASH_REGEX.test(value);
+}
+
+// Dica para o usuário reconhecer a chave sem expô-la
+function licenseKeyHint(licenseKey) {
+  return licenseKey.substring(licenseKey.length - KEY_HINT_LENGTH);
+}
+
+// Chave que o formato antigo derivava do e-mail (MD5). Usada só para encontrar e trocar
+// as chaves emitidas assim: qualquer um que soubesse o e-mail conseguia calculá-las
+function emailDerivedLicenseKey(email) {
+  const hash = crypto.createHash('md5').update(email.toLowerCase()).digest('hex');
+  return hash.toUpperCase().substring(0, 16).match(/.{1,4}/g).join('-');
+}
+
+module.exports = {
+  generateLicenseKey,
+  parseLicenseKey,
+  hashLicenseKey,
+  isLicenseKeyHash,
+  licenseKeyHint,
+  emailDerivedLicenseKey
+};
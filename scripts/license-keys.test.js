@@ -0,0 +1,87 @@
+// scripts/license-keys.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateLicenseKey,
+  parseLicenseKey,
+  hashLicenseKey,
+  isLicenseKeyHash,
+  licenseKeyHint,
+  emailDerivedLicenseKey
+} = require('./license-keys');
+
+const KEY_REGEX = /^BZN(-[0-9A-HJKMNP-TV-Z]{5}){5}$/;
+
+// Trocar um caractere da chave por outro do alfabeto
+function replaceChar(key, index) {
+  const replacement = key[index] === '0' ? '1' : '0';
+  return key.substring(0, index) + replacement + key.substring(index + 1);
+}
+
+test('generated keys use the BZN format and pass their own check digit', () => {
+  for (let i = 0; i < 50; i++) {
+    const key = generateLicenseKey();
+    assert.match(key, KEY_REGEX);
+    assert.equal(parseLicenseKey(key), key);
+  }
+});
+
+test('parseLicenseKey normalizes case, spacing and look-alike characters', () => {
+  const key = generateLicenseKey();
+  
+  assert.equal(parseLicenseKey(key.toLowerCase()), key);
+  assert.equal(parseLicenseKey(key.replace(/-/g, '')), key);
+  assert.equal(parseLicenseKey(`  ${key.replace(/-/g, ' ')}  `), key);
+  
+  // Uma chave com 0 e 1 digitados como O, I e L
+  let lookAlike = generateLicenseKey();
+  while (!/0/.test(lookAlike) || !/1/.test(lookAlike)) {
+    lookAlike = generateLicenseKey();
+  }
+  assert.equal(parseLicenseKey(lookAlike.replace(/0/g, 'O').replace(/1/g, 'l')), lookAlike);
+  assert.equal(parseLicenseKey(lookAlike.replace(/1/g, 'I')), lookAlike);
+});
+
+test('parseLicenseKey rejects any single-character typo', () => {
+  const key = generateLicenseKey();
+  
+  // Posições dos caracteres (sem o prefixo e os hífens)
+  const positions = [...key].map((char, index) => index).filter(index => index > 3 && key[index] !== '-');
+  for (const index of positions) {
+    assert.equal(parseLicenseKey(replaceChar(key, index)), null, `typo at ${index} accepted`);
+  }
+});
+
+test('parseLicenseKey rejects malformed input and keeps legacy keys as issued', () => {
+  assert.equal(parseLicenseKey(undefined), null);
+  assert.equal(parseLicenseKey(''), null);
+  assert.equal(parseLicenseKey('   '), null);
+  assert.equal(parseLicenseKey('x'.repeat(256)), null);
+  assert.equal(parseLicenseKey('BZN-12345'), null);
+  assert.equal(parseLicenseKey(`BZN-${'U'.repeat(25)}`), null);
+  
+  assert.equal(parseLicenseKey('ABCD-EFGH-1234-5678'), 'ABCD-EFGH-1234-5678');
+  assert.equal(parseLicenseKey('TEST-KEY-0013'), 'TEST-KEY-0013');
+});
+
+test('hashLicenseKey is a stable sha256 recognized by isLicenseKeyHash', () => {
+  const key = generateLicenseKey();
+  const hash = hashLicenseKey(key);
+  
+  assert.equal(hash, hashLicenseKey(key));
+  assert.notEqual(hash, hashLicenseKey(generateLicenseKey()));
+  assert.ok(isLicenseKeyHash(hash));
+  assert.ok(!isLicenseKeyHash(key));
+  assert.ok(!isLicenseKeyHash(hash.toUpperCase()));
+  assert.ok(!isLicenseKeyHash(null));
+});
+
+test('licenseKeyHint shows only the last four characters', () => {
+  assert.equal(licenseKeyHint('BZN-AAAAA-BBBBB-CCCCC-DDDDD-E4K9Q'), '4K9Q');
+});
+
+test('emailDerivedLicenseKey reproduces the legacy MD5 key case-insensitively', () => {
+  // md5("user@example.com") = b58996c504c5638798eb6b511e6f49af
+  assert.equal(emailDerivedLicenseKey('user@example.com'), 'B589-96C5-04C5-6387');
+  assert.equal(emailDerivedLicenseKey('User@Example.com'), 'B589-96C5-04C5-6387');
+});
@@ -0,0 +1,201 @@
+// scripts/license-middleware.js
+const { verifyLicense, getAuthSessionUser, touchDevice } = require('./database');
+const { verifyAccessToken, getBearerToken } = require('./auth-tokens');
+const { isDeviceIdFormat } = require('./devices');
+const { parseLicenseKey, hashLicenseKey } = require('./license-keys');
+
+// Autenticação pela chave de licença na URL ou no body (obsoleta: a chave vai parar em logs)
+// LICENSE_KEY_AUTH=disabled passa a exigir "Authorization: Bearer <token de acesso>"
+const LICENSE_KEY_AUTH_ENABLED = process.env.LICENSE_KEY_AUTH !== 'disabled';
+
+// Valor de :licenseKey nas rotas acessadas com token de acesso (ex.: /api/license/me/notes)
+const CURRENT_LICENSE_PARAM = 'me';
+
+// Resposta 401 com o desafio Bearer (RFC 6750)
+function sendUnauthorized(res, error, tokenError = null) {
+  res.set('WWW-Authenticate', tokenError ? `Bearer error="${tokenError}"` : 'Bearer');
+  res.status(401).json({
+    success: false,
+    error,
+    code: tokenError ? 'INVALID_TOKEN' : 'AUTHENTICATION_REQUIRED'
+  });
+}
+
+// Resposta para chaves com formato inválido (400) ou substituídas por segurança (403)
+// licenseResult vem de verifyLicense; retorna false para os demais casos (licença inexistente ou inativa)
+function sendLicenseKeyError(res, licenseResult) {
+  if (licenseResult.reason === 'malformed') {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid license key format. Please check the key for typos.',
+      code: 'INVALID_LICENSE_KEY'
+    });
+    return true;
+  }
+  
+  if (licenseResult.reason === 'rotated') {
+    res.status(403).json({
+      success: false,
+      error: 'This license key was replaced for security reasons. Use license recovery (POST /api/license/recovery) to get your new key by email.',
+      code: 'LICENSE_KEY_ROTATED'
+    });
+    return true;
+  }
+  
+  return false;
+}
+
+// Resposta 403 para licenças revogadas ou vencidas (erros LICENSE_REVOKED / LICENSE_EXPIRED do banco)
+// Retorna false para os demais erros
+function sendInactiveLicense(res, error) {
+  if (error.code !== 'LICENSE_REVOKED' && error.code !== 'LICENSE_EXPIRED') {
+    return false;
+  }
+  
+  res.status(403).json({
+    success: false,
+    error: error.code === 'LICENSE_REVOKED'
+      ? 'This license has been revoked. Contact support if you think this is a mistake.'
+      : 'This license has expired. Renew your subscription to keep using it.',
+    code: error.code
+  });
+  return true;
+}
+
+// Verificar se a chave informada na URL ou no body é a da licença autenticada
+function isSameLicense(licenseKey, user) {
+  const key = parseLicenseKey(licenseKey);
+  return Boolean(key) && hashLicenseKey(key) === user.license_key;
+}
+
+// Resposta 403 para um dispositivo que não está (mais) ativado na licença
+function sendDeviceNotActivated(res) {
+  res.status(403).json({
+    success: false,
+    error: 'This device is not activated for this license',
+    code: 'DEVICE_NOT_ACTIVATED'
+  });
+}
+
+// Resposta 400 para requisições com a chave de licença sem o header X-Device-Id
+function sendDeviceRequired(res) {
+  res.status(400).json({
+    success: false,
+    error: 'X-Device-Id header is required (activate the device with POST /api/activate-license)',
+    code: 'DEVICE_REQUIRED'
+  });
+}
+
+// Criar o middleware que exige uma licença ativa e disponibiliza o usuário em req.license
+// Aceita "Authorization: Bearer <token de acesso>" ou, enquanto permitido, a chave de licença
+// na URL ou no body. Com token, :licenseKey pode ser "me" ou a própria chave da sessão
+// O dispositivo (da sessão ou do header X-Device-Id) fica em req.deviceId e tem o último acesso atualizado
+// requireDevice: o dispositivo precisa estar ativado na licença; sem isso uma chave divulgada
+// funcionaria em qualquer número de máquinas e o limite do plano seria opcional
+function createLicenseMiddleware({ requireDevice }) {
+  return async (req, res, next) => {
+    try {
+      const licenseKey = req.params.licenseKey || (req.body && req.body.licenseKey);
+      const token = getBearerToken(req);
+      
+      if (token) {
+        const claims = verifyAccessToken(token);
+        const session = claims && await getAuthSessionUser(claims.sessionId, claims.userId);
+        
+        if (!session) {
+          return sendUnauthorized(res, 'Invalid or expired access token', 'invalid_token');
+        }
+        
+        if (licenseKey && licenseKey !== CURRENT_LICENSE_PARAM && !isSameLicense(licenseKey, session.user)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access token does not belong to this license'
+          });
+        }
+        
+        // Sessões antigas, criadas antes do registro de dispositivos, precisam ser refeitas
+        if (requireDevice && !session.deviceId) {
+          return sendDeviceNotActivated(res);
+        }
+        
+        // Sessões são encerradas junto com o dispositivo, então basta atualizar o último acesso
+        if (session.deviceId) {
+          await touchDevice(session.user.license_key, session.deviceId);
+        }
+        
+        req.license = session.user;
+        req.authSessionId = claims.sessionId;
+        req.deviceId = session.deviceId;
+        return next();
+      }
+      
+      if (!LICENSE_KEY_AUTH_ENABLED || !licenseKey || licenseKey === CURRENT_LICENSE_PARAM) {
+        return sendUnauthorized(res, 'Authorization: Bearer access token required');
+      }
+      
+      if (typeof licenseKey !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid license key format'
+        });
+      }
+      
+      const licenseResult = await verifyLicense(licenseKey);
+      if (!licenseResult.valid) {
+        if (sendLicenseKeyError(res, licenseResult)) {
+          return;
+        }
+        
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid or inactive license'
+        });
+      }
+      
+      // Dispositivo informado pelo cliente
+      const deviceId = req.get('X-Device-Id');
+      if (requireDevice && deviceId === undefined) {
+        return sendDeviceRequired(res);
+      }
+      
+      if (deviceId !== undefined) {
+        if (!isDeviceIdFormat(deviceId)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid X-Device-Id header'
+          });
+        }
+        
+        if (!await touchDevice(licenseResult.user.license_key, deviceId)) {
+          return sendDeviceNotActivated(res);
+        }
+      }
+      
+      // Avisar o cliente para migrar para os tokens (POST /api/auth/token)
+      res.set('Deprecation', 'true');
+      res.set('Link', '</api/auth/token>; rel="successor-version"');
+      
+      req.license = licenseResult.user;
+      req.deviceId = deviceId || null;
+      next();
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Middleware padrão das rotas da licença: exige um dispositivo ativado
+const requireLicense = createLicenseMiddleware({ requireDevice: true });
+
+// Variante sem dispositivo ativado, só para gerenciar dispositivos e sessões: quem atingiu o
+// limite do plano (ou perdeu os dispositivos) precisa conseguir liberar uma vaga
+const requireLicenseAnyDevice = createLicenseMiddleware({ requireDevice: false });
+
+module.exports = {
+  requireLicense,
+  requireLicenseAnyDevice,
+  sendLicenseKeyError,
+  sendInactiveLicense,
+  sendDeviceNotActivated
+};
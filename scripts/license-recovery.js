@@ -0,0 +1,49 @@
+// scripts/license-recovery.js
+// Recuperação de licença por e-mail (link de uso único) e avisos de chave substituída
+//
+// A chave só é guardada como hash, então recuperar = emitir uma chave nova: o link leva a uma
+// página que, ao ser confirmada, troca a chave e a mostra uma única vez. Os e-mails passam
+// pela fila (scripts/email-outbox.js), com os modelos license_recovery e key_rotated.
+const { KEY_ROTATION_NOTICE_TTL_MINUTES, queueKeyRotationNotices } = require('./database');
+const { wakeEmailOutbox } = require('./email-outbox');
+
+// Validade do link de recuperação (minutos)
+const RECOVERY_TTL_MINUTES = parseInt(process.env.LICENSE_RECOVERY_TTL_MINUTES, 10) || 30;
+
+// Pedidos de recuperação aceitos por e-mail a cada hora
+const RECOVERY_MAX_PER_HOUR = parseInt(process.env.LICENSE_RECOVERY_MAX_PER_HOUR, 10) || 3;
+
+// Intervalo entre verificações dos avisos de chave substituída pendentes
+const NOTICE_INTERVAL_MS = 15 * 60 * 1000; // 15 minutos
+
+// Função para colocar na fila os avisos de chave substituída pendentes (license_key_rotations)
+async function runKeyRotationNotices() {
+  try {
+    const queued = await queueKeyRotationNotices({ ttlMinutes: KEY_ROTATION_NOTICE_TTL_MINUTES });
+    
+    if (queued > 0) {
+      console.log(`📧 Key rotation notices queued: ${queued}`);
+      wakeEmailOutbox();
+    }
+    
+  } catch (error) {
+    console.error('❌ Key rotation notices failed:', error.message);
+  }
+}
+
+// Função para agendar a verificação periódica dos avisos de chave substituída
+function startKeyRotationNotices() {
+  runKeyRotationNotices();
+  
+  const timer = setInterval(runKeyRotationNotices, NOTICE_INTERVAL_MS);
+  timer.unref();
+  
+  return timer;
+}
+
+module.exports = {
+  RECOVERY_TTL_MINUTES,
+  RECOVERY_MAX_PER_HOUR,
+  runKeyRotationNotices,
+  startKeyRotationNotices
+};
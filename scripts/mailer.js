@@ -0,0 +1,149 @@
+// scripts/mailer.js
+// Transportes de e-mail (MAIL_TRANSPORT)
+//
+// Todo transporte expõe a mesma interface assíncrona:
+//   send({ from, to, subject, text, html }) - envia a mensagem e retorna { id }
+// Em produção o envio é por SMTP; em desenvolvimento as mensagens são só mostradas no console
+// (padrão) ou capturadas em arquivos ou na memória, para os testes conferirem o que foi enviado.
+// Os e-mails transacionais passam pela fila (scripts/email-outbox.js), que chama sendMail.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sendSmtpMessage } = require('./smtp');
+
+// Remetente das mensagens (MAIL_FROM)
+function getMailFrom(env = process.env) {
+  return env.MAIL_FROM || 'BuzzyNotes <no-reply@buzzynotes.local>';
+}
+
+// Transporte de console: imprime a mensagem (nada é enviado)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    
+    async send(message) {
+      const id = crypto.randomUUID();
+      console.log(`📧 [mail ${id}] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { id };
+    }
+  };
+}
+
+// Transporte de arquivos: uma mensagem por arquivo JSON em dir (para testes e desenvolvimento)
+function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+    
+    async send(message) {
+      const id = crypto.randomUUID();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${Date.now()}-${id}.json`),
+        JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { id };
+    }
+  };
+}
+
+// Transporte de captura em memória: guarda as mensagens em messages (para testes no mesmo processo)
+function createCaptureTransport() {
+  const messages = [];
+  
+  return {
+    name: 'capture',
+    messages,
+    
+    async send(message) {
+      const id = crypto.randomUUID();
+      messages.push({ id, date: new Date().toISOString(), ...message });
+      return { id };
+    },
+    
+    clear() {
+      messages.length = 0;
+    }
+  };
+}
+
+// Transporte SMTP ({ host, port, secure, user, pass }); secure = TLS desde a conexão (porta 465),
+// senão STARTTLS é usado quando o servidor oferece
+function createSmtpTransport(options) {
+  return {
+    name: 'smtp',
+    
+    async send(message) {
+      const result = await sendSmtpMessage(options, message);
+      return { id: result.response };
+    }
+  };
+}
+
+// Função para criar o transporte configurado (MAIL_TRANSPORT, padrão 'console')
+// Em produção só o SMTP é aceito: os outros transportes não entregam nada e deixariam chaves de
+// licença e tokens de recuperação no log ou em disco
+function createMailTransport(env = process.env) {
+  const driver = env.MAIL_TRANSPORT || 'console';
+  
+  if (env.NODE_ENV === 'production' && driver !== 'smtp') {
+    throw new Error(`MAIL_TRANSPORT must be "smtp" in production (got "${driver}")`);
+  }
+  
+  switch (driver) {
+    case 'console':
+      return createConsoleTransport();
+    
+    case 'file':
+      return createFileTransport({
+        dir: env.MAIL_DIR || path.join(__dirname, '..', 'storage', 'mail')
+      });
+    
+    case 'capture':
+      return createCaptureTransport();
+    
+    case 'smtp': {
+      if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required for the smtp mail transport');
+      }
+      
+      const secure = env.SMTP_SECURE === 'true';
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+        secure,
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null
+      });
+    }
+    
+    default:
+      throw new Error(`Unknown mail transport: ${driver}`);
+  }
+}
+
+let transport = null;
+
+// Transporte compartilhado pelo processo (criado no primeiro uso)
+function getMailTransport() {
+  if (!transport) {
+    transport = createMailTransport();
+    console.log(`📮 Mail transport: ${transport.name}`);
+  }
+  return transport;
+}
+
+// Função para enviar um e-mail ({ to, subject, text, html? }) pelo transporte configurado
+// Use a fila (scripts/email-outbox.js) para e-mails que precisam chegar mesmo se o envio falhar
+async function sendMail(message) {
+  return getMailTransport().send({ from: getMailFrom(), ...message });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createCaptureTransport,
+  createSmtpTransport,
+  createMailTransport,
+  getMailTransport,
+  sendMail
+};
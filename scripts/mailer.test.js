@@ -0,0 +1,38 @@
+// scripts/mailer.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MAIL_TRANSPORT = 'capture';
+process.env.MAIL_FROM = 'BuzzyNotes <mail@notes.example.com>';
+
+const { createMailTransport, getMailTransport, sendMail } = require('./mailer');
+
+test('sendMail delivers through the configured transport with the sender filled in', async () => {
+  const transport = getMailTransport();
+  transport.clear();
+  
+  const { id } = await sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello\n' });
+  
+  assert.equal(transport.name, 'capture');
+  assert.equal(transport.messages.length, 1);
+  assert.deepEqual(
+    { ...transport.messages[0], date: undefined },
+    { id, date: undefined, from: 'BuzzyNotes <mail@notes.example.com>', to: 'ana@example.com', subject: 'Hi', text: 'Hello\n' }
+  );
+  
+  transport.clear();
+  assert.equal(transport.messages.length, 0);
+});
+
+test('createMailTransport picks the driver from the environment', () => {
+  assert.equal(createMailTransport({}).name, 'console');
+  assert.equal(createMailTransport({ MAIL_TRANSPORT: 'file', MAIL_DIR: '/tmp/mail' }).name, 'file');
+  assert.equal(createMailTransport({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.example.com' }).name, 'smtp');
+});
+
+test('createMailTransport refuses unknown, incomplete and non-SMTP production setups', () => {
+  assert.throws(() => createMailTransport({ MAIL_TRANSPORT: 'pigeon' }), /Unknown mail transport/);
+  assert.throws(() => createMailTransport({ MAIL_TRANSPORT: 'smtp' }), /SMTP_HOST is required/);
+  assert.throws(() => createMailTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'capture' }), /must be "smtp" in production/);
+  assert.throws(() => createMailTransport({ NODE_ENV: 'production' }), /must be "smtp" in production/);
+});
@@ -0,0 +1,205 @@
+// scripts/merge.js
+// Merge de três vias (base, cliente, servidor) para payloads de notas
+
+// Função para comparar dois valores JSON em profundidade
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+  
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+// Verificar se um valor é um objeto simples (não array)
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Função para normalizar um payload de notas em um Map id -> nota
+// Formatos aceitos: [notas], { notes: [notas], ...extras } ou { id: nota }
+// Retorna null se o payload não puder ser indexado por id
+function toNoteMap(payload) {
+  if (payload === null || payload === undefined) {
+    return { shape: null, notes: new Map(), extras: {} };
+  }
+  
+  let list = null;
+  let shape = 'map';
+  let extras = {};
+  
+  if (Array.isArray(payload)) {
+    list = payload;
+    shape = 'array';
+  } else if (isPlainObject(payload) && Array.isArray(payload.notes)) {
+    list = payload.notes;
+    shape = 'wrapped';
+    extras = { ...payload };
+    delete extras.notes;
+  } else if (!isPlainObject(payload)) {
+    return null;
+  }
+  
+  const notes = new Map();
+  
+  if (list) {
+    for (const note of list) {
+      const id = isPlainObject(note) ? note.id : undefined;
+      if ((typeof id !== 'string' && typeof id !== 'number') || notes.has(String(id))) {
+        return null;
+      }
+      notes.set(String(id), note);
+    }
+  } else {
+    for (const [id, note] of Object.entries(payload)) {
+      notes.set(id, note);
+    }
+  }
+  
+  return { shape, notes, extras };
+}
+
+// Função para montar o payload no mesmo formato enviado pelo cliente
+function fromNoteMap(shape, notes, extras) {
+  if (shape === 'array') {
+    return [...notes.values()];
+  }
+  
+  if (shape === 'wrapped') {
+    return { ...extras, notes: [...notes.values()] };
+  }
+  
+  return Object.fromEntries(notes);
+}
+
+// Função de merge de um valor: retorna { value, conflict }
+// Em colisão real o valor do servidor é mantido e o conflito é marcado
+function mergeValue(base, client, server) {
+  if (isEqual(client, server)) {
+    return { value: client, conflict: false };
+  }
+  
+  if (isEqual(client, base)) {
+    return { value: server, conflict: false };
+  }
+  
+  if (isEqual(server, base)) {
+    return { value: client, conflict: false };
+  }
+  
+  return { value: server, conflict: true };
+}
+
+// Função de merge campo a campo de dois objetos (extras ou uma nota)
+function mergeFields(base, client, server, onConflict) {
+  const merged = {};
+  const keys = new Set([
+    ...Object.keys(client || {}),
+    ...Object.keys(server || {}),
+    ...Object.keys(base || {})
+  ]);
+  
+  for (const key of keys) {
+    const result = mergeValue((base || {})[key], (client || {})[key], (server || {})[key]);
+    
+    if (result.conflict) {
+      onConflict(key, (base || {})[key], (client || {})[key], (server || {})[key]);
+    }
+    
+    if (result.value !== undefined) {
+      merged[key] = result.value;
+    }
+  }
+  
+  return merged;
+}
+
+// Função principal: merge de três vias de payloads de notas
+// Retorna { merged, conflicts } ou null quando os payloads não são mescláveis
+// Cada conflito: { id, field, type, base, client, server }
+function mergeNotesPayload(base, client, server) {
+  const baseMap = toNoteMap(base);
+  const clientMap = toNoteMap(client);
+  const serverMap = toNoteMap(server);
+  
+  if (!baseMap || !clientMap || !serverMap) {
+    return null;
+  }
+  
+  const conflicts = [];
+  const merged = new Map();
+  
+  // Preservar a ordem do cliente e acrescentar as notas novas do servidor
+  const ids = new Set([...clientMap.notes.keys(), ...serverMap.notes.keys(), ...baseMap.notes.keys()]);
+  
+  for (const id of ids) {
+    const baseNote = baseMap.notes.get(id);
+    const clientNote = clientMap.notes.get(id);
+    const serverNote = serverMap.notes.get(id);
+    
+    const result = mergeValue(baseNote, clientNote, serverNote);
+    
+    if (!result.conflict) {
+      if (result.value !== undefined) {
+        merged.set(id, result.value);
+      }
+      continue;
+    }
+    
+    // Removida de um lado e editada do outro: manter a versão editada
+    if (clientNote === undefined || serverNote === undefined) {
+      conflicts.push({
+        id,
+        field: null,
+        type: clientNote === undefined ? 'deleted_on_client' : 'deleted_on_server',
+        base: baseNote === undefined ? null : baseNote,
+        client: clientNote === undefined ? null : clientNote,
+        server: serverNote === undefined ? null : serverNote
+      });
+      merged.set(id, clientNote === undefined ? serverNote : clientNote);
+      continue;
+    }
+    
+    // Valores não-objeto não podem ser mesclados por campo
+    if (!isPlainObject(clientNote) || !isPlainObject(serverNote)) {
+      conflicts.push({ id, field: null, type: 'modified', base: baseNote ?? null, client: clientNote, server: serverNote });
+      merged.set(id, serverNote);
+      continue;
+    }
+    
+    merged.set(id, mergeFields(isPlainObject(baseNote) ? baseNote : {}, clientNote, serverNote, (field, b, c, s) => {
+      conflicts.push({ id, field, type: 'modified', base: b ?? null, client: c ?? null, server: s ?? null });
+    }));
+  }
+  
+  const extras = mergeFields(baseMap.extras, clientMap.extras, serverMap.extras, (field, b, c, s) => {
+    conflicts.push({ id: null, field, type: 'modified', base: b ?? null, client: c ?? null, server: s ?? null });
+  });
+  
+  const shape = clientMap.shape || serverMap.shape || 'array';
+  
+  return {
+    merged: fromNoteMap(shape, merged, extras),
+    conflicts
+  };
+}
+
+module.exports = {
+  mergeNotesPayload,
+  toNoteMap,
+  fromNoteMap,
+  isEqual
+};
@@ -0,0 +1,86 @@
+// scripts/merge.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeNotesPayload, toNoteMap, fromNoteMap, isEqual } = require('./merge');
+
+test('isEqual compares JSON values deeply and ignores key order', () => {
+  assert.ok(isEqual({ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1 }));
+  assert.ok(!isEqual({ a: 1 }, { a: 1, b: 2 }));
+  assert.ok(!isEqual([1, 2], [2, 1]));
+  assert.ok(!isEqual(null, {}));
+});
+
+test('toNoteMap accepts arrays, wrapped lists and id maps and round-trips them', () => {
+  const array = [{ id: 'a', title: 'A' }, { id: 2, title: 'B' }];
+  const wrapped = { notes: array, settings: { theme: 'dark' } };
+  const map = { a: { title: 'A' } };
+  
+  for (const payload of [array, wrapped, map]) {
+    const { shape, notes, extras } = toNoteMap(payload);
+    assert.deepEqual(fromNoteMap(shape, notes, extras), payload);
+  }
+  
+  assert.deepEqual([...toNoteMap(array).notes.keys()], ['a', '2']);
+  assert.deepEqual(toNoteMap(wrapped).extras, { settings: { theme: 'dark' } });
+  assert.equal(toNoteMap(null).notes.size, 0);
+});
+
+test('toNoteMap refuses payloads that cannot be keyed by id', () => {
+  assert.equal(toNoteMap('text'), null);
+  assert.equal(toNoteMap([{ title: 'no id' }]), null);
+  assert.equal(toNoteMap([{ id: 'a' }, { id: 'a' }]), null);
+  assert.equal(mergeNotesPayload([], 'text', []), null);
+});
+
+test('edits to different notes and fields on each side are combined', () => {
+  const base = [{ id: 'a', title: 'A', body: 'one' }, { id: 'b', title: 'B' }];
+  const client = [{ id: 'a', title: 'A (client)', body: 'one' }, { id: 'b', title: 'B' }, { id: 'c', title: 'new' }];
+  const server = [{ id: 'a', title: 'A', body: 'one (server)' }, { id: 'b', title: 'B (server)' }];
+  
+  const { merged, conflicts } = mergeNotesPayload(base, client, server);
+  
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged, [
+    { id: 'a', title: 'A (client)', body: 'one (server)' },
+    { id: 'b', title: 'B (server)' },
+    { id: 'c', title: 'new' }
+  ]);
+});
+
+test('a note deleted on one side and untouched on the other stays deleted', () => {
+  const base = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }];
+  
+  assert.deepEqual(mergeNotesPayload(base, [{ id: 'a', title: 'A' }], base).merged, [{ id: 'a', title: 'A' }]);
+  assert.deepEqual(mergeNotesPayload(base, base, [{ id: 'b', title: 'B' }]).merged, [{ id: 'b', title: 'B' }]);
+});
+
+test('the same field changed on both sides keeps the server value and reports the conflict', () => {
+  const base = [{ id: 'a', title: 'A' }];
+  const { merged, conflicts } = mergeNotesPayload(base, [{ id: 'a', title: 'client' }], [{ id: 'a', title: 'server' }]);
+  
+  assert.deepEqual(merged, [{ id: 'a', title: 'server' }]);
+  assert.deepEqual(conflicts, [{ id: 'a', field: 'title', type: 'modified', base: 'A', client: 'client', server: 'server' }]);
+});
+
+test('a note deleted on one side and edited on the other keeps the edit', () => {
+  const base = [{ id: 'a', title: 'A' }];
+  
+  const deletedOnClient = mergeNotesPayload(base, [], [{ id: 'a', title: 'edited' }]);
+  assert.deepEqual(deletedOnClient.merged, [{ id: 'a', title: 'edited' }]);
+  assert.equal(deletedOnClient.conflicts[0].type, 'deleted_on_client');
+  
+  const deletedOnServer = mergeNotesPayload(base, [{ id: 'a', title: 'edited' }], []);
+  assert.deepEqual(deletedOnServer.merged, [{ id: 'a', title: 'edited' }]);
+  assert.equal(deletedOnServer.conflicts[0].type, 'deleted_on_server');
+});
+
+test('extras of wrapped payloads are merged field by field in the client shape', () => {
+  const base = { notes: [], theme: 'light', sort: 'title' };
+  const client = { notes: [{ id: 'a' }], theme: 'dark', sort: 'title' };
+  const server = { notes: [], theme: 'light', sort: 'date' };
+  
+  const { merged, conflicts } = mergeNotesPayload(base, client, server);
+  
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged, { notes: [{ id: 'a' }], theme: 'dark', sort: 'date' });
+});
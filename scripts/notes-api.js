@@ -0,0 +1,415 @@
+// scripts/notes-api.js
+const crypto = require('crypto');
+const {
+  listNotes,
+  getNote,
+  createNote,
+  updateNote,
+  deleteNote,
+  moveNotes,
+  listTrashedNotes,
+  restoreTrashedNote,
+  purgeTrashedNotes
+} = require('./database');
+const { sendEncryptionError } = require('./encryption-api');
+const { requireLicense } = require('./license-middleware');
+const { getTrashRetentionDays } = require('./trash-purge');
+const { sendQuotaExceeded } = require('./usage-api');
+
+// IDs de notas, pastas e tags aceitos quando gerados pela extensão
+const ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Máximo de tags por nota e tamanho máximo do nome de uma tag
+const MAX_TAGS_PER_NOTE = 50;
+const MAX_TAG_NAME_LENGTH = 100;
+
+// Máximo de notas movidas de uma vez
+const MAX_MOVE_NOTES = 500;
+
+// Função para validar os campos enviados de uma nota
+function validateNoteFields(fields) {
+  if (fields.title !== undefined && typeof fields.title !== 'string') {
+    return 'Title must be a string';
+  }
+  
+  if (fields.body !== undefined && typeof fields.body !== 'string') {
+    return 'Body must be a string';
+  }
+  
+  if (fields.folder_id !== undefined && fields.folder_id !== null &&
+      (typeof fields.folder_id !== 'string' || !ID_REGEX.test(fields.folder_id))) {
+    return 'Folder id must be a valid id or null';
+  }
+  
+  if (fields.tags !== undefined &&
+      (!Array.isArray(fields.tags) || fields.tags.length > MAX_TAGS_PER_NOTE ||
+       fields.tags.some(tag => typeof tag !== 'string' || tag.trim().length === 0 || tag.length > MAX_TAG_NAME_LENGTH))) {
+    return `Tags must be an array of up to ${MAX_TAGS_PER_NOTE} tag names (up to ${MAX_TAG_NAME_LENGTH} characters)`;
+  }
+  
+  return null;
+}
+
+// Configurar rotas de notas individuais
+function setupNotesRoutes(app) {
+
+  // GET /api/license/:licenseKey/notes - Listar notas da licença
+  app.get('/api/license/:licenseKey/notes', requireLicense, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      // folderId vazio lista as notas da raiz
+      const { folderId } = req.query;
+      const tags = [].concat(req.query.tag || []).filter(tag => typeof tag === 'string' && tag.length > 0);
+      
+      const result = await listNotes(req.license.license_key, {
+        folderId: typeof folderId === 'string' ? (folderId || null) : undefined,
+        tags,
+        limit,
+        offset
+      });
+      
+      res.json({
+        success: true,
+        notes: result.notes,
+        total: result.total,
+        limit,
+        offset
+      });
+      
+    } catch (error) {
+      console.error('Error listing notes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list notes'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/notes/:noteId - Buscar uma nota
+  app.get('/api/license/:licenseKey/notes/:noteId', requireLicense, async (req, res) => {
+    try {
+      const note = await getNote(req.license.license_key, req.params.noteId);
+      
+      if (!note) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        note
+      });
+      
+    } catch (error) {
+      console.error('Error getting note:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get note'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/notes - Criar uma nota
+  app.post('/api/license/:licenseKey/notes', requireLicense, async (req, res) => {
+    try {
+      const { id, folder_id, tags, title, body } = req.body;
+      
+      if (id !== undefined && (typeof id !== 'string' || !ID_REGEX.test(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid note id format'
+        });
+      }
+      
+      const validationError = validateNoteFields({ folder_id, tags, title, body });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const note = await createNote(req.license.license_key, {
+        id: id || crypto.randomUUID(),
+        folder_id,
+        tags,
+        title,
+        body
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Note created successfully',
+        note
+      });
+      
+    } catch (error) {
+      console.error('Error creating note:', error);
+      
+      // Nota com o mesmo id já existe
+      if (error.code === 'NOTE_EXISTS') {
+        res.status(409).json({
+          success: false,
+          error: 'Note already exists'
+        });
+      } else if (error.code === 'FOLDER_NOT_FOUND') {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.code === 'QUOTA_EXCEEDED') {
+        sendQuotaExceeded(res, error);
+      } else if (!sendEncryptionError(res, error)) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create note'
+        });
+      }
+    }
+  });
+  
+  // PUT /api/license/:licenseKey/notes/:noteId - Atualizar uma nota
+  app.put('/api/license/:licenseKey/notes/:noteId', requireLicense, async (req, res) => {
+    try {
+      const { folder_id, tags, title, body } = req.body;
+      
+      const validationError = validateNoteFields({ folder_id, tags, title, body });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const note = await updateNote(req.license.license_key, req.params.noteId, { folder_id, tags, title, body });
+      
+      if (!note) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Note updated successfully',
+        note
+      });
+      
+    } catch (error) {
+      console.error('Error updating note:', error);
+      
+      if (error.code === 'FOLDER_NOT_FOUND') {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.code === 'QUOTA_EXCEEDED') {
+        sendQuotaExceeded(res, error);
+      } else if (!sendEncryptionError(res, error)) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update note'
+        });
+      }
+    }
+  });
+  
+  // POST /api/license/:licenseKey/notes/move - Mover várias notas para uma pasta (null = raiz)
+  app.post('/api/license/:licenseKey/notes/move', requireLicense, async (req, res) => {
+    try {
+      const { noteIds, folderId = null } = req.body;
+      
+      if (!Array.isArray(noteIds) || noteIds.length === 0 || noteIds.length > MAX_MOVE_NOTES ||
+          noteIds.some(id => typeof id !== 'string' || !ID_REGEX.test(id))) {
+        return res.status(400).json({
+          success: false,
+          error: `noteIds must be an array of up to ${MAX_MOVE_NOTES} note ids`
+        });
+      }
+      
+      const validationError = validateNoteFields({ folder_id: folderId });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const result = await moveNotes(req.license.license_key, [...new Set(noteIds)], folderId);
+      
+      res.json({
+        success: true,
+        message: 'Notes moved successfully',
+        notes: result.moved,
+        not_found: result.notFound
+      });
+      
+    } catch (error) {
+      console.error('Error moving notes:', error);
+      
+      if (error.code === 'FOLDER_NOT_FOUND') {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to move notes'
+        });
+      }
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/notes/:noteId - Mover uma nota para a lixeira
+  app.delete('/api/license/:licenseKey/notes/:noteId', requireLicense, async (req, res) => {
+    try {
+      const deleted = await deleteNote(req.license.license_key, req.params.noteId);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Note moved to trash'
+      });
+      
+    } catch (error) {
+      console.error('Error deleting note:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete note'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/trash - Listar notas na lixeira
+  // source 'note' = nota individual; 'sync' = nota que sumiu de um upload dos dados em bloco
+  app.get('/api/license/:licenseKey/trash', requireLicense, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const retentionDays = getTrashRetentionDays();
+      
+      const notes = await listTrashedNotes(req.license.license_key, { limit, offset });
+      
+      res.json({
+        success: true,
+        retention_days: retentionDays,
+        notes: notes.map(note => ({
+          ...note,
+          purge_at: new Date(new Date(note.deleted_at).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+        })),
+        limit,
+        offset
+      });
+      
+    } catch (error) {
+      console.error('Error listing trash:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list trash'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/trash/:noteId/restore - Restaurar nota da lixeira
+  // Notas dos dados em bloco voltam para user_data 'notes' em uma nova versão
+  app.post('/api/license/:licenseKey/trash/:noteId/restore', requireLicense, async (req, res) => {
+    try {
+      const note = await restoreTrashedNote(req.license.license_key, req.params.noteId);
+      
+      if (!note) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found in trash'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Note restored successfully',
+        note
+      });
+      
+    } catch (error) {
+      console.error('Error restoring note:', error);
+      
+      // Dados em bloco criptografados ou em um formato que não é indexado por id
+      if (error.code === 'NOT_MERGEABLE') {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.code === 'QUOTA_EXCEEDED') {
+        sendQuotaExceeded(res, error);
+      } else if (!sendEncryptionError(res, error)) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to restore note'
+        });
+      }
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/trash/:noteId - Apagar nota definitivamente
+  app.delete('/api/license/:licenseKey/trash/:noteId', requireLicense, async (req, res) => {
+    try {
+      const purged = await purgeTrashedNotes(req.license.license_key, req.params.noteId);
+      
+      if (purged === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found in trash'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Note permanently deleted'
+      });
+      
+    } catch (error) {
+      console.error('Error purging note:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to permanently delete note'
+      });
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/trash - Esvaziar a lixeira
+  app.delete('/api/license/:licenseKey/trash', requireLicense, async (req, res) => {
+    try {
+      const purged = await purgeTrashedNotes(req.license.license_key);
+      
+      res.json({
+        success: true,
+        message: 'Trash emptied',
+        purged
+      });
+      
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to empty trash'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupNotesRoutes,
+  validateNoteFields,
+  ID_REGEX,
+  MAX_TAG_NAME_LENGTH
+};
@@ -0,0 +1,37 @@
+// scripts/plans.js
+// Limites de cada plano (coluna plan_type da tabela users)
+
+const MB = 1024 * 1024;
+
+// Limite de dispositivos configurável por ambiente (ex.: PREMIUM_MAX_DEVICES=10)
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// features: recursos liberados pelo plano, incluídos nos certificados de licença
+// (scripts/license-certificates.js) para a extensão decidir o que habilitar mesmo offline
+const PLANS = {
+  free: {
+    revisionRetention: 10,
+    storageQuotaBytes: 50 * MB,
+    maxDevices: envLimit('FREE_MAX_DEVICES', 2),
+    features: ['notes']
+  },
+  premium: {
+    revisionRetention: 100,
+    storageQuotaBytes: 5 * 1024 * MB,
+    maxDevices: envLimit('PREMIUM_MAX_DEVICES', 5),
+    features: ['notes', 'sync', 'attachments', 'sharing', 'collaboration', 'encryption', 'revisions']
+  }
+};
+
+// Função para obter os limites de um plano (planos desconhecidos usam os limites do free)
+function getPlanLimits(planType) {
+  return PLANS[planType] || PLANS.free;
+}
+
+module.exports = {
+  PLANS,
+  getPlanLimits
+};
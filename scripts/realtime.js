@@ -0,0 +1,223 @@
+// scripts/realtime.js
+// Avisos em tempo real para os dispositivos conectados (Server-Sent Events)
+// Cada instância do servidor escuta o canal do Postgres (LISTEN) e repassa os avisos
+// aos streams abertos nela, então funciona com várias instâncias atrás de um balanceador
+const { pool, SYNC_EVENTS_CHANNEL } = require('./database');
+
+// Intervalo do comentário de keep-alive (proxies derrubam conexões ociosas)
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Janela para agrupar mudanças seguidas (um lote de 500 notas vira um único aviso)
+const CHANGE_COALESCE_MS = 100;
+
+// Espera antes de reconectar o LISTEN depois de uma falha
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// Streams abertos por licença: license_key -> Map<res, { sessionId, deviceId }>
+const streams = new Map();
+
+// Mudanças aguardando o fim da janela de agrupamento: license_key -> { revision, timer }
+const pendingChanges = new Map();
+
+let listenerClient = null;
+let heartbeatTimer = null;
+
+// Escrever um evento SSE (id = revisão do feed, usada pelo cliente para retomar)
+function writeEvent(res, event, data, id) {
+  const lines = id !== undefined ? [`id: ${id}`] : [];
+  lines.push(`event: ${event}`, `data: ${JSON.stringify(data)}`);
+  res.write(`${lines.join('\n')}\n\n`);
+}
+
+// Enviar um evento a todos os streams de uma licença nesta instância
+function broadcast(licenseKey, event, data, id) {
+  const licenseStreams = streams.get(licenseKey);
+  if (!licenseStreams) {
+    return;
+  }
+  
+  for (const res of licenseStreams.keys()) {
+    writeEvent(res, event, data, id);
+  }
+}
+
+// Verificar se um stream perdeu o acesso com a revogação recebida
+function isRevokedStream(stream, event) {
+  if (event.session_id !== undefined) {
+    return stream.sessionId !== null && String(stream.sessionId) === String(event.session_id);
+  }
+  if (event.device_id !== undefined) {
+    return stream.deviceId === event.device_id;
+  }
+  if (event.sessions) {
+    return stream.sessionId !== null;
+  }
+  return true;
+}
+
+// Encerrar os streams de uma licença que perderam o acesso (logout, dispositivo desativado,
+// licença revogada). O evento revoked avisa o cliente para não reconectar com a mesma credencial
+function closeRevokedStreams(licenseKey, event) {
+  const licenseStreams = streams.get(licenseKey);
+  if (!licenseStreams) {
+    return;
+  }
+  
+  for (const [res, stream] of licenseStreams) {
+    if (isRevokedStream(stream, event)) {
+      writeEvent(res, 'revoked', {});
+      res.end();
+      licenseStreams.delete(res);
+    }
+  }
+  
+  if (licenseStreams.size === 0) {
+    streams.delete(licenseKey);
+  }
+}
+
+// Agrupar avisos de mudança da mesma licença e enviar só a revisão mais recente
+function queueChange(licenseKey, revision) {
+  const pending = pendingChanges.get(licenseKey);
+  if (pending) {
+    pending.revision = Math.max(pending.revision, revision);
+    return;
+  }
+  
+  const entry = { revision };
+  entry.timer = setTimeout(() => {
+    pendingChanges.delete(licenseKey);
+    broadcast(licenseKey, 'changes', { revision: entry.revision }, entry.revision);
+  }, CHANGE_COALESCE_MS);
+  pendingChanges.set(licenseKey, entry);
+}
+
+// Tratar um aviso recebido do Postgres
+function handleNotification(message) {
+  if (message.channel !== SYNC_EVENTS_CHANNEL) {
+    return;
+  }
+  
+  let event;
+  try {
+    event = JSON.parse(message.payload);
+  } catch (error) {
+    console.error('❌ Invalid sync event payload:', error.message);
+    return;
+  }
+  
+  if (!streams.has(event.license_key)) {
+    return;
+  }
+  
+  if (event.type === 'data') {
+    broadcast(event.license_key, 'data', {
+      data_type: event.data_type,
+      version: event.version,
+      revision: event.revision
+    }, event.revision);
+  } else if (event.type === 'change') {
+    queueChange(event.license_key, event.revision);
+  } else if (event.type === 'revoke') {
+    closeRevokedStreams(event.license_key, event);
+  }
+}
+
+// Reconectar o LISTEN depois de perder a conexão
+function scheduleReconnect() {
+  setTimeout(() => {
+    connectListener().catch(() => {});
+  }, RECONNECT_DELAY_MS).unref();
+}
+
+// Abrir a conexão dedicada ao LISTEN (fica fora do pool enquanto o servidor roda)
+async function connectListener() {
+  let client;
+  try {
+    client = await pool.connect();
+    
+    client.on('notification', handleNotification);
+    client.on('error', (error) => {
+      console.error('❌ Sync events listener lost its connection:', error.message);
+      if (listenerClient === client) {
+        listenerClient = null;
+        client.release(error);
+        scheduleReconnect();
+      }
+    });
+    
+    await client.query(`LISTEN ${SYNC_EVENTS_CHANNEL}`);
+    listenerClient = client;
+    
+    // Avisos enviados enquanto estávamos desconectados se perderam: clientes devem buscar o feed
+    for (const licenseKey of streams.keys()) {
+      broadcast(licenseKey, 'resync', {});
+    }
+    
+    console.log('📡 Listening for sync events');
+    
+  } catch (error) {
+    console.error('❌ Failed to listen for sync events:', error.message);
+    if (client) {
+      client.release(error);
+    }
+    scheduleReconnect();
+    throw error;
+  }
+}
+
+// Função para iniciar o repasse de eventos em tempo real (LISTEN + keep-alive dos streams)
+async function startRealtime() {
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(() => {
+      for (const licenseStreams of streams.values()) {
+        for (const res of licenseStreams.keys()) {
+          res.write(': ping\n\n');
+        }
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+  }
+  
+  await connectListener().catch(() => {});
+}
+
+// Quantidade de streams abertos de uma licença nesta instância
+function countStreams(licenseKey) {
+  const licenseStreams = streams.get(licenseKey);
+  return licenseStreams ? licenseStreams.size : 0;
+}
+
+// Registrar um stream aberto com a sessão e o dispositivo que o abriram (para encerrá-lo
+// quando perderem o acesso); retorna a função que o remove
+function addStream(licenseKey, res, { sessionId = null, deviceId = null } = {}) {
+  if (!streams.has(licenseKey)) {
+    streams.set(licenseKey, new Map());
+  }
+  streams.get(licenseKey).set(res, { sessionId, deviceId });
+  
+  return () => {
+    const licenseStreams = streams.get(licenseKey);
+    if (!licenseStreams) {
+      return;
+    }
+    
+    licenseStreams.delete(res);
+    if (licenseStreams.size === 0) {
+      streams.delete(licenseKey);
+    }
+  };
+}
+
+// Verificar se o LISTEN está ativo (para o health check)
+function isRealtimeConnected() {
+  return listenerClient !== null;
+}
+
+module.exports = {
+  startRealtime,
+  addStream,
+  countStreams,
+  writeEvent,
+  isRealtimeConnected
+};
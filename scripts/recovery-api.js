@@ -0,0 +1,202 @@
+// scripts/recovery-api.js
+const rateLimit = require('express-rate-limit');
+const { createLicenseRecovery, redeemLicenseRecovery } = require('./database');
+const { RECOVERY_TTL_MINUTES, RECOVERY_MAX_PER_HOUR } = require('./license-recovery');
+const { wakeEmailOutbox } = require('./email-outbox');
+const { parseLocale } = require('./email-templates');
+const { escapeHtml } = require('./export');
+
+// Tokens de recuperação: 32 bytes em base64url
+const RECOVERY_TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Resposta do pedido, igual exista ou não licença para o e-mail (não revela quem é cliente)
+const RECOVERY_REQUESTED_MESSAGE = 'If a license exists for this email, a link to get your license key has been sent.';
+
+// Política da página de recuperação: sem scripts nem recursos externos
+const RECOVERY_PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'; base-uri 'none'";
+
+// Pedidos de recuperação por IP (além do limite por e-mail)
+const recoveryRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5,
+  message: {
+    success: false,
+    error: 'Too many recovery requests, please try again later'
+  }
+});
+
+// Usos de token que falham por IP, contra adivinhação de tokens
+const recoveryRedeemLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    if (req.originalUrl.startsWith('/api/')) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts, please try again later'
+      });
+    }
+    sendRecoveryPage(res, 429, '<h1>Too many attempts</h1>\n<p>Please try again later.</p>\n');
+  }
+});
+
+// Enviar a página de recuperação (HTML mínimo, sem cache: pode conter a chave)
+function sendRecoveryPage(res, status, content) {
+  res.status(status).set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Security-Policy': RECOVERY_PAGE_CSP,
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Robots-Tag': 'noindex, nofollow'
+  }).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>License recovery - BuzzyNotes</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem; color: #222; }
+.license { font-family: monospace; font-size: 1.2rem; font-weight: bold; background: #e7f3ff; padding: 1rem; border-radius: 4px; user-select: all; }
+.note { color: #666; font-size: 0.9rem; }
+button { padding: 0.6rem 1.2rem; background: #007cba; color: white; border: none; border-radius: 4px; cursor: pointer; }
+</style>
+</head>
+<body>
+${content}</body>
+</html>
+`);
+}
+
+// Resposta para um token inválido, expirado ou já usado
+const INVALID_TOKEN_MESSAGE = 'This recovery link is invalid, has expired or was already used.';
+
+// Configurar rotas de recuperação de licença
+function setupRecoveryRoutes(app) {
+
+  // POST /api/license/recovery - Pedir um link de recuperação por e-mail. Body: { email, locale? }
+  // O e-mail sai no idioma da licença ou, se ela não tiver um, no do pedido (locale ou Accept-Language)
+  // Sempre responde 202 com a mesma mensagem (inclusive quando o limite por e-mail foi atingido)
+  app.post('/api/license/recovery', recoveryRequestLimiter, async (req, res) => {
+    try {
+      const { email } = req.body;
+      
+      if (!email || typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid email format'
+        });
+      }
+      
+      const result = await createLicenseRecovery(email.trim(), {
+        ttlMinutes: RECOVERY_TTL_MINUTES,
+        maxPerHour: RECOVERY_MAX_PER_HOUR,
+        locale: parseLocale(req.body.locale) || parseLocale(req.get('Accept-Language'))
+      });
+      
+      if (result.limited) {
+        console.log(`⚠️  License recovery limit reached for ${email}`);
+      }
+      
+      if (result.queued > 0) {
+        wakeEmailOutbox();
+      }
+      
+      res.status(202).json({
+        success: true,
+        message: RECOVERY_REQUESTED_MESSAGE
+      });
+      
+    } catch (error) {
+      console.error('Error requesting license recovery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request license recovery'
+      });
+    }
+  });
+  
+  // POST /api/license/recovery/redeem - Usar o token do e-mail: emite e retorna uma chave nova
+  // Body: { token }. A chave anterior deixa de valer
+  app.post('/api/license/recovery/redeem', recoveryRedeemLimiter, async (req, res) => {
+    try {
+      const { token } = req.body;
+      const recovered = typeof token === 'string' && RECOVERY_TOKEN_REGEX.test(token)
+        ? await redeemLicenseRecovery(token)
+        : null;
+      
+      if (!recovered) {
+        return res.status(400).json({
+          success: false,
+          error: INVALID_TOKEN_MESSAGE,
+          code: 'INVALID_RECOVERY_TOKEN'
+        });
+      }
+      
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        success: true,
+        message: 'A new license key was issued. Your previous key no longer works.',
+        licenseKey: recovered.licenseKey,
+        user: {
+          email: recovered.user.email,
+          plan: recovered.user.plan_type,
+          status: recovered.user.status
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error redeeming license recovery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to recover license'
+      });
+    }
+  });
+  
+  // GET /recover/:token - Página do link do e-mail
+  // O token só é usado ao confirmar (POST): leitores de e-mail que abrem links sozinhos não o consomem
+  app.get('/recover/:token', (req, res) => {
+    if (!RECOVERY_TOKEN_REGEX.test(req.params.token)) {
+      return sendRecoveryPage(res, 400, `<h1>Invalid link</h1>\n<p>${INVALID_TOKEN_MESSAGE}</p>\n`);
+    }
+    
+    sendRecoveryPage(res, 200, `<h1>🔑 Recover your license</h1>
+<p>A new license key will be issued and shown on the next page. Your previous key will stop working.</p>
+<form method="post">
+<button type="submit">Show my new license key</button>
+</form>
+`);
+  });
+  
+  // POST /recover/:token - Confirmação da página: troca a chave e a mostra uma única vez
+  app.post('/recover/:token', recoveryRedeemLimiter, async (req, res) => {
+    try {
+      const recovered = RECOVERY_TOKEN_REGEX.test(req.params.token)
+        ? await redeemLicenseRecovery(req.params.token)
+        : null;
+      
+      if (!recovered) {
+        return sendRecoveryPage(res, 400, `<h1>Invalid link</h1>\n<p>${INVALID_TOKEN_MESSAGE}</p>\n`);
+      }
+      
+      sendRecoveryPage(res, 200, `<h1>✅ Your new license key</h1>
+<p class="license">${escapeHtml(recovered.licenseKey)}</p>
+<p>Enter this key and your email (${escapeHtml(recovered.user.email)}) in the BuzzyNotes extension.</p>
+<p class="note">Save it now: this page can't be opened again. Your previous key no longer works.</p>
+`);
+
+    } catch (error) {
+      console.error('Error redeeming license recovery:', error);
+      sendRecoveryPage(res, 500, '<h1>Something went wrong</h1>\n<p>Please try again later.</p>\n');
+    }
+  });
+}
+
+module.exports = {
+  setupRecoveryRoutes
+};
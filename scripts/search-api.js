@@ -0,0 +1,69 @@
+// scripts/search-api.js
+const { searchNotes } = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { rejectWhenEncrypted } = require('./encryption-api');
+const { buildTsQuery } = require('./search');
+
+// Tamanho máximo da consulta de busca
+const MAX_QUERY_LENGTH = 500;
+
+// Com criptografia de ponta a ponta o servidor não tem o texto das notas: a busca é feita no dispositivo
+const searchInPlaintextMode = rejectWhenEncrypted('Search runs on your devices while end-to-end encryption is enabled');
+
+// Configurar rotas de busca
+function setupSearchRoutes(app) {
+
+  // GET /api/license/:licenseKey/search?q= - Busca full-text nas notas da licença
+  // Filtros opcionais: folderId, tag (pode repetir), limit, offset
+  app.get('/api/license/:licenseKey/search', requireLicense, searchInPlaintextMode, async (req, res) => {
+    try {
+      const { q, folderId } = req.query;
+      
+      if (typeof q !== 'string' || q.trim().length === 0 || q.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Query parameter q is required (up to ${MAX_QUERY_LENGTH} characters)`
+        });
+      }
+      
+      const tsQuery = buildTsQuery(q);
+      if (!tsQuery) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query has no searchable terms'
+        });
+      }
+      
+      const tags = [].concat(req.query.tag || []).filter(tag => typeof tag === 'string' && tag.length > 0);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const result = await searchNotes(req.license.license_key, tsQuery, {
+        folderId: typeof folderId === 'string' && folderId.length > 0 ? folderId : undefined,
+        tags,
+        limit,
+        offset
+      });
+      
+      res.json({
+        success: true,
+        query: q,
+        results: result.results,
+        total: result.total,
+        limit,
+        offset
+      });
+      
+    } catch (error) {
+      console.error('Error searching notes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search notes'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupSearchRoutes
+};
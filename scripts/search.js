@@ -0,0 +1,106 @@
+// scripts/search.js
+// Utilitários de busca full-text (consulta e projeção de notas sincronizadas)
+const { toNoteMap } = require('./merge');
+
+// Caracteres aceitos em um termo de busca (letras e números de qualquer idioma)
+const TERM_REGEX = /[\p{L}\p{N}_]+/gu;
+
+// Quebrar um texto em termos normalizados
+function tokenize(text) {
+  return (text.toLowerCase().match(TERM_REGEX) || []);
+}
+
+// Função para converter a busca do usuário em uma expressão tsquery
+// Suporta: palavras (todas obrigatórias), "frase exata", prefixo* e -exclusão
+// Retorna null se não houver nenhum termo pesquisável
+function buildTsQuery(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  
+  const clauses = [];
+  const tokenRegex = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+  
+  while ((match = tokenRegex.exec(input)) !== null) {
+    const negated = (match[1] || match[3]) === '-';
+    
+    if (match[2] !== undefined) {
+      // Frase: termos consecutivos
+      const words = tokenize(match[2]);
+      if (words.length > 0) {
+        const phrase = words.join(' <-> ');
+        clauses.push(negated ? `!(${phrase})` : `(${phrase})`);
+      }
+      continue;
+    }
+    
+    const raw = match[4];
+    const isPrefix = raw.endsWith('*');
+    const words = tokenize(raw);
+    if (words.length === 0) {
+      continue;
+    }
+    
+    // "e-mail" vira e <-> mail; o prefixo vale para o último termo
+    let term = words.join(' <-> ');
+    if (isPrefix) {
+      term += ':*';
+    }
+    clauses.push(negated ? `!(${term})` : `(${term})`);
+  }
+  
+  // Uma busca só com exclusões não tem o que retornar
+  if (!clauses.some(clause => !clause.startsWith('!'))) {
+    return null;
+  }
+  
+  return clauses.join(' & ');
+}
+
+// Primeiro valor string entre os campos candidatos
+function pickString(note, fields) {
+  for (const field of fields) {
+    if (typeof note[field] === 'string') {
+      return note[field];
+    }
+  }
+  return null;
+}
+
+// Função para extrair as notas de um payload sincronizado (user_data 'notes')
+// para o índice de busca. Payloads em formato desconhecido não são indexados
+function projectSyncedNotes(payload) {
+  const map = toNoteMap(payload);
+  if (!map) {
+    return [];
+  }
+  
+  const notes = [];
+  for (const [id, note] of map.notes) {
+    if (typeof note !== 'object' || note === null || id.length > 255) {
+      continue;
+    }
+    
+    const tags = Array.isArray(note.tags)
+      ? note.tags.filter(tag => typeof tag === 'string')
+      : [];
+    
+    const folder = pickString(note, ['folder', 'folderName', 'folder_name']);
+    
+    notes.push({
+      id,
+      folder: folder === null ? null : folder.substring(0, 255),
+      tags,
+      title: pickString(note, ['title', 'name']) || '',
+      body: pickString(note, ['body', 'content', 'text']) || ''
+    });
+  }
+  
+  return notes;
+}
+
+module.exports = {
+  buildTsQuery,
+  projectSyncedNotes
+};
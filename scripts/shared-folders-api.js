@@ -0,0 +1,692 @@
+// scripts/shared-folders-api.js
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const {
+  createSharedFolder,
+  listSharedFolders,
+  getSharedFolderAccess,
+  deleteSharedFolder,
+  listSharedFolderMembers,
+  updateSharedFolderMemberRole,
+  removeSharedFolderMember,
+  createFolderInvitation,
+  listFolderInvitations,
+  deleteFolderInvitation,
+  listReceivedInvitations,
+  respondToFolderInvitation,
+  getFolderInvitation,
+  acceptFolderInvitationByToken,
+  listSharedFolderContent,
+  getSharedNote,
+  createSharedNote,
+  updateSharedNote,
+  deleteSharedNote,
+  getSharedFolderChanges
+} = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { sendEncryptionError } = require('./encryption-api');
+const { ID_REGEX, validateNoteFields } = require('./notes-api');
+const { sendQuotaExceeded } = require('./usage-api');
+const { wakeEmailOutbox } = require('./email-outbox');
+const { escapeHtml } = require('./export');
+
+// Papéis em uma pasta compartilhada, do menor para o maior acesso
+//   viewer - lê as notas; editor - cria, edita e apaga notas; owner - também gerencia membros e convites
+const SHARED_FOLDER_ROLES = ['viewer', 'editor', 'owner'];
+
+// Máximo de mudanças por página do feed da pasta compartilhada
+const MAX_PULL_LIMIT = 1000;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Tokens de convite: 24 bytes em base64url
+const INVITATION_TOKEN_REGEX = /^[A-Za-z0-9_-]{32}$/;
+
+// Política da página do convite: sem scripts nem recursos externos
+const INVITATION_PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'; base-uri 'none'";
+
+// Resposta para um convite inexistente, expirado ou já respondido
+const INVALID_INVITATION_MESSAGE = 'This invitation link is invalid, has expired or was already used.';
+
+// Aceites pelo link que falham por IP, contra adivinhação de tokens
+const invitationAcceptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    sendInvitationPage(res, 429, '<h1>Too many attempts</h1>\n<p>Please try again later.</p>\n');
+  }
+});
+
+// Verificar se um papel dá pelo menos o acesso exigido
+function hasSharedFolderRole(role, requiredRole) {
+  return SHARED_FOLDER_ROLES.indexOf(role) >= SHARED_FOLDER_ROLES.indexOf(requiredRole);
+}
+
+// Middleware que exige a participação na pasta compartilhada com pelo menos o papel informado
+// (usar depois de requireLicense); disponibiliza o acesso em req.sharedFolder
+function requireSharedFolderRole(requiredRole) {
+  return async (req, res, next) => {
+    try {
+      const access = await getSharedFolderAccess(req.params.sharedFolderId, req.license.license_key);
+      
+      // Quem não é membro não fica sabendo se a pasta existe
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shared folder not found'
+        });
+      }
+      
+      if (!hasSharedFolderRole(access.role, requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${requiredRole} role in the shared folder`
+        });
+      }
+      
+      req.sharedFolder = access;
+      next();
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Resposta de erro para os códigos lançados pelas funções de pasta compartilhada e de nota
+function sendSharedFolderError(res, error, fallbackMessage) {
+  const statusByCode = {
+    FOLDER_NOT_FOUND: 400,
+    NOTE_EXISTS: 409,
+    FOLDER_ALREADY_SHARED: 409,
+    ALREADY_MEMBER: 409,
+    FOLDER_OWNER_LOCKED: 409
+  };
+  
+  if (error.code === 'QUOTA_EXCEEDED') {
+    return sendQuotaExceeded(res, error);
+  }
+  
+  if (statusByCode[error.code]) {
+    return res.status(statusByCode[error.code]).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  if (sendEncryptionError(res, error)) {
+    return;
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+}
+
+// Enviar a página do link do convite (HTML mínimo; todo texto do usuário chega aqui já escapado)
+function sendInvitationPage(res, status, content) {
+  res.status(status).set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Security-Policy': INVITATION_PAGE_CSP,
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Robots-Tag': 'noindex, nofollow'
+  }).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>Shared folder invitation - BuzzyNotes</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem; color: #222; }
+.note { color: #666; font-size: 0.9rem; }
+button { padding: 0.6rem 1.2rem; background: #007cba; color: white; border: none; border-radius: 4px; cursor: pointer; }
+</style>
+</head>
+<body>
+${content}</body>
+</html>
+`);
+}
+
+// Validar o papel enviado para um convite ou membro
+function validateRole(role) {
+  return SHARED_FOLDER_ROLES.includes(role) ? null : `Role must be one of: ${SHARED_FOLDER_ROLES.join(', ')}`;
+}
+
+// Id de membro (id do usuário) informado na URL
+function parseMemberId(value) {
+  const memberId = Number(value);
+  return Number.isSafeInteger(memberId) && memberId > 0 ? memberId : null;
+}
+
+// Configurar rotas de pastas compartilhadas entre licenças
+function setupSharedFolderRoutes(app) {
+
+  // GET /api/license/:licenseKey/shared-folders - Pastas compartilhadas de que a licença participa
+  app.get('/api/license/:licenseKey/shared-folders', requireLicense, async (req, res) => {
+    try {
+      const sharedFolders = await listSharedFolders(req.license.license_key);
+      
+      res.json({
+        success: true,
+        shared_folders: sharedFolders
+      });
+      
+    } catch (error) {
+      console.error('Error listing shared folders:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list shared folders'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/shared-folders - Compartilhar uma pasta da licença (body: { folder_id })
+  app.post('/api/license/:licenseKey/shared-folders', requireLicense, async (req, res) => {
+    try {
+      const { folder_id } = req.body;
+      
+      if (typeof folder_id !== 'string' || !ID_REGEX.test(folder_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'folder_id must be a valid folder id'
+        });
+      }
+      
+      const shared = await createSharedFolder(req.license.license_key, folder_id);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Folder shared successfully',
+        shared_folder: { ...shared, role: 'owner', is_owner: true }
+      });
+      
+    } catch (error) {
+      console.error('Error sharing folder:', error);
+      sendSharedFolderError(res, error, 'Failed to share folder');
+    }
+  });
+  
+  // GET /api/license/:licenseKey/shared-folders/:sharedFolderId - Detalhes, membros e (para owners) convites
+  app.get('/api/license/:licenseKey/shared-folders/:sharedFolderId', requireLicense, requireSharedFolderRole('viewer'), async (req, res) => {
+    try {
+      const access = req.sharedFolder;
+      const canManage = hasSharedFolderRole(access.role, 'owner');
+      
+      const [members, invitations] = await Promise.all([
+        listSharedFolderMembers(access.sharedFolder.id),
+        canManage ? listFolderInvitations(access.sharedFolder.id) : null
+      ]);
+      
+      res.json({
+        success: true,
+        shared_folder: access.sharedFolder,
+        members,
+        ...(canManage ? { invitations } : {})
+      });
+      
+    } catch (error) {
+      console.error('Error getting shared folder:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get shared folder'
+      });
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId - Parar de compartilhar (só o dono da pasta)
+  app.delete('/api/license/:licenseKey/shared-folders/:sharedFolderId', requireLicense, requireSharedFolderRole('owner'), async (req, res) => {
+    try {
+      if (!req.sharedFolder.sharedFolder.is_owner) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the folder owner can stop sharing it'
+        });
+      }
+      
+      await deleteSharedFolder(req.sharedFolder.sharedFolder.id);
+      
+      res.json({
+        success: true,
+        message: 'Folder is no longer shared'
+      });
+      
+    } catch (error) {
+      console.error('Error stopping folder sharing:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stop sharing folder'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/shared-folders/:sharedFolderId/invitations - Convidar por e-mail
+  // Body: { email, role }; o convidado recebe um e-mail com o link para aceitar (GET /invitations/:token)
+  // ou aceita pela própria licença, se o e-mail dela conferir
+  app.post('/api/license/:licenseKey/shared-folders/:sharedFolderId/invitations', requireLicense, requireSharedFolderRole('owner'), async (req, res) => {
+    try {
+      const { email, role = 'editor' } = req.body;
+      
+      if (typeof email !== 'string' || email.length > 255 || !EMAIL_REGEX.test(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid email format'
+        });
+      }
+      
+      const roleError = validateRole(role);
+      if (roleError) {
+        return res.status(400).json({
+          success: false,
+          error: roleError
+        });
+      }
+      
+      const invitation = await createFolderInvitation(req.sharedFolder, { email: email.trim(), role });
+      wakeEmailOutbox();
+      
+      res.status(201).json({
+        success: true,
+        message: 'Invitation created',
+        invitation
+      });
+      
+    } catch (error) {
+      console.error('Error creating folder invitation:', error);
+      sendSharedFolderError(res, error, 'Failed to create invitation');
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId/invitations/:token - Cancelar um convite
+  app.delete('/api/license/:licenseKey/shared-folders/:sharedFolderId/invitations/:token', requireLicense, requireSharedFolderRole('owner'), async (req, res) => {
+    try {
+      const deleted = await deleteFolderInvitation(req.sharedFolder.sharedFolder.id, req.params.token);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Invitation cancelled'
+      });
+      
+    } catch (error) {
+      console.error('Error cancelling folder invitation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel invitation'
+      });
+    }
+  });
+  
+  // PUT /api/license/:licenseKey/shared-folders/:sharedFolderId/members/:memberId - Trocar o papel (body: { role })
+  app.put('/api/license/:licenseKey/shared-folders/:sharedFolderId/members/:memberId', requireLicense, requireSharedFolderRole('owner'), async (req, res) => {
+    try {
+      const { role } = req.body;
+      
+      const roleError = validateRole(role);
+      if (roleError) {
+        return res.status(400).json({
+          success: false,
+          error: roleError
+        });
+      }
+      
+      const memberId = parseMemberId(req.params.memberId);
+      const updated = memberId !== null &&
+        await updateSharedFolderMemberRole(req.sharedFolder.sharedFolder.id, memberId, role);
+      
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Member role updated'
+      });
+      
+    } catch (error) {
+      console.error('Error updating shared folder member:', error);
+      sendSharedFolderError(res, error, 'Failed to update member');
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId/members/:memberId - Remover um membro
+  // Qualquer membro pode remover a si mesmo (sair da pasta); remover outros exige o papel owner
+  app.delete('/api/license/:licenseKey/shared-folders/:sharedFolderId/members/:memberId', requireLicense, requireSharedFolderRole('viewer'), async (req, res) => {
+    try {
+      const memberId = parseMemberId(req.params.memberId);
+      
+      if (memberId !== req.license.id && !hasSharedFolderRole(req.sharedFolder.role, 'owner')) {
+        return res.status(403).json({
+          success: false,
+          error: 'This action requires the owner role in the shared folder'
+        });
+      }
+      
+      const removed = memberId !== null &&
+        await removeSharedFolderMember(req.sharedFolder.sharedFolder.id, memberId);
+      
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: memberId === req.license.id ? 'You left the shared folder' : 'Member removed'
+      });
+      
+    } catch (error) {
+      console.error('Error removing shared folder member:', error);
+      sendSharedFolderError(res, error, 'Failed to remove member');
+    }
+  });
+  
+  // GET /api/license/:licenseKey/shared-folders/:sharedFolderId/notes - Subpastas e notas da pasta compartilhada
+  app.get('/api/license/:licenseKey/shared-folders/:sharedFolderId/notes', requireLicense, requireSharedFolderRole('viewer'), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const result = await listSharedFolderContent(req.sharedFolder, { limit, offset });
+      
+      res.json({
+        success: true,
+        shared_folder: req.sharedFolder.sharedFolder,
+        folders: result.folders,
+        notes: result.notes,
+        total: result.total,
+        limit,
+        offset
+      });
+      
+    } catch (error) {
+      console.error('Error listing shared notes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list shared notes'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/shared-folders/:sharedFolderId/notes/:noteId - Buscar uma nota compartilhada
+  app.get('/api/license/:licenseKey/shared-folders/:sharedFolderId/notes/:noteId', requireLicense, requireSharedFolderRole('viewer'), async (req, res) => {
+    try {
+      const note = await getSharedNote(req.sharedFolder, req.params.noteId);
+      
+      if (!note) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        note
+      });
+      
+    } catch (error) {
+      console.error('Error getting shared note:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get note'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/shared-folders/:sharedFolderId/notes - Criar uma nota na pasta compartilhada
+  // Sem folder_id, a nota vai para a própria pasta compartilhada
+  app.post('/api/license/:licenseKey/shared-folders/:sharedFolderId/notes', requireLicense, requireSharedFolderRole('editor'), async (req, res) => {
+    try {
+      const { id, folder_id, tags, title, body } = req.body;
+      
+      if (id !== undefined && (typeof id !== 'string' || !ID_REGEX.test(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid note id format'
+        });
+      }
+      
+      const validationError = validateNoteFields({ folder_id, tags, title, body });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const note = await createSharedNote(req.sharedFolder, {
+        id: id || crypto.randomUUID(),
+        folder_id,
+        tags,
+        title,
+        body
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Note created successfully',
+        note
+      });
+      
+    } catch (error) {
+      console.error('Error creating shared note:', error);
+      sendSharedFolderError(res, error, 'Failed to create note');
+    }
+  });
+  
+  // PUT /api/license/:licenseKey/shared-folders/:sharedFolderId/notes/:noteId - Atualizar uma nota compartilhada
+  app.put('/api/license/:licenseKey/shared-folders/:sharedFolderId/notes/:noteId', requireLicense, requireSharedFolderRole('editor'), async (req, res) => {
+    try {
+      const { folder_id, tags, title, body } = req.body;
+      
+      const validationError = validateNoteFields({ folder_id, tags, title, body });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const note = await updateSharedNote(req.sharedFolder, req.params.noteId, { folder_id, tags, title, body });
+      
+      if (!note) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Note updated successfully',
+        note
+      });
+      
+    } catch (error) {
+      console.error('Error updating shared note:', error);
+      sendSharedFolderError(res, error, 'Failed to update note');
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId/notes/:noteId - Mover para a lixeira do dono
+  app.delete('/api/license/:licenseKey/shared-folders/:sharedFolderId/notes/:noteId', requireLicense, requireSharedFolderRole('editor'), async (req, res) => {
+    try {
+      const deleted = await deleteSharedNote(req.sharedFolder, req.params.noteId);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Note not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Note moved to trash'
+      });
+      
+    } catch (error) {
+      console.error('Error deleting shared note:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete note'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/shared-folders/:sharedFolderId/changes?since=cursor - Mudanças desde um cursor
+  // note_ids lista todas as notas visíveis: as que o cliente tem e não estão na lista saíram da pasta
+  app.get('/api/license/:licenseKey/shared-folders/:sharedFolderId/changes', requireLicense, requireSharedFolderRole('viewer'), async (req, res) => {
+    try {
+      const since = req.query.since === undefined ? 0 : Number(req.query.since);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 500, MAX_PULL_LIMIT);
+      
+      if (!Number.isSafeInteger(since) || since < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+      
+      const result = await getSharedFolderChanges(req.sharedFolder, since, limit);
+      
+      res.json({
+        success: true,
+        folders: result.folders,
+        notes: result.notes,
+        note_ids: result.noteIds,
+        cursor: String(result.cursor),
+        has_more: result.hasMore
+      });
+      
+    } catch (error) {
+      console.error('Error getting shared folder changes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get changes'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/invitations - Convites recebidos (endereçados ao e-mail da licença)
+  app.get('/api/license/:licenseKey/invitations', requireLicense, async (req, res) => {
+    try {
+      const invitations = await listReceivedInvitations(req.license.license_key);
+      
+      res.json({
+        success: true,
+        invitations
+      });
+      
+    } catch (error) {
+      console.error('Error listing invitations:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list invitations'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/invitations/:token/accept|decline - Responder a um convite recebido
+  app.post('/api/license/:licenseKey/invitations/:token/:response(accept|decline)', requireLicense, async (req, res) => {
+    try {
+      const accept = req.params.response === 'accept';
+      const result = await respondToFolderInvitation(req.license.license_key, req.params.token, accept);
+      
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation not found or expired'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: accept ? 'Invitation accepted' : 'Invitation declined',
+        ...(accept ? { shared_folder_id: result.shared_folder_id, role: result.role } : {})
+      });
+      
+    } catch (error) {
+      console.error('Error responding to invitation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to respond to invitation'
+      });
+    }
+  });
+  
+  // GET /invitations/:token - Página do link do e-mail do convite
+  // O convite só é aceito ao confirmar (POST): leitores de e-mail que abrem links sozinhos não o aceitam
+  app.get('/invitations/:token', async (req, res) => {
+    try {
+      const invitation = INVITATION_TOKEN_REGEX.test(req.params.token)
+        ? await getFolderInvitation(req.params.token)
+        : null;
+      
+      if (!invitation) {
+        return sendInvitationPage(res, 404, `<h1>Invalid invitation</h1>\n<p>${INVALID_INVITATION_MESSAGE}</p>\n`);
+      }
+      
+      sendInvitationPage(res, 200, `<h1>📁 Shared folder invitation</h1>
+<p>${escapeHtml(invitation.invited_by || 'A BuzzyNotes user')} invited ${escapeHtml(invitation.email)} to the folder <strong>${escapeHtml(invitation.name)}</strong> as ${escapeHtml(invitation.role)}.</p>
+<form method="post">
+<button type="submit">Accept invitation</button>
+</form>
+<p class="note">The folder will appear in the BuzzyNotes extension of the license registered with ${escapeHtml(invitation.email)}.</p>
+`);
+      
+    } catch (error) {
+      console.error('Error showing folder invitation:', error);
+      sendInvitationPage(res, 500, '<h1>Something went wrong</h1>\n<p>Please try again later.</p>\n');
+    }
+  });
+  
+  // POST /invitations/:token - Confirmação da página: aceita o convite para a licença do e-mail convidado
+  app.post('/invitations/:token', invitationAcceptLimiter, async (req, res) => {
+    try {
+      const accepted = INVITATION_TOKEN_REGEX.test(req.params.token)
+        ? await acceptFolderInvitationByToken(req.params.token)
+        : null;
+      
+      if (!accepted) {
+        return sendInvitationPage(res, 400, `<h1>Invalid invitation</h1>\n<p>${INVALID_INVITATION_MESSAGE}</p>\n`);
+      }
+      
+      // Sem licença para o e-mail o convite continua valendo até expirar
+      if (accepted.noLicense) {
+        return sendInvitationPage(res, 409, `<h1>No license for this email</h1>
+<p>There is no active BuzzyNotes license registered with the invited email address. Get BuzzyNotes with this email, then open this link again.</p>
+`);
+      }
+      
+      sendInvitationPage(res, 200, `<h1>✅ Invitation accepted</h1>
+<p>The shared folder will appear in the BuzzyNotes extension the next time it syncs.</p>
+`);
+      
+    } catch (error) {
+      console.error('Error accepting folder invitation:', error);
+      sendInvitationPage(res, 500, '<h1>Something went wrong</h1>\n<p>Please try again later.</p>\n');
+    }
+  });
+}
+
+module.exports = {
+  setupSharedFolderRoutes
+};
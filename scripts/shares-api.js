@@ -0,0 +1,420 @@
+// scripts/shares-api.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const rateLimit = require('express-rate-limit');
+const {
+  createShare,
+  listShares,
+  deleteShare,
+  getShareByToken,
+  getSharedContent,
+  recordShareView
+} = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { sendEncryptionError } = require('./encryption-api');
+const { ID_REGEX } = require('./notes-api');
+const { escapeHtml, noteToHtml } = require('./export');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Endereço público usado nos links (padrão: o host da própria requisição)
+const SHARE_BASE_URL = (process.env.SHARE_BASE_URL || '').replace(/\/+$/, '');
+
+// Tokens gerados por createShare: 24 bytes em base64url
+const SHARE_TOKEN_REGEX = /^[A-Za-z0-9_-]{32}$/;
+
+// Tamanho da senha opcional de um link
+const MIN_SHARE_PASSWORD_LENGTH = 4;
+const MAX_SHARE_PASSWORD_LENGTH = 256;
+
+// Notas exibidas de uma pasta compartilhada (as mais recentes)
+const MAX_SHARED_NOTES = 500;
+
+// Política das páginas públicas: sem scripts nem recursos externos, e sem ser embutida em outros sites
+const SHARE_PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'; base-uri 'none'";
+
+// Acessos públicos que falham (token inválido, senha errada) por IP, contra adivinhação de tokens e senhas
+const shareAccessLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    if (req.originalUrl.startsWith('/api/')) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts, please try again later'
+      });
+    }
+    sendSharePage(res, 429, 'Too many attempts', '<h1>Too many attempts</h1>\n<p>Please try again later.</p>\n');
+  }
+});
+
+// Hash da senha de um link (scrypt com salt aleatório): "scrypt:<salt>:<hash>" em base64
+async function hashSharePassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+// Conferir a senha informada com o hash guardado (comparação em tempo constante)
+async function verifySharePassword(password, passwordHash) {
+  const [scheme, salt, expected] = passwordHash.split(':');
+  if (scheme !== 'scrypt' || typeof password !== 'string' || password.length > MAX_SHARE_PASSWORD_LENGTH) {
+    return false;
+  }
+  
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length);
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// Função para validar os campos de um novo link
+function validateShareFields({ note_id, folder_id, password, expires_at }) {
+  if ((note_id === undefined || note_id === null) === (folder_id === undefined || folder_id === null)) {
+    return 'Provide either note_id or folder_id';
+  }
+  
+  const targetId = note_id !== undefined && note_id !== null ? note_id : folder_id;
+  if (typeof targetId !== 'string' || !ID_REGEX.test(targetId)) {
+    return 'Invalid note_id or folder_id';
+  }
+  
+  if (password !== undefined && password !== null &&
+      (typeof password !== 'string' || password.length < MIN_SHARE_PASSWORD_LENGTH || password.length > MAX_SHARE_PASSWORD_LENGTH)) {
+    return `Password must be a string of ${MIN_SHARE_PASSWORD_LENGTH} to ${MAX_SHARE_PASSWORD_LENGTH} characters`;
+  }
+  
+  if (expires_at !== undefined && expires_at !== null) {
+    const expiresAt = typeof expires_at === 'string' ? new Date(expires_at) : null;
+    if (!expiresAt || Number.isNaN(expiresAt.getTime())) {
+      return 'expires_at must be an ISO 8601 date';
+    }
+    if (expiresAt <= new Date()) {
+      return 'expires_at must be in the future';
+    }
+  }
+  
+  return null;
+}
+
+// Link público de um token
+function shareUrl(req, token) {
+  const baseUrl = SHARE_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/s/${token}`;
+}
+
+// Campos de uma nota expostos no acesso público (sem revisões internas)
+function publicNote(note) {
+  return {
+    id: note.id,
+    folder_id: note.folder_id,
+    title: note.title,
+    body: note.body,
+    tags: note.tags,
+    created_at: note.created_at,
+    updated_at: note.updated_at
+  };
+}
+
+function publicFolder(folder) {
+  return {
+    id: folder.id,
+    parent_id: folder.parent_id,
+    name: folder.name
+  };
+}
+
+// Abrir um link para acesso público: confere existência, expiração e senha, e conta a visualização
+// Retorna { share, content } ou { status, error, passwordRequired }
+async function openShare(token, password) {
+  const share = SHARE_TOKEN_REGEX.test(token) ? await getShareByToken(token) : null;
+  if (!share) {
+    return { status: 404, error: 'Share link not found' };
+  }
+  
+  if (share.expired) {
+    return { status: 410, error: 'This share link has expired' };
+  }
+  
+  if (share.password_hash) {
+    if (password === undefined || password === '') {
+      return { status: 401, error: 'This share link is password protected', passwordRequired: true };
+    }
+    if (!(await verifySharePassword(password, share.password_hash))) {
+      return { status: 401, error: 'Incorrect password', passwordRequired: true };
+    }
+  }
+  
+  // Nota na lixeira: o link volta a funcionar se ela for restaurada
+  const content = await getSharedContent(share, { limit: MAX_SHARED_NOTES });
+  if (!content) {
+    return { status: 404, error: 'Shared content not found' };
+  }
+  
+  await recordShareView(share.token);
+  return { share, content };
+}
+
+// Enviar uma página pública (todo texto do usuário chega aqui já escapado)
+function sendSharePage(res, status, title, content) {
+  res.status(status).set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Security-Policy': SHARE_PAGE_CSP,
+    'Cache-Control': 'private, no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Robots-Tag': 'noindex, nofollow'
+  }).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)} - BuzzyNotes</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+article { border-top: 1px solid #ddd; padding: 1rem 0; }
+.meta { color: #666; font-size: 0.85rem; }
+.meta span, .meta time { margin-right: 0.5rem; }
+.body { white-space: pre-wrap; overflow-wrap: break-word; }
+.error { color: #b00020; }
+form { margin: 1.5rem 0; }
+input { padding: 0.5rem; border: 1px solid #ccc; border-radius: 4px; }
+button { padding: 0.5rem 1rem; background: #007cba; color: white; border: none; border-radius: 4px; cursor: pointer; }
+footer { margin-top: 2rem; color: #999; font-size: 0.8rem; }
+</style>
+</head>
+<body>
+${content}<footer>Shared with BuzzyNotes</footer>
+</body>
+</html>
+`);
+}
+
+// Formulário de senha de um link protegido
+function passwordFormHtml(error) {
+  return `<h1>🔒 Password required</h1>
+<p>This shared content is password protected.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>\n` : ''}<form method="post">
+<input type="password" name="password" placeholder="Password" required autofocus>
+<button type="submit">View</button>
+</form>
+`;
+}
+
+// Caminho de exibição de cada pasta a partir da pasta compartilhada (id -> 'Pasta / Sub')
+function folderDisplayPaths(folder, folders) {
+  const byId = new Map(folders.map(item => [item.id, item]));
+  const paths = new Map([[folder.id, folder.name]]);
+  
+  const resolve = (item) => {
+    if (!paths.has(item.id)) {
+      const parent = byId.get(item.parent_id);
+      const parentPath = parent ? resolve(parent) : folder.name;
+      paths.set(item.id, `${parentPath} / ${item.name}`);
+    }
+    return paths.get(item.id);
+  };
+  
+  for (const item of folders) {
+    resolve(item);
+  }
+  
+  return paths;
+}
+
+// Conteúdo compartilhado em HTML: uma nota, ou a pasta com o caminho de cada nota
+function sharedContentHtml({ note, folder, folders, notes, truncated }) {
+  if (note) {
+    return { title: note.title || 'Untitled', html: noteToHtml(note, null) };
+  }
+  
+  const folderPaths = folderDisplayPaths(folder, folders);
+  const notice = truncated
+    ? `<p class="meta">Showing the ${notes.length} most recently updated notes.</p>\n`
+    : '';
+  
+  return {
+    title: folder.name,
+    html: `<h1>📁 ${escapeHtml(folder.name)}</h1>
+<p class="meta">${notes.length} note${notes.length === 1 ? '' : 's'}</p>
+${notice}${notes.map(item => noteToHtml(item, folderPaths.get(item.folder_id))).join('')}`
+  };
+}
+
+// Responder a visualização pública em HTML (GET sem senha ou POST do formulário)
+async function renderSharePage(req, res, password) {
+  try {
+    const result = await openShare(req.params.token, password);
+    
+    if (result.passwordRequired) {
+      // Primeira visita a um link protegido não é uma tentativa de senha
+      const status = password === undefined ? 200 : 401;
+      return sendSharePage(res, status, 'Password required', passwordFormHtml(password === undefined ? null : result.error));
+    }
+    
+    if (result.error) {
+      return sendSharePage(res, result.status, result.error, `<h1>${escapeHtml(result.error)}</h1>\n`);
+    }
+    
+    const page = sharedContentHtml(result.content);
+    sendSharePage(res, 200, page.title, `<main>\n${page.html}</main>\n`);
+    
+  } catch (error) {
+    console.error('Error rendering share page:', error);
+    sendSharePage(res, 500, 'Something went wrong', '<h1>Something went wrong</h1>\n<p>Please try again later.</p>\n');
+  }
+}
+
+// Configurar rotas de links de compartilhamento
+function setupShareRoutes(app) {
+
+  // POST /api/license/:licenseKey/shares - Criar link público de uma nota ou pasta
+  // Body: { note_id | folder_id, password?, expires_at? }
+  app.post('/api/license/:licenseKey/shares', requireLicense, async (req, res) => {
+    try {
+      const { note_id, folder_id, password, expires_at } = req.body;
+      
+      const validationError = validateShareFields({ note_id, folder_id, password, expires_at });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const share = await createShare(req.license.license_key, {
+        note_id: note_id || null,
+        folder_id: folder_id || null,
+        passwordHash: password ? await hashSharePassword(password) : null,
+        expires_at: expires_at || null
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Share link created',
+        share: { ...share, url: shareUrl(req, share.token) }
+      });
+      
+    } catch (error) {
+      if (error.code === 'SHARE_TARGET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      if (sendEncryptionError(res, error)) {
+        return;
+      }
+      
+      console.error('Error creating share link:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create share link'
+      });
+    }
+  });
+  
+  // GET /api/license/:licenseKey/shares - Listar links (com visualizações e expiração)
+  app.get('/api/license/:licenseKey/shares', requireLicense, async (req, res) => {
+    try {
+      const shares = await listShares(req.license.license_key);
+      
+      res.json({
+        success: true,
+        shares: shares.map(share => ({ ...share, url: shareUrl(req, share.token) }))
+      });
+      
+    } catch (error) {
+      console.error('Error listing share links:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list share links'
+      });
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/shares/:token - Revogar um link
+  app.delete('/api/license/:licenseKey/shares/:token', requireLicense, async (req, res) => {
+    try {
+      const deleted = SHARE_TOKEN_REGEX.test(req.params.token) &&
+        await deleteShare(req.license.license_key, req.params.token);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Share link not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Share link revoked'
+      });
+      
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke share link'
+      });
+    }
+  });
+  
+  // GET /api/shares/:token - Conteúdo compartilhado em JSON (público; senha no header X-Share-Password)
+  app.get('/api/shares/:token', shareAccessLimiter, async (req, res) => {
+    try {
+      const result = await openShare(req.params.token, req.get('X-Share-Password'));
+      
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error,
+          password_required: Boolean(result.passwordRequired)
+        });
+      }
+      
+      const { share, content } = result;
+      const response = {
+        success: true,
+        type: share.note_id ? 'note' : 'folder',
+        expires_at: share.expires_at
+      };
+      
+      if (content.note) {
+        response.note = publicNote(content.note);
+      } else {
+        response.folder = publicFolder(content.folder);
+        response.folders = content.folders.map(publicFolder);
+        response.notes = content.notes.map(publicNote);
+        response.truncated = content.truncated;
+      }
+      
+      res.set({
+        'Cache-Control': 'private, no-store',
+        'X-Robots-Tag': 'noindex, nofollow'
+      }).json(response);
+      
+    } catch (error) {
+      console.error('Error getting shared content:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load shared content'
+      });
+    }
+  });
+  
+  // GET /s/:token - Página pública do conteúdo compartilhado
+  app.get('/s/:token', shareAccessLimiter, (req, res) => renderSharePage(req, res));
+  
+  // POST /s/:token - Envio do formulário de senha da página pública
+  app.post('/s/:token', shareAccessLimiter, (req, res) => {
+    const password = req.body && typeof req.body.password === 'string' ? req.body.password : '';
+    renderSharePage(req, res, password);
+  });
+}
+
+module.exports = {
+  setupShareRoutes
+};
@@ -0,0 +1,220 @@
+// scripts/smtp.js
+// Cliente SMTP mínimo usado pelo transporte 'smtp' (scripts/mailer.js)
+//
+// Uma conexão por mensagem: EHLO, STARTTLS quando o servidor oferece (ou TLS direto com secure),
+// AUTH PLAIN, MAIL FROM, RCPT TO e DATA. A mensagem vai em MIME com o texto e, se houver, o HTML
+// em base64 (UTF-8). Credenciais nunca são enviadas sem TLS.
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Tempo máximo sem resposta do servidor
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// Erro de SMTP; permanent = o servidor recusou de vez (5xx), não adianta tentar de novo
+function smtpError(message, responseCode = null) {
+  const error = new Error(message);
+  error.code = 'SMTP_ERROR';
+  error.responseCode = responseCode;
+  error.permanent = responseCode !== null && responseCode >= 500;
+  return error;
+}
+
+// Endereço de um campo "Nome <endereco@dominio>" (ou o próprio endereço)
+function extractAddress(value) {
+  const match = String(value).match(/<([^<>\s]+)>\s*$/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+// Codificar um cabeçalho com caracteres fora do ASCII (RFC 2047)
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// Conteúdo em base64 com linhas de 76 caracteres
+function base64Body(content) {
+  return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// Função para montar a mensagem MIME ({ from, to, subject, text, html? })
+function buildMimeMessage(message) {
+  const domain = extractAddress(message.from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+  
+  const textPart = [
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(message.text)
+  ];
+  
+  if (!message.html) {
+    return [...headers, ...textPart].join('\r\n');
+  }
+  
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...textPart,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(message.html),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+// Conexão SMTP: envia comandos e lê as respostas (várias linhas "250-..." até "250 ...")
+function createConnection(socket) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+  
+  function settle(error, reply) {
+    if (waiting) {
+      const { resolve, reject } = waiting;
+      waiting = null;
+      return error ? reject(error) : resolve(reply);
+    }
+    failure = failure || error;
+  }
+  
+  function attach(target) {
+    target.setTimeout(SMTP_TIMEOUT_MS, () => {
+      target.destroy(smtpError('SMTP server timed out'));
+    });
+    
+    target.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        lines.push(line);
+        
+        if (/^\d{3}(?: |$)/.test(line)) {
+          const reply = { code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) };
+          lines = [];
+          settle(null, reply);
+        }
+      }
+    });
+    
+    target.on('error', (error) => settle(error));
+    target.on('close', () => settle(smtpError('SMTP connection closed unexpectedly')));
+  }
+  
+  attach(socket);
+  
+  return {
+    socket,
+    
+    // Ler a próxima resposta e conferir o código esperado
+    async read(expected, command) {
+      const reply = await new Promise((resolve, reject) => {
+        if (failure) {
+          return reject(failure);
+        }
+        waiting = { resolve, reject };
+      });
+      
+      if (!expected.includes(reply.code)) {
+        throw smtpError(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+      }
+      return reply;
+    },
+    
+    async command(line, expected, name = line.split(' ')[0]) {
+      socket.write(`${line}\r\n`);
+      return this.read(expected, name);
+    },
+    
+    // Trocar a conexão para TLS (STARTTLS)
+    async upgrade(servername) {
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('close');
+      socket.setTimeout(0);
+      
+      const secureSocket = tls.connect({ socket, servername });
+      await new Promise((resolve, reject) => {
+        secureSocket.once('secureConnect', resolve);
+        secureSocket.once('error', reject);
+      });
+      
+      socket = secureSocket;
+      this.socket = secureSocket;
+      attach(secureSocket);
+    }
+  };
+}
+
+// Função para enviar uma mensagem ({ from, to, subject, text, html? }) por um servidor SMTP
+// options: { host, port, secure, user, pass, name }
+async function sendSmtpMessage(options, message) {
+  const { host, port, secure = false, user = null, pass = null, name = os.hostname() } = options;
+  
+  const socket = await new Promise((resolve, reject) => {
+    const connectEvent = secure ? 'secureConnect' : 'connect';
+    const target = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    target.once(connectEvent, () => resolve(target));
+    target.once('error', reject);
+  });
+  
+  const connection = createConnection(socket);
+  let encrypted = secure;
+  
+  try {
+    await connection.read([220], 'greeting');
+    let ehlo = await connection.command(`EHLO ${name}`, [250]);
+    
+    if (!encrypted && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(host);
+      encrypted = true;
+      ehlo = await connection.command(`EHLO ${name}`, [250]);
+    }
+    
+    if (user) {
+      if (!encrypted) {
+        throw smtpError('SMTP server does not support TLS; refusing to send credentials');
+      }
+      const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+    
+    await connection.command(`MAIL FROM:<${extractAddress(message.from)}>`, [250], 'MAIL FROM');
+    await connection.command(`RCPT TO:<${extractAddress(message.to)}>`, [250, 251], 'RCPT TO');
+    await connection.command('DATA', [354]);
+    
+    // Linhas que começam com "." são duplicadas (RFC 5321, 4.5.2)
+    const body = buildMimeMessage(message).replace(/^\./gm, '..');
+    const reply = await connection.command(`${body}\r\n.`, [250], 'DATA');
+    
+    connection.socket.end('QUIT\r\n');
+    return { response: reply.lines.join(' ') };
+    
+  } catch (error) {
+    connection.socket.destroy();
+    throw error;
+  }
+}
+
+module.exports = {
+  buildMimeMessage,
+  sendSmtpMessage
+};
@@ -0,0 +1,105 @@
+// scripts/storage.js
+// Adaptadores de armazenamento dos anexos (conteúdo endereçado pelo hash sha256)
+//
+// Todo adaptador expõe a mesma interface assíncrona:
+//   put(key, buffer) - grava o conteúdo (idempotente: a mesma chave tem sempre o mesmo conteúdo)
+//   get(key)         - Readable stream do conteúdo, ou null se não existir
+//   exists(key)      - true se o conteúdo existe
+//   remove(key)      - apaga o conteúdo (sem erro se não existir)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Chaves aceitas: hash sha256 em hexadecimal
+const KEY_REGEX = /^[a-f0-9]{64}$/;
+
+function assertKey(key) {
+  if (!KEY_REGEX.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+// Adaptador de sistema de arquivos local: rootDir/ab/cd/<hash>
+function createLocalStorage({ rootDir }) {
+  const filePath = (key) => path.join(rootDir, key.substring(0, 2), key.substring(2, 4), key);
+  
+  return {
+    name: 'local',
+    
+    async put(key, buffer) {
+      assertKey(key);
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      
+      // Gravar em arquivo temporário e renomear, para nunca expor conteúdo parcial
+      const temp = `${target}.${crypto.randomUUID()}.tmp`;
+      try {
+        await fs.promises.writeFile(temp, buffer);
+        await fs.promises.rename(temp, target);
+      } catch (error) {
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+      }
+    },
+    
+    async get(key) {
+      assertKey(key);
+      try {
+        const handle = await fs.promises.open(filePath(key), 'r');
+        return handle.createReadStream();
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    
+    async exists(key) {
+      assertKey(key);
+      try {
+        await fs.promises.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    
+    async remove(key) {
+      assertKey(key);
+      await fs.promises.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+// Função para criar o adaptador configurado (ATTACHMENTS_STORAGE, padrão 'local')
+function createStorage(env = process.env) {
+  const driver = env.ATTACHMENTS_STORAGE || 'local';
+  
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        rootDir: env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'storage', 'attachments')
+      });
+    
+    default:
+      throw new Error(`Unknown attachments storage driver: ${driver}`);
+  }
+}
+
+let storage = null;
+
+// Adaptador compartilhado pelo processo (criado no primeiro uso)
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`📦 Attachments storage: ${storage.name}`);
+  }
+  return storage;
+}
+
+module.exports = {
+  createLocalStorage,
+  createStorage,
+  getStorage
+};
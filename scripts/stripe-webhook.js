@@ -1,6 +1,8 @@
 // scripts/stripe-webhook.js
 const express = require('express'); // ADICIONADO: Import do express
-const { activateLicense } = require('./database');
+const { createLicense, enqueueEmail } = require('./database');
+const { wakeEmailOutbox } = require('./email-outbox');
+const { parseLocale } = require('./email-templates');
 
 // Função para configurar webhook do Stripe
 function setupStripeWebhook(app) {
@@ -60,6 +62,10 @@ function setupStripeWebhook(app) {
           await handlePaymentSucceeded(event.data.object);
           break;
           
+        case 'invoice.payment_failed':
+          await handlePaymentFailed(event.data.object);
+          break;
+        
         case 'customer.subscription.created':
           await handleSubscriptionCreated(event.data.object);
           break;
@@ -69,7 +75,7 @@ function setupStripeWebhook(app) {
           break;
           
         case 'customer.subscription.deleted':
-          await handleSubscriptionCanceled(event.data.object);
+          await handleSubscriptionCanceled(stripe, event.data.object);
           break;
           
         default:
@@ -88,31 +94,29 @@ function setupStripeWebhook(app) {
 }
 
 // Processar checkout concluído
+// Erros não são capturados aqui: o webhook responde 500 e o Stripe reenvia o evento. Reenvios de
+// um checkout já processado são ignorados (uma licença por session.id)
 async function handleCheckoutCompleted(session) {
-  try {
-    console.log('💳 Processing checkout completion:', session.id);
-    
-    const customerEmail = session.customer_details?.email;
-    const metadata = session.metadata || {};
-    
-    if (!customerEmail) {
-      console.error('❌ No customer email in checkout session');
-      return;
-    }
-    
-    // Gerar chave de licença única
-    const licenseKey = generateLicenseKey();
-    
-    // Ativar licença no banco de dados
-    await activateLicense(licenseKey, customerEmail);
-    
-    console.log(`✅ License activated: ${licenseKey.substring(0, 8)}... for ${customerEmail}`);
-    
-    // TODO: Enviar email com a chave de licença
-    // await sendLicenseEmail(customerEmail, licenseKey);
-    
-  } catch (error) {
-    console.error('❌ Error handling checkout completion:', error);
+  console.log('💳 Processing checkout completion:', session.id);
+  
+  const customerEmail = session.customer_details?.email;
+  const metadata = session.metadata || {};
+  
+  if (!customerEmail) {
+    console.error('❌ No customer email in checkout session');
+    return;
+  }
+  
+  // Emitir licença (chave aleatória; o banco guarda só o hash) e pôr na fila o e-mail com a chave
+  const issued = await createLicense(customerEmail, {
+    locale: parseLocale(session.locale),
+    deliver: true,
+    checkoutSessionId: session.id
+  });
+  
+  if (issued) {
+    wakeEmailOutbox();
+    console.log(`✅ License issued for ${customerEmail}`);
   }
 }
 
@@ -133,6 +137,28 @@ async function handlePaymentSucceeded(invoice) {
   }
 }
 
+// Processar falha de pagamento (avisar o cliente para atualizar o cartão)
+async function handlePaymentFailed(invoice) {
+  try {
+    console.log('💸 Processing payment failure:', invoice.id);
+    
+    if (!invoice.customer_email) {
+      console.error('❌ No customer email in failed invoice');
+      return;
+    }
+    
+    await enqueueEmail({
+      template: 'payment_failed',
+      to: invoice.customer_email,
+      data: { invoiceUrl: invoice.hosted_invoice_url || null }
+    });
+    wakeEmailOutbox();
+    
+  } catch (error) {
+    console.error('❌ Error handling payment failure:', error);
+  }
+}
+
 // Processar criação de assinatura
 async function handleSubscriptionCreated(subscription) {
   try {
@@ -171,7 +197,7 @@ async function handleSubscriptionUpdated(subscription) {
 }
 
 // Processar cancelamento de assinatura
-async function handleSubscriptionCanceled(subscription) {
+async function handleSubscriptionCanceled(stripe, subscription) {
   try {
     console.log('❌ Processing subscription cancellation:', subscription.id);
     
@@ -180,33 +206,25 @@ async function handleSubscriptionCanceled(subscription) {
     // TODO: Desativar licença ou mover para modo gratuito
     console.log(`❌ Subscription canceled for customer: ${customerId}`);
     
+    // A assinatura não traz o e-mail: buscar o cliente
+    const customer = await stripe.customers.retrieve(customerId);
+    if (customer.deleted || !customer.email) {
+      console.log(`⚠️  No email for customer ${customerId}, cancellation email not sent`);
+      return;
+    }
+    
+    await enqueueEmail({
+      template: 'subscription_canceled',
+      to: customer.email,
+      locale: parseLocale((customer.preferred_locales || [])[0])
+    });
+    wakeEmailOutbox();
+    
   } catch (error) {
     console.error('❌ Error handling subscription cancellation:', error);
   }
 }
 
-// Gerar chave de licença única
-function generateLicenseKey() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  
-  // Formato: XXXX-XXXX-XXXX-XXXX
-  for (let i = 0; i < 16; i++) {
-    if (i > 0 && i % 4 === 0) {
-      result += '-';
-    }
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  
-  return result;
-}
-
-// Gerar chave de licença para teste
-function generateTestLicense() {
-  return generateLicenseKey();
-}
-
 module.exports = {
-  setupStripeWebhook,
-  generateTestLicense
+  setupStripeWebhook
 };
\ No newline at end of file
@@ -0,0 +1,511 @@
+// scripts/sync-api.js
+const rateLimit = require('express-rate-limit');
+const {
+  applyNoteChanges,
+  applySyncBatch,
+  getChangesSince,
+  getUserDataBatch,
+  getUserDataRevision,
+  listUserDataRevisions,
+  restoreUserDataRevision
+} = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { validateNoteFields, ID_REGEX } = require('./notes-api');
+const { parseVersionPrecondition, formatETag } = require('./license-api');
+const { sendQuotaExceeded } = require('./usage-api');
+const { sendEncryptionError } = require('./encryption-api');
+const { sendDataTypeError } = require('./data-types-api');
+const { isEncryptedEnvelope } = require('./encryption');
+const { prepareDataPayload } = require('./data-types');
+
+// Limites do feed de mudanças
+const MAX_PULL_LIMIT = 1000;
+const MAX_PUSH_CHANGES = 500;
+
+// Limite de tipos de dado em um lote de sincronização
+const MAX_BATCH_ITEMS = 20;
+
+// Pull e push do feed por licença (as rotas ficam fora do limite global por IP em server.js):
+// cada dispositivo pode sincronizar a cada 2 segundos, e dispositivos atrás do mesmo NAT não
+// dividem o limite. Vem depois de requireLicense, que define req.license
+const changeFeedRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 300, // pull e push a cada 2 segundos em até 5 dispositivos
+  keyGenerator: req => req.license.license_key,
+  message: {
+    success: false,
+    error: 'Too many sync requests for this license, please slow down'
+  }
+});
+
+// Função para validar um lote de mudanças enviado pelo cliente
+// Retorna a mensagem de erro (com o índice da mudança) ou null
+function validateChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return 'Changes must be a non-empty array';
+  }
+  
+  if (changes.length > MAX_PUSH_CHANGES) {
+    return `A maximum of ${MAX_PUSH_CHANGES} changes can be pushed at once`;
+  }
+  
+  for (let i = 0; i < changes.length; i++) {
+    const change = changes[i] || {};
+    
+    if (change.op === 'delete') {
+      if (typeof change.id !== 'string' || !ID_REGEX.test(change.id)) {
+        return `changes[${i}]: invalid note id format`;
+      }
+      continue;
+    }
+    
+    if (change.op !== 'upsert') {
+      return `changes[${i}]: op must be 'upsert' or 'delete'`;
+    }
+    
+    const note = change.note;
+    if (!note || typeof note.id !== 'string' || !ID_REGEX.test(note.id)) {
+      return `changes[${i}]: note with a valid id is required`;
+    }
+    
+    const validationError = validateNoteFields(note);
+    if (validationError) {
+      return `changes[${i}]: ${validationError}`;
+    }
+  }
+  
+  return null;
+}
+
+// Função para validar os tipos de dado de um lote de sincronização
+// Retorna a mensagem de erro (com o índice do item) ou null
+function validateBatchItems(items) {
+  if (!Array.isArray(items)) {
+    return 'Items must be an array';
+  }
+  
+  if (items.length > MAX_BATCH_ITEMS) {
+    return `A maximum of ${MAX_BATCH_ITEMS} data types can be sent at once`;
+  }
+  
+  const seen = new Set();
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i] || {};
+    
+    if (typeof item.dataType !== 'string' || !item.dataType) {
+      return `items[${i}]: dataType is required`;
+    }
+    
+    if (seen.has(item.dataType)) {
+      return `items[${i}]: duplicate data type '${item.dataType}'`;
+    }
+    seen.add(item.dataType);
+    
+    if (item.data === undefined || item.data === null) {
+      return `items[${i}]: data is required`;
+    }
+    
+    if (Number.isNaN(parseVersionPrecondition(item.expectedVersion))) {
+      return `items[${i}]: invalid expectedVersion`;
+    }
+  }
+  
+  return null;
+}
+
+// Resultado de cada item de um lote que não foi aplicado
+// failures: { dataType: campos do resultado }; os demais itens aparecem como 'not_applied'
+function batchFailureResults(items, failures) {
+  return items.map(item => ({
+    data_type: item.dataType,
+    ...(failures[item.dataType] || { status: 'not_applied' })
+  }));
+}
+
+// Configurar rotas de sincronização incremental
+function setupSyncRoutes(app) {
+
+  // GET /api/sync/changes/:licenseKey - Mudanças desde um cursor
+  app.get('/api/sync/changes/:licenseKey', requireLicense, changeFeedRateLimit, async (req, res) => {
+    try {
+      const since = req.query.since === undefined ? 0 : Number(req.query.since);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 500, MAX_PULL_LIMIT);
+      
+      if (!Number.isSafeInteger(since) || since < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+      
+      const result = await getChangesSince(req.license.license_key, since, limit);
+      
+      // Mudanças anteriores ao cursor já foram apagadas do feed (SYNC_CHANGES_RETENTION_DAYS)
+      if (result.expired) {
+        return res.status(410).json({
+          success: false,
+          error: 'Cursor is older than the change feed retention. Download all data again and continue from the returned cursor.',
+          code: 'CURSOR_EXPIRED',
+          cursor: String(result.cursor)
+        });
+      }
+      
+      res.json({
+        success: true,
+        changes: result.changes,
+        cursor: String(result.cursor),
+        has_more: result.hasMore
+      });
+      
+    } catch (error) {
+      console.error('Error getting changes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get changes'
+      });
+    }
+  });
+  
+  // POST /api/sync/changes - Enviar um lote de mudanças
+  app.post('/api/sync/changes', requireLicense, changeFeedRateLimit, async (req, res) => {
+    try {
+      const { changes } = req.body;
+      
+      const validationError = validateChanges(changes);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const results = await applyNoteChanges(req.license.license_key, changes);
+      
+      res.json({
+        success: true,
+        message: 'Changes applied successfully',
+        results
+      });
+      
+    } catch (error) {
+      console.error('Error pushing changes:', error);
+      
+      // Nota referenciando uma pasta que não existe: nenhum item do lote é aplicado
+      if (error.code === 'FOLDER_NOT_FOUND') {
+        res.status(400).json({
+          success: false,
+          error: error.message,
+          folder_id: error.folderId
+        });
+      } else if (error.code === 'QUOTA_EXCEEDED') {
+        sendQuotaExceeded(res, error);
+      } else if (!sendEncryptionError(res, error)) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to apply changes'
+        });
+      }
+    }
+  });
+  
+  // POST /api/sync/batch - Enviar vários tipos de dado (e mudanças de notas) em uma única transação
+  // Body: { licenseKey, items: [{ dataType, data, schemaVersion?, expectedVersion? }], changes?: [...] }
+  // Tudo ou nada: se um item falhar (validação, conflito de versão, cota), nenhum é aplicado
+  app.post('/api/sync/batch', requireLicense, async (req, res) => {
+    const { items = [], changes } = req.body;
+    
+    try {
+      const validationError = validateBatchItems(items)
+        || (changes !== undefined ? validateChanges(changes) : null);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      if (items.length === 0 && changes === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Items or changes are required'
+        });
+      }
+      
+      // Validar todos os itens antes de aplicar, para informar todos os erros de uma vez
+      const failures = {};
+      for (const item of items) {
+        try {
+          prepareDataPayload(item.dataType, item.data, item.schemaVersion);
+        } catch (error) {
+          if (!error.code) {
+            throw error;
+          }
+          failures[item.dataType] = {
+            status: 'invalid',
+            error: error.message,
+            code: error.code,
+            ...(error.errors && { errors: error.errors })
+          };
+        }
+      }
+      
+      if (Object.keys(failures).length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Some items are invalid, nothing was applied',
+          results: batchFailureResults(items, failures)
+        });
+      }
+      
+      const result = await applySyncBatch(req.license.license_key, {
+        items: items.map(item => ({
+          dataType: item.dataType,
+          content: item.data,
+          schemaVersion: item.schemaVersion,
+          expectedVersion: parseVersionPrecondition(item.expectedVersion)
+        })),
+        changes
+      });
+      
+      res.json({
+        success: true,
+        message: 'Batch applied successfully',
+        results: result.data.map((saved, i) => ({
+          data_type: items[i].dataType,
+          status: 'saved',
+          version: saved.version,
+          revision: Number(saved.revision),
+          schema_version: saved.schema_version,
+          uploaded_at: saved.updated_at || saved.created_at
+        })),
+        changes: result.changes
+      });
+      
+    } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        const failures = {};
+        for (const conflict of error.conflicts) {
+          failures[conflict.dataType] = { status: 'conflict', current_version: conflict.currentVersion };
+        }
+        
+        return res.status(409).json({
+          success: false,
+          error: 'Version conflict',
+          message: 'Some data was modified on the server since your last download, nothing was applied',
+          results: batchFailureResults(items, failures)
+        });
+      }
+      
+      if (error.code === 'QUOTA_EXCEEDED') {
+        return sendQuotaExceeded(res, error);
+      }
+      
+      if (error.code === 'FOLDER_NOT_FOUND') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          folder_id: error.folderId
+        });
+      }
+      
+      if (sendEncryptionError(res, error) || sendDataTypeError(res, error)) {
+        return;
+      }
+      
+      console.error('Error applying sync batch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to apply sync batch'
+      });
+    }
+  });
+  
+  // GET /api/sync/batch/:licenseKey - Baixar vários tipos de dado em uma única requisição
+  // ?dataTypes=notes,folders (padrão: todos os tipos guardados para a licença)
+  app.get('/api/sync/batch/:licenseKey', requireLicense, async (req, res) => {
+    try {
+      const dataTypes = typeof req.query.dataTypes === 'string'
+        ? [...new Set(req.query.dataTypes.split(',').map(type => type.trim()).filter(Boolean))]
+        : null;
+      
+      if (dataTypes && dataTypes.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: `A maximum of ${MAX_BATCH_ITEMS} data types can be requested at once`
+        });
+      }
+      
+      const stored = await getUserDataBatch(req.license.license_key, dataTypes);
+      
+      // Tipos pedidos que ainda não existem voltam com data null e versão 0
+      const data = {};
+      for (const dataType of dataTypes || Object.keys(stored)) {
+        const userData = stored[dataType];
+        data[dataType] = userData
+          ? {
+            data: userData.content,
+            encrypted: isEncryptedEnvelope(userData.content),
+            version: userData.version,
+            revision: userData.revision,
+            schema_version: userData.schemaVersion,
+            last_modified: userData.lastModified
+          }
+          : { data: null, version: 0 };
+      }
+      
+      res.json({
+        success: true,
+        data
+      });
+      
+    } catch (error) {
+      console.error('Error downloading sync batch:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download sync batch'
+      });
+    }
+  });
+  
+  // GET /api/sync/revisions/:licenseKey - Listar revisões guardadas de um tipo de dado
+  app.get('/api/sync/revisions/:licenseKey', requireLicense, async (req, res) => {
+    try {
+      const { dataType = 'notes' } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      
+      const revisions = await listUserDataRevisions(req.license.license_key, dataType, { limit, offset });
+      
+      res.json({
+        success: true,
+        data_type: dataType,
+        revisions
+      });
+      
+    } catch (error) {
+      console.error('Error listing revisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list revisions'
+      });
+    }
+  });
+  
+  // GET /api/sync/revisions/:licenseKey/:version - Conteúdo de uma revisão
+  app.get('/api/sync/revisions/:licenseKey/:version', requireLicense, async (req, res) => {
+    try {
+      const { dataType = 'notes' } = req.query;
+      const version = Number(req.params.version);
+      
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid version'
+        });
+      }
+      
+      const revision = await getUserDataRevision(req.license.license_key, dataType, version);
+      
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        data_type: dataType,
+        version: revision.version,
+        source: revision.source,
+        schema_version: revision.schema_version,
+        data: revision.content,
+        created_at: revision.created_at
+      });
+      
+    } catch (error) {
+      console.error('Error getting revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get revision'
+      });
+    }
+  });
+  
+  // POST /api/sync/restore - Restaurar uma revisão como estado atual
+  app.post('/api/sync/restore', requireLicense, async (req, res) => {
+    try {
+      const { dataType = 'notes' } = req.body;
+      const version = Number(req.body.version);
+      
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid version'
+        });
+      }
+      
+      // Pré-condição opcional sobre a versão atual (If-Match)
+      const expectedVersion = parseVersionPrecondition(req.get('If-Match'));
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid version precondition'
+        });
+      }
+      
+      const restored = await restoreUserDataRevision(req.license.license_key, dataType, version, { expectedVersion });
+      
+      if (!restored) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+      
+      res.set('ETag', formatETag(restored.version));
+      res.json({
+        success: true,
+        message: `Revision ${version} restored successfully`,
+        data: restored.content,
+        version: restored.version,
+        revision: Number(restored.revision),
+        schema_version: restored.schema_version,
+        restored_from: version
+      });
+      
+    } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        return res.status(409).json({
+          success: false,
+          error: 'Version conflict',
+          current_version: error.currentVersion
+        });
+      }
+      
+      if (error.code === 'QUOTA_EXCEEDED') {
+        return sendQuotaExceeded(res, error);
+      }
+      
+      // Revisão em texto claro ou cifrada com outra chave não pode voltar no modo criptografado
+      if (sendEncryptionError(res, error)) {
+        return;
+      }
+      
+      // Revisão que não passa na validação do schema atual
+      if (sendDataTypeError(res, error)) {
+        return;
+      }
+      
+      console.error('Error restoring revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore revision'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupSyncRoutes
+};
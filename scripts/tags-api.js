@@ -0,0 +1,180 @@
+// scripts/tags-api.js
+const crypto = require('crypto');
+const {
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag
+} = require('./database');
+const { requireLicense } = require('./license-middleware');
+const { sendEncryptionError } = require('./encryption-api');
+const { ID_REGEX, MAX_TAG_NAME_LENGTH } = require('./notes-api');
+
+// Cor da tag no formato #rrggbb
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+// Função para validar os campos enviados de uma tag
+function validateTagFields(fields) {
+  if (fields.name !== undefined &&
+      (typeof fields.name !== 'string' || fields.name.trim().length === 0 || fields.name.length > MAX_TAG_NAME_LENGTH)) {
+    return `Name must be a non-empty string of up to ${MAX_TAG_NAME_LENGTH} characters`;
+  }
+  
+  if (fields.color !== undefined && fields.color !== null &&
+      (typeof fields.color !== 'string' || !COLOR_REGEX.test(fields.color))) {
+    return 'Color must be a #rrggbb string or null';
+  }
+  
+  return null;
+}
+
+// Configurar rotas de tags
+function setupTagRoutes(app) {
+
+  // GET /api/license/:licenseKey/tags - Listar tags com a quantidade de notas
+  app.get('/api/license/:licenseKey/tags', requireLicense, async (req, res) => {
+    try {
+      const tags = await listTags(req.license.license_key);
+      
+      res.json({
+        success: true,
+        tags
+      });
+      
+    } catch (error) {
+      console.error('Error listing tags:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list tags'
+      });
+    }
+  });
+  
+  // POST /api/license/:licenseKey/tags - Criar uma tag
+  app.post('/api/license/:licenseKey/tags', requireLicense, async (req, res) => {
+    try {
+      const { id, name, color } = req.body;
+      
+      if (id !== undefined && (typeof id !== 'string' || !ID_REGEX.test(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tag id format'
+        });
+      }
+      
+      const validationError = name === undefined
+        ? 'Name is required'
+        : validateTagFields({ name, color });
+      
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const tag = await createTag(req.license.license_key, {
+        id: id || crypto.randomUUID(),
+        name,
+        color
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Tag created successfully',
+        tag
+      });
+      
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      
+      // Id ou nome (sem diferenciar maiúsculas) já em uso
+      if (error.code === 'TAG_EXISTS') {
+        res.status(409).json({
+          success: false,
+          error: 'Tag already exists'
+        });
+      } else if (!sendEncryptionError(res, error)) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create tag'
+        });
+      }
+    }
+  });
+  
+  // PUT /api/license/:licenseKey/tags/:tagId - Renomear e/ou mudar a cor de uma tag
+  app.put('/api/license/:licenseKey/tags/:tagId', requireLicense, async (req, res) => {
+    try {
+      const { name, color } = req.body;
+      
+      const validationError = validateTagFields({ name, color });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      
+      const tag = await updateTag(req.license.license_key, req.params.tagId, { name, color });
+      
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tag not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Tag updated successfully',
+        tag
+      });
+      
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      
+      if (error.code === 'TAG_EXISTS') {
+        res.status(409).json({
+          success: false,
+          error: 'Tag already exists'
+        });
+      } else if (!sendEncryptionError(res, error)) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update tag'
+        });
+      }
+    }
+  });
+  
+  // DELETE /api/license/:licenseKey/tags/:tagId - Remover uma tag de todas as notas
+  app.delete('/api/license/:licenseKey/tags/:tagId', requireLicense, async (req, res) => {
+    try {
+      const deleted = await deleteTag(req.license.license_key, req.params.tagId);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tag not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Tag deleted'
+      });
+      
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete tag'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupTagRoutes
+};
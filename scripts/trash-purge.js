@@ -0,0 +1,61 @@
+// scripts/trash-purge.js
+const { purgeExpiredTrash, pruneSyncChanges } = require('./database');
+
+// Intervalo entre execuções da limpeza da lixeira
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hora
+
+// Dias que uma nota fica na lixeira antes de ser apagada definitivamente
+function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 30;
+}
+
+// Dias que uma mudança fica no feed de sincronização; clientes com cursor mais antigo recebem
+// 410 CURSOR_EXPIRED em GET /api/sync/changes e precisam baixar todos os dados de novo
+function getSyncChangesRetentionDays() {
+  const days = parseInt(process.env.SYNC_CHANGES_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 90;
+}
+
+// Função para apagar as notas com prazo de lixeira vencido e as mudanças antigas do feed
+async function runTrashPurge() {
+  try {
+    const purged = await purgeExpiredTrash(getTrashRetentionDays());
+    
+    if (purged > 0) {
+      console.log(`🔥 Trash purge removed ${purged} expired note(s)`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error.message);
+  }
+  
+  try {
+    const pruned = await pruneSyncChanges(getSyncChangesRetentionDays());
+    
+    if (pruned > 0) {
+      console.log(`🔥 Trash purge pruned ${pruned} old sync change(s)`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Sync change pruning failed:', error.message);
+  }
+}
+
+// Função para agendar a limpeza periódica da lixeira
+function startTrashPurge() {
+  runTrashPurge();
+  
+  const timer = setInterval(runTrashPurge, PURGE_INTERVAL_MS);
+  timer.unref();
+  
+  console.log(`🗑️  Trash purge scheduled (retention: ${getTrashRetentionDays()} days, sync changes: ${getSyncChangesRetentionDays()} days)`);
+  return timer;
+}
+
+module.exports = {
+  startTrashPurge,
+  runTrashPurge,
+  getTrashRetentionDays,
+  getSyncChangesRetentionDays
+};
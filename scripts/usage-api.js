@@ -0,0 +1,57 @@
+// scripts/usage-api.js
+const { getUsage } = require('./database');
+const { requireLicense } = require('./license-middleware');
+
+// Função para formatar o uso de armazenamento para as respostas da API
+function formatUsage(usage) {
+  return {
+    plan: usage.plan,
+    used_bytes: usage.total,
+    quota_bytes: usage.quota,
+    available_bytes: Math.max(usage.quota - usage.total, 0),
+    percent_used: usage.quota > 0 ? Math.round((usage.total / usage.quota) * 1000) / 10 : 100,
+    breakdown: {
+      notes_bytes: usage.notes,
+      attachments_bytes: usage.attachments,
+      revisions_bytes: usage.revisions
+    }
+  };
+}
+
+// Resposta padrão para escritas recusadas por exceder a cota (QUOTA_EXCEEDED)
+function sendQuotaExceeded(res, error) {
+  res.status(413).json({
+    success: false,
+    error: 'Storage quota exceeded',
+    code: 'QUOTA_EXCEEDED',
+    usage: formatUsage(error.usage)
+  });
+}
+
+// Configurar rotas de uso de armazenamento
+function setupUsageRoutes(app) {
+
+  // GET /api/license/:licenseKey/usage - Uso de armazenamento e cota do plano
+  app.get('/api/license/:licenseKey/usage', requireLicense, async (req, res) => {
+    try {
+      const usage = await getUsage(req.license.license_key);
+      
+      res.json({
+        success: true,
+        usage: formatUsage(usage)
+      });
+      
+    } catch (error) {
+      console.error('Error getting usage:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get usage'
+      });
+    }
+  });
+}
+
+module.exports = {
+  setupUsageRoutes,
+  sendQuotaExceeded
+};
@@ -6,6 +6,30 @@ const rateLimit = require('express-rate-limit');
 // Importar nossos módulos
 const { initializeDatabase, testConnection } = require('./scripts/database');
 const { setupLicenseRoutes } = require('./scripts/license-api');
+const { setupAuthRoutes } = require('./scripts/auth-api');
+const { setupDeviceRoutes } = require('./scripts/devices-api');
+const { setupCertificateRoutes } = require('./scripts/certificates-api');
+const { setupRecoveryRoutes } = require('./scripts/recovery-api');
+const { setupAdminRoutes } = require('./scripts/admin-api');
+const { setupNotesRoutes } = require('./scripts/notes-api');
+const { setupSyncRoutes } = require('./scripts/sync-api');
+const { setupSearchRoutes } = require('./scripts/search-api');
+const { setupFolderRoutes } = require('./scripts/folders-api');
+const { setupTagRoutes } = require('./scripts/tags-api');
+const { setupAttachmentRoutes } = require('./scripts/attachments-api');
+const { setupUsageRoutes } = require('./scripts/usage-api');
+const { setupExportRoutes } = require('./scripts/export-api');
+const { setupImportRoutes } = require('./scripts/import-api');
+const { setupEncryptionRoutes } = require('./scripts/encryption-api');
+const { setupDataTypeRoutes } = require('./scripts/data-types-api');
+const { setupEventRoutes } = require('./scripts/events-api');
+const { setupShareRoutes } = require('./scripts/shares-api');
+const { setupSharedFolderRoutes } = require('./scripts/shared-folders-api');
+const { startRealtime, isRealtimeConnected } = require('./scripts/realtime');
+const { startTrashPurge } = require('./scripts/trash-purge');
+const { startKeyRotationNotices } = require('./scripts/license-recovery');
+const { startEmailOutbox } = require('./scripts/email-outbox');
+const { getMailTransport } = require('./scripts/mailer');
 const { setupStripeWebhook } = require('./scripts/stripe-webhook');
 
 const app = express();
@@ -14,15 +38,23 @@ const PORT = process.env.PORT || 3000;
 // Configurar CORS
 app.use(cors({
   origin: ['chrome-extension://*', 'http://localhost:*'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match', 'X-Share-Password', 'X-Device-Id'],
+  exposedHeaders: ['ETag', 'WWW-Authenticate', 'Deprecation', 'Link']
 }));
 
+// Rotas com limite próprio por licença, chamadas a cada poucos segundos por dispositivo
+const LICENSE_RATE_LIMITED_ROUTES = [
+  /^\/sync\/changes(\/|$)/, // feed de mudanças (scripts/sync-api.js)
+  /^\/license\/[^/]+\/events$/ // reconexões do stream de eventos (scripts/events-api.js)
+];
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 100, // máximo 100 requests por IP
-  message: 'Too many requests from this IP'
+  message: 'Too many requests from this IP',
+  skip: (req) => LICENSE_RATE_LIMITED_ROUTES.some(route => route.test(req.path))
 });
 app.use('/api/', limiter);
 
@@ -48,6 +80,9 @@ async function startServer() {
     console.log('✅ Stripe configured');
   }
   
+  // Verificar envio de e-mails (falha aqui se o transporte não puder entregar)
+  getMailTransport();
+  
   // Verificar e inicializar banco de dados
   console.log('🔧 Initializing database...');
   
@@ -61,6 +96,16 @@ async function startServer() {
       databaseConnected = await initializeDatabase();
       if (databaseConnected) {
         console.log('✅ Database initialized successfully');
+        
+        // Limpeza periódica da lixeira
+        startTrashPurge();
+        
+        // Envio da fila de e-mails e avisos das chaves substituídas por segurança
+        startEmailOutbox();
+        startKeyRotationNotices();
+        
+        // Avisos de mudança em tempo real (LISTEN/NOTIFY)
+        await startRealtime();
       } else {
         console.log('❌ Database table initialization failed');
       }
@@ -98,9 +143,89 @@ function setupRoutes() {
       endpoints: [
         'GET /health - Health check',
         'POST /api/verify-license - Verify premium license',
-        'POST /api/activate-license - Activate premium license',
+        'POST /api/activate-license - Activate premium license on a device (counts toward the plan device limit)',
+        'POST /api/auth/token - Exchange a license key for an access token and a refresh token',
+        'POST /api/auth/refresh - Get a new access token (rotates the refresh token)',
+        'POST /api/auth/logout - End the current session',
+        'POST /api/auth/revoke-all - End all sessions of the license',
+        'GET /api/me - License details (Authorization: Bearer; replaces /api/license/:licenseKey/info)',
+        'GET /api/license/:licenseKey/devices - List activated devices and the plan device limit',
+        'DELETE /api/license/:licenseKey/devices/:deviceId - Deactivate a device and end its sessions',
+        'GET /api/license/keys - Public keys (Ed25519 JWK) for verifying license certificates offline',
+        'POST /api/license/:licenseKey/certificate - Issue a signed license certificate',
+        'POST /api/license/certificate/refresh - Renew a license certificate (within the offline grace period)',
+        'POST /api/license/recovery - Email a single-use link to recover a lost license key',
+        'POST /api/license/recovery/redeem - Use a recovery link token to get a new license key',
+        'GET /recover/:token - License recovery page (linked from the recovery email)',
         'POST /api/sync/upload - Upload user data (premium only)',
-        'GET /api/sync/download/:licenseKey - Download user data (premium only)',
+        'GET /api/sync/download - Download user data (premium only)',
+        'GET /api/sync/data-types - Data types accepted by upload, with schema versions and JSON Schemas',
+        'GET /api/license/:licenseKey/notes - List notes (premium only)',
+        'GET /api/license/:licenseKey/notes/:noteId - Get a note (premium only)',
+        'POST /api/license/:licenseKey/notes - Create a note (premium only)',
+        'PUT /api/license/:licenseKey/notes/:noteId - Update a note (premium only)',
+        'DELETE /api/license/:licenseKey/notes/:noteId - Move a note to trash (premium only)',
+        'POST /api/license/:licenseKey/notes/move - Move notes to a folder (premium only)',
+        'GET /api/license/:licenseKey/folders - List folders (premium only)',
+        'GET /api/license/:licenseKey/folders/:folderId - Get a folder (premium only)',
+        'POST /api/license/:licenseKey/folders - Create a folder (premium only)',
+        'PUT /api/license/:licenseKey/folders/:folderId - Rename, move or reorder a folder (premium only)',
+        'DELETE /api/license/:licenseKey/folders/:folderId - Delete a folder and trash its notes (premium only)',
+        'GET /api/license/:licenseKey/tags - List tags (premium only)',
+        'POST /api/license/:licenseKey/tags - Create a tag (premium only)',
+        'PUT /api/license/:licenseKey/tags/:tagId - Rename or recolor a tag (premium only)',
+        'DELETE /api/license/:licenseKey/tags/:tagId - Delete a tag (premium only)',
+        'POST /api/license/:licenseKey/attachments - Upload an attachment (premium only)',
+        'GET /api/license/:licenseKey/attachments - List attachments (premium only)',
+        'GET /api/license/:licenseKey/attachments/:attachmentId - Download an attachment (premium only)',
+        'DELETE /api/license/:licenseKey/attachments/:attachmentId - Delete an attachment (premium only)',
+        'GET /api/license/:licenseKey/usage - Storage usage and plan quota (premium only)',
+        'GET /api/license/:licenseKey/export?format=markdown|html|json - Export all notes (premium only)',
+        'POST /api/license/:licenseKey/import?format=enex|markdown|keep|text - Import notes from another app (premium only)',
+        'GET /api/license/:licenseKey/trash - List notes in trash (premium only)',
+        'POST /api/license/:licenseKey/trash/:noteId/restore - Restore a note from trash (premium only)',
+        'DELETE /api/license/:licenseKey/trash/:noteId - Permanently delete a note (premium only)',
+        'DELETE /api/license/:licenseKey/trash - Empty trash (premium only)',
+        'GET /api/license/:licenseKey/search?q=query - Full-text search over notes (premium only)',
+        'GET /api/sync/changes/:licenseKey?since=cursor - Pull changes since a cursor (premium only; 410 when the cursor is older than the feed retention)',
+        'GET /api/license/:licenseKey/events - Real-time change notifications (Server-Sent Events, premium only)',
+        'POST /api/sync/changes - Push a batch of note changes (premium only)',
+        'POST /api/sync/batch - Upload several data types and note changes in one transaction (premium only)',
+        'GET /api/sync/batch/:licenseKey?dataTypes=notes,settings - Download several data types at once (premium only)',
+        'GET /api/license/:licenseKey/encryption - Get the end-to-end encryption key record (premium only)',
+        'PUT /api/license/:licenseKey/encryption - Enable end-to-end encryption or rotate the key (premium only)',
+        'DELETE /api/license/:licenseKey/encryption - Disable end-to-end encryption (premium only)',
+        'POST /api/license/:licenseKey/shares - Create a public read-only link to a note or folder (premium only)',
+        'GET /api/license/:licenseKey/shares - List share links and their view counts (premium only)',
+        'DELETE /api/license/:licenseKey/shares/:token - Revoke a share link (premium only)',
+        'GET /api/shares/:token - View shared content as JSON (public)',
+        'GET /s/:token - View shared content as a web page (public)',
+        'GET /api/license/:licenseKey/shared-folders - List folders shared with or by this license (premium only)',
+        'POST /api/license/:licenseKey/shared-folders - Share a folder with other license holders (premium only)',
+        'GET /api/license/:licenseKey/shared-folders/:sharedFolderId - Shared folder members and invitations (premium only)',
+        'DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId - Stop sharing a folder (premium only)',
+        'POST /api/license/:licenseKey/shared-folders/:sharedFolderId/invitations - Invite someone by email (premium only)',
+        'DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId/invitations/:token - Cancel an invitation (premium only)',
+        'PUT /api/license/:licenseKey/shared-folders/:sharedFolderId/members/:memberId - Change a member role (premium only)',
+        'DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId/members/:memberId - Remove a member or leave (premium only)',
+        'GET /api/license/:licenseKey/shared-folders/:sharedFolderId/notes - List notes in a shared folder (premium only)',
+        'POST /api/license/:licenseKey/shared-folders/:sharedFolderId/notes - Create a note in a shared folder (premium only)',
+        'GET|PUT|DELETE /api/license/:licenseKey/shared-folders/:sharedFolderId/notes/:noteId - Read, edit or trash a shared note (premium only)',
+        'GET /api/license/:licenseKey/shared-folders/:sharedFolderId/changes?since=cursor - Pull shared folder changes (premium only)',
+        'GET /api/license/:licenseKey/invitations - List received folder invitations (premium only)',
+        'POST /api/license/:licenseKey/invitations/:token/accept|decline - Respond to a folder invitation (premium only)',
+        'GET /invitations/:token - Folder invitation page (linked from the invitation email)',
+        'GET /api/sync/revisions/:licenseKey - List stored revisions (premium only)',
+        'GET /api/sync/revisions/:licenseKey/:version - Get a stored revision (premium only)',
+        'POST /api/sync/restore - Restore a revision as the current data (premium only)',
+        'GET /admin/users?email=&key=&key_hint=&status=&plan= - Search licenses (admin credentials)',
+        'POST /admin/users - Issue a license manually and email the key (admin credentials)',
+        'GET /admin/users/:userId - License details and activated devices (admin credentials)',
+        'GET /admin/users/:userId/sync - Sync metadata: counts, data type versions and usage (admin credentials)',
+        'POST /admin/users/:userId/revoke|reactivate - Revoke or reactivate a license (admin credentials)',
+        'POST /admin/users/:userId/extend - Extend a time-limited license (admin credentials)',
+        'PUT /admin/users/:userId/plan - Change the license plan (admin credentials)',
+        'GET /admin/audit - Log of admin actions (admin credentials)',
         'POST /webhook - Stripe webhook'
       ]
     });
@@ -112,6 +237,7 @@ function setupRoutes() {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       database: databaseConnected ? 'connected' : 'disconnected',
+      realtime: isRealtimeConnected() ? 'connected' : 'disconnected',
       stripe: process.env.STRIPE_SECRET_KEY && !process.env.STRIPE_SECRET_KEY.includes('TEMPORARIA') ? 'configured' : 'not_configured'
     });
   });
@@ -120,6 +246,64 @@ function setupRoutes() {
   if (databaseConnected) {
     setupLicenseRoutes(app);
     console.log('✅ License API routes configured');
+    
+    setupAuthRoutes(app);
+    console.log('✅ Auth API routes configured');
+    
+    setupDeviceRoutes(app);
+    console.log('✅ Devices API routes configured');
+    
+    setupCertificateRoutes(app);
+    console.log('✅ License certificates API routes configured');
+    
+    setupRecoveryRoutes(app);
+    console.log('✅ License recovery API routes configured');
+    
+    setupNotesRoutes(app);
+    console.log('✅ Notes API routes configured');
+    
+    setupSyncRoutes(app);
+    console.log('✅ Sync API routes configured');
+    
+    setupSearchRoutes(app);
+    console.log('✅ Search API routes configured');
+    
+    setupFolderRoutes(app);
+    console.log('✅ Folders API routes configured');
+    
+    setupTagRoutes(app);
+    console.log('✅ Tags API routes configured');
+    
+    setupAttachmentRoutes(app);
+    console.log('✅ Attachments API routes configured');
+    
+    setupUsageRoutes(app);
+    console.log('✅ Usage API routes configured');
+    
+    setupExportRoutes(app);
+    console.log('✅ Export API routes configured');
+    
+    setupImportRoutes(app);
+    console.log('✅ Import API routes configured');
+    
+    setupEncryptionRoutes(app);
+    console.log('✅ Encryption API routes configured');
+    
+    setupDataTypeRoutes(app);
+    console.log('✅ Data types API routes configured');
+    
+    setupEventRoutes(app);
+    console.log('✅ Events API routes configured');
+    
+    setupShareRoutes(app);
+    console.log('✅ Shares API routes configured');
+    
+    setupSharedFolderRoutes(app);
+    console.log('✅ Shared folders API routes configured');
+    
+    if (setupAdminRoutes(app)) {
+      console.log('✅ Admin API routes configured');
+    }
   } else {
     // Rotas de fallback para quando não há banco
     app.post('/api/verify-license', (req, res) => {
@@ -159,6 +343,16 @@ function setupRoutes() {
   
   // Error handler
   app.use((error, req, res, next) => {
+    // Corpo maior que o limite do express.json (ex.: upload de dados muito grande)
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: 'Request body too large',
+        code: 'PAYLOAD_TOO_LARGE',
+        limit_bytes: error.limit
+      });
+    }
+    
     console.error('Unhandled error:', error);
     res.status(500).json({
       error: 'Internal server error',